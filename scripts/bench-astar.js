@@ -0,0 +1,156 @@
+/**
+ * A* Benchmark
+ *
+ * Compares the previous linear-scan A* (kept here for reference) against the
+ * heap-based core.aStar on grids of increasing size, and checks that both
+ * return identical paths.
+ *
+ * Usage: node scripts/bench-astar.js [searchesPerGrid]
+ */
+
+import { aStar, createPathScratch, createRng, heuristic } from '../src/core.js';
+
+// ============================================
+// Benchmark Configuration
+// ============================================
+const BENCH_CONFIG = {
+  grids: [
+    [40, 25],    // Default board
+    [100, 60],
+    [200, 120],
+  ],
+  crumbDensity: 0.25,  // Fraction of cells holding crumbs
+  crumbCost: 14,       // Same as CRUMB_COST_FOR_CAT
+  seed: 1234,
+};
+
+// ============================================
+// Previous Implementation (linear scan)
+// ============================================
+function legacyAStar(startC, startR, goalC, goalR, cols, rows, getCost) {
+  const N = cols * rows;
+  const start = startR * cols + startC;
+  const goal = goalR * cols + goalC;
+  if (start === goal) return [];
+
+  const g = new Float32Array(N);
+  const f = new Float32Array(N);
+  const came = new Int32Array(N);
+  const closed = new Uint8Array(N);
+  for (let i = 0; i < N; i++) {
+    g[i] = Infinity;
+    f[i] = Infinity;
+    came[i] = -1;
+  }
+
+  const open = new Uint8Array(N);
+  g[start] = 0;
+  f[start] = heuristic(startC, startR, goalC, goalR);
+  open[start] = 1;
+
+  const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  while (true) {
+    let current = -1;
+    let bestF = Infinity;
+    for (let i = 0; i < N; i++) {
+      if (open[i] && f[i] < bestF) {
+        bestF = f[i];
+        current = i;
+      }
+    }
+    if (current === -1) break;
+
+    open[current] = 0;
+    closed[current] = 1;
+    if (current === goal) break;
+
+    const curC = current % cols;
+    const curR = (current / cols) | 0;
+
+    for (const [dc, dr] of neighbors) {
+      const nc = curC + dc;
+      const nr = curR + dr;
+      if (nc < 0 || nr < 0 || nc >= cols || nr >= rows) continue;
+
+      const ni = nr * cols + nc;
+      if (closed[ni]) continue;
+
+      const stepCost = getCost(nc, nr);
+      if (stepCost === Infinity) continue;
+
+      const tentative = g[current] + stepCost;
+      if (tentative < g[ni]) {
+        came[ni] = current;
+        g[ni] = tentative;
+        f[ni] = tentative + heuristic(nc, nr, goalC, goalR);
+        open[ni] = 1;
+      }
+    }
+  }
+
+  if (came[goal] === -1) return [];
+
+  const path = [];
+  let node = goal;
+  while (node !== start && node !== -1) {
+    path.push(node);
+    node = came[node];
+  }
+  path.reverse();
+  return path.map(p => ({ c: p % cols, r: (p / cols) | 0 }));
+}
+
+// ============================================
+// Benchmark
+// ============================================
+function makeProblem(cols, rows, random) {
+  const crumbs = new Uint8Array(cols * rows);
+  for (let i = 0; i < crumbs.length; i++) {
+    crumbs[i] = random() < BENCH_CONFIG.crumbDensity ? 1 : 0;
+  }
+  const getCost = (c, r) => (crumbs[r * cols + c] ? BENCH_CONFIG.crumbCost : 1);
+
+  const queries = [];
+  for (let i = 0; i < searchesPerGrid; i++) {
+    queries.push([
+      (random() * cols) | 0, (random() * rows) | 0,
+      (random() * cols) | 0, (random() * rows) | 0,
+    ]);
+  }
+  return { getCost, queries };
+}
+
+function time(fn) {
+  const t0 = performance.now();
+  const result = fn();
+  return { ms: performance.now() - t0, result };
+}
+
+const searchesPerGrid = parseInt(process.argv[2]) || 50;
+const random = createRng(BENCH_CONFIG.seed);
+
+console.log(`A* benchmark: ${searchesPerGrid} random searches per grid\n`);
+console.log('Grid        Cells   Legacy (ms/search)   Heap (ms/search)   Speedup   Paths match');
+
+let allMatch = true;
+for (const [cols, rows] of BENCH_CONFIG.grids) {
+  const { getCost, queries } = makeProblem(cols, rows, random);
+  const scratch = createPathScratch(cols * rows);
+
+  const legacy = time(() => queries.map(q => legacyAStar(...q, cols, rows, getCost)));
+  const heap = time(() => queries.map(q => aStar(...q, cols, rows, getCost, scratch)));
+
+  const match = JSON.stringify(legacy.result) === JSON.stringify(heap.result);
+  allMatch = allMatch && match;
+
+  const legacyPer = legacy.ms / queries.length;
+  const heapPer = heap.ms / queries.length;
+  console.log(
+    `${`${cols}x${rows}`.padEnd(10)}  ${String(cols * rows).padStart(6)}   ` +
+    `${legacyPer.toFixed(3).padStart(18)}   ${heapPer.toFixed(3).padStart(16)}   ` +
+    `${(legacyPer / heapPer).toFixed(1).padStart(6)}x   ${match ? 'yes' : 'NO'}`
+  );
+}
+
+process.exit(allMatch ? 0 : 1);
@@ -0,0 +1,130 @@
+/**
+ * Cat Coordination Comparison
+ *
+ * Plays the same campaign level with cat coordination off and on (see
+ * src/coordinator.js) and compares how often the mouse escapes. Both runs
+ * use the same seeds, so each episode starts from the same position.
+ *
+ * The mouse is a runner: it heads the shortest way around walls and crumbs
+ * to the nearest hole (the route the intercepting cat tries to cut off), but
+ * steps away from cats that come within RUNNER_CONFIG.danger cells. While
+ * crumbs block every way, it heads for the hole anyway and waits at the
+ * crumbs for them to decay.
+ *
+ * Usage: node scripts/coordination.js [episodes] [level] [seed]
+ */
+
+import * as Config from '../src/config.js';
+import { Game } from '../src/game.js';
+import { campaignLevelSource } from '../src/level.js';
+import { distanceField, neighborIndex } from '../src/core.js';
+
+// ============================================
+// Comparison Configuration
+// ============================================
+const COMPARE_CONFIG = {
+  maxStepsPerEpisode: 3000,  // ~50 seconds at 60fps (a mouse still alive by then counts as surviving)
+  dt: Config.SIM_DT,
+};
+
+const RUNNER_CONFIG = {
+  danger: 5,     // Cats closer than this (walking cells) push the mouse away
+  fear: 3,       // Hole cells the mouse gives up per cell of cat distance gained
+};
+
+// Game.step actions: left, right, up, down
+const MOVES = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// ============================================
+// Runner Mouse
+// ============================================
+function runnerAction(game) {
+  const { grid } = game;
+  const sources = [];
+  for (const hole of grid.holes) {
+    for (const { c, r } of grid.getHoleCells(hole)) sources.push({ c, r, source: 0 });
+  }
+  const { c, r } = game.player.getCell();
+  const here = grid.inBounds(c, r) ? grid.idx(c, r) : -1;
+  let { dist } = distanceField(sources, grid.cols, grid.rows,
+    (cc, rr) => !grid.isWall(cc, rr) && !grid.isCrumb(cc, rr), grid.topology);
+  if (here === -1 || dist[here] === -1) {
+    dist = distanceField(sources, grid.cols, grid.rows, (cc, rr) => !grid.isWall(cc, rr), grid.topology).dist;
+  }
+
+  const catDist = distanceField(game.cats.map(cat => ({ ...cat.getCell(), source: 0 })), grid.cols, grid.rows,
+    (cc, rr) => !grid.isWall(cc, rr), grid.topology).dist;
+  const cost = i => {
+    if (dist[i] === -1) return Infinity;
+    const near = catDist[i] === -1 ? RUNNER_CONFIG.danger : Math.min(catDist[i], RUNNER_CONFIG.danger);
+    return dist[i] - RUNNER_CONFIG.fear * near;
+  };
+
+  let best = 4;  // Stop if no step is better than staying
+  let bestCost = here === -1 ? Infinity : cost(here);
+  MOVES.forEach(([dc, dr], action) => {
+    const i = neighborIndex(c, r, dc, dr, grid.cols, grid.rows, grid.topology);
+    if (i === -1 || grid.isWall(i % grid.cols, (i / grid.cols) | 0) || grid.isCrumb(i % grid.cols, (i / grid.cols) | 0)) return;
+    if (cost(i) < bestCost) {
+      best = action;
+      bestCost = cost(i);
+    }
+  });
+  return best;
+}
+
+// ============================================
+// Episodes
+// ============================================
+function runEpisodes(numEpisodes, level, seed, coordination) {
+  const game = new Game(null, {
+    headless: true,
+    singleLevel: true,
+    levelSource: (n, g) => ({ ...campaignLevelSource(n, g), coordination }),
+  });
+
+  const totals = { escapes: 0, catches: 0, timeouts: 0, timeAlive: 0 };
+  for (let ep = 0; ep < numEpisodes; ep++) {
+    game.reset(level, seed + ep);
+    let info = {};
+    let done = false;
+    for (let steps = 0; !done && steps < COMPARE_CONFIG.maxStepsPerEpisode; steps++) {
+      const result = game.step(runnerAction(game), COMPARE_CONFIG.dt);
+      done = result.done;
+      info = result.info;
+    }
+
+    if (info.levelComplete) totals.escapes++;
+    else if (info.caught) totals.catches++;
+    else totals.timeouts++;
+    totals.timeAlive += game.timeAlive;
+  }
+  return totals;
+}
+
+function report(label, totals, numEpisodes) {
+  console.log(`${label.padEnd(16)} | ` +
+    `Escaped: ${totals.escapes} (${(totals.escapes / numEpisodes * 100).toFixed(1)}%) | ` +
+    `Caught: ${totals.catches} | ` +
+    `Timed out: ${totals.timeouts} | ` +
+    `Avg time alive: ${(totals.timeAlive / numEpisodes).toFixed(2)}s`);
+}
+
+// ============================================
+// Main
+// ============================================
+const numEpisodes = parseInt(process.argv[2]) || 200;
+const level = parseInt(process.argv[3]) || 6;
+const seedArg = parseInt(process.argv[4]);
+const seed = Number.isNaN(seedArg) ? 1 : seedArg;
+
+const { cats } = Config.getLevelConfig(level);
+console.log(`Level ${level} (${cats} cat${cats === 1 ? '' : 's'}), ${numEpisodes} episodes, seeds ${seed}-${seed + numEpisodes - 1}\n`);
+
+const off = runEpisodes(numEpisodes, level, seed, false);
+report('Coordination off', off, numEpisodes);
+const on = runEpisodes(numEpisodes, level, seed, true);
+report('Coordination on', on, numEpisodes);
+
+const delta = (on.escapes - off.escapes) / numEpisodes * 100;
+console.log(`\nEscape rate change with coordination: ${delta >= 0 ? '+' : ''}${delta.toFixed(1)} points`);
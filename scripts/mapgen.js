@@ -0,0 +1,91 @@
+/**
+ * Map Generator CLI
+ *
+ * Generates random solvable levels, prints an ASCII preview of each and
+ * optionally writes them as level JSON files.
+ *
+ * Usage: node scripts/mapgen.js [algorithm] [seed] [count] [outDir]
+ *        node scripts/mapgen.js --help
+ *
+ *   algorithm  maze | rooms | pillars | mixed (default mixed)
+ *   seed       Base seed (default random); map i uses deriveSeed(seed, i)
+ *   count      Number of maps (default 1)
+ *   outDir     If given, each map is written to <outDir>/<algorithm>-<seed>.json
+ *
+ * Legend: # wall, O hole, P player spawn, C cat spawn, : barrier crumb
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import * as Config from '../src/config.js';
+import { randomSeed } from '../src/core.js';
+import { Grid } from '../src/grid.js';
+import { MapAlgorithm, deriveSeed, generateLevel } from '../src/mapgen.js';
+
+const USAGE = `Usage: node scripts/mapgen.js [algorithm] [seed] [count] [outDir]
+  algorithm  ${Object.values(MapAlgorithm).join(' | ')} (default ${MapAlgorithm.MIXED})`;
+
+if (process.argv[2] === '--help' || process.argv[2] === '-h') {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const algorithm = process.argv[2] || MapAlgorithm.MIXED;
+if (!Object.values(MapAlgorithm).includes(algorithm)) {
+  console.error(`Unknown algorithm "${algorithm}"\n${USAGE}`);
+  process.exit(2);
+}
+
+const seedArg = parseInt(process.argv[3]);
+const baseSeed = Number.isNaN(seedArg) ? randomSeed() : seedArg;
+const count = parseInt(process.argv[4]) || 1;
+const outDir = process.argv[5];
+
+/**
+ * Render a level as ASCII art.
+ * @param {Object} def - Validated level definition
+ * @returns {string} One line per row
+ */
+function preview(def) {
+  const grid = new Grid(Config.COLS, Config.ROWS);
+  grid.applyLevel(def);
+  const lines = [];
+  for (let r = 0; r < grid.rows; r++) {
+    let line = '';
+    for (let c = 0; c < grid.cols; c++) {
+      if (def.player.c === c && def.player.r === r) line += 'P';
+      else if (def.cats.some(cat => cat.c === c && cat.r === r)) line += 'C';
+      else if (grid.isHoleCell(c, r)) line += 'O';
+      else if (grid.isWall(c, r)) line += '#';
+      else if (grid.isCrumb(c, r)) line += ':';
+      else line += '.';
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+if (outDir) mkdirSync(outDir, { recursive: true });
+
+for (let i = 0; i < count; i++) {
+  const seed = deriveSeed(baseSeed, i);
+  let def;
+  try {
+    def = generateLevel({ seed, algorithm });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  const cols = Config.COLS;
+  const rows = Config.ROWS;
+  const wallShare = (100 * def.walls.length / (cols * rows)).toFixed(1);
+  console.log(`${def.name} | ${cols}x${rows} | walls: ${def.walls.length} (${wallShare}%) | cats: ${def.cats.length}`);
+
+  if (outDir) {
+    const file = join(outDir, `${def.name.split(' ')[0].toLowerCase()}-${seed}.json`);
+    writeFileSync(file, JSON.stringify({ ...def, cols, rows }, null, 2) + '\n');
+    console.log(`  Wrote ${file}`);
+  }
+  if (count === 1 || !outDir) console.log(preview(def) + '\n');
+}
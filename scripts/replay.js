@@ -0,0 +1,62 @@
+/**
+ * Headless Replay Runner
+ *
+ * Plays a replay file through the REAL Game class, on the level definitions
+ * it recorded, and reports the outcome. If the replay carries a recorded
+ * result, checks that playback matches it.
+ * The run is scored the same way as in the browser (see scoring.js).
+ *
+ * Usage: node scripts/replay.js <replay.json>
+ */
+
+import { readFileSync } from 'fs';
+import { Game } from '../src/game.js';
+import { parseReplay, runReplay } from '../src/replay.js';
+import { ScoreKeeper } from '../src/scoring.js';
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: node scripts/replay.js <replay.json>');
+  process.exit(2);
+}
+
+let replay;
+try {
+  replay = parseReplay(readFileSync(file, 'utf8'));
+} catch (e) {
+  console.error(`Could not load ${file}: ${e.message}`);
+  process.exit(2);
+}
+
+const game = new Game(null, { headless: true });
+const scores = new ScoreKeeper(game, { storage: null });
+let outcome;
+try {
+  outcome = runReplay(game, replay);
+} catch (e) {
+  console.error(`Could not play ${file}: ${e.message}`);
+  process.exit(2);
+}
+
+console.log(`Replay: ${file}`);
+console.log(`  Seed: ${replay.seed} | Start level: ${replay.level} | Inputs: ${replay.inputs.length}`);
+console.log(`  Levels: ${replay.levels ? Object.values(replay.levels).map(def => def.name).join(', ') : 'campaign (version 1 replay)'}`);
+console.log(`  Ticks: ${outcome.ticks} (${(outcome.ticks * replay.dt).toFixed(2)}s)`);
+console.log(`  Levels completed: ${outcome.levelsCompleted}`);
+console.log(`  Final level: ${outcome.level}`);
+console.log(`  Result: ${outcome.caught ? `caught after ${outcome.timeAlive.toFixed(2)}s on level ${outcome.level}` : 'not caught'}`);
+console.log(`  Score: ${scores.score} (near misses: ${scores.nearMisses})`);
+
+if (replay.result) {
+  const expected = replay.result;
+  const matches = expected.level === outcome.level &&
+    expected.running === !outcome.caught &&
+    expected.x === outcome.x &&
+    expected.y === outcome.y;
+  console.log(`  Matches recording: ${matches ? 'yes' : 'NO'}`);
+  if (!matches) {
+    console.log(`    recorded: level ${expected.level}, running ${expected.running}, player (${expected.x}, ${expected.y})`);
+    console.log(`    replayed: level ${outcome.level}, running ${!outcome.caught}, player (${outcome.x}, ${outcome.y})`);
+    process.exit(1);
+  }
+}
@@ -4,11 +4,26 @@
  * Uses the REAL Game class for training, ensuring learned strategies
  * transfer directly to the browser game.
  *
- * Usage: node scripts/train-headless.js [episodes]
+ * Usage: node scripts/train-headless.js [episodes] [seed] [maps] [fog]
+ *
+ * Passing a seed makes the run reproducible: the game and the agent
+ * draw every random number from seeded generators.
+ *
+ * Passing a map algorithm (maze, rooms, pillars or mixed) trains on a
+ * freshly generated map every episode instead of the empty board
+ * ("none" keeps the empty board).
+ *
+ * Passing a fog mode (radius or sight) trains under fog of war: the agent
+ * only observes what the mouse can see, as in the browser with fog on.
  */
 
+import * as Config from '../src/config.js';
 import { Game } from '../src/game.js';
+import { randomSeed } from '../src/core.js';
+import { createMapgenSource } from '../src/mapgen.js';
+import { FogMode } from '../src/fov.js';
 import { QLearningAgent } from '../src/ml/qlearning.js';
+import { ScoreKeeper } from '../src/scoring.js';
 import { writeFileSync, readFileSync, existsSync } from 'fs';
 
 // ============================================
@@ -16,8 +31,10 @@ import { writeFileSync, readFileSync, existsSync } from 'fs';
 // ============================================
 const TRAINING_CONFIG = {
   maxStepsPerEpisode: 3000,  // ~50 seconds at 60fps
-  dt: 1 / 60,                // Delta time per step (60 fps)
+  dt: Config.SIM_DT,          // Fixed step shared with the browser loop
   startLevel: 1,             // Level to train on
+  cols: Config.COLS,         // Board size (smaller boards train faster)
+  rows: Config.ROWS,
   saveInterval: 100,         // Save Q-table every N episodes
   saveFile: 'scripts/qtable-trained.json',
 };
@@ -25,12 +42,24 @@ const TRAINING_CONFIG = {
 // ============================================
 // Training Loop
 // ============================================
-function runTraining(numEpisodes = 500, verbose = true) {
+function runTraining(numEpisodes = 500, verbose = true, seed = undefined, maps = undefined, fog = FogMode.OFF) {
   // Create headless game instance (uses real game physics!)
-  const game = new Game(null, { headless: true });
+  const game = new Game(null, {
+    headless: true,
+    seed,
+    cols: TRAINING_CONFIG.cols,
+    rows: TRAINING_CONFIG.rows,
+    levelSource: maps
+      ? createMapgenSource({ seed: seed ?? randomSeed(), algorithm: maps, fresh: true })
+      : undefined,
+    fog,
+  });
+
+  // Score episodes the way the browser scores players (nothing is saved)
+  const scores = new ScoreKeeper(game, { storage: null });
 
   // Create Q-learning agent
-  const agent = new QLearningAgent();
+  const agent = new QLearningAgent({ seed });
 
   // Try to load existing Q-table
   let startingEpisodes = 0;
@@ -53,6 +82,7 @@ function runTraining(numEpisodes = 500, verbose = true) {
     totalReward: 0,
     recentRewards: [],
     recentWins: [],
+    recentScores: [],
     avgStepsPerEpisode: 0,
     totalSteps: 0,
   };
@@ -96,21 +126,25 @@ function runTraining(numEpisodes = 500, verbose = true) {
 
     stats.recentRewards.push(episodeReward);
     stats.recentWins.push(info.levelComplete ? 1 : 0);
+    stats.recentScores.push(scores.score);
     if (stats.recentRewards.length > 100) {
       stats.recentRewards.shift();
       stats.recentWins.shift();
+      stats.recentScores.shift();
     }
 
     // Log progress every 50 episodes
     if (verbose && (ep + 1) % 50 === 0) {
       const avgReward = stats.recentRewards.reduce((a, b) => a + b, 0) / stats.recentRewards.length;
       const winRate = stats.recentWins.reduce((a, b) => a + b, 0) / stats.recentWins.length;
+      const avgScore = stats.recentScores.reduce((a, b) => a + b, 0) / stats.recentScores.length;
       const avgSteps = stats.totalSteps / stats.episodes;
       const cumulativeEpisodes = startingEpisodes + ep + 1;
 
       console.log(`Episode ${ep + 1}/${numEpisodes} (Total: ${cumulativeEpisodes}) | ` +
         `Avg Reward: ${avgReward.toFixed(1)} | ` +
         `Win Rate: ${(winRate * 100).toFixed(1)}% | ` +
+        `Avg Score: ${avgScore.toFixed(0)} | ` +
         `Epsilon: ${agent.epsilon.toFixed(3)} | ` +
         `Q-States: ${agent.qTable.size} | ` +
         `Avg Steps: ${avgSteps.toFixed(0)}`);
@@ -136,6 +170,7 @@ function runTraining(numEpisodes = 500, verbose = true) {
   console.log(`Wins This Run: ${stats.wins} (${(stats.wins / stats.episodes * 100).toFixed(1)}%)`);
   console.log(`Final Avg Reward (last 100): ${avgReward.toFixed(1)}`);
   console.log(`Final Win Rate (last 100): ${(winRate * 100).toFixed(1)}%`);
+  console.log(`Final Avg Score (last 100): ${(stats.recentScores.reduce((a, b) => a + b, 0) / stats.recentScores.length).toFixed(0)}`);
   console.log(`Final Epsilon: ${agent.epsilon.toFixed(3)}`);
   console.log(`Q-Table Size: ${agent.qTable.size} states`);
   console.log(`Avg Steps/Episode: ${(stats.totalSteps / stats.episodes).toFixed(0)}`);
@@ -216,10 +251,17 @@ function analyzeAgent(agent) {
 // Main
 // ============================================
 const numEpisodes = parseInt(process.argv[2]) || 500;
+const seedArg = parseInt(process.argv[3]);
+const seed = Number.isNaN(seedArg) ? undefined : seedArg;
+const maps = process.argv[4] && process.argv[4] !== 'none' ? process.argv[4] : undefined;
+const fog = process.argv[5] ?? FogMode.OFF;
 console.log(`Starting headless training for ${numEpisodes} episodes...`);
+if (seed !== undefined) console.log(`Seed: ${seed}`);
+if (maps) console.log(`Maps: generated (${maps}), a new one every episode`);
+if (fog !== FogMode.OFF) console.log(`Fog of war: ${fog} (partial observations)`);
 console.log(`Using REAL Game class - strategies will transfer to browser!\n`);
 
-const { stats, agent } = runTraining(numEpisodes);
+const { stats, agent } = runTraining(numEpisodes, true, seed, maps, fog);
 analyzeAgent(agent);
 
 // Recommendations
@@ -0,0 +1,289 @@
+/**
+ * Crumb Chase - Cat Strategies Module
+ *
+ * Cat personalities, in the spirit of the arcade ghosts. Whenever a cat
+ * replans, its strategy picks the cell it paths to:
+ *
+ * - chaser    The mouse itself (the original behaviour), or its coordinator target
+ * - ambusher  AMBUSH_CELLS_AHEAD cells ahead of where the mouse is heading
+ * - guard     Patrols just outside the crumb barrier of the hole the mouse is
+ *             heading for, and gives chase once the mouse comes within
+ *             GUARD_ALERT_CELLS of it
+ * - flanker   The mirror point of another cat through the mouse, to close in
+ *             from the other side
+ * - wanderer  One random open cell after another
+ *
+ * A strategy is an object { goal(cat, env), color, vision, patrol? }:
+ *   goal    Returns the goal cell {c, r}. A goal marked chase: false is not
+ *           the mouse: a cat with no path holds it instead of running at the mouse.
+ *   color   CSS variable the renderer tints the cat with
+ *   vision  { range, cone, hearing } the cat perceives the mouse with (see perception.js)
+ *   patrol  Optional goal(cat, env) for when the cat hasn't noticed the mouse
+ *           (default: roam between random cells)
+ *
+ * env is built by Game: { grid, player, playerCell, cats, hole, targets } (hole
+ * is the one the mouse is heading for; targets maps chaser ids to the cells the
+ * coordinator assigned them, or is null, see coordinator.js). registerCatStrategy() adds new strategies.
+ * Strategies only draw random numbers from the cat's own source, so games
+ * stay deterministic. A catnip decoy overrides every strategy.
+ *
+ * On levels with perception on, a cat only runs its strategy while it can
+ * see the mouse; otherwise patrolGoal() or searchGoal() picks its goal.
+ *
+ * @module cat-strategies
+ */
+
+import * as Config from './config.js';
+import { randInt, wrapDelta } from './core.js';
+
+/** Built-in strategy names (a level's per-cat `strategy`) */
+export const CatStrategy = {
+  CHASER: 'chaser',
+  AMBUSHER: 'ambusher',
+  GUARD: 'guard',
+  FLANKER: 'flanker',
+  WANDERER: 'wanderer',
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+const STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Whether a cat can stand on a cell without chewing: no wall, crumb, hole or portal.
+ */
+function isOpen(grid, c, r) {
+  return !grid.isBlocked(c, r) && grid.getCrumbStrength(c, r) === 0 &&
+    !grid.isHoleCell(c, r) && !grid.isPortal(c, r);
+}
+
+/**
+ * Patrol route around a hole: the open cells next to its barrier crumbs
+ * (those closer to it than to any other hole), in order around the hole.
+ * Once the barrier is gone, a square just outside the hole instead.
+ * @param {Grid} grid - Game grid
+ * @param {{c: number, r: number, halfSize: number}} hole - Guarded hole
+ * @returns {Array<{c: number, r: number}>} Route cells
+ */
+function patrolRoute(grid, hole) {
+  const distSq = (h, c, r) => (h.c - c) ** 2 + (h.r - r) ** 2;
+  const route = new Set();
+  for (const k of grid.ringSet) {
+    const c = k % grid.cols;
+    const r = (k / grid.cols) | 0;
+    if (grid.holes.some(h => distSq(h, c, r) < distSq(hole, c, r))) continue;
+    for (const [dc, dr] of STEPS) {
+      if (isOpen(grid, c + dc, r + dr)) route.add(grid.idx(c + dc, r + dr));
+    }
+  }
+
+  if (!route.size) {
+    const d = hole.halfSize + 2;
+    for (let r = hole.r - d; r <= hole.r + d; r++) {
+      for (let c = hole.c - d; c <= hole.c + d; c++) {
+        const edge = Math.abs(c - hole.c) === d || Math.abs(r - hole.r) === d;
+        if (edge && isOpen(grid, c, r)) route.add(grid.idx(c, r));
+      }
+    }
+  }
+
+  const angle = ({ c, r }) => Math.atan2(r - hole.r, c - hole.c);
+  return [...route]
+    .map(k => ({ c: k % grid.cols, r: (k / grid.cols) | 0 }))
+    .sort((a, b) => angle(a) - angle(b));
+}
+
+// ============================================
+// Built-in Strategies
+// ============================================
+
+const chaser = {
+  color: '--cat',
+  vision: Config.CAT_VISION.chaser,
+  goal(cat, { grid, playerCell, targets }) {
+    return cat.getGoalCell(targets?.get(cat.id) ?? playerCell, grid);
+  },
+};
+
+const ambusher = {
+  color: '--cat-ambusher',
+  vision: Config.CAT_VISION.ambusher,
+  goal(cat, { grid, player, playerCell }) {
+    const n = Config.AMBUSH_CELLS_AHEAD;
+    return cat.getGoalCell(grid.openCellToward(playerCell.c, playerCell.r, player.dirX * n, player.dirY * n), grid);
+  },
+};
+
+/**
+ * Next cell of a patrol around a hole: the nearest route cell at first, then
+ * the next one each time the last one is reached.
+ * @returns {{c: number, r: number, chase: false}|null} Goal, or null if there is no route
+ */
+function patrolHole(cat, grid, hole) {
+  const route = patrolRoute(grid, hole);
+  if (!route.length) return null;
+
+  const state = cat.strategyState;
+  if (state.patrol === undefined) {
+    const { c, r } = cat.getCell();
+    const d = cell => (cell.c - c) ** 2 + (cell.r - r) ** 2;
+    state.patrol = route.reduce((best, cell, i) => (d(cell) < d(route[best]) ? i : best), 0);
+  } else if (!cat.path.length) {
+    state.patrol += 1;
+  }
+  state.patrol %= route.length;
+  return { ...route[state.patrol], chase: false };
+}
+
+/**
+ * Next cell of a random roam: a new random open cell once the last one is
+ * reached (or turned out to be unreachable).
+ * @returns {{c: number, r: number, chase: false}|null} Goal, or null if no open cell turned up
+ */
+function roam(cat, grid) {
+  const state = cat.strategyState;
+  if (!state.wander || !cat.path.length) {
+    state.wander = null;
+    for (let i = 0; i < Config.WANDER_TRIES && !state.wander; i++) {
+      const c = randInt(0, grid.cols - 1, cat.random);
+      const r = randInt(0, grid.rows - 1, cat.random);
+      if (isOpen(grid, c, r)) state.wander = { c, r };
+    }
+  }
+  return state.wander ? { ...state.wander, chase: false } : null;
+}
+
+const guard = {
+  color: '--cat-guard',
+  vision: Config.CAT_VISION.guard,
+  goal(cat, { grid, playerCell, hole }) {
+    const dc = wrapDelta(playerCell.c - hole.c, grid.cols, grid.wrapX);
+    const dr = wrapDelta(playerCell.r - hole.r, grid.rows, grid.wrapY);
+    if (Math.hypot(dc, dr) <= hole.halfSize + Config.GUARD_ALERT_CELLS) {
+      return cat.getGoalCell(playerCell, grid);
+    }
+    return patrolHole(cat, grid, hole) ?? cat.getGoalCell(playerCell, grid);
+  },
+  patrol(cat, { grid, hole }) {
+    return patrolHole(cat, grid, hole);
+  },
+};
+
+const flanker = {
+  color: '--cat-flanker',
+  vision: Config.CAT_VISION.flanker,
+  goal(cat, { grid, playerCell, cats }) {
+    const others = cats.filter(other => other.id !== cat.id);
+    const partner = others.find(other => other.strategy !== CatStrategy.FLANKER) ?? others[0];
+    if (!partner) return cat.getGoalCell(playerCell, grid);
+
+    const p = partner.getCell();
+    const dc = wrapDelta(playerCell.c - p.c, grid.cols, grid.wrapX);
+    const dr = wrapDelta(playerCell.r - p.r, grid.rows, grid.wrapY);
+    return cat.getGoalCell(grid.openCellToward(playerCell.c, playerCell.r, dc, dr), grid);
+  },
+};
+
+const wanderer = {
+  color: '--cat-wanderer',
+  vision: Config.CAT_VISION.wanderer,
+  goal(cat, { grid, playerCell }) {
+    return roam(cat, grid) ?? cat.getGoalCell(playerCell, grid);
+  },
+};
+
+// ============================================
+// Registry
+// ============================================
+
+const strategies = new Map([
+  [CatStrategy.CHASER, chaser],
+  [CatStrategy.AMBUSHER, ambusher],
+  [CatStrategy.GUARD, guard],
+  [CatStrategy.FLANKER, flanker],
+  [CatStrategy.WANDERER, wanderer],
+]);
+
+/**
+ * Add or replace a strategy.
+ * @param {string} name - Name levels refer to it by
+ * @param {{goal: Function, color?: string, vision?: Object, patrol?: Function}} strategy -
+ *   goal(cat, env) => {c, r, chase?}; color is a CSS variable and vision {range, cone, hearing}
+ *   (both default to the chaser's); patrol as goal, for a cat that hasn't noticed the mouse
+ * @throws {Error} If the strategy has no goal function
+ */
+export function registerCatStrategy(name, strategy) {
+  if (!strategy || typeof strategy.goal !== 'function') {
+    throw new Error(`Cat strategy "${name}" must have a goal(cat, env) function`);
+  }
+  strategies.set(name, { color: chaser.color, vision: chaser.vision, ...strategy });
+}
+
+/**
+ * Look up a strategy by name.
+ * @param {string} name - Strategy name
+ * @returns {{goal: Function, color: string, vision: Object, patrol?: Function}} Strategy
+ * @throws {Error} If no strategy has that name
+ */
+export function getCatStrategy(name) {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown cat strategy "${name}" (expected one of ${catStrategyNames().join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Names of all registered strategies.
+ * @returns {string[]} Strategy names
+ */
+export function catStrategyNames() {
+  return [...strategies.keys()];
+}
+
+// ============================================
+// Unaware Goals
+// ============================================
+
+/**
+ * Goal of a cat that hasn't noticed the mouse: its strategy's patrol, else a
+ * random roam. Never the mouse itself.
+ * @param {Cat} cat - Patrolling cat
+ * @param {Object} env - Strategy environment (see above)
+ * @returns {{c: number, r: number, chase: false}} Goal cell
+ */
+export function patrolGoal(cat, env) {
+  const { patrol } = getCatStrategy(cat.strategy);
+  const cell = cat.getCell();
+  return (patrol && patrol(cat, env)) ?? roam(cat, env.grid) ?? { ...cell, chase: false };
+}
+
+/**
+ * Goal of a cat searching for a mouse it lost: its last known cell first,
+ * then random open cells around it, within a radius that shrinks as the
+ * search runs out (CAT_PERCEPTION.searchRadius down to 0).
+ * @param {Cat} cat - Searching cat (lastKnown set)
+ * @param {Object} env - Strategy environment (see above)
+ * @returns {{c: number, r: number, chase: false}} Goal cell
+ */
+export function searchGoal(cat, { grid }) {
+  const { searchSecs, searchRadius } = Config.CAT_PERCEPTION;
+  if (!cat.searchCell) {
+    cat.searchCell = { ...cat.lastKnown };
+  } else if (!cat.path.length) {
+    const radius = Math.round(searchRadius * Math.max(0, cat.searchTime) / searchSecs);
+    cat.searchCell = { ...cat.lastKnown };
+    for (let i = 0; i < Config.WANDER_TRIES; i++) {
+      const cell = grid.wrapCell(
+        cat.lastKnown.c + randInt(-radius, radius, cat.random),
+        cat.lastKnown.r + randInt(-radius, radius, cat.random));
+      if (isOpen(grid, cell.c, cell.r)) {
+        cat.searchCell = cell;
+        break;
+      }
+    }
+  }
+  return { ...cat.searchCell, chase: false };
+}
@@ -3,12 +3,16 @@
  *
  * Manages cat entities that chase the player using A* pathfinding.
  * Cats slow down in crumbs and can destroy them by walking through.
+ * Where each cat heads is up to its strategy (see cat-strategies.js), and,
+ * on levels with perception on, to what it has seen and heard (see perception.js).
  *
  * @module cat
  */
 
 import * as Config from './config.js';
-import { randInt, randRange } from './core.js';
+import { randInt, randRange, wrapDelta } from './core.js';
+import { CatStrategy, getCatStrategy, patrolGoal, searchGoal } from './cat-strategies.js';
+import { CatAwareness } from './perception.js';
 
 /**
  * Cat class - manages a single cat's state and behavior.
@@ -26,19 +30,43 @@ export class Cat {
    * @param {number} options.speedCells - Movement speed in cells per second
    * @param {number} options.crumbSpeedFactor - Speed multiplier in crumbs (0 = blocked)
    * @param {string} options.color - Fill color for rendering
+   * @param {string} options.strategy - Behaviour strategy name (see cat-strategies.js; default chaser)
+   * @param {string} options.awareness - CatAwareness state to start in (default chase: knows where the mouse is)
+   * @param {Function} options.random - Random source returning [0, 1) (defaults to Math.random)
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   * @param {number} options.tile - Pixels per grid cell (defaults to Config.TILE)
+   * @param {boolean} options.wrapX - Whether the left and right edges connect (default false)
+   * @param {boolean} options.wrapY - Whether the top and bottom edges connect (default false)
+   * @param {number} options.recalcHz - Path recalculations per second (defaults to Config.A_STAR_RECALC_HZ)
+   * @param {number} options.jitterRange - Goal jitter range in cells (defaults to Config.GOAL_JITTER_RANGE)
+   * @param {number} options.catchMargin - Catch distance as a fraction of both radii (defaults to Config.CATCH_MARGIN)
    */
   constructor(options) {
     /** Unique identifier */
     this.id = options.id;
 
+    /** Grid dimensions the cat lives in */
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+    this.tile = options.tile ?? Config.TILE;
+
+    /** Which grid edges wrap around (distances are measured the short way across them) */
+    this.wrapX = options.wrapX ?? false;
+    this.wrapY = options.wrapY ?? false;
+
     /** X position (center) in pixels */
     this.x = options.x;
 
     /** Y position (center) in pixels */
     this.y = options.y;
 
+    /** Position at the start of the last simulation tick (for render interpolation) */
+    this.prevX = this.x;
+    this.prevY = this.y;
+
     /** Collision radius in pixels */
-    this.r = Config.TILE * Config.CAT_RADIUS_FACTOR;
+    this.r = this.tile * Config.CAT_RADIUS_FACTOR;
 
     /** Movement speed in cells per second */
     this.speedCells = options.speedCells;
@@ -49,46 +77,159 @@ export class Cat {
     /** Fill color for rendering */
     this.color = options.color;
 
+    /** Behaviour strategy name (see cat-strategies.js) */
+    this.strategy = options.strategy ?? CatStrategy.CHASER;
+
+    /** Strategy bookkeeping (patrol progress, wander target); plain data */
+    this.strategyState = {};
+
+    /** Goal cell of the current path: {c, r}, chase: false if it isn't the mouse */
+    this.goal = null;
+
+    /** What the cat knows of the mouse: a CatAwareness state (see perception.js) */
+    this.awareness = options.awareness ?? CatAwareness.CHASE;
+
+    /** Unit vector the cat is facing (the way it last moved) */
+    this.facingX = -1;
+    this.facingY = 0;
+
+    /** Cell the mouse was last seen or heard in, while chasing or searching */
+    this.lastKnown = null;
+
+    /** Cell being searched right now, while searching */
+    this.searchCell = null;
+
+    /** Seconds of searching left */
+    this.searchTime = 0;
+
+    /** Random source for goal jitter and fallback chase */
+    this.random = options.random ?? Math.random;
+
+    /** Difficulty tunables (see Config.resolveDifficulty) */
+    this.recalcHz = options.recalcHz ?? Config.A_STAR_RECALC_HZ;
+    this.jitterRange = options.jitterRange ?? Config.GOAL_JITTER_RANGE;
+    this.catchMargin = options.catchMargin ?? Config.CATCH_MARGIN;
+
     /** Current A* path to player (array of {c, r} cells) */
     this.path = [];
 
     /** Countdown until next path recalculation */
     this.pathTimer = 0;
 
+    /** Time spent chewing the current crumb since the last bite (seconds) */
+    this.chewTimer = 0;
+
+    /** Seconds left frozen in place (pickup) */
+    this.frozenTime = 0;
+
     /** Random offset added to goal to prevent cats stacking */
     this.goalJitter = {
-      dc: randInt(-Config.GOAL_JITTER_RANGE, Config.GOAL_JITTER_RANGE),
-      dr: randInt(-Config.GOAL_JITTER_RANGE, Config.GOAL_JITTER_RANGE),
+      dc: randInt(-this.jitterRange, this.jitterRange, this.random),
+      dr: randInt(-this.jitterRange, this.jitterRange, this.random),
     };
 
-    /** Previous cell position (for detecting cell changes) */
-    this.lastCell = { c: -1, r: -1 };
+    /** Closest distance to the player (cells) while within near-miss range, else null */
+    this.closestApproach = null;
   }
 
   /**
    * Create a cat from spawn grid configuration.
    * @param {number} colFrac - X position as fraction of grid width (0-1)
    * @param {number} rowFrac - Y position as fraction of grid height (0-1)
-   * @param {number} speedCells - Movement speed in cells per second
-   * @param {number} crumbSpeedFactor - Speed multiplier in crumbs
-   * @param {number} id - Unique cat identifier
-   * @param {string} color - Fill color
+   * @param {Object} options - Cat options as for the constructor, minus x and y
    * @returns {Cat} New cat instance
    */
-  static fromSpawnFraction(colFrac, rowFrac, speedCells, crumbSpeedFactor, id, color) {
-    const col = Math.max(0, Math.min(Config.COLS - 1, Math.round(Config.COLS * colFrac)));
-    const row = Math.max(0, Math.min(Config.ROWS - 1, Math.round(Config.ROWS * rowFrac)));
-    const x = (col + 0.5) * Config.TILE;
-    const y = (row + 0.5) * Config.TILE;
+  static fromSpawnFraction(colFrac, rowFrac, options) {
+    const cols = options.cols ?? Config.COLS;
+    const rows = options.rows ?? Config.ROWS;
+    const tile = options.tile ?? Config.TILE;
+    const col = Math.max(0, Math.min(cols - 1, Math.round(cols * colFrac)));
+    const row = Math.max(0, Math.min(rows - 1, Math.round(rows * rowFrac)));
+    return Cat.fromCell(col, row, { ...options, tile });
+  }
 
+  /**
+   * Create a cat centered on a grid cell.
+   * @param {number} c - Spawn column
+   * @param {number} r - Spawn row
+   * @param {Object} options - Cat options as for the constructor, minus x and y
+   * @returns {Cat} New cat instance
+   */
+  static fromCell(c, r, options) {
+    const tile = options.tile ?? Config.TILE;
     return new Cat({
-      id,
-      x,
-      y,
-      speedCells,
-      crumbSpeedFactor,
-      color,
+      ...options,
+      x: (c + 0.5) * tile,
+      y: (r + 0.5) * tile,
+    });
+  }
+
+  /**
+   * Recreate a cat from a snapshot.
+   * @param {Object} snap - Cat snapshot from snapshot()
+   * @param {Object} options - Environment options (random, cols, rows, tile and difficulty tunables)
+   * @returns {Cat} Restored cat instance
+   */
+  static fromSnapshot(snap, options = {}) {
+    const cat = new Cat({
+      ...options,
+      id: snap.id,
+      x: snap.x,
+      y: snap.y,
+      speedCells: snap.speedCells,
+      crumbSpeedFactor: snap.crumbSpeedFactor,
+      color: snap.color,
+      strategy: snap.strategy,
+      awareness: snap.awareness,
     });
+    cat.strategyState = structuredClone(snap.strategyState ?? {});
+    cat.goal = snap.goal ? { ...snap.goal } : null;
+    cat.facingX = snap.facingX ?? -1;
+    cat.facingY = snap.facingY ?? 0;
+    cat.lastKnown = snap.lastKnown ? { ...snap.lastKnown } : null;
+    cat.searchCell = snap.searchCell ? { ...snap.searchCell } : null;
+    cat.searchTime = snap.searchTime ?? 0;
+    cat.prevX = snap.prevX;
+    cat.prevY = snap.prevY;
+    cat.path = snap.path.map(p => ({ ...p }));
+    cat.pathTimer = snap.pathTimer;
+    cat.chewTimer = snap.chewTimer ?? 0;
+    cat.frozenTime = snap.frozenTime ?? 0;
+    cat.goalJitter = { ...snap.goalJitter };
+    cat.closestApproach = snap.closestApproach;
+    return cat;
+  }
+
+  /**
+   * Capture position, path and timers as a plain object.
+   * @returns {Object} Cat snapshot
+   */
+  snapshot() {
+    return {
+      id: this.id,
+      x: this.x,
+      y: this.y,
+      prevX: this.prevX,
+      prevY: this.prevY,
+      speedCells: this.speedCells,
+      crumbSpeedFactor: this.crumbSpeedFactor,
+      color: this.color,
+      strategy: this.strategy,
+      strategyState: structuredClone(this.strategyState),
+      goal: this.goal ? { ...this.goal } : null,
+      awareness: this.awareness,
+      facingX: this.facingX,
+      facingY: this.facingY,
+      lastKnown: this.lastKnown ? { ...this.lastKnown } : null,
+      searchCell: this.searchCell ? { ...this.searchCell } : null,
+      searchTime: this.searchTime,
+      path: this.path.map(p => ({ ...p })),
+      pathTimer: this.pathTimer,
+      chewTimer: this.chewTimer,
+      frozenTime: this.frozenTime,
+      goalJitter: { ...this.goalJitter },
+      closestApproach: this.closestApproach,
+    };
   }
 
   /**
@@ -97,11 +238,32 @@ export class Cat {
    */
   getCell() {
     return {
-      c: Math.floor(this.x / Config.TILE),
-      r: Math.floor(this.y / Config.TILE),
+      c: Math.floor(this.x / this.tile),
+      r: Math.floor(this.y / this.tile),
+    };
+  }
+
+  /**
+   * Offset from the cat to a point, the short way across wrapping edges.
+   * @param {number} x - Target X (pixels)
+   * @param {number} y - Target Y (pixels)
+   * @returns {{dx: number, dy: number}} Offset in pixels
+   */
+  offsetTo(x, y) {
+    return {
+      dx: wrapDelta(x - this.x, this.cols * this.tile, this.wrapX),
+      dy: wrapDelta(y - this.y, this.rows * this.tile, this.wrapY),
     };
   }
 
+  /**
+   * Whether the cat is frozen in place by a freeze pickup.
+   * @returns {boolean} True while frozen
+   */
+  get frozen() {
+    return this.frozenTime > 0;
+  }
+
   /**
    * Check if it's time to recalculate path. Also refreshes goal jitter.
    * @param {number} dt - Delta time in seconds
@@ -110,25 +272,43 @@ export class Cat {
   shouldRecalculatePath(dt) {
     this.pathTimer -= dt;
     if (this.pathTimer <= 0) {
-      this.pathTimer = 1 / Config.A_STAR_RECALC_HZ;
+      this.pathTimer = 1 / this.recalcHz;
       // Refresh jitter when recalculating path
-      this.goalJitter.dc = randInt(-Config.GOAL_JITTER_RANGE, Config.GOAL_JITTER_RANGE);
-      this.goalJitter.dr = randInt(-Config.GOAL_JITTER_RANGE, Config.GOAL_JITTER_RANGE);
+      this.goalJitter.dc = randInt(-this.jitterRange, this.jitterRange, this.random);
+      this.goalJitter.dr = randInt(-this.jitterRange, this.jitterRange, this.random);
       return true;
     }
     return false;
   }
 
   /**
-   * Get the goal cell for pathfinding (player position + jitter).
-   * @param {{c: number, r: number}} playerCell - Player's current cell
+   * Get the goal cell for pathfinding (target position + jitter).
+   * @param {{c: number, r: number}} playerCell - Cell to chase: the player's, or a catnip decoy's
+   * @param {Grid|null} grid - If given, goals inside walls fall back to the player's cell
    * @returns {{c: number, r: number}} Goal cell for pathfinding
    */
-  getGoalCell(playerCell) {
-    return {
-      c: Math.max(0, Math.min(Config.COLS - 1, playerCell.c + this.goalJitter.dc)),
-      r: Math.max(0, Math.min(Config.ROWS - 1, playerCell.r + this.goalJitter.dr)),
+  getGoalCell(playerCell, grid = null) {
+    const goal = {
+      c: Math.max(0, Math.min(this.cols - 1, playerCell.c + this.goalJitter.dc)),
+      r: Math.max(0, Math.min(this.rows - 1, playerCell.r + this.goalJitter.dr)),
     };
+    // A jittered goal inside a wall is unreachable - aim at the player instead
+    if (grid && grid.isWall(goal.c, goal.r)) {
+      return { c: playerCell.c, r: playerCell.r };
+    }
+    return goal;
+  }
+
+  /**
+   * Pick the goal cell of the next path: the strategy's while the cat knows
+   * where the mouse is, else a search or patrol goal.
+   * @param {Object} env - What strategies look at: {grid, player, playerCell, cats, hole, targets}
+   * @returns {{c: number, r: number, chase?: boolean}} Goal cell (chase: false if it isn't the mouse)
+   */
+  chooseGoal(env) {
+    if (this.awareness === CatAwareness.SEARCH) return searchGoal(this, env);
+    if (this.awareness === CatAwareness.PATROL) return patrolGoal(this, env);
+    return getCatStrategy(this.strategy).goal(this, env);
   }
 
   /**
@@ -137,16 +317,40 @@ export class Cat {
    * @returns {number} Speed in pixels per second
    */
   calculateSpeed(grid) {
+    // Only real crumbs slow a cat - walls and the grid edge are not crumbs
     const cell = this.getCell();
-    let inCrumb = grid.isCrumb(cell.c, cell.r);
+    let inCrumb = grid.getCrumbStrength(cell.c, cell.r) > 0;
 
     // Also check next cell in path
     if (!inCrumb && this.path && this.path.length) {
       const next = this.path[0];
-      inCrumb = grid.isCrumb(next.c, next.r);
+      inCrumb = grid.getCrumbStrength(next.c, next.r) > 0;
     }
 
-    return this.speedCells * Config.TILE * (inCrumb ? this.crumbSpeedFactor : 1);
+    return this.speedCells * this.tile * (inCrumb ? this.crumbSpeedFactor : 1);
+  }
+
+  /**
+   * Chew the crumb under the cat, if any. A chewing cat stands still and
+   * bites off one strength unit every CRUMB_CHEW_INTERVAL seconds.
+   * @param {Grid} grid - Game grid
+   * @param {number} dt - Delta time in seconds
+   * @returns {{c: number, r: number, bitten: boolean}|null} Cell being chewed and whether a unit
+   *   came off this tick, or null if the cat is not on a crumb
+   */
+  chew(grid, dt) {
+    const { c, r } = this.getCell();
+    if (grid.getCrumbStrength(c, r) <= 0) {
+      this.chewTimer = 0;
+      return null;
+    }
+    this.chewTimer += dt;
+    if (this.chewTimer < Config.CRUMB_CHEW_INTERVAL) {
+      return { c, r, bitten: false };
+    }
+    this.chewTimer -= Config.CRUMB_CHEW_INTERVAL;
+    grid.weakenCrumb(c, r, 1);
+    return { c, r, bitten: true };
   }
 
   /**
@@ -160,10 +364,11 @@ export class Cat {
     for (const other of allCats) {
       if (other.id === this.id) continue;
 
-      const dx = this.x - other.x;
-      const dy = this.y - other.y;
+      const toOther = this.offsetTo(other.x, other.y);
+      const dx = -toOther.dx;
+      const dy = -toOther.dy;
       const d = Math.hypot(dx, dy);
-      const R = Config.SEPARATION_RADIUS_CELLS * Config.TILE;
+      const R = Config.SEPARATION_RADIUS_CELLS * this.tile;
 
       if (d > 0 && d < R) {
         const m = (R - d) / R;
@@ -189,45 +394,58 @@ export class Cat {
     if (this.path && this.path.length) {
       // Follow path
       const next = this.path[0];
-      const targetX = (next.c + 0.5) * Config.TILE;
-      const targetY = (next.r + 0.5) * Config.TILE;
-      const dx = targetX - this.x;
-      const dy = targetY - this.y;
+      const targetX = (next.c + 0.5) * this.tile;
+      const targetY = (next.r + 0.5) * this.tile;
+      const { dx, dy } = this.offsetTo(targetX, targetY);
       const d = Math.hypot(dx, dy) || 1;
       const step = Math.min(d, speedPx * dt);
 
       this.x += (dx / d) * step;
       this.y += (dy / d) * step;
+      if (dx || dy) {
+        this.facingX = dx / d;
+        this.facingY = dy / d;
+      }
 
       // Pop waypoint when reached
-      if (d <= 0.5 || (Math.abs(this.x - targetX) < 0.5 && Math.abs(this.y - targetY) < 0.5)) {
+      const left = this.offsetTo(targetX, targetY);
+      if (d <= 0.5 || (Math.abs(left.dx) < 0.5 && Math.abs(left.dy) < 0.5)) {
         this.path.shift();
       }
     } else {
       // Fallback: chase player directly with slight randomness
-      const dx = playerPos.x + randRange(-0.2, 0.2) * Config.TILE - this.x;
-      const dy = playerPos.y + randRange(-0.2, 0.2) * Config.TILE - this.y;
+      const jitterX = randRange(-0.2, 0.2, this.random) * this.tile;
+      const jitterY = randRange(-0.2, 0.2, this.random) * this.tile;
+      const { dx, dy } = this.offsetTo(playerPos.x + jitterX, playerPos.y + jitterY);
       const d = Math.hypot(dx, dy) || 1;
       const step = speedPx * dt;
 
       this.x += (dx / d) * step;
       this.y += (dy / d) * step;
+      if (dx || dy) {
+        this.facingX = dx / d;
+        this.facingY = dy / d;
+      }
     }
   }
 
   /**
-   * Check if cat has entered a new cell since last check.
-   * @returns {{changed: boolean, prevCell: {c: number, r: number}}} Change status and previous cell
+   * Track how close this cat gets to the player.
+   * Approaches are followed until the cat is NEAR_MISS_RELEASE_FACTOR times the
+   * near-miss radius away, so a cat hovering at the edge doesn't count repeatedly.
+   * @param {{x: number, y: number}} player - Player position
+   * @returns {number|null} Closest approach in cells when a near miss just ended, else null
    */
-  checkCellChange() {
-    const curCell = this.getCell();
-    const changed = curCell.c !== this.lastCell.c || curCell.r !== this.lastCell.r;
-    const prevCell = { ...this.lastCell };
-
-    // Update last cell for next check
-    this.lastCell = curCell;
-
-    return { changed, prevCell };
+  trackNearMiss(player) {
+    const { dx, dy } = this.offsetTo(player.x, player.y);
+    const d = Math.hypot(dx, dy) / this.tile;
+    if (d <= Config.NEAR_MISS_RADIUS_CELLS * Config.NEAR_MISS_RELEASE_FACTOR) {
+      this.closestApproach = Math.min(this.closestApproach ?? Infinity, d);
+      return null;
+    }
+    const closest = this.closestApproach;
+    this.closestApproach = null;
+    return closest !== null && closest <= Config.NEAR_MISS_RADIUS_CELLS ? closest : null;
   }
 
   /**
@@ -236,7 +454,8 @@ export class Cat {
    * @returns {boolean} True if cat caught the player
    */
   hasCaughtPlayer(player) {
-    const dist = Math.hypot(this.x - player.x, this.y - player.y);
-    return dist < (this.r + player.r) * Config.CATCH_MARGIN;
+    const { dx, dy } = this.offsetTo(player.x, player.y);
+    const dist = Math.hypot(dx, dy);
+    return dist < (this.r + player.r) * this.catchMargin;
   }
 }
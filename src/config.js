@@ -11,10 +11,19 @@
 // Grid / Sizing
 // ============================================
 
+// Defaults only - each Game can be created with its own { cols, rows, tile }
 export const TILE = 20;        // Pixels per grid cell
 export const COLS = 40;        // Grid width (cells) -> canvas width = 800px
 export const ROWS = 25;        // Grid height (cells) -> canvas height = 500px
 
+// ============================================
+// Simulation Timing
+// ============================================
+
+export const SIM_DT = 1 / 60;             // Fixed simulation step (seconds), shared by browser and headless
+export const MAX_FRAME_DT = 0.25;         // Longest frame time fed to the accumulator (avoids spiral of death)
+export const MAX_TRAINING_STEPS = 40;     // Most steps AI training runs in one frame (10x speed needs ~10 at 60 fps)
+
 // ============================================
 // Player (Mouse)
 // ============================================
@@ -30,18 +39,45 @@ export const CAT_RADIUS_FACTOR = 0.88;    // Radius as fraction of TILE
 
 // Pathfinding
 export const A_STAR_RECALC_HZ = 5;        // Path recalculation frequency (per second)
-export const CRUMB_COST_FOR_CAT = 14;     // A* cost for crumb tiles (vs 1 for open)
+export const CRUMB_COST_FOR_CAT = 14;     // A* cost per strength unit of a crumb tile (vs 1 for open)
 
 // Cat divergence (prevent stacking)
 export const GOAL_JITTER_RANGE = 1;       // Random offset added to cat goal (±cells)
 export const SEPARATION_RADIUS_CELLS = 3.0; // Separation steering radius (cells)
 export const SEPARATION_FORCE = 40;       // Separation steering strength (px/sec)
 
+// Cat strategies (see cat-strategies.js)
+export const AMBUSH_CELLS_AHEAD = 4;      // Ambushers aim this many cells ahead of the mouse
+export const GUARD_ALERT_CELLS = 6;       // Guards give chase when the mouse is this close to their hole (cells)
+export const WANDER_TRIES = 20;           // Random cells a wanderer tries before settling for the mouse
+
+// Cat coordination (see coordinator.js; levels turn it on with `coordination`)
+export const FLANK_CELLS = 3;             // Flanking cats aim this many cells to the side of the mouse
+
+// Cat perception (see perception.js; levels turn it on with `perception`)
+// Per strategy: sight range (cells), view cone (degrees, centred on where the
+// cat is facing) and hearing range for dropped crumbs (cells, through walls)
+export const CAT_VISION = {
+  chaser:   { range: 9,  cone: 120, hearing: 5 },
+  ambusher: { range: 12, cone: 70,  hearing: 3 },
+  guard:    { range: 7,  cone: 200, hearing: 8 },
+  flanker:  { range: 9,  cone: 120, hearing: 5 },
+  wanderer: { range: 6,  cone: 270, hearing: 7 },
+};
+export const CAT_PERCEPTION = {
+  touchCells: 1.5,          // A mouse this close is noticed whatever way the cat faces
+  crumbsBlockSight: true,   // Crumbs hide the mouse like walls do
+  searchSecs: 8,            // How long a cat searches after losing the mouse
+  searchRadius: 6,          // Search radius around the last known cell at first (cells); shrinks to 0
+};
+
 // ============================================
 // Crumbs
 // ============================================
 
 export const CRUMB_STRENGTH = 1;          // Default crumb thickness (trail)
+export const CRUMB_MAX_STRENGTH = 3;      // Thickest a trail crumb gets (each repeat visit adds CRUMB_STRENGTH)
+export const CRUMB_CHEW_INTERVAL = 0.25;  // Seconds a cat stands still to chew off one strength unit
 export const RING_CRUMB_STRENGTH = 1;     // Crumb thickness for hole barrier
 export const CRUMB_DECAY_PER_SEC = 12.0;  // Random crumb decay attempts per second
 export const PROB_BIASED_RING_DECAY = 0;  // Probability of targeting ring crumbs for decay
@@ -55,10 +91,11 @@ export const TURN_EPS_FACTOR = 0.35;      // Turn tolerance as fraction of TILE
 /**
  * Get the turn tolerance in pixels.
  * Player must be within this distance of cell center to turn.
+ * @param {number} tile - Pixels per grid cell (defaults to TILE)
  * @returns {number} Turn tolerance in pixels
  */
-export function getTurnEps() {
-  return TILE * TURN_EPS_FACTOR;
+export function getTurnEps(tile = TILE) {
+  return tile * TURN_EPS_FACTOR;
 }
 
 // ============================================
@@ -70,10 +107,11 @@ export const HOLE_HALF_HEIGHT = 2;        // Hole spans 2*halfHeight+1 cells ver
 
 /**
  * Get the row where the hole is centered.
+ * @param {number} rows - Grid height in cells (defaults to ROWS)
  * @returns {number} Center row of the escape hole
  */
-export function getHoleRow() {
-  return Math.floor(ROWS * 0.5);
+export function getHoleRow(rows = ROWS) {
+  return Math.floor(rows * 0.5);
 }
 
 // ============================================
@@ -111,6 +149,90 @@ export function getLevelConfig(level) {
   return LEVEL_CONFIG[i];
 }
 
+// ============================================
+// Endless Mode
+// ============================================
+
+// Endless levels are computed from the level number instead of LEVEL_CONFIG,
+// so difficulty keeps rising past MAX_LEVEL until each value reaches its cap.
+export const ENDLESS_CONFIG = {
+  catsEvery: 3,              // One more cat every N levels
+  maxCats: 5,                // One per CAT_SPAWN_GRID slot
+  baseSpeed: 0.55,           // Cat speedFactor on level 1
+  speedPerLevel: 0.05,
+  maxSpeed: 1.6,
+  crumbSpeedPerLevel: 0.03,  // crumbSpeedFactor starts at 0 (crumbs are walls)
+  maxCrumbSpeed: 0.6,
+  decayPerLevel: 0.06,       // Extra crumb decay per level, as a fraction of CRUMB_DECAY_PER_SEC
+  maxDecayFactor: 3,
+  mapsFrom: 3,               // First level played on a generated map (earlier levels are open)
+  pointsPerLevel: 100,       // Score for clearing level N: N * pointsPerLevel...
+  parTime: 20,               // ...plus a bonus for each second under par
+  pointsPerSecond: 10,
+};
+
+/**
+ * Get configuration for an endless mode level.
+ * @param {number} level - Level number (1 and up)
+ * @returns {{cats: number, speedFactor: number, crumbSpeedFactor: number, decayPerSec: number, generatedMap: boolean}}
+ */
+export function getEndlessLevelConfig(level) {
+  const n = Math.max(1, level) - 1;
+  const e = ENDLESS_CONFIG;
+  return {
+    cats: Math.min(e.maxCats, 1 + Math.floor(n / e.catsEvery)),
+    speedFactor: Math.min(e.maxSpeed, e.baseSpeed + n * e.speedPerLevel),
+    crumbSpeedFactor: Math.min(e.maxCrumbSpeed, n * e.crumbSpeedPerLevel),
+    decayPerSec: CRUMB_DECAY_PER_SEC * Math.min(e.maxDecayFactor, 1 + n * e.decayPerLevel),
+    generatedMap: n + 1 >= e.mapsFrom,
+  };
+}
+
+// ============================================
+// Daily Challenge
+// ============================================
+
+export const DAILY_LEVEL = 8;              // Endless level whose difficulty the daily map uses
+export const DAILY_KEEP_DAYS = 30;         // Days of attempts kept in local storage
+
+// ============================================
+// Pickups
+// ============================================
+
+export const PICKUP_CONFIG = {
+  lifetime: 10,             // Seconds a pickup stays on the grid before vanishing
+  minPlayerDistance: 5,     // Pickups never spawn closer than this to the mouse (cells, Manhattan)
+  cheesePoints: 50,         // Score for a cheese
+  speedFactor: 1.5,         // Mouse speed multiplier while boosted
+  speedDuration: 4,         // Seconds
+  noTrailDuration: 3,       // Seconds the mouse leaves no crumbs
+  catnipDuration: 5,        // Seconds the decoy pulls cats toward it
+  freezeDuration: 3,        // Seconds cats stand still
+};
+
+// Spawn rules by level: the last entry whose `level` is <= the current level applies.
+//   interval: seconds between spawns, max: pickups on the grid at once,
+//   weights: relative chance of each type (see PickupType in pickups.js)
+export const PICKUP_RULES = [
+  { level: 1, interval: 6, max: 2, weights: { cheese: 3, speed: 1 } },
+  { level: 3, interval: 6, max: 2, weights: { cheese: 3, speed: 1, noTrail: 1 } },
+  { level: 5, interval: 5, max: 3, weights: { cheese: 3, speed: 1, noTrail: 1, catnip: 1 } },
+  { level: 7, interval: 5, max: 3, weights: { cheese: 3, speed: 1, noTrail: 1, catnip: 1, freeze: 1 } },
+];
+
+/**
+ * Get the pickup spawn rules for a level.
+ * @param {number} level - Level number
+ * @returns {{interval: number, max: number, weights: Object<string, number>}} Spawn rules
+ */
+export function getPickupRules(level) {
+  let rules = PICKUP_RULES[0];
+  for (const entry of PICKUP_RULES) {
+    if (entry.level <= level) rules = entry;
+  }
+  return { interval: rules.interval, max: rules.max, weights: { ...rules.weights } };
+}
+
 // ============================================
 // Cat Spawn Positions
 // ============================================
@@ -130,19 +252,23 @@ export const CAT_SPAWN_GRID = [
 /**
  * Get player starting X position (pixels).
  * Player spawns on the right side of the grid.
+ * @param {number} cols - Grid width in cells (defaults to COLS)
+ * @param {number} tile - Pixels per grid cell (defaults to TILE)
  * @returns {number} X coordinate in pixels
  */
-export function getPlayerSpawnX() {
-  return (COLS - 5 + 0.5) * TILE;
+export function getPlayerSpawnX(cols = COLS, tile = TILE) {
+  return (cols - 5 + 0.5) * tile;
 }
 
 /**
  * Get player starting Y position (pixels).
  * Player spawns vertically centered.
+ * @param {number} rows - Grid height in cells (defaults to ROWS)
+ * @param {number} tile - Pixels per grid cell (defaults to TILE)
  * @returns {number} Y coordinate in pixels
  */
-export function getPlayerSpawnY() {
-  return (ROWS * 0.5 + 0.5) * TILE;
+export function getPlayerSpawnY(rows = ROWS, tile = TILE) {
+  return (rows * 0.5 + 0.5) * tile;
 }
 
 // ============================================
@@ -150,6 +276,113 @@ export function getPlayerSpawnY() {
 // ============================================
 
 export const CATCH_MARGIN = 0.75;         // Collision detection margin (0.75 = must overlap 75%)
+export const NEAR_MISS_RADIUS_CELLS = 1.5; // A cat this close that moves away again counts as a near miss
+export const NEAR_MISS_RELEASE_FACTOR = 1.5; // ...once it is this many times the radius away (hysteresis)
+
+// ============================================
+// Lives
+// ============================================
+
+export const LIVES = 3;                   // Lives per run in the browser (headless games default to 1)
+export const RESPAWN_INVULNERABLE_SECS = 2; // After losing a life the mouse can't be caught for this long
+
+// ============================================
+// Scoring
+// ============================================
+
+export const SCORE_CONFIG = {
+  pointsPerLevel: 100,      // Clearing level N scores N × this
+  parTime: 60,              // Seconds; escaping faster earns a time bonus...
+  pointsPerSecond: 5,       // ...of this much per second under par
+  crumbPar: 80,             // Crumbs; dropping fewer on a level earns a bonus...
+  pointsPerCrumbSaved: 2,   // ...of this much per crumb under par
+  nearMissPoints: 25,       // A cat came within NEAR_MISS_RADIUS_CELLS and moved away again
+};
+
+export const HIGH_SCORE_COUNT = 10;       // Runs kept in each high-score table
+
+// ============================================
+// Fog of War
+// ============================================
+
+export const FOG_CONFIG = {
+  radius: 7,                // How far the mouse can see (cells)
+  crumbsBlockSight: true,   // In line-of-sight mode crumbs hide what is behind them, like walls
+  memory: 8,                // Seconds a "last seen" marker stays after a cat slips out of view
+};
+
+// ============================================
+// Difficulty
+// ============================================
+
+export const Difficulty = {
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard',
+  CUSTOM: 'custom',
+};
+
+// Multipliers applied on top of the level and the constants above:
+//   speed       -> level speedFactor (cat speed)
+//   crumbSpeed  -> level crumbSpeedFactor (cat speed in crumbs; capped at 1, and 0 stays 0 so crumbs that are walls stay walls)
+//   decay       -> level decayPerSec (CRUMB_DECAY_PER_SEC by default)
+//   catchMargin -> CATCH_MARGIN (higher = caught from further away)
+//   recalcHz    -> A_STAR_RECALC_HZ (higher = cats react sooner)
+//   jitter      -> GOAL_JITTER_RANGE (higher = cats aim less precisely; rounded to whole cells)
+export const DIFFICULTY_PRESETS = {
+  [Difficulty.EASY]:   { speed: 0.8,  crumbSpeed: 0.7, decay: 0.7, catchMargin: 0.85, recalcHz: 0.6, jitter: 2 },
+  [Difficulty.NORMAL]: { speed: 1,    crumbSpeed: 1,   decay: 1,   catchMargin: 1,    recalcHz: 1,   jitter: 1 },
+  [Difficulty.HARD]:   { speed: 1.15, crumbSpeed: 1.3, decay: 1.3, catchMargin: 1.1,  recalcHz: 1.5, jitter: 0 },
+};
+
+const DIFFICULTY_KEYS = ['speed', 'crumbSpeed', 'decay', 'catchMargin', 'recalcHz', 'jitter'];
+
+/**
+ * Resolve a difficulty setting to its multipliers.
+ * @param {string|Object} setting - Preset name, or {preset?, speed?, crumbSpeed?, decay?, catchMargin?, recalcHz?, jitter?}
+ *   (missing multipliers default to the preset's, or Normal's; an object without a preset counts as Custom)
+ * @returns {{preset: string, speed: number, crumbSpeed: number, decay: number, catchMargin: number, recalcHz: number,
+ *   jitter: number}}
+ * @throws {Error} If the preset is unknown or a multiplier is out of range
+ */
+export function resolveDifficulty(setting = Difficulty.NORMAL) {
+  if (typeof setting === 'string') {
+    if (setting === Difficulty.CUSTOM) return { preset: setting, ...DIFFICULTY_PRESETS[Difficulty.NORMAL] };
+    if (!DIFFICULTY_PRESETS[setting]) {
+      throw new Error(`Unknown difficulty "${setting}" (expected one of ${Object.values(Difficulty).join(', ')})`);
+    }
+    return { preset: setting, ...DIFFICULTY_PRESETS[setting] };
+  }
+
+  if (!setting || typeof setting !== 'object') {
+    throw new Error('Difficulty must be a preset name or an object of multipliers');
+  }
+  const preset = setting.preset ?? Difficulty.CUSTOM;
+  const base = DIFFICULTY_PRESETS[preset] ?? DIFFICULTY_PRESETS[Difficulty.NORMAL];
+  if (!Object.values(Difficulty).includes(preset)) {
+    throw new Error(`Unknown difficulty "${preset}"`);
+  }
+  const resolved = { preset };
+  for (const key of DIFFICULTY_KEYS) {
+    const value = setting[key] ?? base[key];
+    const ok = typeof value === 'number' && Number.isFinite(value) && (key === 'jitter' ? value >= 0 : value > 0);
+    if (!ok) {
+      throw new Error(`Difficulty ${key} must be a ${key === 'jitter' ? 'non-negative' : 'positive'} number (got ${JSON.stringify(value)})`);
+    }
+    resolved[key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Cat speed multiplier in crumbs under a difficulty.
+ * @param {number} crumbSpeedFactor - Level (or per-cat) crumbSpeedFactor, 0 to 1
+ * @param {{crumbSpeed: number}} tuning - Resolved difficulty multipliers
+ * @returns {number} Scaled factor, at most 1 (0 stays 0: crumbs that are walls stay walls)
+ */
+export function scaleCrumbSpeed(crumbSpeedFactor, tuning) {
+  return Math.min(1, crumbSpeedFactor * tuning.crumbSpeed);
+}
 
 // ============================================
 // Debug
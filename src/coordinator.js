@@ -0,0 +1,200 @@
+/**
+ * Crumb Chase - Cat Coordinator Module
+ *
+ * Cooperative target assignment. Left alone, every chaser paths to the
+ * mouse and they end up queueing behind each other. On levels with
+ * `coordination` on, the coordinator hands each chaser a different cell
+ * every time the cats replan, so they surround the mouse instead:
+ *
+ * - intercept  The first cell on the mouse's shortest route to its hole that
+ *              the cat can reach no later than the mouse (else the last cell
+ *              before the route runs into crumbs or the hole); not handed out
+ *              when there is no open route
+ * - chase      The mouse itself
+ * - flank      FLANK_CELLS to each side of the mouse, the ones nearest the
+ *              hole first
+ *
+ * Cats within FLANK_CELLS of the mouse close in and chase. The other roles
+ * are handed out in order, each to the free cat that can reach its cell
+ * soonest; cats left over chase. Only non-frozen chasers that know where
+ * the mouse is take part (see perception.js), and only when there are at
+ * least two of them. Assignment uses no random numbers, so games stay
+ * deterministic.
+ *
+ * @module coordinator
+ */
+
+import * as Config from './config.js';
+import { distanceField, neighborIndex, stepIndex } from './core.js';
+import { CatStrategy } from './cat-strategies.js';
+import { CatAwareness } from './perception.js';
+
+/** Roles the coordinator assigns */
+export const CatRole = {
+  INTERCEPT: 'intercept',
+  CHASE: 'chase',
+  FLANK: 'flank',
+};
+
+const STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Assigns each chaser a distinct interception target.
+ */
+export class CatCoordinator {
+  constructor() {
+    /** Role of each cat in the last assignment, by cat id */
+    this.roles = new Map();
+  }
+
+  /**
+   * Assign targets for this replan.
+   * @param {Grid} grid - Game grid
+   * @param {Player} player - The mouse
+   * @param {Cat[]} cats - Cats on the level
+   * @param {{dist: Int32Array}|null} holeField - Walking distance to the nearest hole per cell
+   * @returns {Map<number, {c: number, r: number}>|null} Target cell by cat id, or null if
+   *   fewer than two cats take part
+   */
+  assign(grid, player, cats, holeField) {
+    this.roles.clear();
+    const team = cats.filter(cat => !cat.frozen && cat.strategy === CatStrategy.CHASER &&
+      cat.awareness === CatAwareness.CHASE);
+    if (team.length < 2) return null;
+
+    const playerCell = player.getCell();
+    const passable = (c, r) => !grid.isWall(c, r);
+    const fields = team.map(cat => distanceField([{ ...cat.getCell(), source: 0 }], grid.cols, grid.rows, passable, grid.topology));
+    // Seconds for a cat to reach a cell (Infinity if it can't)
+    const eta = (i, { c, r }) => {
+      const d = fields[i].dist[grid.idx(c, r)];
+      return d === -1 ? Infinity : d / team[i].speedCells;
+    };
+
+    const route = this._escapeRoute(grid, playerCell, holeField);
+    const mouseSpeed = player.speed / grid.tile;
+    const wanted = [
+      // No open route to cut off: nobody intercepts (the chaser covers the mouse's cell)
+      ...(route.length ? [{ role: CatRole.INTERCEPT, cell: null }] : []),
+      { role: CatRole.CHASE, cell: playerCell },
+      ...this._flankCells(grid, playerCell, holeField).map(cell => ({ role: CatRole.FLANK, cell })),
+    ];
+
+    const targets = new Map();
+    const free = new Set(team.keys());
+    for (const i of team.keys()) {
+      if (eta(i, playerCell) * team[i].speedCells > Config.FLANK_CELLS) continue;
+      free.delete(i);
+      targets.set(team[i].id, playerCell);
+      this.roles.set(team[i].id, CatRole.CHASE);
+    }
+    if (targets.size) {
+      // Someone is already chasing
+      wanted.splice(wanted.findIndex(({ role }) => role === CatRole.CHASE), 1);
+    }
+
+    for (const { role, cell } of wanted) {
+      if (!free.size) break;
+
+      let best = -1;
+      let bestCell = cell;
+      let bestTime = Infinity;
+      for (const i of free) {
+        const target = cell ?? this._interceptCell(route, mouseSpeed, cellAt => eta(i, cellAt));
+        const time = eta(i, target);
+        if (best === -1 || time < bestTime) {
+          best = i;
+          bestCell = target;
+          bestTime = time;
+        }
+      }
+      free.delete(best);
+      targets.set(team[best].id, bestCell);
+      this.roles.set(team[best].id, role);
+    }
+
+    for (const i of free) {
+      targets.set(team[i].id, playerCell);
+      this.roles.set(team[i].id, CatRole.CHASE);
+    }
+    return targets;
+  }
+
+  /**
+   * The open stretch of the mouse's shortest route to the nearest hole:
+   * downhill through the hole distance field (through portals too), from the
+   * cell after the mouse's up to the last one before crumbs or the hole.
+   * @param {Grid} grid - Game grid
+   * @param {{c: number, r: number}} start - The mouse's cell
+   * @param {{dist: Int32Array}|null} holeField - Walking distance to the nearest hole per cell
+   * @returns {Array<{c: number, r: number}>} Route cells, empty if no hole is reachable or the
+   *   way is blocked right away
+   * @private
+   */
+  _escapeRoute(grid, start, holeField) {
+    const route = [];
+    if (!holeField || !grid.inBounds(start.c, start.r)) return route;
+
+    let { c, r } = start;
+    let d = holeField.dist[grid.idx(c, r)];
+    while (d > 0) {
+      let next = -1;
+      for (const [dc, dr] of STEPS) {
+        const ni = neighborIndex(c, r, dc, dr, grid.cols, grid.rows, grid.topology);
+        if (ni !== -1 && holeField.dist[ni] === d - 1) {
+          next = stepIndex(c, r, dc, dr, grid.cols, grid.rows, grid.topology);
+          break;
+        }
+      }
+      if (next === -1) break;
+      c = next % grid.cols;
+      r = (next / grid.cols) | 0;
+      if (grid.isCrumb(c, r) || grid.isHoleCell(c, r)) break;
+      d -= 1;
+      route.push({ c, r });
+    }
+    return route;
+  }
+
+  /**
+   * First route cell a cat reaches no later than the mouse, else the last one.
+   * @param {Array<{c: number, r: number}>} route - Mouse route (see _escapeRoute)
+   * @param {number} mouseSpeed - Mouse speed in cells per second
+   * @param {Function} eta - cell => seconds for the cat to reach it
+   * @returns {{c: number, r: number}} Interception cell
+   * @private
+   */
+  _interceptCell(route, mouseSpeed, eta) {
+    for (let k = 0; k < route.length; k++) {
+      if (eta(route[k]) <= (k + 1) / mouseSpeed) return route[k];
+    }
+    return route[route.length - 1];
+  }
+
+  /**
+   * Open cells FLANK_CELLS to each side of the mouse, nearest the hole first.
+   * @param {Grid} grid - Game grid
+   * @param {{c: number, r: number}} playerCell - The mouse's cell
+   * @param {{dist: Int32Array}|null} holeField - Walking distance to the nearest hole per cell
+   * @returns {Array<{c: number, r: number}>} Flank cells (no duplicates, never the mouse's cell)
+   * @private
+   */
+  _flankCells(grid, playerCell, holeField) {
+    const n = Config.FLANK_CELLS;
+    const holeDist = ({ c, r }) => {
+      const d = holeField ? holeField.dist[grid.idx(c, r)] : -1;
+      return d === -1 ? Infinity : d;
+    };
+
+    const seen = new Set([grid.idx(playerCell.c, playerCell.r)]);
+    const cells = [];
+    for (const [dc, dr] of STEPS) {
+      const cell = grid.openCellToward(playerCell.c, playerCell.r, dc * n, dr * n);
+      const k = grid.idx(cell.c, cell.r);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      cells.push(cell);
+    }
+    return cells.sort((a, b) => holeDist(a) - holeDist(b) || 0);
+  }
+}
@@ -35,6 +35,81 @@ function centerOf(c, r, tileSize) {
   return { x: (c + 0.5) * tileSize, y: (r + 0.5) * tileSize };
 }
 
+// ============================================
+// Wrap-Around and Portals
+// ============================================
+
+/**
+ * Build a grid topology: which edges wrap around (Pac-Man tunnels) and which
+ * cells are portals. Portals come in pairs; stepping onto either cell of a
+ * pair puts you on the other one.
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Object} options - Topology options
+ * @param {boolean} options.wrapX - Left and right edges connect
+ * @param {boolean} options.wrapY - Top and bottom edges connect
+ * @param {Array<Array<Array<number>>>} options.portals - Portal pairs [[c1, r1], [c2, r2]]
+ * @returns {{cols: number, rows: number, wrapX: boolean, wrapY: boolean, links: Int32Array,
+ *   entries: Array<{c: number, r: number, exitC: number, exitR: number}>}} Topology
+ *   (links[i] is the partner of portal cell i, -1 for other cells)
+ */
+function createTopology(cols, rows, { wrapX = false, wrapY = false, portals = [] } = {}) {
+  const links = new Int32Array(cols * rows).fill(-1);
+  const entries = [];
+  for (const [[c1, r1], [c2, r2]] of portals) {
+    links[r1 * cols + c1] = r2 * cols + c2;
+    links[r2 * cols + c2] = r1 * cols + c1;
+    entries.push({ c: c1, r: r1, exitC: c2, exitR: r2 }, { c: c2, r: r2, exitC: c1, exitR: r1 });
+  }
+  return { cols, rows, wrapX, wrapY, links, entries };
+}
+
+/**
+ * Bring a coordinate back into [0, size) on an axis that wraps.
+ */
+function wrapCoord(v, size, wraps) {
+  if (!wraps) return v;
+  return ((v % size) + size) % size;
+}
+
+/**
+ * Shortest signed offset along an axis, going across the edge when the axis
+ * wraps and that way is shorter.
+ */
+function wrapDelta(d, size, wraps) {
+  if (!wraps) return d;
+  if (d > size / 2) return d - size;
+  if (d < -size / 2) return d + size;
+  return d;
+}
+
+/**
+ * Index of the cell next to (c, r) in direction (dc, dr), across a wrapping
+ * edge if needed. Portals are not followed. Returns -1 off the grid.
+ */
+function neighborIndex(c, r, dc, dr, cols, rows, topology = null) {
+  let nc = c + dc;
+  let nr = r + dr;
+  if (topology) {
+    nc = wrapCoord(nc, cols, topology.wrapX);
+    nr = wrapCoord(nr, rows, topology.wrapY);
+  }
+  if (!inBounds(nc, nr, cols, rows)) return -1;
+  return nr * cols + nc;
+}
+
+/**
+ * Index of the cell an agent ends up in after one step from (c, r) in
+ * direction (dc, dr): like neighborIndex, but a step onto a portal lands on
+ * its partner. Returns -1 off the grid.
+ */
+function stepIndex(c, r, dc, dr, cols, rows, topology = null) {
+  const i = neighborIndex(c, r, dc, dr, cols, rows, topology);
+  if (i === -1 || !topology) return i;
+  const exit = topology.links[i];
+  return exit === -1 ? i : exit;
+}
+
 // ============================================
 // Turn/Movement Helpers
 // ============================================
@@ -97,27 +172,51 @@ function canTurnHorizontal(y, movingDirY, tileSize, turnEps) {
 // Random Utilities
 // ============================================
 
+/**
+ * Create a seeded pseudo-random generator (mulberry32).
+ * The returned function is a drop-in replacement for Math.random.
+ * Its 32-bit state is exposed as `random.state` so it can be saved and restored.
+ */
+function createRng(seed) {
+  const random = () => {
+    let t = (random.state = (random.state + 0x6D2B79F5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = seed >>> 0;
+  random.state = seed | 0;
+  return random;
+}
+
+/**
+ * Pick a fresh 32-bit seed.
+ */
+function randomSeed(random = Math.random) {
+  return (random() * 4294967296) >>> 0;
+}
+
 /**
  * Random integer in range [a, b] inclusive.
  */
-function randInt(a, b) {
-  return ((Math.random() * (b - a + 1)) | 0) + a;
+function randInt(a, b, random = Math.random) {
+  return ((random() * (b - a + 1)) | 0) + a;
 }
 
 /**
  * Random float in range [a, b).
  */
-function randRange(a, b) {
-  return a + Math.random() * (b - a);
+function randRange(a, b, random = Math.random) {
+  return a + random() * (b - a);
 }
 
 /**
  * Pick random element from a Set.
  */
-function randomFromSet(set) {
+function randomFromSet(set, random = Math.random) {
   const size = set.size;
   if (!size) return null;
-  const n = (Math.random() * size) | 0;
+  const n = (random() * size) | 0;
   let i = 0;
   for (const v of set) {
     if (i++ === n) return v;
@@ -125,19 +224,154 @@ function randomFromSet(set) {
   return null;
 }
 
+/**
+ * Hash a string to a 32-bit seed (FNV-1a).
+ * Lets a name or a date seed createRng.
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
 // ============================================
 // A* Pathfinding
 // ============================================
 
 /**
  * Manhattan distance heuristic.
+ * With a topology (see createTopology) it measures across wrapping edges and
+ * also considers taking a portal: the distance to the nearest portal plus the
+ * distance from the portal exit nearest the goal. Either way it never
+ * overestimates, so A* still finds shortest paths.
+ */
+function heuristic(c1, r1, c2, r2, topology = null) {
+  if (!topology) return Math.abs(c1 - c2) + Math.abs(r1 - r2);
+
+  const dist = (ca, ra, cb, rb) => {
+    const dc = Math.abs(ca - cb);
+    const dr = Math.abs(ra - rb);
+    return (topology.wrapX ? Math.min(dc, topology.cols - dc) : dc) +
+           (topology.wrapY ? Math.min(dr, topology.rows - dr) : dr);
+  };
+
+  let best = dist(c1, r1, c2, r2);
+  if (topology.entries.length) {
+    let toEntry = Infinity;
+    let fromExit = Infinity;
+    for (const p of topology.entries) {
+      toEntry = Math.min(toEntry, dist(c1, r1, p.c, p.r));
+      fromExit = Math.min(fromExit, dist(p.exitC, p.exitR, c2, r2));
+    }
+    best = Math.min(best, toEntry + fromExit);
+  }
+  return best;
+}
+
+/**
+ * Create reusable scratch buffers for aStar on grids of up to n cells.
+ * Per-cell entries are generation-stamped: a cell's g/came values are only
+ * valid when stamp[i] === gen, so buffers never need clearing between searches.
+ */
+function createPathScratch(n) {
+  return {
+    n,
+    gen: 0,
+    stamp: new Uint32Array(n),   // stamp[i] === gen: g[i] and came[i] are valid
+    closed: new Uint32Array(n),  // closed[i] === gen: cell i is closed
+    g: new Float32Array(n),
+    came: new Int32Array(n),
+    // Binary min-heap of open cells keyed by f (stale entries are skipped on pop)
+    heapNode: new Int32Array(n),
+    heapF: new Float32Array(n),
+    heapSize: 0,
+  };
+}
+
+/**
+ * Start a new search generation, clearing stamps only on wrap-around.
+ */
+function nextGeneration(scratch) {
+  scratch.gen = (scratch.gen + 1) >>> 0;
+  if (scratch.gen === 0) {
+    scratch.stamp.fill(0);
+    scratch.closed.fill(0);
+    scratch.gen = 1;
+  }
+  scratch.heapSize = 0;
+  return scratch.gen;
+}
+
+/**
+ * Heap ordering: lower f first, ties broken by lower cell index.
+ */
+function heapLess(nodes, fs, a, b) {
+  return fs[a] < fs[b] || (fs[a] === fs[b] && nodes[a] < nodes[b]);
+}
+
+/**
+ * Push a cell onto the scratch heap, growing storage if needed.
+ */
+function heapPush(scratch, node, f) {
+  if (scratch.heapSize === scratch.heapNode.length) {
+    const nodes = new Int32Array(scratch.heapNode.length * 2);
+    const fs = new Float32Array(scratch.heapF.length * 2);
+    nodes.set(scratch.heapNode);
+    fs.set(scratch.heapF);
+    scratch.heapNode = nodes;
+    scratch.heapF = fs;
+  }
+  const nodes = scratch.heapNode;
+  const fs = scratch.heapF;
+  let i = scratch.heapSize++;
+  nodes[i] = node;
+  fs[i] = f;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!heapLess(nodes, fs, i, parent)) break;
+    const tn = nodes[i]; nodes[i] = nodes[parent]; nodes[parent] = tn;
+    const tf = fs[i]; fs[i] = fs[parent]; fs[parent] = tf;
+    i = parent;
+  }
+}
+
+/**
+ * Pop the cell with the lowest f from the scratch heap.
  */
-function heuristic(c1, r1, c2, r2) {
-  return Math.abs(c1 - c2) + Math.abs(r1 - r2);
+function heapPop(scratch) {
+  const nodes = scratch.heapNode;
+  const fs = scratch.heapF;
+  const top = nodes[0];
+  const last = --scratch.heapSize;
+  nodes[0] = nodes[last];
+  fs[0] = fs[last];
+  let i = 0;
+  while (true) {
+    const left = 2 * i + 1;
+    const right = left + 1;
+    let smallest = i;
+    if (left < last && heapLess(nodes, fs, left, smallest)) smallest = left;
+    if (right < last && heapLess(nodes, fs, right, smallest)) smallest = right;
+    if (smallest === i) break;
+    const tn = nodes[i]; nodes[i] = nodes[smallest]; nodes[smallest] = tn;
+    const tf = fs[i]; fs[i] = fs[smallest]; fs[smallest] = tf;
+    i = smallest;
+  }
+  return top;
 }
 
+/** Scratch buffers shared by aStar calls that don't pass their own */
+let sharedScratch = null;
+
+const NEIGHBOR_DC = [1, -1, 0, 0];
+const NEIGHBOR_DR = [0, 0, 1, -1];
+
 /**
  * A* pathfinding algorithm.
+ * Uses a binary heap for the open set and reusable scratch buffers, so a
+ * search costs O(N log N) and allocates nothing but the returned path.
  * @param {number} startC - Start column
  * @param {number} startR - Start row
  * @param {number} goalC - Goal column
@@ -145,84 +379,72 @@ function heuristic(c1, r1, c2, r2) {
  * @param {number} cols - Grid width
  * @param {number} rows - Grid height
  * @param {function} getCost - Function (c, r) => cost for stepping into cell (Infinity = impassable)
- * @returns {Array<{c: number, r: number}>} Path from start to goal (excluding start, including goal)
+ * @param {Object} scratch - Buffers from createPathScratch (optional; a shared set is used otherwise)
+ * @param {Object} topology - Wrapping edges and portals from createTopology (optional)
+ * @returns {Array<{c: number, r: number}>} Path from start to goal (excluding start, including goal).
+ *   A step through a portal lists the portal cell stepped onto, then its partner.
  */
-function aStar(startC, startR, goalC, goalR, cols, rows, getCost) {
+function aStar(startC, startR, goalC, goalR, cols, rows, getCost, scratch = null, topology = null) {
   const N = cols * rows;
   const start = startR * cols + startC;
   const goal = goalR * cols + goalC;
 
   if (start === goal) return [];
 
-  const g = new Float32Array(N);
-  const f = new Float32Array(N);
-  const came = new Int32Array(N);
-  const closed = new Uint8Array(N);
-
-  for (let i = 0; i < N; i++) {
-    g[i] = Infinity;
-    f[i] = Infinity;
-    came[i] = -1;
+  if (!scratch) {
+    if (!sharedScratch || sharedScratch.n < N) sharedScratch = createPathScratch(N);
+    scratch = sharedScratch;
   }
 
-  const open = new Uint8Array(N);
-  g[start] = 0;
-  f[start] = heuristic(startC, startR, goalC, goalR);
-  open[start] = 1;
+  const gen = nextGeneration(scratch);
+  const { stamp, closed, g, came } = scratch;
 
-  const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]];
-
-  while (true) {
-    // Find node with lowest f score in open set
-    let current = -1;
-    let bestF = Infinity;
-    for (let i = 0; i < N; i++) {
-      if (open[i] && f[i] < bestF) {
-        bestF = f[i];
-        current = i;
-      }
-    }
+  stamp[start] = gen;
+  g[start] = 0;
+  came[start] = -1;
+  heapPush(scratch, start, heuristic(startC, startR, goalC, goalR, topology));
 
-    if (current === -1) break; // No path found
+  while (scratch.heapSize > 0) {
+    const current = heapPop(scratch);
+    if (closed[current] === gen) continue; // Stale heap entry
 
-    open[current] = 0;
-    closed[current] = 1;
+    closed[current] = gen;
 
     if (current === goal) break; // Found goal
 
     const curC = current % cols;
     const curR = (current / cols) | 0;
 
-    for (const [dc, dr] of neighbors) {
-      const nc = curC + dc;
-      const nr = curR + dr;
-
-      if (!inBounds(nc, nr, cols, rows)) continue;
-
-      const ni = nr * cols + nc;
-      if (closed[ni]) continue;
+    for (let k = 0; k < 4; k++) {
+      const ni = stepIndex(curC, curR, NEIGHBOR_DC[k], NEIGHBOR_DR[k], cols, rows, topology);
+      if (ni === -1) continue;
+      if (closed[ni] === gen) continue;
 
+      const nc = ni % cols;
+      const nr = (ni / cols) | 0;
       const stepCost = getCost(nc, nr);
       if (stepCost === Infinity) continue; // Impassable
 
       const tentative = g[current] + stepCost;
 
-      if (tentative < g[ni]) {
+      if (stamp[ni] !== gen || tentative < g[ni]) {
+        stamp[ni] = gen;
         came[ni] = current;
         g[ni] = tentative;
-        f[ni] = tentative + heuristic(nc, nr, goalC, goalR);
-        open[ni] = 1;
+        heapPush(scratch, ni, tentative + heuristic(nc, nr, goalC, goalR, topology));
       }
     }
   }
 
   // Reconstruct path
-  if (came[goal] === -1) return []; // No path found
+  if (stamp[goal] !== gen) return []; // No path found
 
   const path = [];
   let node = goal;
   while (node !== start && node !== -1) {
     path.push(node);
+    // A portal cell is only ever reached through its partner: walk onto that first
+    if (topology && topology.links[node] !== -1) path.push(topology.links[node]);
     node = came[node];
   }
   path.reverse();
@@ -231,6 +453,149 @@ function aStar(startC, startR, goalC, goalR, cols, rows, getCost) {
   return path.map(p => ({ c: p % cols, r: (p / cols) | 0 }));
 }
 
+/**
+ * Multi-source breadth-first distance field (4-connected).
+ * Every cell gets its step distance to the closest source and the index of
+ * that source, or -1 for both if no source can reach it.
+ * With a topology, distances are walked across wrapping edges and through
+ * portals, in the direction from the cell to the source.
+ * @param {Array<{c: number, r: number, source: number}>} sources - Seed cells, each tagged with a source index
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Function} isPassable - (c, r) => boolean
+ * @param {Object} topology - Wrapping edges and portals from createTopology (optional)
+ * @returns {{dist: Int32Array, nearest: Int32Array}} Distance and nearest source per cell index
+ */
+function distanceField(sources, cols, rows, isPassable, topology = null) {
+  const n = cols * rows;
+  const dist = new Int32Array(n).fill(-1);
+  const nearest = new Int32Array(n).fill(-1);
+  const queue = new Int32Array(n);
+  let head = 0;
+  let tail = 0;
+
+  for (const { c, r, source } of sources) {
+    if (!inBounds(c, r, cols, rows) || !isPassable(c, r)) continue;
+    const i = r * cols + c;
+    if (dist[i] !== -1) continue;
+    dist[i] = 0;
+    nearest[i] = source;
+    queue[tail++] = i;
+  }
+
+  while (head < tail) {
+    const current = queue[head++];
+    // Cells one step before a portal cell are the ones next to its partner
+    const base = topology && topology.links[current] !== -1 ? topology.links[current] : current;
+    const baseC = base % cols;
+    const baseR = (base / cols) | 0;
+
+    for (let k = 0; k < 4; k++) {
+      const ni = neighborIndex(baseC, baseR, NEIGHBOR_DC[k], NEIGHBOR_DR[k], cols, rows, topology);
+      if (ni === -1) continue;
+
+      const nc = ni % cols;
+      const nr = (ni / cols) | 0;
+      if (dist[ni] !== -1 || !isPassable(nc, nr)) continue;
+
+      dist[ni] = dist[current] + 1;
+      nearest[ni] = nearest[current];
+      queue[tail++] = ni;
+    }
+  }
+
+  return { dist, nearest };
+}
+
+// ============================================
+// Field of View
+// ============================================
+
+// Octant transforms [xx, xy, yx, yy] mapping (dx, dy) in the first octant to grid offsets
+const FOV_OCTANTS = [
+  [1, 0, 0, 1], [0, 1, 1, 0], [0, -1, 1, 0], [-1, 0, 0, 1],
+  [-1, 0, 0, -1], [0, -1, -1, 0], [0, 1, -1, 0], [1, 0, 0, -1],
+];
+
+/**
+ * Cells visible from (c, r) within a radius, by recursive shadow casting.
+ * A cell that blocks sight is itself visible but hides what lies behind it;
+ * off the grid counts as blocking. With a topology, sight carries across
+ * wrapping edges (not through portals).
+ * @param {number} c - Viewer column
+ * @param {number} r - Viewer row
+ * @param {number} radius - Sight radius in cells
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Function|null} blocksSight - (c, r) => boolean, or null if nothing blocks sight
+ * @param {Object} topology - Wrapping edges and portals from createTopology (optional)
+ * @param {Uint8Array} out - Buffer to reuse, cols * rows long (optional)
+ * @returns {Uint8Array} 1 for each visible cell index, 0 otherwise
+ */
+function fieldOfView(c, r, radius, cols, rows, blocksSight, topology = null, out = null) {
+  const visible = out ?? new Uint8Array(cols * rows);
+  visible.fill(0);
+  if (!inBounds(c, r, cols, rows)) return visible;
+  visible[r * cols + c] = 1;
+
+  const reach = (radius + 0.5) * (radius + 0.5);
+  const opaque = (i) => i === -1 || (blocksSight !== null && blocksSight(i % cols, (i / cols) | 0));
+
+  // Scan one octant row by row, between slopes start and end (1 = diagonal, 0 = straight ahead)
+  const cast = (row, start, end, [xx, xy, yx, yy]) => {
+    if (start < end) return;
+    for (let j = row; j <= radius; j++) {
+      const dy = -j;
+      let blocked = false;
+      let nextStart = start;
+      for (let dx = -j; dx <= 0; dx++) {
+        const leftSlope = (dx - 0.5) / (dy + 0.5);
+        const rightSlope = (dx + 0.5) / (dy - 0.5);
+        if (start < rightSlope) continue;
+        if (end > leftSlope) break;
+
+        const i = neighborIndex(c, r, dx * xx + dy * xy, dx * yx + dy * yy, cols, rows, topology);
+        if (i !== -1 && dx * dx + dy * dy <= reach) visible[i] = 1;
+
+        if (blocked) {
+          if (opaque(i)) {
+            nextStart = rightSlope;
+          } else {
+            blocked = false;
+            start = nextStart;
+          }
+        } else if (opaque(i) && j < radius) {
+          blocked = true;
+          cast(j + 1, start, leftSlope, [xx, xy, yx, yy]);
+          nextStart = rightSlope;
+        }
+      }
+      if (blocked) break;
+    }
+  };
+
+  for (const octant of FOV_OCTANTS) cast(1, 1, 0, octant);
+  return visible;
+}
+
+/**
+ * Whether the offset (dx, dy) lies within a view cone centred on the facing
+ * direction (dirX, dirY). A zero offset or facing, or a cone of 360 degrees
+ * or more, sees all around.
+ * @param {number} dirX - Facing X component
+ * @param {number} dirY - Facing Y component
+ * @param {number} dx - Offset X to the target
+ * @param {number} dy - Offset Y to the target
+ * @param {number} cone - Full cone angle in degrees
+ * @returns {boolean}
+ */
+function inViewCone(dirX, dirY, dx, dy, cone) {
+  if (cone >= 360) return true;
+  const len = Math.hypot(dirX, dirY) * Math.hypot(dx, dy);
+  if (len === 0) return true;
+  return (dirX * dx + dirY * dy) / len >= Math.cos((cone / 2) * Math.PI / 180) - 1e-9;
+}
+
 // ============================================
 // Crumb Grid Management
 // ============================================
@@ -347,10 +712,16 @@ function getLevelConfig(level) {
 
 /**
  * Move an agent with collision checking against crumbs.
+ * With a topology (see createTopology) the agent can cross wrapping edges,
+ * and stepping onto a portal moves it to the partner cell, keeping its
+ * offset within the cell.
  * Returns the new position.
  */
-function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking) {
+function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking, topology = null) {
   const EPS = 1e-6;
+  const wrapX = !!(topology && topology.wrapX);
+  const wrapY = !!(topology && topology.wrapY);
+  const start = cellAt(x, y, tileSize);
   let newX = x;
   let newY = y;
 
@@ -359,7 +730,7 @@ function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking)
     const cc = cellAt(x, y, tileSize);
     const centerX = (cc.c + 0.5) * tileSize;
     const dir = Math.sign(dx);
-    const nextC = cc.c + dir;
+    const nextC = wrapCoord(cc.c + dir, cols, wrapX);
     const nextBlocked = !inBounds(nextC, cc.r, cols, rows) ||
                         (isCrumbBlocking && isCrumbBlocking(nextC, cc.r));
 
@@ -367,6 +738,7 @@ function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking)
     if (nextBlocked) {
       nx = dir > 0 ? Math.min(nx, centerX) : Math.max(nx, centerX);
     }
+    nx = wrapCoord(nx, cols * tileSize, wrapX);
 
     const cell = cellAt(nx, y, tileSize);
     const cellBlocked = isCrumbBlocking && isCrumbBlocking(cell.c, cell.r);
@@ -386,7 +758,7 @@ function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking)
     const cc = cellAt(newX, y, tileSize);
     const centerY = (cc.r + 0.5) * tileSize;
     const dir = Math.sign(dy);
-    const nextR = cc.r + dir;
+    const nextR = wrapCoord(cc.r + dir, rows, wrapY);
     const nextBlocked = !inBounds(cc.c, nextR, cols, rows) ||
                         (isCrumbBlocking && isCrumbBlocking(cc.c, nextR));
 
@@ -394,6 +766,7 @@ function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking)
     if (nextBlocked) {
       ny = dir > 0 ? Math.min(ny, centerY) : Math.max(ny, centerY);
     }
+    ny = wrapCoord(ny, rows * tileSize, wrapY);
 
     const cell = cellAt(newX, ny, tileSize);
     const cellBlocked = isCrumbBlocking && isCrumbBlocking(cell.c, cell.r);
@@ -408,6 +781,16 @@ function moveWithCollision(x, y, dx, dy, tileSize, cols, rows, isCrumbBlocking)
     }
   }
 
+  // Portal: stepping onto one lands on its partner
+  if (topology) {
+    const cell = cellAt(newX, newY, tileSize);
+    const exit = (cell.c !== start.c || cell.r !== start.r) ? topology.links[cell.r * cols + cell.c] : -1;
+    if (exit !== -1) {
+      newX += (exit % cols - cell.c) * tileSize;
+      newY += (((exit / cols) | 0) - cell.r) * tileSize;
+    }
+  }
+
   return { x: newX, y: newY };
 }
 
@@ -423,6 +806,13 @@ export {
   cellAt,
   centerOf,
 
+  // Wrap-around and portals
+  createTopology,
+  wrapCoord,
+  wrapDelta,
+  neighborIndex,
+  stepIndex,
+
   // Turn helpers
   nearestColumnCenter,
   canTurnVertical,
@@ -430,13 +820,22 @@ export {
   canTurnHorizontal,
 
   // Random utilities
+  createRng,
+  randomSeed,
   randInt,
   randRange,
   randomFromSet,
+  hashString,
 
   // Pathfinding
   heuristic,
+  createPathScratch,
   aStar,
+  distanceField,
+
+  // Field of view
+  fieldOfView,
+  inViewCone,
 
   // Crumb management
   createCrumbGrid,
@@ -465,15 +864,27 @@ if (typeof module !== 'undefined' && module.exports) {
     inBounds,
     cellAt,
     centerOf,
+    createTopology,
+    wrapCoord,
+    wrapDelta,
+    neighborIndex,
+    stepIndex,
     nearestColumnCenter,
     canTurnVertical,
     nearestRowCenter,
     canTurnHorizontal,
+    createRng,
+    randomSeed,
     randInt,
     randRange,
     randomFromSet,
+    hashString,
     heuristic,
+    createPathScratch,
     aStar,
+    distanceField,
+    fieldOfView,
+    inViewCone,
     createCrumbGrid,
     hasCrumb,
     addCrumb,
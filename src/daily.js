@@ -0,0 +1,264 @@
+/**
+ * Crumb Chase - Daily Challenge Module
+ *
+ * One generated level per calendar day. The date seeds the map, the cat
+ * spawns and the game's random source (crumb decay, cat goal jitter), and
+ * the difficulty is always Normal, so everyone playing on the same day gets
+ * the same run. Attempts are kept locally and a result can be shared as a
+ * short code:
+ *
+ *   CC-<base36 payload>-<check>   payload = (day * 2 + escaped) * 2^20 + time in tenths
+ *
+ * where day counts from SHARE_EPOCH (UTC) and check is one base36 digit.
+ *
+ * @module daily
+ */
+
+import * as Config from './config.js';
+import { hashString } from './core.js';
+import { GameEvent } from './events.js';
+import { MapAlgorithm, generateLevel } from './mapgen.js';
+
+/** Storage key for daily attempts */
+export const DAILY_STORAGE_KEY = 'crumbChaseDaily';
+
+/** Day 0 of share codes */
+const SHARE_EPOCH = Date.UTC(2025, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_BITS = 2 ** 20; // Tenths of a second, about 29 hours
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ * @param {Date} date - Date (default now)
+ * @returns {string} Date key
+ */
+export function dateKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Seed for a day's challenge.
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @returns {number} 32-bit seed
+ */
+export function dailySeed(key) {
+  return hashString(`crumb-chase-daily:${key}`);
+}
+
+/**
+ * Build a day's level: map algorithm, walls and cat spawns all come from the date.
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Object} Level definition
+ */
+export function dailyLevel(key, cols = Config.COLS, rows = Config.ROWS) {
+  const { cats, speedFactor, crumbSpeedFactor, decayPerSec } = Config.getEndlessLevelConfig(Config.DAILY_LEVEL);
+  const def = generateLevel({
+    seed: dailySeed(key),
+    algorithm: MapAlgorithm.MIXED,
+    cols,
+    rows,
+    params: { cats, speedFactor, crumbSpeedFactor },
+    randomSpawns: true,
+  });
+  return { ...def, name: `Daily ${key}`, decayPerSec };
+}
+
+/**
+ * Check digit for a share code payload.
+ * @param {string} payload - Base36 payload
+ * @returns {string} One base36 digit
+ */
+function checkDigit(payload) {
+  return (hashString(payload) % 36).toString(36).toUpperCase();
+}
+
+/**
+ * Encode a daily result as a share code.
+ * @param {{date: string, escaped: boolean, time: number}} result - Date key, outcome and time in seconds
+ * @returns {string} Share code, e.g. "CC-2F1K8QZ-7"
+ * @throws {Error} If the date is not a YYYY-MM-DD key on or after the share epoch
+ */
+export function encodeShareCode({ date, escaped, time }) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  const day = m ? Math.round((Date.UTC(+m[1], +m[2] - 1, +m[3]) - SHARE_EPOCH) / DAY_MS) : -1;
+  if (!(day >= 0)) {
+    throw new Error(`Cannot encode share code for date "${date}"`);
+  }
+  const tenths = Math.max(0, Math.min(TIME_BITS - 1, Math.round(time * 10)));
+  const payload = ((day * 2 + (escaped ? 1 : 0)) * TIME_BITS + tenths).toString(36).toUpperCase();
+  return `CC-${payload}-${checkDigit(payload)}`;
+}
+
+/**
+ * Decode a share code.
+ * @param {string} code - Share code from encodeShareCode
+ * @returns {{date: string, escaped: boolean, time: number}} Date key, outcome and time in seconds
+ * @throws {Error} If the code is malformed or fails its check digit
+ */
+export function decodeShareCode(code) {
+  const m = /^CC-([0-9A-Z]+)-([0-9A-Z])$/.exec(String(code).trim().toUpperCase());
+  if (!m || checkDigit(m[1]) !== m[2]) {
+    throw new Error(`Invalid share code "${code}"`);
+  }
+  const value = parseInt(m[1], 36);
+  const tenths = value % TIME_BITS;
+  const rest = Math.floor(value / TIME_BITS);
+  const day = Math.floor(rest / 2);
+  return {
+    date: new Date(SHARE_EPOCH + day * DAY_MS).toISOString().slice(0, 10),
+    escaped: rest % 2 === 1,
+    time: tenths / 10,
+  };
+}
+
+/**
+ * Daily challenge controller.
+ * Puts a game on the day's level in single-level mode and records every
+ * attempt (escaped or caught, and the time) in storage (localStorage in
+ * the browser; nothing is saved when no storage is available).
+ */
+export class DailyChallenge {
+  /**
+   * Create a daily challenge controller. It does nothing until start() is called.
+   * Create it before other listeners so attempts are recorded by the time they run.
+   * @param {Game} game - Game to run
+   * @param {Object} options - Controller options
+   * @param {Storage|null} options.storage - Where attempts are kept (defaults to localStorage if present)
+   * @param {string} options.storageKey - Storage key (default DAILY_STORAGE_KEY)
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? DAILY_STORAGE_KEY;
+
+    /** Whether daily mode is on */
+    this.active = false;
+
+    /** Date key of the challenge being played */
+    this.date = null;
+
+    /** The day's level definition */
+    this.level = null;
+
+    /** Attempts by date key: {[date]: [{escaped, time}]} */
+    this.history = this._load();
+
+    game.on(GameEvent.CAUGHT, ({ timeAlive }) => this._record(false, timeAlive));
+    game.on(GameEvent.LEVEL_COMPLETE, ({ timeAlive }) => this._record(true, timeAlive));
+  }
+
+  /**
+   * Start (or retry) the challenge for a day.
+   * @param {Date} date - Day to play (default today)
+   */
+  start(date = new Date()) {
+    const key = dateKey(date);
+    if (key !== this.date) {
+      this.date = key;
+      this.level = dailyLevel(key, this.game.cols, this.game.rows);
+    }
+    this.active = true;
+    this.game.singleLevel = true;
+    const level = this.level;
+    this.game.setLevelSource(() => level);
+    this.game.reset(1, dailySeed(key), Config.Difficulty.NORMAL); // Same run for everyone, whatever their setting
+  }
+
+  /**
+   * Leave daily mode. The game keeps its current level source until the caller replaces it.
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.game.singleLevel = false;
+  }
+
+  /**
+   * Attempts recorded for a day.
+   * @param {string} key - Date key (default the challenge being played)
+   * @returns {Array<{escaped: boolean, time: number}>} Attempts, oldest first
+   */
+  getAttempts(key = this.date) {
+    return this.history[key] ?? [];
+  }
+
+  /**
+   * Best attempt for a day: the fastest escape, or the longest survival if never escaped.
+   * @param {string} key - Date key (default the challenge being played)
+   * @returns {{escaped: boolean, time: number}|null} Best attempt
+   */
+  getBest(key = this.date) {
+    let best = null;
+    for (const a of this.getAttempts(key)) {
+      if (!best ||
+          (a.escaped && (!best.escaped || a.time < best.time)) ||
+          (!a.escaped && !best.escaped && a.time > best.time)) {
+        best = a;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Shareable text for an attempt.
+   * @param {{escaped: boolean, time: number}} attempt - Attempt (default the latest)
+   * @returns {string} One line with the result and its share code
+   */
+  shareText(attempt = this.getAttempts().at(-1)) {
+    if (!attempt) return '';
+    const outcome = attempt.escaped ? `escaped in ${attempt.time.toFixed(1)}s` : `caught after ${attempt.time.toFixed(1)}s`;
+    const code = encodeShareCode({ date: this.date, ...attempt });
+    return `Crumb Chase daily ${this.date}: ${outcome} ${code}`;
+  }
+
+  /**
+   * Record the end of an attempt.
+   * @param {boolean} escaped - True if the mouse reached the hole
+   * @param {number} time - Seconds played
+   * @private
+   */
+  _record(escaped, time) {
+    if (!this.active) return;
+    const attempts = this.history[this.date] ?? (this.history[this.date] = []);
+    attempts.push({ escaped, time: Math.round(time * 10) / 10 });
+
+    // Forget the oldest days
+    const days = Object.keys(this.history).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - Config.DAILY_KEEP_DAYS))) {
+      delete this.history[day];
+    }
+    this._save();
+  }
+
+  /**
+   * Read attempts from storage.
+   * @returns {Object} Attempts by date key
+   * @private
+   */
+  _load() {
+    if (!this.storage) return {};
+    try {
+      const history = JSON.parse(this.storage.getItem(this.storageKey));
+      return history && typeof history === 'object' ? history : {};
+    } catch (e) {
+      console.error('Failed to load daily attempts:', e);
+      return {};
+    }
+  }
+
+  /**
+   * Write attempts to storage.
+   * @private
+   */
+  _save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.history));
+    } catch (e) {
+      console.error('Failed to save daily attempts:', e);
+    }
+  }
+}
@@ -0,0 +1,447 @@
+/**
+ * Crumb Chase - Level Editor Module
+ *
+ * Paints walls, pre-placed crumbs, holes and spawns onto a level definition
+ * (see level.js) and draws it with the game's Renderer. Every edit is
+ * undoable; a paint stroke counts as one edit.
+ *
+ * @module editor
+ */
+
+import * as Config from './config.js';
+import { Grid } from './grid.js';
+import { LEVEL_FORMAT_VERSION, BarrierLayout, defaultLevel, validateLevel } from './level.js';
+
+/**
+ * Editor tools.
+ */
+export const EditorTool = {
+  WALL: 'wall',
+  CRUMB: 'crumb',
+  HOLE: 'hole',
+  PLAYER: 'player',
+  CAT: 'cat',
+  ERASE: 'erase',
+};
+
+/** Maximum number of undo steps kept */
+const MAX_HISTORY = 200;
+
+/**
+ * LevelEditor class - edits a level definition on the game canvas.
+ */
+export class LevelEditor {
+  /**
+   * Create a level editor.
+   * @param {Renderer} renderer - Renderer to draw with (usually the game's)
+   * @param {Object} options - Editor options
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   * @param {number} options.tile - Pixels per grid cell (defaults to Config.TILE)
+   * @param {Object} options.level - Level definition to start from (defaults to an empty map)
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+
+    /** Grid dimensions being edited */
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+    this.tile = options.tile ?? Config.TILE;
+
+    /** Level definition being edited (plain data, level.js format) */
+    this.level = this._emptyLevel();
+
+    /** Preview grid rebuilt from the level after each edit */
+    this.grid = new Grid(this.cols, this.rows);
+
+    /** Active tool */
+    this.tool = EditorTool.WALL;
+
+    /** Undo/redo history as serialized levels */
+    this.undoStack = [];
+    this.redoStack = [];
+
+    /** Cell under the pointer, for the cursor highlight */
+    this.hoverCell = null;
+
+    /** In-progress paint stroke: { paint: boolean, before: string } */
+    this._stroke = null;
+
+    /** Whether the preview grid needs rebuilding */
+    this._dirty = true;
+
+    if (options.level) {
+      this.load(options.level, { resetHistory: true });
+    }
+  }
+
+  /**
+   * An open map with the campaign's first-level speeds and one left-edge hole.
+   * @returns {Object} Level definition
+   * @private
+   */
+  _emptyLevel() {
+    const base = defaultLevel(1, this.cols, this.rows);
+    return {
+      ...base,
+      name: 'Untitled',
+      cols: this.cols,
+      rows: this.rows,
+      player: null,
+      cats: [],
+    };
+  }
+
+  // ══════════════════════════════════════════════════════════════════════
+  // Loading and Saving
+  // ══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Replace the edited level. Undoable unless the history is reset.
+   * @param {Object} def - Level definition
+   * @param {Object} options - Load options
+   * @param {boolean} options.resetHistory - If true, clear undo/redo history
+   * @throws {Error} If the definition is invalid
+   */
+  load(def, { resetHistory = false } = {}) {
+    const level = validateLevel(def, this);
+    if (resetHistory) {
+      this.undoStack = [];
+      this.redoStack = [];
+    } else {
+      this._pushHistory();
+    }
+    this.level = { ...level, cols: this.cols, rows: this.rows };
+    this._dirty = true;
+  }
+
+  /**
+   * Start over with an empty map (undoable).
+   */
+  clearLevel() {
+    this._pushHistory();
+    this.level = { ...this._emptyLevel(), name: this.level.name };
+    this._dirty = true;
+  }
+
+  /**
+   * Get a validated copy of the edited level, ready for Game or export.
+   * @returns {Object} Level definition
+   * @throws {Error} If the level is not playable (e.g. no holes)
+   */
+  getLevel() {
+    return { ...validateLevel(this.level, this), cols: this.cols, rows: this.rows };
+  }
+
+  /**
+   * Serialize the edited level as level-file JSON.
+   * @returns {string} JSON text
+   * @throws {Error} If the level is invalid
+   */
+  toJSON() {
+    const def = this.getLevel();
+    return JSON.stringify({ ...def, version: LEVEL_FORMAT_VERSION }, null, 2);
+  }
+
+  /**
+   * Change a level property such as name, speedFactor, crumbSpeedFactor or barrier (undoable).
+   * @param {string} key - Property name
+   * @param {*} value - New value
+   */
+  setProperty(key, value) {
+    if (this.level[key] === value) return;
+    this._pushHistory();
+    this.level = { ...this.level, [key]: value };
+    this._dirty = true;
+  }
+
+  // ══════════════════════════════════════════════════════════════════════
+  // Undo / Redo
+  // ══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Record the current level as an undo step and drop the redo history.
+   * @param {string} serialized - Level to record (defaults to the current one)
+   * @private
+   */
+  _pushHistory(serialized = JSON.stringify(this.level)) {
+    this.undoStack.push(serialized);
+    if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  /** @returns {boolean} True if there is an edit to undo */
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /** @returns {boolean} True if there is an undone edit to redo */
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undo the last edit.
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    if (!this.canUndo) return false;
+    this.redoStack.push(JSON.stringify(this.level));
+    this.level = JSON.parse(this.undoStack.pop());
+    this._dirty = true;
+    return true;
+  }
+
+  /**
+   * Redo the last undone edit.
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    if (!this.canRedo) return false;
+    this.undoStack.push(JSON.stringify(this.level));
+    this.level = JSON.parse(this.redoStack.pop());
+    this._dirty = true;
+    return true;
+  }
+
+  // ══════════════════════════════════════════════════════════════════════
+  // Pointer Input
+  // ══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Convert a canvas position (CSS pixels) to a grid cell.
+   * @param {number} x - X in pixels
+   * @param {number} y - Y in pixels
+   * @returns {{c: number, r: number}|null} Cell, or null outside the grid
+   */
+  cellFromPoint(x, y) {
+    const c = Math.floor(x / this.tile);
+    const r = Math.floor(y / this.tile);
+    return this.grid.inBounds(c, r) ? { c, r } : null;
+  }
+
+  /**
+   * Start an edit at a cell. Wall and crumb strokes paint if the first cell
+   * is empty and erase if it already holds one; other tools act once.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   */
+  pointerDown(c, r) {
+    const before = JSON.stringify(this.level);
+    let paint = true;
+    if (this.tool === EditorTool.WALL) paint = !this._hasCell(this.level.walls, c, r);
+    if (this.tool === EditorTool.CRUMB) paint = !this._hasCell(this.level.crumbs, c, r);
+
+    this._stroke = { paint, before };
+    this._apply(c, r, paint);
+  }
+
+  /**
+   * Continue a stroke into another cell (drag).
+   * @param {number} c - Column
+   * @param {number} r - Row
+   */
+  pointerMove(c, r) {
+    this.hoverCell = { c, r };
+    if (!this._stroke) return;
+    const tool = this.tool;
+    if (tool === EditorTool.WALL || tool === EditorTool.CRUMB || tool === EditorTool.ERASE) {
+      this._apply(c, r, this._stroke.paint);
+    }
+  }
+
+  /**
+   * Finish the current stroke, recording it as one undo step if anything changed.
+   */
+  pointerUp() {
+    if (!this._stroke) return;
+    const { before } = this._stroke;
+    this._stroke = null;
+    if (before !== JSON.stringify(this.level)) {
+      this._pushHistory(before);
+    }
+  }
+
+  /**
+   * Forget the hovered cell (pointer left the canvas).
+   */
+  pointerLeave() {
+    this.hoverCell = null;
+    this.pointerUp();
+  }
+
+  // ══════════════════════════════════════════════════════════════════════
+  // Editing
+  // ══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Check whether a [c, r, ...] cell list contains a cell.
+   * @param {Array<Array<number>>} list - Cell list
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {boolean} True if the cell is in the list
+   * @private
+   */
+  _hasCell(list, c, r) {
+    return list.some(cell => cell[0] === c && cell[1] === r);
+  }
+
+  /**
+   * Remove a cell from a [c, r, ...] cell list.
+   * @param {Array<Array<number>>} list - Cell list
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {Array<Array<number>>} New list without the cell
+   * @private
+   */
+  _withoutCell(list, c, r) {
+    return list.filter(cell => cell[0] !== c || cell[1] !== r);
+  }
+
+  /**
+   * Remove everything except holes that occupies a cell. A portal on the
+   * cell goes with its partner.
+   * @param {Object} level - Level definition to modify in place
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @private
+   */
+  _clearCell(level, c, r) {
+    level.walls = this._withoutCell(level.walls, c, r);
+    level.crumbs = this._withoutCell(level.crumbs, c, r);
+    level.portals = (level.portals ?? []).filter(pair => !this._hasCell(pair, c, r));
+    level.cats = level.cats.filter(cat => cat.c !== c || cat.r !== r);
+    if (level.player && level.player.c === c && level.player.r === r) {
+      level.player = null;
+    }
+  }
+
+  /**
+   * Apply the active tool to one cell.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @param {boolean} paint - False when the stroke erases (wall and crumb tools)
+   * @private
+   */
+  _apply(c, r, paint) {
+    if (!this.grid.inBounds(c, r)) return;
+    const level = { ...this.level };
+    const holeIndex = level.holes.findIndex(hole => hole.c === c && hole.r === r);
+
+    switch (this.tool) {
+      case EditorTool.WALL:
+        if (paint) {
+          if (this._hasCell(level.walls, c, r) || this.grid.isHoleCell(c, r)) return;
+          this._clearCell(level, c, r);
+          level.walls = [...level.walls, [c, r]];
+        } else {
+          level.walls = this._withoutCell(level.walls, c, r);
+        }
+        break;
+
+      case EditorTool.CRUMB:
+        if (paint) {
+          if (this._hasCell(level.crumbs, c, r) || this._hasCell(level.walls, c, r) ||
+              this.grid.isHoleCell(c, r) || this.grid.isPortal(c, r)) return;
+          level.crumbs = [...level.crumbs, [c, r]];
+        } else {
+          level.crumbs = this._withoutCell(level.crumbs, c, r);
+        }
+        break;
+
+      case EditorTool.HOLE:
+        // Click a hole's center to remove it, anywhere else to add one
+        if (holeIndex !== -1) {
+          level.holes = level.holes.filter((_, i) => i !== holeIndex);
+        } else {
+          const onEdge = c === 0 || r === 0 || c === this.cols - 1 || r === this.rows - 1;
+          level.walls = this._withoutCell(level.walls, c, r);
+          level.portals = (level.portals ?? []).filter(pair => !this._hasCell(pair, c, r));
+          level.holes = [...level.holes, {
+            c,
+            r,
+            halfSize: onEdge ? Config.HOLE_HALF_HEIGHT : 0,
+            barrier: BarrierLayout.RING,
+          }];
+        }
+        break;
+
+      case EditorTool.PLAYER:
+        if (this.grid.isHoleCell(c, r) || this.grid.isPortal(c, r)) return;
+        level.walls = this._withoutCell(level.walls, c, r);
+        level.player = { c, r };
+        break;
+
+      case EditorTool.CAT:
+        // Click a cat to remove it, anywhere else to add one
+        if (level.cats.some(cat => cat.c === c && cat.r === r)) {
+          level.cats = level.cats.filter(cat => cat.c !== c || cat.r !== r);
+        } else {
+          if (this.grid.isHoleCell(c, r) || this.grid.isPortal(c, r)) return;
+          level.walls = this._withoutCell(level.walls, c, r);
+          level.cats = [...level.cats, { c, r }];
+        }
+        break;
+
+      case EditorTool.ERASE:
+        this._clearCell(level, c, r);
+        if (holeIndex !== -1) {
+          level.holes = level.holes.filter((_, i) => i !== holeIndex);
+        }
+        break;
+
+      default:
+        return;
+    }
+
+    this.level = level;
+    this._dirty = true;
+  }
+
+  // ══════════════════════════════════════════════════════════════════════
+  // Rendering
+  // ══════════════════════════════════════════════════════════════════════
+
+  /**
+   * Draw the edited level: the map through Renderer, spawns as a mouse and
+   * cats, and the cell under the pointer.
+   */
+  draw() {
+    if (this._dirty) {
+      this.grid.applyLevel(this.level);
+      this._dirty = false;
+    }
+
+    const tile = this.tile;
+    const at = (c, r) => ({ x: (c + 0.5) * tile, y: (r + 0.5) * tile });
+    const spawn = this.level.player
+      ? at(this.level.player.c, this.level.player.r)
+      : { x: Config.getPlayerSpawnX(this.cols, tile), y: Config.getPlayerSpawnY(this.rows, tile) };
+
+    const player = {
+      ...spawn,
+      prevX: spawn.x,
+      prevY: spawn.y,
+      r: tile * Config.PLAYER_RADIUS_FACTOR,
+      color: this.renderer.getCSS('--mouse'),
+    };
+    const catColor = this.renderer.getCSS('--cat');
+    const cats = this.level.cats.map(cat => {
+      const pos = at(cat.c, cat.r);
+      return {
+        ...pos,
+        prevX: pos.x,
+        prevY: pos.y,
+        r: tile * Config.CAT_RADIUS_FACTOR,
+        color: catColor,
+        strategy: cat.strategy,
+        path: [],
+      };
+    });
+
+    this.renderer.draw({ grid: this.grid, player, cats });
+    if (this.hoverCell) {
+      this.renderer.drawCellHighlight(this.hoverCell.c, this.hoverCell.r);
+    }
+  }
+}
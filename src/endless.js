@@ -0,0 +1,187 @@
+/**
+ * Crumb Chase - Endless Mode Module
+ *
+ * Endless survival: every level is built from getEndlessLevelConfig instead
+ * of LEVEL_CONFIG, so cats, speeds and crumb decay keep scaling past
+ * MAX_LEVEL, and later levels are played on generated maps.
+ * A run keeps its own score and best-run record, separate from the campaign.
+ *
+ * @module endless
+ */
+
+import * as Config from './config.js';
+import { randomSeed } from './core.js';
+import { GameEvent } from './events.js';
+import { defaultLevel, defaultCatSpawns } from './level.js';
+import { MapAlgorithm, deriveSeed, generateLevel } from './mapgen.js';
+
+/** Storage key for the best endless run */
+export const ENDLESS_BEST_KEY = 'crumbChaseEndlessBest';
+
+/**
+ * Build the definition of an endless level.
+ * @param {number} level - Level number (1 and up)
+ * @param {number} seed - Run seed (generated maps depend on it and the level)
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Object} Level definition
+ */
+export function endlessLevel(level, seed, cols = Config.COLS, rows = Config.ROWS) {
+  const params = Config.getEndlessLevelConfig(level);
+  const base = params.generatedMap
+    ? generateLevel({ seed: deriveSeed(seed, level), algorithm: MapAlgorithm.MIXED, cols, rows, params })
+    : { ...defaultLevel(1, cols, rows), cats: defaultCatSpawns(params.cats, cols, rows) };
+
+  return {
+    ...base,
+    name: `Endless ${level}`,
+    speedFactor: params.speedFactor,
+    crumbSpeedFactor: params.crumbSpeedFactor,
+    decayPerSec: params.decayPerSec,
+  };
+}
+
+/**
+ * Create a level source for an endless run.
+ * @param {number} seed - Run seed
+ * @returns {Function} (level, game) => level definition
+ */
+export function createEndlessSource(seed) {
+  return (level, game) => endlessLevel(level, seed, game.cols, game.rows);
+}
+
+/**
+ * Points for clearing an endless level.
+ * @param {number} level - Level that was cleared
+ * @param {number} timeAlive - Seconds it took
+ * @returns {number} Points (level bonus plus time under par)
+ */
+export function endlessLevelScore(level, timeAlive) {
+  const { pointsPerLevel, parTime, pointsPerSecond } = Config.ENDLESS_CONFIG;
+  return level * pointsPerLevel + Math.max(0, Math.round((parTime - timeAlive) * pointsPerSecond));
+}
+
+/**
+ * Endless run tracker.
+ * Switches a game to endless levels, scores each cleared level and keeps
+ * the best run in storage (localStorage in the browser; nothing is saved
+ * when no storage is available).
+ */
+export class EndlessRun {
+  /**
+   * Create an endless run tracker. It does nothing until start() is called.
+   * @param {Game} game - Game to run
+   * @param {Object} options - Tracker options
+   * @param {Storage|null} options.storage - Where the best run is kept (defaults to localStorage if present)
+   * @param {string} options.storageKey - Storage key (default ENDLESS_BEST_KEY)
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? ENDLESS_BEST_KEY;
+
+    /** Whether endless mode is on */
+    this.active = false;
+
+    /** Seed of the current run */
+    this.seed = 0;
+
+    /** Score of the current run */
+    this.score = 0;
+
+    /** Levels cleared in the current run */
+    this.levelsCleared = 0;
+
+    /** Best run so far: {score, levelsCleared} or null */
+    this.best = this._loadBest();
+
+    /** Whether the current run has set a new best */
+    this.newBest = false;
+
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Switch the game to endless levels and start a new run at level 1.
+   * @param {number} seed - Run seed (default random)
+   */
+  start(seed = randomSeed()) {
+    this.seed = seed >>> 0;
+    this.score = 0;
+    this.levelsCleared = 0;
+    this.newBest = false;
+    if (!this.active) {
+      this.active = true;
+      const unsubscribers = [
+        this.game.on(GameEvent.LEVEL_COMPLETE, e => this._onLevelComplete(e)),
+        this.game.on(GameEvent.PICKUP_COLLECTED, e => this._onPickup(e)),
+      ];
+      this._unsubscribe = () => unsubscribers.forEach(off => off());
+    }
+    this.game.setLevelSource(createEndlessSource(this.seed));
+    this.game.reset(1);
+  }
+
+  /**
+   * Leave endless mode. The game keeps its current level source until the caller replaces it.
+   */
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this._unsubscribe();
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Score a cleared level and update the best run.
+   * @param {{level: number, timeAlive: number}} e - levelComplete payload
+   * @private
+   */
+  _onLevelComplete({ level, timeAlive }) {
+    this.score += endlessLevelScore(level, timeAlive);
+    this.levelsCleared += 1;
+    if (!this.best || this.score > this.best.score) {
+      this.best = { score: this.score, levelsCleared: this.levelsCleared };
+      this.newBest = true;
+      this._saveBest();
+    }
+  }
+
+  /**
+   * Add a pickup's points to the run. They count toward the best run once a level is cleared.
+   * @param {{points: number}} e - pickupCollected payload
+   * @private
+   */
+  _onPickup({ points }) {
+    this.score += points;
+  }
+
+  /**
+   * Read the best run from storage.
+   * @returns {{score: number, levelsCleared: number}|null} Best run
+   * @private
+   */
+  _loadBest() {
+    if (!this.storage) return null;
+    try {
+      const best = JSON.parse(this.storage.getItem(this.storageKey));
+      return best && Number.isFinite(best.score) ? best : null;
+    } catch (e) {
+      console.error('Failed to load endless best run:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Write the best run to storage.
+   * @private
+   */
+  _saveBest() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.best));
+    } catch (e) {
+      console.error('Failed to save endless best run:', e);
+    }
+  }
+}
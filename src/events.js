@@ -0,0 +1,94 @@
+/**
+ * Crumb Chase - Events Module
+ *
+ * A minimal event emitter and the catalogue of events Game emits.
+ * Sound, analytics, scoring or the ML dashboard can subscribe with
+ * game.on(type, listener) without touching Game.update.
+ *
+ * @module events
+ */
+
+/**
+ * Event names emitted by Game, with their payloads.
+ *
+ * - crumbDropped     {c, r, strength}           Mouse left a crumb behind
+ * - crumbDecayed     {c, r, strength}           Random decay weakened a crumb (strength = what is left)
+ * - crumbEaten       {catId, c, r, strength}    A cat chewed one unit off a crumb (strength = what is left)
+ * - pathRecalculated {catId, goal: {c, r}, length}  A cat re-ran A*
+ * - playerTurned     {dirX, dirY, prevDirX, prevDirY}  Mouse committed a new direction
+ * - nearMiss         {catId, distance}          A cat came close (distance in cells) and moved away again
+ * - pickupCollected  {type, c, r, points}       Mouse collected a pickup (points is non-zero for cheese)
+ * - portalEntered    {catId, c, r, exitC, exitR}  Mouse (catId null) or a cat stepped onto a portal and came out of its partner
+ * - lifeLost         {catId, level, livesLeft}  A cat caught the mouse and it respawned (livesLeft > 0)
+ * - caught           {catId, level, timeAlive}  A cat caught the mouse on its last life (game over)
+ * - levelComplete    {level, timeAlive}         Mouse reached the hole on `level`
+ * - levelStarted     {level, catCount}          A level was (re)started
+ */
+export const GameEvent = {
+  CRUMB_DROPPED: 'crumbDropped',
+  CRUMB_DECAYED: 'crumbDecayed',
+  CRUMB_EATEN: 'crumbEaten',
+  PATH_RECALCULATED: 'pathRecalculated',
+  PLAYER_TURNED: 'playerTurned',
+  NEAR_MISS: 'nearMiss',
+  PICKUP_COLLECTED: 'pickupCollected',
+  PORTAL_ENTERED: 'portalEntered',
+  LIFE_LOST: 'lifeLost',
+  CAUGHT: 'caught',
+  LEVEL_COMPLETE: 'levelComplete',
+  LEVEL_STARTED: 'levelStarted',
+};
+
+const KNOWN_EVENTS = new Set(Object.values(GameEvent));
+
+/**
+ * Event emitter restricted to the GameEvent catalogue.
+ */
+export class EventEmitter {
+  constructor() {
+    /** Listeners by event type */
+    this._listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event.
+   * @param {string} type - GameEvent value
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    if (!KNOWN_EVENTS.has(type)) {
+      throw new Error(`Unknown game event "${type}"`);
+    }
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, []);
+    }
+    this._listeners.get(type).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Unsubscribe from an event.
+   * @param {string} type - GameEvent value
+   * @param {Function} listener - Listener previously passed to on()
+   */
+  off(type, listener) {
+    const list = this._listeners.get(type);
+    if (!list) return;
+    const i = list.indexOf(listener);
+    if (i !== -1) list.splice(i, 1);
+  }
+
+  /**
+   * Emit an event to all its listeners.
+   * @param {string} type - GameEvent value
+   * @param {Object} payload - Event payload
+   */
+  emit(type, payload) {
+    const list = this._listeners.get(type);
+    if (!list || !list.length) return;
+    for (const listener of list.slice()) {
+      listener(payload);
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Crumb Chase - Field of View Module
+ *
+ * Fog of war: in a limited-visibility mode the mouse only sees the cells
+ * around it. Radius mode reveals every cell within FOG_CONFIG.radius; sight
+ * mode also needs a clear line of sight, so walls (and crumbs, see
+ * FOG_CONFIG.crumbsBlockSight) cast shadows.
+ *
+ * FogOfWar only tracks what the mouse can see and where it last saw each
+ * cat. It never changes the simulation, so games with and without fog play
+ * out the same; the renderer and Game.getState read from it.
+ *
+ * @module fov
+ */
+
+import * as Config from './config.js';
+import { cellAt, fieldOfView } from './core.js';
+
+/** Visibility modes */
+export const FogMode = {
+  OFF: 'off',         // The whole board is visible
+  RADIUS: 'radius',   // Cells within the radius are visible
+  SIGHT: 'sight',     // Cells within the radius and in line of sight are visible
+};
+
+const FOG_MODES = new Set(Object.values(FogMode));
+
+/**
+ * What the mouse can see, and where it last saw each cat.
+ */
+export class FogOfWar {
+  /**
+   * Create a fog of war.
+   * @param {Object} options - Fog options
+   * @param {string} options.mode - FogMode value (default off)
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   * @param {number} options.tile - Pixels per grid cell (defaults to Config.TILE)
+   * @param {number} options.radius - Sight radius in cells (defaults to FOG_CONFIG.radius)
+   * @param {boolean} options.crumbsBlockSight - Whether crumbs block line of sight (defaults to FOG_CONFIG)
+   * @param {number} options.memory - Seconds a last-seen marker lasts (defaults to FOG_CONFIG.memory)
+   * @throws {Error} If the mode is unknown
+   */
+  constructor(options = {}) {
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+    this.tile = options.tile ?? Config.TILE;
+
+    /** Sight radius (cells) */
+    this.radius = options.radius ?? Config.FOG_CONFIG.radius;
+
+    /** Whether crumbs block line of sight in sight mode */
+    this.crumbsBlockSight = options.crumbsBlockSight ?? Config.FOG_CONFIG.crumbsBlockSight;
+
+    /** Seconds a last-seen marker stays */
+    this.memory = options.memory ?? Config.FOG_CONFIG.memory;
+
+    /** 1 for each cell index the mouse can see (all 1 while the fog is off) */
+    this.visible = new Uint8Array(this.cols * this.rows).fill(1);
+
+    /** Where each cat was last seen, by cat id: {x, y, age} (age in seconds) or null */
+    this.lastSeen = [];
+
+    /** Current FogMode */
+    this.mode = FogMode.OFF;
+    this.setMode(options.mode ?? FogMode.OFF);
+  }
+
+  /**
+   * Whether visibility is limited.
+   * @returns {boolean}
+   */
+  get active() {
+    return this.mode !== FogMode.OFF;
+  }
+
+  /**
+   * Change the visibility mode. Call update() afterwards to recompute the view.
+   * @param {string} mode - FogMode value
+   * @throws {Error} If the mode is unknown
+   */
+  setMode(mode) {
+    if (!FOG_MODES.has(mode)) {
+      throw new Error(`Unknown fog mode "${mode}" (expected one of ${[...FOG_MODES].join(', ')})`);
+    }
+    this.mode = mode;
+    if (!this.active) {
+      this.visible.fill(1);
+      this.lastSeen = [];
+    }
+  }
+
+  /**
+   * Forget every last-seen marker (on a new level).
+   */
+  reset() {
+    this.lastSeen = [];
+  }
+
+  /**
+   * Recompute the view from the mouse's cell, age the last-seen markers and
+   * move the markers of every cat in view to where it is now.
+   * @param {Grid} grid - Game grid (walls, crumbs and wrapping edges)
+   * @param {{x: number, y: number}} player - The mouse
+   * @param {Cat[]} cats - Cats on the level
+   * @param {number} dt - Seconds since the last update (0 to refresh without aging)
+   */
+  update(grid, player, cats, dt) {
+    if (!this.active) return;
+
+    const { c, r } = cellAt(player.x, player.y, this.tile);
+    const blocksSight = this.mode === FogMode.SIGHT
+      ? (cc, rr) => grid.isWall(cc, rr) || (this.crumbsBlockSight && grid.getCrumbStrength(cc, rr) > 0)
+      : null;
+    fieldOfView(c, r, this.radius, this.cols, this.rows, blocksSight, grid.topology, this.visible);
+
+    this.lastSeen = this.lastSeen.map(seen => {
+      if (!seen || seen.age + dt > this.memory) return null;
+      return { ...seen, age: seen.age + dt };
+    });
+    for (const cat of cats) {
+      if (this.canSee(cat.x, cat.y)) this.lastSeen[cat.id] = { x: cat.x, y: cat.y, age: 0 };
+    }
+  }
+
+  /**
+   * Whether the mouse can see a cell. Cells off the grid are never visible.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {boolean}
+   */
+  isVisible(c, r) {
+    if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) return false;
+    return this.visible[r * this.cols + c] === 1;
+  }
+
+  /**
+   * Whether the mouse can see a point.
+   * @param {number} x - X position (pixels)
+   * @param {number} y - Y position (pixels)
+   * @returns {boolean}
+   */
+  canSee(x, y) {
+    const { c, r } = cellAt(x, y, this.tile);
+    return this.isVisible(c, r);
+  }
+
+  /**
+   * Last-seen markers of the cats that are out of view now.
+   * @param {Cat[]} cats - Cats on the level
+   * @returns {Array<{id: number, x: number, y: number, age: number}>} Markers (age in seconds)
+   */
+  markers(cats) {
+    const markers = [];
+    for (const cat of cats) {
+      const seen = this.lastSeen[cat.id];
+      if (seen && !this.canSee(cat.x, cat.y)) markers.push({ id: cat.id, ...seen });
+    }
+    return markers;
+  }
+
+  /**
+   * Capture the last-seen markers as a plain object. The view itself is
+   * recomputed by update().
+   * @returns {Object} Fog snapshot
+   */
+  snapshot() {
+    return { lastSeen: this.lastSeen.map(seen => (seen ? { ...seen } : null)) };
+  }
+
+  /**
+   * Restore markers captured by snapshot(). The mode is a setting and stays as it is.
+   * @param {Object} snap - Fog snapshot
+   */
+  restore(snap) {
+    this.lastSeen = this.active ? snap.lastSeen.map(seen => (seen ? { ...seen } : null)) : [];
+  }
+}
@@ -12,18 +12,25 @@ import { Grid } from './grid.js';
 import { Player } from './player.js';
 import { Cat } from './cat.js';
 import { Renderer } from './renderer.js';
+import { createReplay, ReplayOp } from './replay.js';
+import { EventEmitter, GameEvent } from './events.js';
+import { campaignLevelSource, validateLevel } from './level.js';
+import { PickupSystem, PickupType } from './pickups.js';
+import { FogOfWar, FogMode } from './fov.js';
+import { CatCoordinator } from './coordinator.js';
+import { CatAwareness, updateAwareness } from './perception.js';
 import {
-  idx as coreIdx,
-  inBounds as coreInBounds,
-  cellAt as coreCellAt,
-  heuristic,
+  cellAt,
+  aStar,
+  createPathScratch,
+  createRng,
+  randomSeed,
+  distanceField,
+  hashString,
+  wrapCoord,
+  wrapDelta,
 } from './core.js';
 
-// Convenience wrappers using game Config constants
-const idx = (c, r) => coreIdx(c, r, Config.COLS);
-const inBounds = (c, r) => coreInBounds(c, r, Config.COLS, Config.ROWS);
-const cellAt = (x, y) => coreCellAt(x, y, Config.TILE);
-
 /**
  * Game class - main game orchestrator.
  *
@@ -39,19 +46,42 @@ export class Game {
    * Create a new game instance.
    * @param {HTMLCanvasElement|null} canvas - Canvas element for rendering (null for headless)
    * @param {Object} options - Game options
-   * @param {Function} options.onCaught - Callback when player is caught
-   * @param {Function} options.onLevelComplete - Callback when level is completed
    * @param {boolean} options.headless - If true, skip renderer creation
+   * @param {number} options.seed - Seed for all simulation randomness (default random)
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   * @param {number} options.tile - Pixels per grid cell (defaults to Config.TILE)
+   * @param {Function} options.levelSource - (level, game) => level definition (defaults to the campaign)
+   * @param {boolean} options.singleLevel - If true, reaching the hole ends the game instead of starting the next level
+   * @param {string|Object} options.difficulty - Difficulty preset or multipliers (see Config.resolveDifficulty; default Normal)
+   * @param {boolean} options.pickups - If false, no pickups spawn (default true)
+   * @param {boolean} options.observePickups - If true, getState() includes pickup features
+   * @param {number} options.lives - Lives per run (default 1: the first catch ends the game)
+   * @param {string} options.fog - Fog-of-war mode (see FogMode in fov.js; default off)
+   * @param {boolean} options.observeFog - If false, getState() sees the whole board even with fog on (default true)
    */
   constructor(canvas, options = {}) {
-    /** Grid instance - manages crumbs and hole */
-    this.grid = new Grid();
+    /** World dimensions - every subsystem takes its size from these */
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+    this.tile = options.tile ?? Config.TILE;
+
+    /** Seed the simulation random source was created from */
+    this.seed = options.seed ?? randomSeed();
+
+    /** Seeded random source shared by the grid and all cats */
+    this.random = createRng(this.seed);
+
+    /** Grid instance - manages crumbs, walls and holes */
+    this.grid = new Grid(this.cols, this.rows, this.random);
 
     /** Player instance - manages mouse position and movement */
-    this.player = new Player();
+    this.player = new Player({ cols: this.cols, rows: this.rows, tile: this.tile });
 
     /** Renderer instance - handles all drawing (null in headless mode) */
-    this.renderer = (canvas && !options.headless) ? new Renderer(canvas) : null;
+    this.renderer = (canvas && !options.headless)
+      ? new Renderer(canvas, { cols: this.cols, rows: this.rows, tile: this.tile })
+      : null;
 
     /** Array of cat instances */
     this.cats = [];
@@ -59,6 +89,48 @@ export class Game {
     /** Current level number */
     this.level = 1;
 
+    /** Provides the level definition for each level number (see level.js) */
+    this.levelSource = options.levelSource ?? campaignLevelSource;
+
+    /** Validated definition of the level being played */
+    this.levelDef = null;
+
+    /** If true, reaching the hole stops the game instead of advancing a level */
+    this.singleLevel = options.singleLevel ?? false;
+
+    /** Chosen difficulty setting, applied from the next reset (preset name or multipliers) */
+    this.difficulty = options.difficulty ?? Config.Difficulty.NORMAL;
+
+    /** Difficulty multipliers in effect since the last reset */
+    this.tuning = Config.resolveDifficulty(this.difficulty);
+
+    /** Whether pickups spawn, applied from the next reset */
+    this.pickupsEnabled = options.pickups ?? true;
+
+    /** Whether pickups spawn in the run since the last reset */
+    this.pickupsActive = this.pickupsEnabled;
+
+    /** Whether getState() includes pickup features */
+    this.observePickups = options.observePickups ?? false;
+
+    /** What the mouse can see and where it last saw each cat (see fov.js) */
+    this.fog = new FogOfWar({ cols: this.cols, rows: this.rows, tile: this.tile, mode: options.fog ?? FogMode.OFF });
+
+    /** Whether getState() is limited to what the mouse can see while the fog is on */
+    this.observeFog = options.observeFog ?? true;
+
+    /** Pickup spawning and collection (see pickups.js) */
+    this.pickups = new PickupSystem({ cols: this.cols, rows: this.rows });
+
+    /** Cheese collected since the last reset */
+    this.cheese = 0;
+
+    /** Lives each run starts with, applied from the next reset */
+    this.startingLives = options.lives ?? 1;
+
+    /** Lives left in the current run (including the one being played) */
+    this.lives = this.startingLives;
+
     /** Whether the game is currently running */
     this.running = true;
 
@@ -68,15 +140,71 @@ export class Game {
     /** Accumulator for crumb decay timing */
     this.decayAccum = 0;
 
+    /** Crumb decay attempts per second on the current level */
+    this.decayPerSec = Config.CRUMB_DECAY_PER_SEC;
+
+    /** Number of simulation ticks since the last reset */
+    this.tick = 0;
+
+    /** Input recording since the last reset (see replay.js) */
+    this.replay = createReplay({
+      seed: this.random.state >>> 0,
+      level: this.level,
+      difficulty: this.tuning,
+      pickups: this.pickupsActive,
+      lives: this.lives,
+      singleLevel: this.singleLevel,
+    });
+
     /** Currently pressed keys */
     this.keys = Object.create(null);
 
-    /** Callbacks */
-    this.onCaught = options.onCaught || null;
-    this.onLevelComplete = options.onLevelComplete || null;
+    /** Event bus - subscribe with on()/off(), see events.js for the catalogue */
+    this.events = new EventEmitter();
+
+    /** Reusable A* buffers, sized for this grid */
+    this._pathScratch = createPathScratch(this.cols * this.rows);
+
+    /** Reusable line-of-sight buffer for cat perception, sized for this grid */
+    this._sightScratch = new Uint8Array(this.cols * this.rows);
+
+    /** Walking distance from every cell to the nearest hole (see _updateHoleField) */
+    this._holeField = null;
+
+    /** Splits chasers up to surround the mouse (see coordinator.js) */
+    this.coordinator = new CatCoordinator();
+
+    /** Whether the current level has the coordinator assign chaser targets */
+    this.coordination = false;
+
+    /** Whether cats on the current level only know what they see and hear (see perception.js) */
+    this.perception = false;
 
-    /** Total cells for pathfinding arrays */
-    this._N = Config.COLS * Config.ROWS;
+    /** A* step cost for cats: walls are impassable, crumbs cost more the thicker they are */
+    this._pathCost = (c, r) => {
+      if (this.grid.isWall(c, r)) return Infinity;
+      const strength = this.grid.getCrumbStrength(c, r);
+      return strength > 0 ? Config.CRUMB_COST_FOR_CAT * strength : 1;
+    };
+  }
+
+  /**
+   * Subscribe to a game event.
+   * @param {string} type - GameEvent value (e.g. 'caught')
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Unsubscribe from a game event.
+   * @param {string} type - GameEvent value
+   * @param {Function} listener - Listener previously passed to on()
+   */
+  off(type, listener) {
+    this.events.off(type, listener);
   }
 
   /**
@@ -96,131 +224,289 @@ export class Game {
     return this.renderer.getCSS(name);
   }
 
+  /**
+   * Choose the difficulty. Takes effect on the next reset.
+   * @param {string|Object} difficulty - Preset name or multipliers (see Config.resolveDifficulty)
+   * @throws {Error} If the setting is invalid
+   */
+  setDifficulty(difficulty) {
+    Config.resolveDifficulty(difficulty);
+    this.difficulty = difficulty;
+  }
+
+  /**
+   * Choose the fog-of-war mode. Takes effect at once: fog only limits what
+   * is drawn and observed, never the simulation.
+   * @param {string} mode - FogMode value
+   * @throws {Error} If the mode is unknown
+   */
+  setFog(mode) {
+    this.fog.setMode(mode);
+    this.fog.update(this.grid, this.player, this.cats, 0);
+  }
+
+  /**
+   * Replace the level source. Takes effect on the next startLevel/reset.
+   * @param {Function|null} source - (level, game) => level definition, or null for the campaign
+   */
+  setLevelSource(source) {
+    this.levelSource = source ?? campaignLevelSource;
+  }
+
   /**
    * Start or restart a level.
    * @param {boolean} resetToLevel1 - If true, resets to level 1
+   * @throws {Error} If the level source returns an invalid level definition
    */
   startLevel(resetToLevel1 = false) {
     if (resetToLevel1) {
       this.level = 1;
     }
 
-    // Reset grid and player
-    this.grid.clear();
-    this.player.reset();
+    const def = validateLevel(this.levelSource(this.level, this), this);
+    this.levelDef = def;
+    if (!(this.level in this.replay.levels)) this.replay.levels[this.level] = def;
+    this.coordination = def.coordination;
+    this.perception = def.perception;
+
+    // Lay out the static map: walls, holes and barriers, pre-placed crumbs
+    this.grid.applyLevel(def);
+
+    // Reset player
+    this._spawnPlayer();
 
     // Set player color lazily from CSS
     if (!this.player.color) {
       this.player.color = this.getCSS('--mouse');
     }
 
-    // Get level configuration
-    const { cats: targetCats, speedFactor, crumbSpeedFactor } = Config.getLevelConfig(this.level);
-    const speedCells = Config.PLAYER_SPEED_CELLS * speedFactor;
-    const catColor = this.getCSS('--cat');
-
     // Spawn cats
-    this.cats = [];
-    for (let i = 0; i < targetCats; i++) {
-      const spawn = Config.CAT_SPAWN_GRID[i % Config.CAT_SPAWN_GRID.length];
-      const cat = Cat.fromSpawnFraction(spawn[0], spawn[1], speedCells, crumbSpeedFactor, i, catColor);
-      this.cats.push(cat);
-    }
+    const catColor = this.getCSS('--cat');
+    this.cats = def.cats.map((spawn, i) => Cat.fromCell(spawn.c, spawn.r, {
+      ...this._catEnv(),
+      id: i,
+      speedCells: Config.PLAYER_SPEED_CELLS * (spawn.speedFactor ?? def.speedFactor) * this.tuning.speed,
+      crumbSpeedFactor: Config.scaleCrumbSpeed(spawn.crumbSpeedFactor ?? def.crumbSpeedFactor, this.tuning),
+      color: catColor,
+      strategy: spawn.strategy,
+      awareness: def.perception ? CatAwareness.PATROL : CatAwareness.CHASE,
+    }));
 
     // Reset game state
     this.timeAlive = 0;
     this.decayAccum = 0;
+    this.decayPerSec = def.decayPerSec * this.tuning.decay;
     this.running = true;
 
-    // Build hole barrier
-    this.grid.buildHoleBarrier();
+    const pickupRules = def.pickups ?? Config.getPickupRules(this.level);
+    this.pickups.startLevel(this.pickupsActive ? pickupRules : { ...pickupRules, max: 0 });
+
+    this._updateHoleField();
+
+    this.fog.reset();
+    this.fog.update(this.grid, this.player, this.cats, 0);
+
+    this.events.emit(GameEvent.LEVEL_STARTED, { level: this.level, catCount: this.cats.length });
   }
 
   /**
-   * A* pathfinding from start cell to goal cell.
-   * @param {number} startC - Starting column
-   * @param {number} startR - Starting row
-   * @param {number} goalC - Goal column
-   * @param {number} goalR - Goal row
-   * @returns {Array<{c: number, r: number}>} Path as array of cells
+   * Put the player on the level's spawn cell, standing still.
+   * @private
    */
-  aStar(startC, startR, goalC, goalR) {
-    const N = this._N;
-    const start = idx(startC, startR);
-    const goal = idx(goalC, goalR);
-    if (start === goal) return [];
-
-    const g = new Float32Array(N);
-    const f = new Float32Array(N);
-    const came = new Int32Array(N);
-    const closed = new Uint8Array(N);
-
-    for (let i = 0; i < N; i++) {
-      g[i] = Infinity;
-      f[i] = Infinity;
-      came[i] = -1;
+  _spawnPlayer() {
+    const spawn = this.levelDef.player;
+    if (spawn) {
+      this.player.reset((spawn.c + 0.5) * this.tile, (spawn.r + 0.5) * this.tile);
+    } else {
+      this.player.reset();
     }
+  }
 
-    const open = new Uint8Array(N);
-    g[start] = 0;
-    f[start] = heuristic(startC, startR, goalC, goalR);
-    open[start] = 1;
-
-    const neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]];
-
-    while (true) {
-      let current = -1;
-      let bestF = Infinity;
-      for (let i = 0; i < N; i++) {
-        if (open[i] && f[i] < bestF) {
-          bestF = f[i];
-          current = i;
-        }
+  /**
+   * Recompute the walking distance from every cell to the nearest hole.
+   * Only walls count as obstacles: crumbs decay, walls and holes don't change
+   * during a level.
+   * @private
+   */
+  _updateHoleField() {
+    const sources = [];
+    this.grid.holes.forEach((hole, i) => {
+      for (const { c, r } of this.grid.getHoleCells(hole)) {
+        sources.push({ c, r, source: i });
       }
-      if (current === -1) break;
+    });
+    this._holeField = distanceField(sources, this.cols, this.rows, (c, r) => !this.grid.isWall(c, r), this.grid.topology);
+  }
 
-      open[current] = 0;
-      closed[current] = 1;
-      if (current === goal) break;
+  /**
+   * The hole the player should head for: the nearest one by walking distance,
+   * or the nearest in a straight line if no hole is reachable.
+   * @returns {{c: number, r: number}} Hole definition
+   * @private
+   */
+  _targetHole() {
+    const holes = this.grid.holes;
+    if (holes.length === 1) return holes[0];
 
-      const curC = current % Config.COLS;
-      const curR = (current / Config.COLS) | 0;
+    const pc = this.player.getCell();
+    if (this._holeField && this.grid.inBounds(pc.c, pc.r)) {
+      const nearest = this._holeField.nearest[this.grid.idx(pc.c, pc.r)];
+      if (nearest !== -1) return holes[nearest];
+    }
 
-      for (const [dc, dr] of neighbors) {
-        const nc = curC + dc;
-        const nr = curR + dr;
-        if (!inBounds(nc, nr)) continue;
+    let best = holes[0];
+    let bestDist = Infinity;
+    for (const hole of holes) {
+      const d = Math.hypot(hole.c - pc.c, hole.r - pc.r);
+      if (d < bestDist) {
+        bestDist = d;
+        best = hole;
+      }
+    }
+    return best;
+  }
 
-        const ni = idx(nc, nr);
-        if (closed[ni]) continue;
+  /**
+   * Shared options every cat in this game is created with.
+   * @returns {{random: Function, cols: number, rows: number, tile: number, wrapX: boolean, wrapY: boolean,
+   *   recalcHz: number, jitterRange: number, catchMargin: number}}
+   * @private
+   */
+  _catEnv() {
+    const t = this.tuning;
+    return {
+      random: this.random,
+      cols: this.cols,
+      rows: this.rows,
+      tile: this.tile,
+      wrapX: this.grid.wrapX,
+      wrapY: this.grid.wrapY,
+      recalcHz: Config.A_STAR_RECALC_HZ * t.recalcHz,
+      jitterRange: Math.round(Config.GOAL_JITTER_RANGE * t.jitter),
+      catchMargin: Config.CATCH_MARGIN * t.catchMargin,
+    };
+  }
 
-        const stepCost = this.grid.isCrumb(nc, nr) ? Config.CRUMB_COST_FOR_CAT : 1;
-        const tentative = g[current] + stepCost;
+  /**
+   * What cat strategies look at when they pick a goal (see cat-strategies.js).
+   * targets holds the coordinator's cell for each chaser, or is null when the
+   * level has coordination off.
+   * @returns {{grid: Grid, player: Player, playerCell: {c: number, r: number}, cats: Cat[],
+   *   hole: {c: number, r: number, halfSize: number}, targets: Map|null}} Strategy environment
+   * @private
+   */
+  _strategyEnv() {
+    return {
+      grid: this.grid,
+      player: this.player,
+      playerCell: this.player.getCell(),
+      cats: this.cats,
+      hole: this._targetHole(),
+      targets: this.coordination
+        ? this.coordinator.assign(this.grid, this.player, this.cats, this._holeField)
+        : null,
+    };
+  }
 
-        if (tentative < g[ni]) {
-          came[ni] = current;
-          g[ni] = tentative;
-          f[ni] = tentative + heuristic(nc, nr, goalC, goalR);
-          open[ni] = 1;
-        }
-      }
-    }
+  /**
+   * Reseed the simulation random source.
+   * Two games with the same seed and the same inputs play out identically.
+   * @param {number} seed - 32-bit integer seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.random.seed = this.seed;
+    this.random.state = seed | 0;
+  }
 
-    if (came[goal] === -1) return [];
+  /**
+   * Capture the full mid-episode state: grid, player, cats, timers, level,
+   * random source state and the replay recorded so far.
+   * The result is plain data (typed arrays included) and survives structuredClone
+   * and postMessage, so it can be stored, forked or sent to a worker.
+   * @returns {Object} Game snapshot
+   */
+  snapshot() {
+    return {
+      level: this.level,
+      running: this.running,
+      timeAlive: this.timeAlive,
+      decayAccum: this.decayAccum,
+      decayPerSec: this.decayPerSec,
+      tick: this.tick,
+      tuning: { ...this.tuning },
+      cheese: this.cheese,
+      lives: this.lives,
+      pickupsActive: this.pickupsActive,
+      coordination: this.coordination,
+      perception: this.perception,
+      pickups: this.pickups.snapshot(),
+      fog: this.fog.snapshot(),
+      seed: this.seed,
+      rngState: this.random.state,
+      grid: this.grid.snapshot(),
+      player: this.player.snapshot(),
+      cats: this.cats.map(cat => cat.snapshot()),
+      replay: { ...this.replay, levels: { ...this.replay.levels }, inputs: this.replay.inputs.map(input => input.slice()) },
+    };
+  }
 
-    const path = [];
-    let node = goal;
-    while (node !== start && node !== -1) {
-      path.push(node);
-      node = came[node];
-    }
-    path.reverse();
+  /**
+   * Restore a state captured by snapshot(). The snapshot is not modified
+   * and can be restored any number of times.
+   * @param {Object} snap - Game snapshot
+   */
+  restore(snap) {
+    this.tuning = Config.resolveDifficulty(snap.tuning ?? Config.Difficulty.NORMAL);
+    this.grid.restore(snap.grid);
+    this._updateHoleField();
+    this.player.restore(snap.player);
+    this.cats = snap.cats.map(c => Cat.fromSnapshot(c, this._catEnv()));
+
+    this.level = snap.level;
+    this.running = snap.running;
+    this.timeAlive = snap.timeAlive;
+    this.decayAccum = snap.decayAccum;
+    this.decayPerSec = snap.decayPerSec ?? Config.CRUMB_DECAY_PER_SEC;
+    this.cheese = snap.cheese ?? 0;
+    this.lives = snap.lives ?? 1;
+    this.pickupsActive = snap.pickupsActive ?? false;
+    this.coordination = snap.coordination ?? false;
+    this.perception = snap.perception ?? false;
+    if (snap.pickups) this.pickups.restore(snap.pickups);
+    this.tick = snap.tick;
+    this.replay = { ...snap.replay, levels: { ...snap.replay.levels }, inputs: snap.replay.inputs.map(input => input.slice()) };
+    this.levelDef = this.replay.levels[this.level] ?? this.levelDef;
+
+    // Restore the random source last: recreating cats draws from it
+    this.seed = snap.seed;
+    this.random.seed = snap.seed;
+    this.random.state = snap.rngState;
+
+    if (snap.fog) this.fog.restore(snap.fog);
+    else this.fog.reset();
+    this.fog.update(this.grid, this.player, this.cats, 0);
+  }
 
-    return path.map(p => ({ c: p % Config.COLS, r: (p / Config.COLS) | 0 }));
+  /**
+   * A* pathfinding from start cell to goal cell, across wrapping edges and
+   * through portals (a portal step lists the portal cell, then its partner).
+   * @param {number} startC - Starting column
+   * @param {number} startR - Starting row
+   * @param {number} goalC - Goal column
+   * @param {number} goalR - Goal row
+   * @returns {Array<{c: number, r: number}>} Path as array of cells
+   */
+  aStar(startC, startR, goalC, goalR) {
+    return aStar(startC, startR, goalC, goalR, this.cols, this.rows, this._pathCost, this._pathScratch,
+      this.grid.topology);
   }
 
   /**
    * Move an agent by the given delta with collision detection.
+   * Walls always block; crumbs and the grid edge block only with blockCrumb.
+   * A wrapping edge doesn't block: the agent comes out on the other side.
+   * Stepping onto a portal moves the agent to its partner (see _crossEdges).
    * @param {Object} agent - Entity with x, y position
    * @param {number} dx - Horizontal movement delta (pixels)
    * @param {number} dy - Vertical movement delta (pixels)
@@ -228,21 +514,32 @@ export class Game {
    */
   moveAgent(agent, dx, dy, blockCrumb) {
     const EPS = 1e-6;
+    const tile = this.tile;
+    const grid = this.grid;
+    const fromCell = cellAt(agent.x, agent.y, tile);
+    const blocks = (c, r) => {
+      const cell = grid.wrapCell(c, r);
+      return grid.isWall(cell.c, cell.r) || (blockCrumb && grid.isCrumb(cell.c, cell.r));
+    };
+    const onGrid = ({ c, r }) => {
+      const cell = grid.wrapCell(c, r);
+      return grid.inBounds(cell.c, cell.r);
+    };
 
     if (dx !== 0) {
-      const cc = cellAt(agent.x, agent.y);
-      const centerX = (cc.c + 0.5) * Config.TILE;
+      const cc = cellAt(agent.x, agent.y, tile);
+      const centerX = (cc.c + 0.5) * tile;
       const dir = Math.sign(dx);
       const nextC = cc.c + dir;
-      const nextBlocked = blockCrumb && (!inBounds(nextC, cc.r) || this.grid.isCrumb(nextC, cc.r));
+      const nextBlocked = blocks(nextC, cc.r);
 
       let nx = agent.x + dx;
       if (nextBlocked) {
         nx = dir > 0 ? Math.min(nx, centerX) : Math.max(nx, centerX);
       }
 
-      const cell = cellAt(nx, agent.y);
-      if (!(blockCrumb && this.grid.isCrumb(cell.c, cell.r)) && inBounds(cell.c, cell.r)) {
+      const cell = cellAt(nx, agent.y, tile);
+      if (!blocks(cell.c, cell.r) && onGrid(cell)) {
         agent.x = nx;
       }
 
@@ -252,19 +549,19 @@ export class Game {
     }
 
     if (dy !== 0) {
-      const cc = cellAt(agent.x, agent.y);
-      const centerY = (cc.r + 0.5) * Config.TILE;
+      const cc = cellAt(agent.x, agent.y, tile);
+      const centerY = (cc.r + 0.5) * tile;
       const dir = Math.sign(dy);
       const nextR = cc.r + dir;
-      const nextBlocked = blockCrumb && (!inBounds(cc.c, nextR) || this.grid.isCrumb(cc.c, nextR));
+      const nextBlocked = blocks(cc.c, nextR);
 
       let ny = agent.y + dy;
       if (nextBlocked) {
         ny = dir > 0 ? Math.min(ny, centerY) : Math.max(ny, centerY);
       }
 
-      const cell = cellAt(agent.x, ny);
-      if (!(blockCrumb && this.grid.isCrumb(cell.c, cell.r)) && inBounds(cell.c, cell.r)) {
+      const cell = cellAt(agent.x, ny, tile);
+      if (!blocks(cell.c, cell.r) && onGrid(cell)) {
         agent.y = ny;
       }
 
@@ -272,106 +569,317 @@ export class Game {
         agent.y = centerY;
       }
     }
+
+    this._crossEdges(agent, fromCell);
+  }
+
+  /**
+   * Carry an agent that just moved across a wrapping edge or through a portal.
+   * Wrapping shifts it by the width or height of the grid; a portal shifts it
+   * from the portal cell it stepped onto to the partner cell, keeping its
+   * offset within the cell. prevX/prevY shift with it so render interpolation
+   * doesn't sweep across the board.
+   * @param {Object} agent - Player or cat
+   * @param {{c: number, r: number}} fromCell - Cell the agent was in before moving
+   * @private
+   */
+  _crossEdges(agent, fromCell) {
+    const tile = this.tile;
+    const grid = this.grid;
+    const shift = (sx, sy) => {
+      agent.x += sx;
+      agent.y += sy;
+      if (agent.prevX !== undefined) {
+        agent.prevX += sx;
+        agent.prevY += sy;
+      }
+    };
+
+    shift(
+      wrapCoord(agent.x, this.cols * tile, grid.wrapX) - agent.x,
+      wrapCoord(agent.y, this.rows * tile, grid.wrapY) - agent.y
+    );
+
+    const cell = cellAt(agent.x, agent.y, tile);
+    if (cell.c === fromCell.c && cell.r === fromCell.r) return;
+    const exit = grid.portalExit(cell.c, cell.r);
+    if (!exit) return;
+
+    shift((exit.c - cell.c) * tile, (exit.r - cell.r) * tile);
+    // A cat following its path has now passed the portal waypoint
+    if (agent.path && agent.path.length && agent.path[0].c === cell.c && agent.path[0].r === cell.r) {
+      agent.path.shift();
+    }
+    this.events.emit(GameEvent.PORTAL_ENTERED, {
+      catId: agent === this.player ? null : agent.id,
+      c: cell.c,
+      r: cell.r,
+      exitC: exit.c,
+      exitR: exit.r,
+    });
+  }
+
+  /**
+   * Push a cat that drifted into a wall back out along the axis it came from.
+   * Path following never enters walls; separation and the direct-chase fallback can.
+   * @param {Cat} cat - Cat that just moved
+   * @param {number} fromX - X before this tick's movement
+   * @param {number} fromY - Y before this tick's movement
+   * @private
+   */
+  _keepOutOfWalls(cat, fromX, fromY) {
+    const tile = this.tile;
+    const inWall = (x, y) => {
+      const cell = cellAt(x, y, tile);
+      return this.grid.isWall(cell.c, cell.r);
+    };
+    if (!inWall(cat.x, cat.y)) return;
+    if (!inWall(cat.x, fromY)) {
+      cat.y = fromY;
+    } else if (!inWall(fromX, cat.y)) {
+      cat.x = fromX;
+    } else {
+      cat.x = fromX;
+      cat.y = fromY;
+    }
   }
 
   /**
    * Main game update tick.
    * @param {number} dt - Delta time in seconds
-   * @returns {{caught: boolean, levelComplete: boolean}} Update result
+   * @returns {{caught: boolean, levelComplete: boolean, lifeLost: boolean}} Update result
+   *   (caught means the game is over; lifeLost means a catch cost a life and the mouse respawned)
    */
   update(dt) {
-    if (!this.running) return { caught: false, levelComplete: false };
+    if (!this.running) return { caught: false, levelComplete: false, lifeLost: false };
+
+    const result = this._simulate(dt);
+    this.fog.update(this.grid, this.player, this.cats, dt);
+    return result;
+  }
 
+  /**
+   * Advance the simulation one tick (see update).
+   * @param {number} dt - Delta time in seconds
+   * @returns {{caught: boolean, levelComplete: boolean, lifeLost: boolean}} Update result
+   * @private
+   */
+  _simulate(dt) {
+    if (this.replay.dt === null) this.replay.dt = dt;
+    this.tick++;
     this.timeAlive += dt;
 
+    // ── Interpolation Snapshot ───────────────────────────────────────────
+    this.player.prevX = this.player.x;
+    this.player.prevY = this.player.y;
+    for (const cat of this.cats) {
+      cat.prevX = cat.x;
+      cat.prevY = cat.y;
+    }
+
     // ── Player Turns ──────────────────────────────────────────────────────
+    const prevDirX = this.player.dirX;
+    const prevDirY = this.player.dirY;
     this.player.processTurns(dt);
+    if (this.player.dirX !== prevDirX || this.player.dirY !== prevDirY) {
+      this.events.emit(GameEvent.PLAYER_TURNED, {
+        dirX: this.player.dirX,
+        dirY: this.player.dirY,
+        prevDirX,
+        prevDirY,
+      });
+    }
 
     // ── Player Movement ───────────────────────────────────────────────────
-    const prevCell = cellAt(this.player.x, this.player.y);
+    this.player.updateEffects(dt);
+    const prevCell = cellAt(this.player.x, this.player.y, this.tile);
     const delta = this.player.getMovementDelta(dt);
     this.moveAgent(this.player, delta.dx, delta.dy, true);
     this.player.snapToGrid();
 
     // ── Crumb Trail ───────────────────────────────────────────────────────
-    const curCell = cellAt(this.player.x, this.player.y);
-    if ((curCell.c !== prevCell.c || curCell.r !== prevCell.r) && inBounds(prevCell.c, prevCell.r)) {
-      if (!this.grid.isHoleCell(prevCell.c, prevCell.r)) {
-        this.grid.addCrumb(prevCell.c, prevCell.r, Config.CRUMB_STRENGTH);
+    const curCell = cellAt(this.player.x, this.player.y, this.tile);
+    let noise = null;
+    if ((curCell.c !== prevCell.c || curCell.r !== prevCell.r) && this.grid.inBounds(prevCell.c, prevCell.r)) {
+      const keepClear = this.grid.isHoleCell(prevCell.c, prevCell.r) || this.grid.isPortal(prevCell.c, prevCell.r);
+      if (!keepClear && this.player.leavesTrail) {
+        const strength = this.grid.dropCrumb(prevCell.c, prevCell.r);
+        noise = prevCell;
+        this.events.emit(GameEvent.CRUMB_DROPPED, { c: prevCell.c, r: prevCell.r, strength });
       }
     }
 
     // ── Win Condition ────────────────────────────────────────────────────
     if (this.grid.isHoleCell(curCell.c, curCell.r)) {
+      this.events.emit(GameEvent.LEVEL_COMPLETE, { level: this.level, timeAlive: this.timeAlive });
+      if (this.singleLevel) {
+        this.running = false;
+        return { caught: false, levelComplete: true, lifeLost: false };
+      }
       this.level += 1;
       this.startLevel(false);
-      if (this.onLevelComplete) {
-        this.onLevelComplete(this.level, this.cats.length);
-      }
-      return { caught: false, levelComplete: true };
+      return { caught: false, levelComplete: true, lifeLost: false };
     }
 
+    // ── Pickups ───────────────────────────────────────────────────────────
+    const pickup = this.pickups.update(dt, { grid: this.grid, playerCell: curCell, holeField: this._holeField });
+    if (pickup) this._collectPickup(pickup);
+
     // ── Cat AI ────────────────────────────────────────────────────────────
-    const playerCell = this.player.getCell();
-    const playerPos = { x: this.player.x, y: this.player.y };
+    // A catnip decoy draws the cats away from the mouse while it lasts;
+    // otherwise each cat's strategy picks its goal
+    const decoy = this.pickups.decoy;
+    const targetPos = decoy
+      ? { x: (decoy.c + 0.5) * this.tile, y: (decoy.r + 0.5) * this.tile }
+      : { x: this.player.x, y: this.player.y };
+    let strategyEnv = null;
+    let lifeLost = false;
+    const senses = { grid: this.grid, player: this.player, noise, sight: this._sightScratch };
 
     for (const cat of this.cats) {
-      // Track cell before movement
-      const prevCatCell = cat.getCell();
+      // Frozen cats skip pathing, chewing and movement, but still catch
+      const frozen = cat.frozen;
+      if (frozen) cat.frozenTime = Math.max(0, cat.frozenTime - dt);
+
+      // Perception: a cat that just spotted, lost or heard the mouse replans at once
+      if (this.perception && updateAwareness(cat, senses, dt)) {
+        cat.pathTimer = 0;
+      }
 
       // Pathfinding (also refreshes goal jitter)
-      if (cat.shouldRecalculatePath(dt)) {
-        const goal = cat.getGoalCell(playerCell);
+      if (!frozen && cat.shouldRecalculatePath(dt)) {
+        strategyEnv ??= this._strategyEnv();
+        const goal = decoy ? cat.getGoalCell(decoy, this.grid) : cat.chooseGoal(strategyEnv);
+        cat.goal = goal;
         const catCell = cat.getCell();
         cat.path = this.aStar(catCell.c, catCell.r, goal.c, goal.r);
+        this.events.emit(GameEvent.PATH_RECALCULATED, { catId: cat.id, goal, length: cat.path.length });
       }
 
-      // Calculate speed (slowed in crumbs)
-      const speedPx = cat.calculateSpeed(this.grid);
+      // Chewing: a cat on a crumb stands still and eats it one unit at a time
+      const chew = frozen ? null : cat.chew(this.grid, dt);
+      if (chew && chew.bitten) {
+        this.events.emit(GameEvent.CRUMB_EATEN, {
+          catId: cat.id,
+          c: chew.c,
+          r: chew.r,
+          strength: this.grid.getCrumbStrength(chew.c, chew.r),
+        });
+      }
 
-      // Separation steering
-      cat.applySeparation(this.cats, dt);
+      if (!frozen && !chew) {
+        // Calculate speed (slowed approaching crumbs)
+        const speedPx = cat.calculateSpeed(this.grid);
 
-      // Movement
-      cat.moveAlongPath(speedPx, dt, playerPos);
+        // Separation steering
+        cat.applySeparation(this.cats, dt);
 
-      // Crumb destruction on cell exit
-      const { changed, prevCell: oldCell } = cat.checkCellChange();
-      if (changed && this.grid.isCrumb(oldCell.c, oldCell.r)) {
-        this.grid.weakenCrumb(oldCell.c, oldCell.r, Infinity);
+        // Movement (a cat that isn't after the mouse holds its goal when it has no path)
+        const holdGoal = !decoy && cat.goal && cat.goal.chase === false;
+        cat.moveAlongPath(speedPx, dt, holdGoal
+          ? { x: (cat.goal.c + 0.5) * this.tile, y: (cat.goal.r + 0.5) * this.tile }
+          : targetPos);
+        this._crossEdges(cat, cellAt(cat.prevX, cat.prevY, this.tile));
+        this._keepOutOfWalls(cat, cat.prevX, cat.prevY);
       }
 
-      // Catch check
-      if (cat.hasCaughtPlayer(this.player)) {
-        this.running = false;
-        if (this.onCaught) {
-          this.onCaught(this.level, this.timeAlive);
+      // Catch check (a freshly respawned mouse can't be caught)
+      if (this.player.invulnerableTime <= 0 && cat.hasCaughtPlayer(this.player)) {
+        this.lives -= 1;
+        if (this.lives <= 0) {
+          this.running = false;
+          this.events.emit(GameEvent.CAUGHT, { catId: cat.id, level: this.level, timeAlive: this.timeAlive });
+          return { caught: true, levelComplete: false, lifeLost: false };
         }
-        return { caught: true, levelComplete: false };
+        // The rest of the tick plays out as usual around the respawned mouse
+        this._respawn(cat);
+        lifeLost = true;
+      }
+
+      // Near miss: the cat got close and is moving away again
+      const closest = cat.trackNearMiss(this.player);
+      if (closest !== null) {
+        this.events.emit(GameEvent.NEAR_MISS, { catId: cat.id, distance: closest });
       }
     }
 
     // ── Crumb Decay ───────────────────────────────────────────────────────
-    this.decayAccum += dt * Config.CRUMB_DECAY_PER_SEC;
+    this.decayAccum += dt * this.decayPerSec;
     while (this.decayAccum >= 1) {
       this.decayAccum -= 1;
-      this.grid.decayOneCrumb();
+      const k = this.grid.decayOneCrumb();
+      if (k !== -1) {
+        this.events.emit(GameEvent.CRUMB_DECAYED, {
+          c: k % this.cols,
+          r: (k / this.cols) | 0,
+          strength: this.grid.crumbs[k],
+        });
+      }
     }
 
-    return { caught: false, levelComplete: false };
+    return { caught: false, levelComplete: false, lifeLost };
+  }
+
+  /**
+   * Lose a life: the mouse goes back to its spawn cell and can't be caught
+   * for a moment. The map, crumbs, cats and pickups stay as they are, but
+   * close approaches so far no longer count as near misses.
+   * @param {Cat} cat - Cat that made the catch
+   * @private
+   */
+  _respawn(cat) {
+    this._spawnPlayer();
+    this.player.invulnerableTime = Config.RESPAWN_INVULNERABLE_SECS;
+    for (const other of this.cats) other.closestApproach = null;
+    this.events.emit(GameEvent.LIFE_LOST, { catId: cat.id, level: this.level, livesLeft: this.lives });
+  }
+
+  /**
+   * Apply a collected pickup and announce it.
+   * @param {{type: string, c: number, r: number}} pickup - Pickup the mouse just collected
+   * @private
+   */
+  _collectPickup(pickup) {
+    const cfg = Config.PICKUP_CONFIG;
+    let points = 0;
+    switch (pickup.type) {
+      case PickupType.CHEESE:
+        this.cheese += 1;
+        points = cfg.cheesePoints;
+        break;
+      case PickupType.SPEED:
+        this.player.speedBoostTime = cfg.speedDuration;
+        break;
+      case PickupType.NO_TRAIL:
+        this.player.noTrailTime = cfg.noTrailDuration;
+        break;
+      case PickupType.CATNIP:
+        this.pickups.placeDecoy(pickup.c, pickup.r);
+        break;
+      case PickupType.FREEZE:
+        for (const cat of this.cats) cat.frozenTime = cfg.freezeDuration;
+        break;
+    }
+    this.events.emit(GameEvent.PICKUP_COLLECTED, { type: pickup.type, c: pickup.c, r: pickup.r, points });
   }
 
   /**
    * Render the current game state.
    * @param {boolean} showPath - Whether to show debug path visualization
+   * @param {number} alpha - Interpolation factor between the previous and current tick (0-1)
+   * @param {boolean} showVision - Whether to show what the cats see and hear (levels with perception only)
    */
-  draw(showPath = false) {
+  draw(showPath = false, alpha = 1, showVision = false) {
     if (!this.renderer) return; // Skip in headless mode
     this.renderer.draw({
       grid: this.grid,
       player: this.player,
       cats: this.cats,
+      pickups: this.pickups,
+      fog: this.fog,
       showPath,
+      showVision: showVision && this.perception,
+      alpha,
     });
   }
 
@@ -381,7 +889,7 @@ export class Game {
    * @param {number} dy - Desired Y direction (-1, 0, or 1)
    */
   setInput(dx, dy) {
-    this.player.setWish(dx, dy);
+    this.setPlayerWish(dx, dy);
   }
 
   /**
@@ -390,6 +898,9 @@ export class Game {
    * @param {number} dy - Desired Y direction (-1, 0, or 1)
    */
   setPlayerWish(dx, dy) {
+    if (dx !== this.player.wishX || dy !== this.player.wishY) {
+      this.replay.inputs.push([this.tick, ReplayOp.WISH, dx, dy]);
+    }
     this.player.setWish(dx, dy);
   }
 
@@ -405,12 +916,40 @@ export class Game {
    * Stop player movement.
    */
   stopPlayer() {
-    this.player.stop();
+    const p = this.player;
+    if (p.dirX !== 0 || p.dirY !== 0 || p.wishX !== 0 || p.wishY !== 0) {
+      this.replay.inputs.push([this.tick, ReplayOp.STOP]);
+    }
+    p.stop();
+  }
+
+  /**
+   * Get the input recording since the last reset.
+   * Inputs that cannot change state (repeating the current wish, stopping
+   * while already stopped) are not recorded.
+   * @returns {Object} Replay object (see replay.js), safe to serialize
+   */
+  getReplay() {
+    return {
+      ...this.replay,
+      dt: this.replay.dt ?? Config.SIM_DT,
+      ticks: this.tick,
+      levels: { ...this.replay.levels },
+      inputs: this.replay.inputs.slice(),
+      result: {
+        level: this.level,
+        running: this.running,
+        timeAlive: this.timeAlive,
+        x: this.player.x,
+        y: this.player.y,
+      },
+    };
   }
 
   /**
    * Get current game stats for HUD display.
-   * @returns {{level: number, timeAlive: number, crumbCount: number, catSpeed: number, catCount: number}}
+   * @returns {{level: number, timeAlive: number, crumbCount: number, catSpeed: number, catCount: number,
+   *   cheese: number, lives: number, effects: {speed: number, noTrail: number, catnip: number, freeze: number}}}
    */
   getStats() {
     return {
@@ -419,6 +958,22 @@ export class Game {
       crumbCount: this.grid.countCrumbs(),
       catSpeed: this.cats.length ? this.cats[0].speedCells : 0,
       catCount: this.cats.length,
+      cheese: this.cheese,
+      lives: this.lives,
+      effects: this.getEffects(),
+    };
+  }
+
+  /**
+   * Get the pickup effects in force.
+   * @returns {{speed: number, noTrail: number, catnip: number, freeze: number}} Seconds left of each (0 when inactive)
+   */
+  getEffects() {
+    return {
+      speed: this.player.speedBoostTime,
+      noTrail: this.player.noTrailTime,
+      catnip: this.pickups.decoy ? this.pickups.decoy.time : 0,
+      freeze: this.cats.reduce((t, cat) => Math.max(t, cat.frozenTime), 0),
     };
   }
 
@@ -429,21 +984,42 @@ export class Game {
   /**
    * Reset the game environment.
    * @param {number} level - Level to start at (default 1)
+   * @param {number} seed - If given, reseed the random source before starting
+   * @param {string|Object} difficulty - Difficulty for this run only (default the chosen setting)
+   * @param {boolean} pickups - Whether pickups spawn in this run only (default pickupsEnabled)
+   * @param {number} lives - Lives for this run only (default startingLives)
    * @returns {Object} Initial observation state
    */
-  reset(level = 1) {
+  reset(level = 1, seed, difficulty = this.difficulty, pickups = this.pickupsEnabled, lives = this.startingLives) {
+    if (seed !== undefined) {
+      this.setSeed(seed);
+    }
+    this.tuning = Config.resolveDifficulty(difficulty);
+    this.pickupsActive = pickups;
+    this.lives = lives;
     this.level = level;
-    this.startLevel(true);
+    this.tick = 0;
+    this.cheese = 0;
+    this.replay = createReplay({
+      seed: this.random.state >>> 0,
+      level,
+      difficulty: this.tuning,
+      pickups,
+      lives,
+      singleLevel: this.singleLevel,
+    });
+    this.pickups.reset(hashString(`pickups:${this.replay.seed}`));
+    this.startLevel(false);
     return this.getState();
   }
 
   /**
    * Execute one action and return the result.
    * @param {number} action - Action index (0=left, 1=right, 2=up, 3=down, 4=stop)
-   * @param {number} dt - Time step (default 1/60)
+   * @param {number} dt - Time step (default Config.SIM_DT)
    * @returns {{state: Object, reward: number, done: boolean, info: Object}}
    */
-  step(action, dt = 1 / 60) {
+  step(action, dt = Config.SIM_DT) {
     // Map action to input
     const actions = [
       [-1, 0],  // 0: left
@@ -462,14 +1038,15 @@ export class Game {
       }
     }
 
-    // Run update
-    const prevDistToHole = this._distanceToHole();
+    // Run update (progress is measured to one hole, even if the nearest one changes during the tick)
+    const hole = this._targetHole();
+    const prevDistToHole = this._distanceToHole(hole);
     const result = this.update(dt);
-    const newDistToHole = this._distanceToHole();
+    const newDistToHole = this._distanceToHole(hole);
 
     // Calculate reward
     let reward = 0;
-    if (result.caught) {
+    if (result.caught || result.lifeLost) {
       reward = -100;
     } else if (result.levelComplete) {
       reward = 100;
@@ -483,7 +1060,7 @@ export class Game {
 
       // Danger penalty: proportional to proximity (closer = worse)
       const minCatDist = this._minDistanceToCat();
-      const dangerRadius = Config.TILE * 5;
+      const dangerRadius = this.tile * 5;
       if (minCatDist < dangerRadius) {
         // Scale from 0 (at edge) to -2 (very close)
         reward -= 2 * (1 - minCatDist / dangerRadius);
@@ -502,6 +1079,8 @@ export class Game {
       info: {
         caught: result.caught,
         levelComplete: result.levelComplete,
+        lifeLost: result.lifeLost,
+        lives: this.lives,
         timeAlive: this.timeAlive,
         level: this.level,
       },
@@ -510,25 +1089,39 @@ export class Game {
 
   /**
    * Get the current observation state for ML.
+   * With observePickups on, it also has the nearest pickup (dirToPickupX/Y,
+   * distToPickup; 0/0/1 when there is none) and the effects in force
+   * (speedBoost, noTrail, catnip, catsFrozen, as the fraction of their time left).
+   *
+   * While the fog is on (and observeFog is set) the state is a partial
+   * observation: the nearest cat is the nearest one in view, or else the
+   * most recent last-seen marker, and catVisible says which (1 in view,
+   * 0 remembered or none seen). Pickups out of view are left out. The holes
+   * and the cells next to the mouse are always known.
    * @returns {Object} Normalized state features
    */
   getState() {
     const playerCell = this.player.getCell();
-    const holeC = 0;
-    const holeR = this.grid.hole.r;
+    const partial = this.observeFog && this.fog.active;
+    const { c: holeC, r: holeR } = this._targetHole();
 
     // Direction to hole
     const dHoleX = holeC - playerCell.c;
     const dHoleY = holeR - playerCell.r;
     const dHoleDist = Math.hypot(dHoleX, dHoleY) || 1;
 
-    // Nearest cat
+    // Nearest cat (under fog: nearest in view, else the freshest marker)
     let nearestCatDist = Infinity;
     let nearestCatDx = 0;
     let nearestCatDy = 0;
-    for (const cat of this.cats) {
-      const dx = cat.x - this.player.x;
-      const dy = cat.y - this.player.y;
+    const inView = partial ? this.cats.filter(cat => this.fog.canSee(cat.x, cat.y)) : this.cats;
+    let seen = inView;
+    if (partial && !inView.length) {
+      const markers = this.fog.markers(this.cats).sort((a, b) => a.age - b.age);
+      seen = markers.slice(0, 1);
+    }
+    for (const cat of seen) {
+      const { dx, dy } = this._offset(this.player.x, this.player.y, cat.x, cat.y);
       const d = Math.hypot(dx, dy);
       if (d < nearestCatDist) {
         nearestCatDist = d;
@@ -538,47 +1131,103 @@ export class Game {
     }
     const catDist = nearestCatDist || 1;
 
-    // Adjacent crumbs
+    // Adjacent crumbs and walls
     const c = playerCell.c;
     const r = playerCell.r;
+    const grid = this.grid;
+    const crumbAt = (cc, rr) => {
+      const cell = grid.wrapCell(cc, rr);
+      return grid.getCrumbStrength(cell.c, cell.r) > 0 ? 1 : 0;
+    };
+    const wallAt = (cc, rr) => {
+      const cell = grid.wrapCell(cc, rr);
+      return grid.isBlocked(cell.c, cell.r) ? 1 : 0;
+    };
 
-    return {
+    const state = {
       // Position (normalized)
-      playerX: this.player.x / (Config.COLS * Config.TILE),
-      playerY: this.player.y / (Config.ROWS * Config.TILE),
+      playerX: this.player.x / (this.cols * this.tile),
+      playerY: this.player.y / (this.rows * this.tile),
 
       // Direction to hole
       dirToHoleX: dHoleX / dHoleDist,
       dirToHoleY: dHoleY / dHoleDist,
 
       // Distance to hole (normalized)
-      distToHole: dHoleDist / Math.hypot(Config.COLS, Config.ROWS),
+      distToHole: dHoleDist / Math.hypot(this.cols, this.rows),
 
       // Nearest cat info
-      distToCat: nearestCatDist / (Math.hypot(Config.COLS, Config.ROWS) * Config.TILE),
+      distToCat: nearestCatDist / (Math.hypot(this.cols, this.rows) * this.tile),
       dirToCatX: nearestCatDx / catDist,
       dirToCatY: nearestCatDy / catDist,
 
-      // Adjacent crumbs
-      crumbUp: this.grid.isCrumb(c, r - 1) ? 1 : 0,
-      crumbDown: this.grid.isCrumb(c, r + 1) ? 1 : 0,
-      crumbLeft: this.grid.isCrumb(c - 1, r) ? 1 : 0,
-      crumbRight: this.grid.isCrumb(c + 1, r) ? 1 : 0,
+      // Adjacent crumbs (passable for some cats, decay over time)
+      crumbUp: crumbAt(c, r - 1),
+      crumbDown: crumbAt(c, r + 1),
+      crumbLeft: crumbAt(c - 1, r),
+      crumbRight: crumbAt(c + 1, r),
+
+      // Adjacent walls (permanent; the grid edge counts as a wall unless it wraps)
+      wallUp: wallAt(c, r - 1),
+      wallDown: wallAt(c, r + 1),
+      wallLeft: wallAt(c - 1, r),
+      wallRight: wallAt(c + 1, r),
 
       // Current movement
       movingX: this.player.dirX,
       movingY: this.player.dirY,
     };
+
+    if (partial) {
+      state.catVisible = inView.length ? 1 : 0;
+    }
+    if (this.observePickups) {
+      Object.assign(state, this._pickupFeatures(playerCell, partial));
+    }
+    return state;
+  }
+
+  /**
+   * Optional pickup observation features (see getState).
+   * @param {{c: number, r: number}} playerCell - Cell the mouse is in
+   * @param {boolean} partial - If true, only pickups the mouse can see count
+   * @returns {Object} Normalized pickup features
+   * @private
+   */
+  _pickupFeatures(playerCell, partial) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const item of this.pickups.items) {
+      if (partial && !this.fog.isVisible(item.c, item.r)) continue;
+      const d = Math.hypot(item.c - playerCell.c, item.r - playerCell.r);
+      if (d < nearestDist) {
+        nearestDist = d;
+        nearest = item;
+      }
+    }
+    const cfg = Config.PICKUP_CONFIG;
+    const effects = this.getEffects();
+    const dist = nearestDist || 1;
+    return {
+      dirToPickupX: nearest ? (nearest.c - playerCell.c) / dist : 0,
+      dirToPickupY: nearest ? (nearest.r - playerCell.r) / dist : 0,
+      distToPickup: nearest ? nearestDist / Math.hypot(this.cols, this.rows) : 1,
+      speedBoost: effects.speed / cfg.speedDuration,
+      noTrail: effects.noTrail / cfg.noTrailDuration,
+      catnip: effects.catnip / cfg.catnipDuration,
+      catsFrozen: effects.freeze / cfg.freezeDuration,
+    };
   }
 
   /**
    * Calculate distance from player to hole.
+   * @param {{c: number, r: number}} hole - Hole to measure to (defaults to the target hole)
    * @returns {number} Distance in cells
    * @private
    */
-  _distanceToHole() {
+  _distanceToHole(hole = this._targetHole()) {
     const pc = this.player.getCell();
-    return Math.hypot(pc.c - 0, pc.r - this.grid.hole.r);
+    return Math.hypot(pc.c - hole.c, pc.r - hole.r);
   }
 
   /**
@@ -589,9 +1238,26 @@ export class Game {
   _minDistanceToCat() {
     let min = Infinity;
     for (const cat of this.cats) {
-      const d = Math.hypot(cat.x - this.player.x, cat.y - this.player.y);
+      const { dx, dy } = this._offset(this.player.x, this.player.y, cat.x, cat.y);
+      const d = Math.hypot(dx, dy);
       if (d < min) min = d;
     }
     return min;
   }
+
+  /**
+   * Offset from one point to another, the short way across wrapping edges.
+   * @param {number} fromX - Start X (pixels)
+   * @param {number} fromY - Start Y (pixels)
+   * @param {number} toX - End X (pixels)
+   * @param {number} toY - End Y (pixels)
+   * @returns {{dx: number, dy: number}} Offset in pixels
+   * @private
+   */
+  _offset(fromX, fromY, toX, toY) {
+    return {
+      dx: wrapDelta(toX - fromX, this.cols * this.tile, this.grid.wrapX),
+      dy: wrapDelta(toY - fromY, this.rows * this.tile, this.grid.wrapY),
+    };
+  }
 }
@@ -1,19 +1,22 @@
 /**
  * Crumb Chase - Grid Module
  *
- * Manages the game grid including crumbs and the escape hole.
+ * Manages the game grid including crumbs, walls, portals, wrapping edges
+ * and the escape holes.
  * The grid is a flat array where each cell can contain a crumb with a strength value.
  *
  * @module grid
  */
 
 import * as Config from './config.js';
+import { createTopology, wrapCoord } from './core.js';
+import { WrapMode, holeCells, holeSide, wrapAxes } from './level.js';
 
 /**
- * Grid class - manages crumbs and hole state.
+ * Grid class - manages crumbs, walls and hole state.
  *
  * The grid uses a flat Float32Array for crumb storage where:
- * - Position is implicit via index: index = r * COLS + c
+ * - Position is implicit via index: index = r * cols + c
  * - Value > 0 means crumb exists with that strength
  * - Value = 0 means empty cell
  */
@@ -22,27 +25,56 @@ export class Grid {
    * Create a new grid.
    * @param {number} cols - Number of columns (defaults to Config.COLS)
    * @param {number} rows - Number of rows (defaults to Config.ROWS)
+   * @param {Function} random - Random source returning [0, 1) (defaults to Math.random)
    */
-  constructor(cols = Config.COLS, rows = Config.ROWS) {
+  constructor(cols = Config.COLS, rows = Config.ROWS, random = Math.random) {
     this.cols = cols;
     this.rows = rows;
     this.n = cols * rows;
 
+    /** Random source for crumb decay */
+    this.random = random;
+
     /** Crumb storage - strength value at each cell */
     this.crumbs = new Float32Array(this.n);
 
-    /** Set of cell indices forming the barrier ring around the hole */
+    /** How many times the mouse has left each cell this level (trail crumbs thicken with visits) */
+    this.visits = new Uint8Array(this.n);
+
+    /** Permanent wall tiles from the level definition (1 = wall) */
+    this.walls = new Uint8Array(this.n);
+
+    /** Indices of non-wall cells, rebuilt lazily after walls change */
+    this._openCells = null;
+
+    /** Set of cell indices forming the barrier rings around the holes */
     this.ringSet = new Set();
 
-    /** Set of cell indices that are part of the open hole (win zone) */
+    /** Set of cell indices that are part of an open hole (win zone) */
     this.holeOpenSet = new Set();
 
-    /** Hole position and dimensions */
-    this.hole = {
+    /** Which edges wrap around to the opposite side (WrapMode value) */
+    this.wrap = WrapMode.NONE;
+    this.wrapX = false;
+    this.wrapY = false;
+
+    /** Portal pairs [[c1, r1], [c2, r2]]: stepping onto one cell lands on the other */
+    this.portals = [];
+
+    /** Wrapping edges and portal links for pathfinding (see core.createTopology), null if neither */
+    this.topology = null;
+
+    /**
+     * Escape holes: center cell, half size and barrier ('ring' or 'none').
+     * A hole on an edge spans 2*halfSize+1 cells along that edge; a hole
+     * inside the map is a (2*halfSize+1)-cell square.
+     */
+    this.holes = [{
       c: Config.HOLE_COLUMN,
-      r: Config.getHoleRow(),
-      halfHeight: Config.HOLE_HALF_HEIGHT,
-    };
+      r: Config.getHoleRow(rows),
+      halfSize: Config.HOLE_HALF_HEIGHT,
+      barrier: 'ring',
+    }];
   }
 
   /**
@@ -65,8 +97,19 @@ export class Grid {
     return c >= 0 && r >= 0 && c < this.cols && r < this.rows;
   }
 
+  /**
+   * Check if a cell can never be entered: out of bounds or a wall.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {boolean} True if cell is a wall or out of bounds
+   */
+  isBlocked(c, r) {
+    return !this.inBounds(c, r) || this.walls[this.idx(c, r)] === 1;
+  }
+
   /**
    * Check if a cell contains a crumb (or is out of bounds, which acts as a wall).
+   * Wall cells never hold crumbs; use isWall/isBlocked to test for them.
    * @param {number} c - Column
    * @param {number} r - Row
    * @returns {boolean} True if cell has crumb or is out of bounds
@@ -75,6 +118,123 @@ export class Grid {
     return this.inBounds(c, r) ? this.crumbs[this.idx(c, r)] > 0 : true;
   }
 
+  /**
+   * Check if a cell is a permanent wall.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {boolean} True if cell is a wall (false out of bounds)
+   */
+  isWall(c, r) {
+    return this.inBounds(c, r) && this.walls[this.idx(c, r)] === 1;
+  }
+
+  /**
+   * Place or remove a permanent wall. Placing a wall removes any crumb on the cell.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @param {boolean} wall - True to place a wall, false to remove it
+   */
+  setWall(c, r, wall = true) {
+    if (this.inBounds(c, r)) {
+      const k = this.idx(c, r);
+      this.walls[k] = wall ? 1 : 0;
+      if (wall) {
+        this.crumbs[k] = 0;
+        this.ringSet.delete(k);
+      }
+      this._openCells = null;
+    }
+  }
+
+  /**
+   * Set which edges wrap around and where the portals are.
+   * Crumbs already on portal cells are removed: portal cells never hold crumbs.
+   * @param {string} wrap - WrapMode value
+   * @param {Array<Array<Array<number>>>} portals - Portal pairs [[c1, r1], [c2, r2]]
+   */
+  setTopology(wrap = WrapMode.NONE, portals = []) {
+    const { wrapX, wrapY } = wrapAxes(wrap);
+    this.wrap = wrap;
+    this.wrapX = wrapX;
+    this.wrapY = wrapY;
+    this.portals = portals.map(pair => pair.map(([c, r]) => [c, r]));
+    this.topology = (wrapX || wrapY || this.portals.length)
+      ? createTopology(this.cols, this.rows, { wrapX, wrapY, portals: this.portals })
+      : null;
+    for (const pair of this.portals) {
+      for (const [c, r] of pair) {
+        const k = this.idx(c, r);
+        this.crumbs[k] = 0;
+        this.ringSet.delete(k);
+      }
+    }
+  }
+
+  /**
+   * Bring a cell across any wrapping edge it lies beyond.
+   * @param {number} c - Column (may be outside the grid)
+   * @param {number} r - Row (may be outside the grid)
+   * @returns {{c: number, r: number}} The same cell on a grid without wrapping
+   */
+  wrapCell(c, r) {
+    return { c: wrapCoord(c, this.cols, this.wrapX), r: wrapCoord(r, this.rows, this.wrapY) };
+  }
+
+  /**
+   * The cell (c + dc, r + dr), or if that is a wall or off the grid, the
+   * furthest open cell short of it on the line from (c, r).
+   * @param {number} c - Start column
+   * @param {number} r - Start row
+   * @param {number} dc - Column offset
+   * @param {number} dr - Row offset
+   * @returns {{c: number, r: number}} Cell along the line ((c, r) itself if nothing else is open)
+   */
+  openCellToward(c, r, dc, dr) {
+    const steps = Math.max(Math.abs(dc), Math.abs(dr));
+    for (let k = steps; k > 0; k--) {
+      const cell = this.wrapCell(c + Math.round((dc * k) / steps), r + Math.round((dr * k) / steps));
+      if (!this.isBlocked(cell.c, cell.r)) return cell;
+    }
+    return { c, r };
+  }
+
+  /**
+   * Check if a cell is one end of a portal.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {boolean} True if the cell is a portal
+   */
+  isPortal(c, r) {
+    return this.topology !== null && this.inBounds(c, r) && this.topology.links[this.idx(c, r)] !== -1;
+  }
+
+  /**
+   * Get the cell a portal leads to.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {{c: number, r: number}|null} Partner cell, or null if the cell is not a portal
+   */
+  portalExit(c, r) {
+    if (!this.isPortal(c, r)) return null;
+    const k = this.topology.links[this.idx(c, r)];
+    return { c: k % this.cols, r: (k / this.cols) | 0 };
+  }
+
+  /**
+   * Get the indices of all non-wall cells.
+   * @returns {Int32Array} Open cell indices in ascending order
+   */
+  getOpenCells() {
+    if (!this._openCells) {
+      const open = [];
+      for (let k = 0; k < this.n; k++) {
+        if (!this.walls[k]) open.push(k);
+      }
+      this._openCells = Int32Array.from(open);
+    }
+    return this._openCells;
+  }
+
   /**
    * Get crumb strength at a cell.
    * @param {number} c - Column
@@ -87,6 +247,7 @@ export class Grid {
 
   /**
    * Add or strengthen a crumb at a cell. Takes the max of existing and new strength.
+   * Walls and portal cells never hold crumbs.
    * @param {number} c - Column
    * @param {number} r - Row
    * @param {number} strength - Crumb thickness to set
@@ -94,10 +255,28 @@ export class Grid {
   addCrumb(c, r, strength = Config.CRUMB_STRENGTH) {
     if (this.inBounds(c, r)) {
       const k = this.idx(c, r);
+      if (this.walls[k] || this.isPortal(c, r)) return;
       this.crumbs[k] = Math.max(this.crumbs[k], strength);
     }
   }
 
+  /**
+   * Drop a trail crumb as the mouse leaves a cell. Every visit to the same
+   * cell makes the crumb one CRUMB_STRENGTH thicker, up to CRUMB_MAX_STRENGTH,
+   * even if the earlier crumb has decayed in between.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {number} Crumb strength now at the cell (0 if nothing was dropped)
+   */
+  dropCrumb(c, r) {
+    if (!this.inBounds(c, r)) return 0;
+    const k = this.idx(c, r);
+    if (this.walls[k] || this.isPortal(c, r)) return 0;
+    if (this.visits[k] < 255) this.visits[k]++;
+    this.addCrumb(c, r, Math.min(Config.CRUMB_MAX_STRENGTH, this.visits[k] * Config.CRUMB_STRENGTH));
+    return this.crumbs[k];
+  }
+
   /**
    * Reduce crumb strength at a cell. Removes from ringSet if fully depleted.
    * @param {number} c - Column
@@ -141,70 +320,214 @@ export class Grid {
   }
 
   /**
-   * Clear all crumbs and reset hole sets.
+   * Clear all crumbs, walls and portals, turn off wrapping and reset hole sets.
    */
   clear() {
     this.crumbs.fill(0);
+    this.visits.fill(0);
+    this.walls.fill(0);
+    this._openCells = null;
     this.ringSet.clear();
     this.holeOpenSet.clear();
+    this.setTopology(WrapMode.NONE, []);
+  }
+
+  /**
+   * Capture crumbs and hole state as a plain, structured-clone friendly object.
+   * @returns {Object} Grid snapshot
+   */
+  snapshot() {
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      crumbs: this.crumbs.slice(),
+      visits: this.visits.slice(),
+      walls: this.walls.slice(),
+      ringSet: Array.from(this.ringSet),
+      holeOpenSet: Array.from(this.holeOpenSet),
+      holes: this.holes.map(hole => ({ ...hole })),
+      wrap: this.wrap,
+      portals: this.portals.map(pair => pair.map(cell => cell.slice())),
+    };
+  }
+
+  /**
+   * Restore state captured by snapshot(). Dimensions must match.
+   * @param {Object} snap - Grid snapshot
+   */
+  restore(snap) {
+    if (snap.cols !== this.cols || snap.rows !== this.rows) {
+      throw new Error(`Grid snapshot is ${snap.cols}x${snap.rows}, expected ${this.cols}x${this.rows}`);
+    }
+    this.crumbs.set(snap.crumbs);
+    if (snap.visits) this.visits.set(snap.visits); else this.visits.fill(0);
+    this.walls.set(snap.walls);
+    this._openCells = null;
+    this.ringSet = new Set(snap.ringSet);
+    this.holeOpenSet = new Set(snap.holeOpenSet);
+    this.holes = snap.holes.map(hole => ({ ...hole }));
+    this.setTopology(snap.wrap ?? WrapMode.NONE, snap.portals ?? []);
   }
 
   /**
-   * Check if a cell is part of the escape hole.
+   * Check if a cell is part of an escape hole.
    * @param {number} c - Column
    * @param {number} r - Row
-   * @returns {boolean} True if cell is in the hole opening
+   * @returns {boolean} True if cell is in a hole opening
    */
   isHoleCell(c, r) {
-    return c === 0 && this.holeOpenSet.has(this.idx(c, r));
+    return this.inBounds(c, r) && this.holeOpenSet.has(this.idx(c, r));
+  }
+
+  /**
+   * Replace the escape holes. Call buildHoleBarrier() afterwards to open them.
+   * @param {Array<{c: number, r: number, halfSize: number, barrier?: string}>} holes - Hole definitions
+   */
+  setHoles(holes) {
+    this.holes = holes.map(({ c, r, halfSize, barrier = 'ring' }) => ({ c, r, halfSize, barrier }));
+  }
+
+  /**
+   * Which side of the grid a hole sits on. Corners count as left/right.
+   * @param {{c: number, r: number}} hole - Hole definition
+   * @returns {string} 'left', 'right', 'top', 'bottom' or 'inside'
+   */
+  holeSide(hole) {
+    return holeSide(hole, this.cols, this.rows);
+  }
+
+  /**
+   * Get the open cells of a hole, clipped to the grid.
+   * @param {Object} hole - Hole definition
+   * @returns {Array<{c: number, r: number}>} Hole cells
+   */
+  getHoleCells(hole) {
+    return holeCells(hole, this.cols, this.rows);
+  }
+
+  /**
+   * Add one barrier crumb unless the cell is blocked, a portal or part of a hole.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @private
+   */
+  _addBarrierCrumb(c, r) {
+    if (this.isBlocked(c, r) || this.isPortal(c, r) || this.holeOpenSet.has(this.idx(c, r))) return;
+    this.addCrumb(c, r, Config.RING_CRUMB_STRENGTH);
+    this.ringSet.add(this.idx(c, r));
   }
 
   /**
-   * Build the crumb barrier around the escape hole.
+   * Build the crumb barriers around the escape holes.
    *
-   * The hole is on the left edge of the grid. This function:
+   * This function:
    * 1. Marks the open hole cells (where player can escape)
-   * 2. Surrounds the hole with crumbs to create a protective barrier
-   * 3. Adds extra caps above/below to prevent easy circumvention
+   * 2. Surrounds each hole with crumbs to create a protective barrier
+   * 3. Adds extra caps at both ends of edge holes to prevent easy circumvention
+   *
+   * @param {string|Array<Array<number>>} layout - 'ring' for the standard
+   *   barriers (holes with barrier 'none' are left open), 'none' for open
+   *   holes, or a list of [c, r] barrier cells
    */
-  buildHoleBarrier() {
+  buildHoleBarrier(layout = 'ring') {
     this.ringSet.clear();
     this.holeOpenSet.clear();
-    const rmin = Math.max(0, this.hole.r - this.hole.halfHeight);
-    const rmax = Math.min(this.rows - 1, this.hole.r + this.hole.halfHeight);
 
-    // Mark open hole cells (the actual escape zone)
-    for (let r = rmin; r <= rmax; r++) {
-      this.holeOpenSet.add(this.idx(0, r));
+    // Mark open hole cells (the actual escape zones)
+    for (const hole of this.holes) {
+      for (const { c, r } of this.getHoleCells(hole)) {
+        this.holeOpenSet.add(this.idx(c, r));
+      }
     }
 
-    // Build rectangular barrier around hole opening
-    for (let c = 0; c <= 2; c++) {
-      for (let r = rmin - 1; r <= rmax + 1; r++) {
-        if (!this.inBounds(c, r)) continue;
-        if (c === 0 && r >= rmin && r <= rmax) continue; // Leave hole open
-        this.addCrumb(c, r, Config.RING_CRUMB_STRENGTH);
-        this.ringSet.add(this.idx(c, r));
+    if (layout === 'none') return;
+
+    // Custom layout from a level file
+    if (Array.isArray(layout)) {
+      for (const [c, r] of layout) {
+        this._addBarrierCrumb(c, r);
+      }
+      return;
+    }
+
+    for (const hole of this.holes) {
+      if (hole.barrier === 'none') continue;
+      if (this.holeSide(hole) === 'inside') {
+        this._buildInsideRing(hole);
+      } else {
+        this._buildEdgeRing(hole);
       }
     }
+  }
+
+  /**
+   * Barrier for a hole on an edge, built in edge-relative coordinates:
+   * depth d counts cells into the map, s runs along the edge.
+   * @param {Object} hole - Hole definition
+   * @private
+   */
+  _buildEdgeRing(hole) {
+    const side = this.holeSide(hole);
+    const vertical = side === 'left' || side === 'right';
+    const along = vertical ? hole.r : hole.c;
+    const span = vertical ? this.rows : this.cols;
+    const smin = Math.max(0, along - hole.halfSize);
+    const smax = Math.min(span - 1, along + hole.halfSize);
+
+    const add = (d, s) => {
+      if (side === 'left') this._addBarrierCrumb(d, s);
+      else if (side === 'right') this._addBarrierCrumb(this.cols - 1 - d, s);
+      else if (side === 'top') this._addBarrierCrumb(s, d);
+      else this._addBarrierCrumb(s, this.rows - 1 - d);
+    };
 
-    // Add extra caps above and below to make it harder to slip around
-    for (let c = 0; c <= 1; c++) {
-      for (let r = rmin - 2; r <= rmin - 1; r++) {
-        if (this.inBounds(c, r)) {
-          this.addCrumb(c, r, Config.RING_CRUMB_STRENGTH);
-          this.ringSet.add(this.idx(c, r));
-        }
+    // Build rectangular barrier around hole opening
+    for (let d = 0; d <= 2; d++) {
+      for (let s = smin - 1; s <= smax + 1; s++) {
+        add(d, s);
       }
-      for (let r = rmax + 1; r <= rmax + 2; r++) {
-        if (this.inBounds(c, r)) {
-          this.addCrumb(c, r, Config.RING_CRUMB_STRENGTH);
-          this.ringSet.add(this.idx(c, r));
-        }
+    }
+
+    // Add extra caps at both ends to make it harder to slip around
+    for (let d = 0; d <= 1; d++) {
+      for (let s = smin - 2; s <= smin - 1; s++) add(d, s);
+      for (let s = smax + 1; s <= smax + 2; s++) add(d, s);
+    }
+  }
+
+  /**
+   * Barrier for a hole inside the map: a two-cell-thick square ring.
+   * @param {Object} hole - Hole definition
+   * @private
+   */
+  _buildInsideRing(hole) {
+    const reach = hole.halfSize + 2;
+    for (let r = hole.r - reach; r <= hole.r + reach; r++) {
+      for (let c = hole.c - reach; c <= hole.c + reach; c++) {
+        this._addBarrierCrumb(c, r);
       }
     }
   }
 
+  /**
+   * Lay out the static map of a validated level definition (see level.js):
+   * walls, portals and wrapping edges, holes and their barriers, and
+   * pre-placed crumbs. Clears the grid first.
+   * @param {Object} def - Validated level definition
+   */
+  applyLevel(def) {
+    this.clear();
+    for (const [c, r] of def.walls) {
+      this.setWall(c, r);
+    }
+    this.setTopology(def.wrap ?? WrapMode.NONE, def.portals ?? []);
+    this.setHoles(def.holes);
+    this.buildHoleBarrier(def.barrier);
+    for (const [c, r, strength = Config.CRUMB_STRENGTH] of def.crumbs) {
+      this.addCrumb(c, r, strength);
+    }
+  }
+
   /**
    * Pick a random element from a Set.
    * @param {Set} set - The set to pick from
@@ -214,7 +537,7 @@ export class Grid {
   _randomFromSet(set) {
     const size = set.size;
     if (!size) return null;
-    const n = (Math.random() * size) | 0;
+    const n = (this.random() * size) | 0;
     let i = 0;
     for (const v of set) {
       if (i++ === n) return v;
@@ -226,21 +549,32 @@ export class Grid {
    * Decay a random crumb on the grid.
    *
    * With PROB_BIASED_RING_DECAY probability, targets the protective ring
-   * around the hole. Otherwise picks a random cell.
+   * around the hole. Otherwise picks a random cell. Walls never hold crumbs,
+   * so on maps with walls the pick is drawn from open cells only.
+   * @returns {number} Flat index of the weakened crumb, or -1 if nothing decayed
    */
   decayOneCrumb() {
-    let removed = false;
-    if (this.ringSet.size && Math.random() < Config.PROB_BIASED_RING_DECAY) {
+    if (this.ringSet.size && this.random() < Config.PROB_BIASED_RING_DECAY) {
       const pick = this._randomFromSet(this.ringSet);
       if (pick !== null) {
         this.weakenCrumbByIndex(pick, 1);
-        removed = true;
+        return pick;
       }
     }
-    if (!removed) {
-      const c = (Math.random() * this.cols) | 0;
-      const r = (Math.random() * this.rows) | 0;
-      if (this.crumbs[this.idx(c, r)] > 0) this.weakenCrumb(c, r, 1);
+    const open = this.getOpenCells();
+    let k;
+    if (open.length === this.n) {
+      const c = (this.random() * this.cols) | 0;
+      const r = (this.random() * this.rows) | 0;
+      k = this.idx(c, r);
+    } else {
+      if (!open.length) return -1;
+      k = open[(this.random() * open.length) | 0];
+    }
+    if (this.crumbs[k] > 0) {
+      this.weakenCrumbByIndex(k, 1);
+      return k;
     }
+    return -1;
   }
 }
@@ -0,0 +1,462 @@
+/**
+ * Crumb Chase - Level Module
+ *
+ * JSON level format, validation and the built-in campaign levels.
+ *
+ * Format (version 1):
+ *   {
+ *     version: 1,
+ *     name: 'Crossfire',
+ *     cols: 40, rows: 25,              // Optional - must match the game's grid if given
+ *     speedFactor: 0.9,                // Cat speed as a multiple of mouse speed
+ *     crumbSpeedFactor: 0.15,          // Cat speed multiplier in crumbs (0 = crumbs are walls)
+ *     decayPerSec: 12,                 // Optional - crumb decay attempts per second (default CRUMB_DECAY_PER_SEC)
+ *     pickups: { interval: 6, max: 2, weights: { cheese: 3, speed: 1 } },  // Optional - pickup spawn rules
+ *                                      //   (default from PICKUP_RULES by level number; max 0 turns pickups off)
+ *     walls: [[c, r], ...],            // Permanent wall tiles
+ *     holes: [                         // One or more escape holes (default: left edge, centered)
+ *       { c: 0, r: 12, halfSize: 2 },  // On an edge: spans 2*halfSize+1 cells along the edge
+ *       { c: 20, r: 12, halfSize: 0, barrier: 'none' },  // Inside: a square, optionally unguarded
+ *     ],
+ *     player: { c: 35, r: 12 },        // Optional - mouse spawn cell (default: right side, centered)
+ *     cats: [                          // Cat spawn cells, per-cat overrides optional
+ *       { c: 14, r: 6, speedFactor: 0.55, crumbSpeedFactor: 0 },
+ *       { c: 30, r: 20, strategy: 'guard' },  // Behaviour (see cat-strategies.js; default 'chaser')
+ *     ],
+ *     crumbs: [[c, r], [c, r, strength]],  // Pre-placed crumbs (strength defaults to CRUMB_STRENGTH)
+ *     barrier: 'ring',                 // 'ring' (default), 'none', or a list of [c, r] barrier cells
+ *     portals: [[[c, r], [c, r]], ...], // Optional - portal pairs: stepping onto one cell lands on the other
+ *     wrap: 'none',                    // Optional - 'horizontal', 'vertical' or 'both' edges wrap around
+ *     coordination: false,             // Optional - chasers split up to surround the mouse (see coordinator.js)
+ *     perception: false,               // Optional - cats only know what they see and hear (see perception.js)
+ *   }
+ *
+ * The older single-hole form `hole: { r, halfHeight }` (left edge) is still accepted.
+ * Spawn cells, the default player spawn included, may not be inside a wall,
+ * on a hole or on a portal.
+ *
+ * A level source is a function (levelNumber, game) => level definition.
+ * Game.startLevel asks its source for each level and validates the result.
+ *
+ * @module level
+ */
+
+import * as Config from './config.js';
+import { pickupRulesErrors } from './pickups.js';
+import { catStrategyNames } from './cat-strategies.js';
+
+/** Current level file format version */
+export const LEVEL_FORMAT_VERSION = 1;
+
+/** Barrier layouts that can be named instead of listing cells */
+export const BarrierLayout = {
+  RING: 'ring',
+  NONE: 'none',
+};
+
+/** Which grid edges wrap around to the opposite side */
+export const WrapMode = {
+  NONE: 'none',
+  HORIZONTAL: 'horizontal',
+  VERTICAL: 'vertical',
+  BOTH: 'both',
+};
+
+/**
+ * Which axes wrap under a wrap mode.
+ * @param {string} wrap - WrapMode value
+ * @returns {{wrapX: boolean, wrapY: boolean}} Wrapping axes
+ */
+export function wrapAxes(wrap) {
+  return {
+    wrapX: wrap === WrapMode.HORIZONTAL || wrap === WrapMode.BOTH,
+    wrapY: wrap === WrapMode.VERTICAL || wrap === WrapMode.BOTH,
+  };
+}
+
+/**
+ * Which side of the grid a hole sits on. Corners count as left/right.
+ * @param {{c: number, r: number}} hole - Hole definition
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {string} 'left', 'right', 'top', 'bottom' or 'inside'
+ */
+export function holeSide(hole, cols, rows) {
+  if (hole.c === 0) return 'left';
+  if (hole.c === cols - 1) return 'right';
+  if (hole.r === 0) return 'top';
+  if (hole.r === rows - 1) return 'bottom';
+  return 'inside';
+}
+
+/**
+ * Get the open cells of a hole, clipped to the grid.
+ * @param {{c: number, r: number, halfSize: number}} hole - Hole definition
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Array<{c: number, r: number}>} Hole cells
+ */
+export function holeCells(hole, cols, rows) {
+  const side = holeSide(hole, cols, rows);
+  const h = hole.halfSize;
+  const cells = [];
+  for (let r = hole.r - h; r <= hole.r + h; r++) {
+    for (let c = hole.c - h; c <= hole.c + h; c++) {
+      // Edge holes only extend along their edge
+      if ((side === 'left' || side === 'right') && c !== hole.c) continue;
+      if ((side === 'top' || side === 'bottom') && r !== hole.r) continue;
+      if (c >= 0 && r >= 0 && c < cols && r < rows) cells.push({ c, r });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Build the definition of a built-in campaign level from LEVEL_CONFIG.
+ * @param {number} level - Level number (clamped to the configured range)
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Object} Level definition
+ */
+export function defaultLevel(level, cols = Config.COLS, rows = Config.ROWS) {
+  const { cats, speedFactor, crumbSpeedFactor } = Config.getLevelConfig(level);
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    name: `Level ${Math.max(1, Math.min(Config.MAX_LEVEL, level))}`,
+    speedFactor,
+    crumbSpeedFactor,
+    walls: [],
+    holes: [{ c: Config.HOLE_COLUMN, r: Config.getHoleRow(rows), halfSize: Config.HOLE_HALF_HEIGHT }],
+    cats: defaultCatSpawns(cats, cols, rows),
+    crumbs: [],
+    barrier: BarrierLayout.RING,
+    portals: [],
+    wrap: WrapMode.NONE,
+    coordination: false,
+    perception: false,
+  };
+}
+
+/**
+ * Default cat spawn cells, taken in order from CAT_SPAWN_GRID (wrapping around).
+ * @param {number} count - Number of cats
+ * @param {number} cols - Grid width in cells
+ * @param {number} rows - Grid height in cells
+ * @returns {Array<{c: number, r: number}>} Spawn cells
+ */
+export function defaultCatSpawns(count, cols = Config.COLS, rows = Config.ROWS) {
+  const spawns = [];
+  for (let i = 0; i < count; i++) {
+    const [colFrac, rowFrac] = Config.CAT_SPAWN_GRID[i % Config.CAT_SPAWN_GRID.length];
+    spawns.push({
+      c: Math.max(0, Math.min(cols - 1, Math.round(cols * colFrac))),
+      r: Math.max(0, Math.min(rows - 1, Math.round(rows * rowFrac))),
+    });
+  }
+  return spawns;
+}
+
+/**
+ * Level source for the built-in campaign.
+ * @param {number} level - Level number
+ * @param {{cols: number, rows: number}} game - Game the level is for
+ * @returns {Object} Level definition
+ */
+export function campaignLevelSource(level, game) {
+  return defaultLevel(level, game.cols, game.rows);
+}
+
+/**
+ * Validate a level definition and fill in defaults.
+ * Every problem found is reported, not just the first.
+ * @param {Object} def - Level definition (e.g. parsed from JSON)
+ * @param {{cols: number, rows: number}} dims - Grid the level will be played on
+ * @returns {Object} Normalized level definition (the input is not modified)
+ * @throws {Error} If the definition is invalid; the message lists every problem
+ */
+export function validateLevel(def, dims = { cols: Config.COLS, rows: Config.ROWS }) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    throw new Error('Invalid level: expected a JSON object');
+  }
+
+  const { cols, rows } = dims;
+  const errors = [];
+  const isInt = (v) => Number.isInteger(v);
+  const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+  const inGrid = (c, r) => isInt(c) && isInt(r) && c >= 0 && r >= 0 && c < cols && r < rows;
+
+  if (def.version !== LEVEL_FORMAT_VERSION) {
+    errors.push(`version must be ${LEVEL_FORMAT_VERSION} (got ${JSON.stringify(def.version)})`);
+  }
+  if (def.name !== undefined && typeof def.name !== 'string') {
+    errors.push('name must be a string');
+  }
+  if ((def.cols !== undefined && def.cols !== cols) || (def.rows !== undefined && def.rows !== rows)) {
+    errors.push(`level is ${def.cols ?? cols}x${def.rows ?? rows} but the game grid is ${cols}x${rows}`);
+  }
+
+  const speedFactor = def.speedFactor ?? 1;
+  const crumbSpeedFactor = def.crumbSpeedFactor ?? 0;
+  if (!isNum(speedFactor) || speedFactor <= 0) errors.push('speedFactor must be a positive number');
+  if (!isNum(crumbSpeedFactor) || crumbSpeedFactor < 0 || crumbSpeedFactor > 1) {
+    errors.push('crumbSpeedFactor must be a number between 0 and 1');
+  }
+  const decayPerSec = def.decayPerSec ?? Config.CRUMB_DECAY_PER_SEC;
+  if (!isNum(decayPerSec) || decayPerSec < 0) errors.push('decayPerSec must be a non-negative number');
+  let pickups = null;
+  if (def.pickups != null) {
+    const pickupErrors = pickupRulesErrors(def.pickups);
+    errors.push(...pickupErrors);
+    if (!pickupErrors.length) {
+      const { interval, max, weights } = def.pickups;
+      pickups = { interval, max, weights: { ...weights } };
+    }
+  }
+
+  // Cell lists
+  const readCells = (key, list, { allowStrength = false } = {}) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) {
+      errors.push(`${key} must be an array of [c, r] cells`);
+      return [];
+    }
+    const cells = [];
+    list.forEach((cell, i) => {
+      const okShape = Array.isArray(cell) && (cell.length === 2 || (allowStrength && cell.length === 3));
+      if (!okShape || !inGrid(cell[0], cell[1])) {
+        errors.push(`${key}[${i}] ${JSON.stringify(cell)} is not a cell inside the ${cols}x${rows} grid`);
+        return;
+      }
+      if (cell.length === 3 && (!isNum(cell[2]) || cell[2] <= 0)) {
+        errors.push(`${key}[${i}] strength must be a positive number`);
+        return;
+      }
+      cells.push(cell.slice());
+    });
+    return cells;
+  };
+
+  const walls = readCells('walls', def.walls);
+  const wallSet = new Set(walls.map(([c, r]) => r * cols + c));
+  const checkNotWall = (key, cells) => cells.forEach(([c, r]) => {
+    if (wallSet.has(r * cols + c)) errors.push(`${key} cell (${c}, ${r}) is inside a wall`);
+  });
+  // Portals
+  const portals = [];
+  const portalSet = new Set();
+  if (def.portals !== undefined) {
+    if (!Array.isArray(def.portals)) {
+      errors.push('portals must be an array of [[c, r], [c, r]] pairs');
+    } else {
+      def.portals.forEach((pair, i) => {
+        const key = `portals[${i}]`;
+        if (!Array.isArray(pair) || pair.length !== 2) {
+          errors.push(`${key} must be a pair of cells [[c, r], [c, r]]`);
+          return;
+        }
+        const ends = readCells(key, pair);
+        if (ends.length !== 2) return;
+        checkNotWall(key, ends);
+        const [a, b] = ends.map(([c, r]) => r * cols + c);
+        if (a === b || portalSet.has(a) || portalSet.has(b)) {
+          errors.push(`${key} reuses a portal cell (each cell can be one end of one portal)`);
+          return;
+        }
+        portalSet.add(a);
+        portalSet.add(b);
+        portals.push(ends);
+      });
+    }
+  }
+  const checkNotPortal = (key, cells) => cells.forEach(([c, r]) => {
+    if (portalSet.has(r * cols + c)) errors.push(`${key} cell (${c}, ${r}) is on a portal`);
+  });
+
+  const wrap = def.wrap ?? WrapMode.NONE;
+  if (!Object.values(WrapMode).includes(wrap)) {
+    errors.push(`wrap must be one of ${Object.values(WrapMode).map(m => `"${m}"`).join(', ')}`);
+  }
+
+  const coordination = def.coordination ?? false;
+  if (typeof coordination !== 'boolean') errors.push('coordination must be true or false');
+  const perception = def.perception ?? false;
+  if (typeof perception !== 'boolean') errors.push('perception must be true or false');
+
+  const crumbs = readCells('crumbs', def.crumbs, { allowStrength: true });
+  checkNotWall('crumbs', crumbs);
+  checkNotPortal('crumbs', crumbs);
+
+  // Holes
+  let holeDefs;
+  if (def.hole !== undefined && def.holes !== undefined) {
+    errors.push('use either hole or holes, not both');
+    holeDefs = [];
+  } else if (def.holes !== undefined) {
+    if (!Array.isArray(def.holes) || !def.holes.length) {
+      errors.push('holes must be a non-empty array');
+      holeDefs = [];
+    } else {
+      holeDefs = def.holes;
+    }
+  } else if (def.hole !== undefined) {
+    // Legacy single hole on the left edge
+    const legacy = def.hole && typeof def.hole === 'object' ? def.hole : {};
+    holeDefs = [{ c: Config.HOLE_COLUMN, r: legacy.r, halfSize: legacy.halfHeight ?? Config.HOLE_HALF_HEIGHT }];
+  } else {
+    holeDefs = [{ c: Config.HOLE_COLUMN, r: Config.getHoleRow(rows), halfSize: Config.HOLE_HALF_HEIGHT }];
+  }
+
+  const holes = [];
+  holeDefs.forEach((hole, i) => {
+    const key = `holes[${i}]`;
+    if (!hole || typeof hole !== 'object' || !inGrid(hole.c, hole.r)) {
+      errors.push(`${key} must have a center cell { "c", "r" } inside the ${cols}x${rows} grid`);
+      return;
+    }
+    const halfSize = hole.halfSize ?? 0;
+    if (!isInt(halfSize) || halfSize < 0) {
+      errors.push(`${key}.halfSize must be a non-negative integer`);
+      return;
+    }
+    const barrier = hole.barrier ?? BarrierLayout.RING;
+    if (barrier !== BarrierLayout.RING && barrier !== BarrierLayout.NONE) {
+      errors.push(`${key}.barrier must be "${BarrierLayout.RING}" or "${BarrierLayout.NONE}"`);
+      return;
+    }
+    if (wallSet.has(hole.r * cols + hole.c)) {
+      errors.push(`${key} center (${hole.c}, ${hole.r}) is inside a wall`);
+      return;
+    }
+    if (portalSet.has(hole.r * cols + hole.c)) {
+      errors.push(`${key} center (${hole.c}, ${hole.r}) is on a portal`);
+      return;
+    }
+    holes.push({ c: hole.c, r: hole.r, halfSize, barrier });
+  });
+
+  // Barrier
+  let barrier = def.barrier ?? BarrierLayout.RING;
+  if (Array.isArray(barrier)) {
+    barrier = readCells('barrier', barrier);
+    checkNotWall('barrier', barrier);
+    checkNotPortal('barrier', barrier);
+  } else if (barrier !== BarrierLayout.RING && barrier !== BarrierLayout.NONE) {
+    errors.push(`barrier must be "${BarrierLayout.RING}", "${BarrierLayout.NONE}" or a list of cells`);
+  }
+
+  // Spawns: not in a wall, on a hole (won at once) or on a portal (teleported at once)
+  const holeSet = new Set();
+  for (const hole of holes) {
+    for (const { c, r } of holeCells(hole, cols, rows)) holeSet.add(r * cols + c);
+  }
+  const checkSpawn = (key, spawn) => {
+    if (!spawn || typeof spawn !== 'object' || !inGrid(spawn.c, spawn.r)) {
+      errors.push(`${key} must be a cell { "c", "r" } inside the ${cols}x${rows} grid`);
+      return false;
+    }
+    const k = spawn.r * cols + spawn.c;
+    if (wallSet.has(k)) {
+      errors.push(`${key} (${spawn.c}, ${spawn.r}) is inside a wall`);
+      return false;
+    }
+    if (holeSet.has(k)) {
+      errors.push(`${key} (${spawn.c}, ${spawn.r}) is on a hole`);
+      return false;
+    }
+    if (portalSet.has(k)) {
+      errors.push(`${key} (${spawn.c}, ${spawn.r}) is on a portal`);
+      return false;
+    }
+    return true;
+  };
+
+  let player = null;
+  if (def.player != null) {
+    if (checkSpawn('player', def.player)) player = { c: def.player.c, r: def.player.r };
+  } else {
+    // The default spawn has to be clear too (set player to move it)
+    checkSpawn('default player spawn', {
+      c: Math.floor(Config.getPlayerSpawnX(cols, 1)),
+      r: Math.floor(Config.getPlayerSpawnY(rows, 1)),
+    });
+  }
+
+  const cats = [];
+  if (!Array.isArray(def.cats)) {
+    errors.push('cats must be an array of spawn cells');
+  } else {
+    def.cats.forEach((cat, i) => {
+      if (!checkSpawn(`cats[${i}]`, cat)) return;
+      if (cat.speedFactor !== undefined && (!isNum(cat.speedFactor) || cat.speedFactor <= 0)) {
+        errors.push(`cats[${i}].speedFactor must be a positive number`);
+      }
+      if (cat.crumbSpeedFactor !== undefined &&
+          (!isNum(cat.crumbSpeedFactor) || cat.crumbSpeedFactor < 0 || cat.crumbSpeedFactor > 1)) {
+        errors.push(`cats[${i}].crumbSpeedFactor must be a number between 0 and 1`);
+      }
+      if (cat.strategy !== undefined && !catStrategyNames().includes(cat.strategy)) {
+        errors.push(`cats[${i}].strategy must be one of ${catStrategyNames().map(n => `"${n}"`).join(', ')}`);
+      }
+      cats.push({ ...cat });
+    });
+  }
+
+  if (errors.length) {
+    const title = typeof def.name === 'string' ? `Invalid level "${def.name}"` : 'Invalid level';
+    throw new Error(`${title}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return {
+    version: LEVEL_FORMAT_VERSION,
+    name: def.name ?? 'Untitled',
+    speedFactor,
+    crumbSpeedFactor,
+    decayPerSec,
+    pickups,
+    walls,
+    holes,
+    player,
+    cats,
+    crumbs,
+    barrier,
+    portals,
+    wrap,
+    coordination,
+    perception,
+  };
+}
+
+/**
+ * Parse and validate a level from JSON text.
+ * @param {string} json - JSON text
+ * @param {{cols: number, rows: number}} dims - Grid the level will be played on
+ * @returns {Object} Normalized level definition
+ * @throws {Error} If the text is not valid JSON or not a valid level
+ */
+export function parseLevel(json, dims) {
+  let def;
+  try {
+    def = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Level is not valid JSON: ${e.message}`);
+  }
+  return validateLevel(def, dims);
+}
+
+/**
+ * Fetch, parse and validate a level file (browser).
+ * @param {string} url - Level file URL
+ * @param {{cols: number, rows: number}} dims - Grid the level will be played on
+ * @returns {Promise<Object>} Normalized level definition
+ */
+export async function loadLevelFile(url, dims) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Could not load level ${url}: HTTP ${res.status}`);
+  }
+  try {
+    return parseLevel(await res.text(), dims);
+  } catch (e) {
+    throw new Error(`${url}: ${e.message}`);
+  }
+}
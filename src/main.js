@@ -8,19 +8,46 @@
  * @module main
  */
 
+import * as Config from './config.js';
 import { Game } from './game.js';
+import { GameEvent } from './events.js';
 import { TrainingManager, TrainingMode } from './ml/training.js';
+import { ReplayPlayer, parseReplay, serializeReplay } from './replay.js';
+import { campaignLevelSource, loadLevelFile, parseLevel } from './level.js';
+import { LevelEditor } from './editor.js';
+import { EndlessRun } from './endless.js';
+import { DailyChallenge } from './daily.js';
+import { CampaignProgress } from './progress.js';
+import { DEFAULT_INITIALS, ScoreKeeper } from './scoring.js';
 
 // ============================================
 // DOM Elements
 // ============================================
 const canvas = document.getElementById('game');
 const hudStats = document.getElementById('stats');
+const hudEffects = document.getElementById('effects');
 const overlay = document.getElementById('overlay');
 const ovTitle = document.getElementById('ovTitle');
 const ovMsg = document.getElementById('ovMsg');
 const playAgain = document.getElementById('playAgain');
+const btnShare = document.getElementById('btnShare');
+const continueRow = document.getElementById('continueRow');
+const btnContinue = document.getElementById('btnContinue');
+const continueLevel = document.getElementById('continueLevel');
+const highScores = document.getElementById('highScores');
+const hsList = document.getElementById('hsList');
+const hsInitialsRow = document.getElementById('hsInitialsRow');
+const hsInitials = document.getElementById('hsInitials');
 const resetBtn = document.getElementById('resetBtn');
+const btnPause = document.getElementById('btnPause');
+const timeScaleInput = document.getElementById('timeScale');
+const timeScaleLabel = document.getElementById('timeScaleLabel');
+const levelSelect = document.getElementById('levelSelect');
+const difficultySelect = document.getElementById('difficultySelect');
+const customDifficulty = document.getElementById('customDifficulty');
+const difficultyInputs = customDifficulty.querySelectorAll('input[data-difficulty]');
+const fogSelect = document.getElementById('fogSelect');
+const btnEdit = document.getElementById('btnEdit');
 const toast = document.getElementById('toast');
 
 // ML Controls
@@ -30,19 +57,74 @@ const btnTrain = document.getElementById('btnTrain');
 const btnSave = document.getElementById('btnSave');
 const btnLoad = document.getElementById('btnLoad');
 const btnResetAI = document.getElementById('btnResetAI');
+const btnSaveReplay = document.getElementById('btnSaveReplay');
+const btnLoadReplay = document.getElementById('btnLoadReplay');
+const replayFile = document.getElementById('replayFile');
 const mlStats = document.getElementById('mlStats');
 const mlStatsText = document.getElementById('mlStatsText');
 const speedButtons = document.querySelectorAll('.btn-speed');
 const modeButtons = [btnHuman, btnAI, btnTrain];
 
+// Level Editor
+const editorBar = document.getElementById('editorBar');
+const toolButtons = document.querySelectorAll('.btn-tool');
+const btnUndo = document.getElementById('btnUndo');
+const btnRedo = document.getElementById('btnRedo');
+const edName = document.getElementById('edName');
+const edSpeed = document.getElementById('edSpeed');
+const edCrumbSpeed = document.getElementById('edCrumbSpeed');
+const edBarrier = document.getElementById('edBarrier');
+const edCoordination = document.getElementById('edCoordination');
+const edPerception = document.getElementById('edPerception');
+const btnEdClear = document.getElementById('btnEdClear');
+const btnEdImport = document.getElementById('btnEdImport');
+const btnEdExport = document.getElementById('btnEdExport');
+const levelFile = document.getElementById('levelFile');
+const btnTestPlay = document.getElementById('btnTestPlay');
+
 // ============================================
 // Game Instance
 // ============================================
-const game = new Game(canvas);
+const game = new Game(canvas, { lives: Config.LIVES });
+
+/** Endless mode run tracker (inactive until picked from the level menu) */
+const endless = new EndlessRun(game);
+
+/** Daily challenge controller (inactive until picked from the level menu) */
+const daily = new DailyChallenge(game);
+
+/** Unlocked campaign levels, for "continue from level N" */
+const progress = new CampaignProgress(game);
+
+/** Run score and high-score tables (created before the overlay listeners so runs are recorded first) */
+const scores = new ScoreKeeper(game);
 
 // Track pressed keys for debug features (Shift to show path)
 const keys = Object.create(null);
 
+/** Active replay playback (null when playing live) */
+let replayPlayer = null;
+
+/** Whether the simulation is paused (rendering continues) */
+let paused = false;
+
+/** Whether the cat vision debug overlay is shown (V, on levels with perception) */
+let showVision = false;
+
+/** Simulation time multiplier from the time-scale slider (0.1-2) */
+let timeScale = 1;
+
+// ============================================
+// Level Editor Instance
+// ============================================
+const editor = new LevelEditor(game.renderer, { cols: game.cols, rows: game.rows, tile: game.tile });
+
+/** Whether the editor owns the canvas (the simulation is suspended) */
+let editing = false;
+
+/** Whether the editor has been opened before (first open starts from the current level) */
+let editorOpened = false;
+
 // ============================================
 // Training Manager
 // ============================================
@@ -70,12 +152,40 @@ function showToast(msg, ms = 1200) {
   setTimeout(() => { toast.style.display = 'none'; }, ms);
 }
 
+/**
+ * Log an error and show its first line (plus the first listed problem, if any) as a toast.
+ * @param {Error} e - Error to report
+ */
+function showError(e) {
+  console.error(e);
+  const [title, first] = e.message.split('\n');
+  showToast(first ? `${title} ${first.replace(/^\s*-\s*/, '')}` : title, 3000);
+}
+
+/** HUD labels for pickup effects, keyed like Game.getEffects() */
+const EFFECT_LABELS = {
+  speed: 'Speed',
+  noTrail: 'No trail',
+  catnip: 'Catnip',
+  freeze: 'Freeze',
+};
+
 /**
  * Update the HUD stats display.
  */
 function updateHUD() {
-  const { level, timeAlive, crumbCount, catSpeed } = game.getStats();
-  hudStats.textContent = `Level ${level} · Time: ${timeAlive.toFixed(0)}s · Crumbs: ${crumbCount} · Cat speed: ${catSpeed.toFixed(2)}c/s`;
+  const { level, timeAlive, crumbCount, catSpeed, cheese, lives, effects } = game.getStats();
+  hudStats.textContent = `Level ${level} · Time: ${timeAlive.toFixed(0)}s · Crumbs: ${crumbCount} · Cat speed: ${catSpeed.toFixed(2)}c/s` +
+    (game.startingLives > 1 ? ` · Lives: ${lives}` : '') +
+    (endless.active ? '' : ` · Score: ${scores.score}`) +
+    (cheese ? ` · Cheese: ${cheese}` : '') +
+    (endless.active ? ` · Score: ${endless.score} · Best: ${endless.best?.score ?? 0}` : '') +
+    (daily.active ? ` · Daily ${daily.date} · Attempt ${daily.getAttempts().length + (game.running ? 1 : 0)}` : '') +
+    (paused ? ' · Paused' : '');
+  hudEffects.textContent = Object.entries(effects)
+    .filter(([, time]) => time > 0)
+    .map(([key, time]) => `${EFFECT_LABELS[key]} ${time.toFixed(1)}s`)
+    .join(' · ');
 }
 
 /**
@@ -98,6 +208,20 @@ function setActiveMode(mode) {
 
   // Show/hide ML stats
   mlStats.style.display = mode === TrainingMode.HUMAN ? 'none' : 'flex';
+
+  updateRecording();
+}
+
+/**
+ * Decide what counts toward unlocks and high scores: only live human play,
+ * not the AI or replays. Endless runs have their own best-run record and
+ * edited maps can change, so neither has a high-score table.
+ */
+function updateRecording() {
+  const live = trainer.mode === TrainingMode.HUMAN && !replayPlayer;
+  progress.enabled = live;
+  scores.enabled = live && !endless.active && levelSelect.value !== 'editor';
+  scores.board = daily.active ? `daily:${daily.date}` : (levelSelect.value || 'campaign');
 }
 
 /**
@@ -114,37 +238,314 @@ function setActiveSpeed(speed) {
 // Game Event Callbacks
 // ============================================
 
-game.onCaught = (level, timeAlive) => {
+/**
+ * Show the end-of-attempt overlay for the daily challenge.
+ * @param {string} title - Overlay title
+ */
+function showDailyResult(title) {
+  const attempts = daily.getAttempts();
+  const last = attempts.at(-1);
+  const best = daily.getBest();
+  const describe = (a) => (a.escaped ? `escaped in ${a.time.toFixed(1)}s` : `caught after ${a.time.toFixed(1)}s`);
+  ovTitle.textContent = title;
+  ovMsg.textContent = `Daily ${daily.date}, attempt ${attempts.length}: ${describe(last)}. Best today: ${describe(best)}.`;
+  btnShare.style.display = '';
+  continueRow.style.display = 'none';
+  showHighScores();
+  overlay.style.display = 'grid';
+}
+
+/**
+ * Show the current board's high-score table on the overlay, with the run
+ * that just ended highlighted and its initials editable.
+ */
+function showHighScores() {
+  const run = scores.lastRun;
+  const table = scores.getHighScores();
+  hsList.replaceChildren(...table.map(entry => {
+    const li = document.createElement('li');
+    li.textContent = `${entry.initials}  ${entry.score}  (level ${entry.level})`;
+    li.classList.toggle('current', entry === run?.entry);
+    return li;
+  }));
+  hsInitialsRow.style.display = run?.entry ? '' : 'none';
+  if (run?.entry) hsInitials.value = run.entry.initials === DEFAULT_INITIALS ? '' : run.entry.initials;
+  highScores.style.display = table.length ? '' : 'none';
+}
+
+/**
+ * Offer "continue from level N" on the overlay for a campaign run.
+ * Every unlocked level can be picked; the level just lost is preselected.
+ * @param {number} level - Level the run ended on
+ */
+function showContinue(level) {
+  continueLevel.replaceChildren();
+  for (let n = 1; n <= progress.highest; n++) {
+    continueLevel.add(new Option(String(n), String(n)));
+  }
+  continueLevel.value = String(Math.min(level, progress.highest));
+  continueRow.style.display = progress.highest > 1 ? '' : 'none';
+}
+
+game.on(GameEvent.CAUGHT, ({ level, timeAlive }) => {
   // Only show overlay in human mode
   if (trainer.mode === TrainingMode.HUMAN) {
+    if (daily.active) {
+      showDailyResult('Caught!');
+      return;
+    }
+    btnShare.style.display = 'none';
+    continueRow.style.display = 'none';
+    highScores.style.display = 'none';
     ovTitle.textContent = 'Caught!';
-    ovMsg.textContent = `Level ${level}, survived ${timeAlive.toFixed(1)}s.`;
+    if (endless.active) {
+      const best = endless.newBest ? 'New best!' : `Best: ${endless.best?.score ?? 0}.`;
+      ovMsg.textContent = `Endless run over on level ${level}. Score: ${endless.score}. ${best}`;
+    } else {
+      ovMsg.textContent = `Level ${level}, survived ${timeAlive.toFixed(1)}s. Score: ${scores.score}.`;
+      if (game.levelSource === campaignLevelSource) showContinue(level);
+      showHighScores();
+    }
     overlay.style.display = 'grid';
   }
-};
+});
 
-game.onLevelComplete = (newLevel, catCount) => {
+game.on(GameEvent.LIFE_LOST, ({ livesLeft }) => {
+  if (trainer.mode === TrainingMode.HUMAN) {
+    showToast(`Caught! ${livesLeft} ${livesLeft === 1 ? 'life' : 'lives'} left`);
+  }
+});
+
+game.on(GameEvent.LEVEL_COMPLETE, () => {
+  if (trainer.mode === TrainingMode.HUMAN && daily.active) {
+    showDailyResult('Escaped!');
+  }
+});
+
+game.on(GameEvent.LEVEL_STARTED, ({ level, catCount }) => {
   if (trainer.mode === TrainingMode.HUMAN) {
     overlay.style.display = 'none';
-    showToast(`Level ${newLevel} — Cats: ${catCount}`);
+    // Mid-run level starts follow a cleared level: show what it scored
+    const last = scores.lastLevel;
+    const cleared = game.tick > 0 && last && !endless.active
+      ? ` · Level ${last.level}: +${last.total}${last.newBest ? ' (best!)' : ''}`
+      : '';
+    showToast(`Level ${level} — Cats: ${catCount}${cleared}`, cleared ? 2000 : 1200);
     setTimeout(() => canvas.focus(), 0);
   }
-};
+});
+
+// ============================================
+// Pause / Step / Time Scale
+// ============================================
+
+/**
+ * Pause or resume the simulation.
+ * @param {boolean} value - True to pause
+ */
+function setPaused(value) {
+  paused = value;
+  btnPause.textContent = paused ? 'Resume' : 'Pause';
+  btnPause.classList.toggle('active', paused);
+  updateHUD();
+}
+
+/**
+ * Advance the simulation by exactly one tick, pausing first if needed.
+ */
+function stepOneTick() {
+  if (!paused) setPaused(true);
+
+  if (trainer.mode === TrainingMode.HUMAN) {
+    if (!game.running) return;
+    if (replayPlayer) {
+      replayPlayer.step();
+      if (replayPlayer.done) stopReplay();
+    } else {
+      game.update(Config.SIM_DT);
+    }
+  } else {
+    trainer.step();
+  }
+  updateHUD();
+}
+
+// ============================================
+// Difficulty
+// ============================================
+
+/** Storage key for the chosen difficulty */
+const DIFFICULTY_KEY = 'crumbChaseDifficulty';
+
+/**
+ * Restore the saved difficulty, if any.
+ */
+function loadDifficulty() {
+  try {
+    const saved = localStorage.getItem(DIFFICULTY_KEY);
+    if (saved) game.setDifficulty(JSON.parse(saved));
+  } catch (e) {
+    console.error('Failed to load difficulty:', e);
+  }
+}
+
+/**
+ * Choose, save and apply a difficulty (restarts the game in human mode).
+ * @param {string|Object} setting - Preset name or multipliers
+ */
+function setDifficulty(setting) {
+  try {
+    game.setDifficulty(setting);
+  } catch (e) {
+    showError(e);
+    updateDifficultyBar();
+    return;
+  }
+  localStorage.setItem(DIFFICULTY_KEY, JSON.stringify(setting));
+  updateDifficultyBar();
+  if (trainer.mode === TrainingMode.HUMAN) startLevel(true);
+}
+
+/**
+ * Sync the difficulty menu and custom fields with the game's setting.
+ * The daily challenge is always played on Normal, so the menu is locked there.
+ */
+function updateDifficultyBar() {
+  const d = Config.resolveDifficulty(game.difficulty);
+  difficultySelect.value = d.preset;
+  difficultySelect.disabled = daily.active;
+  customDifficulty.style.display = d.preset === Config.Difficulty.CUSTOM && !daily.active ? 'flex' : 'none';
+  difficultyInputs.forEach(input => { input.value = d[input.dataset.difficulty]; });
+}
+
+// ============================================
+// Fog of War
+// ============================================
+
+/** Storage key for the chosen fog-of-war mode */
+const FOG_KEY = 'crumbChaseFog';
+
+/**
+ * Restore the saved fog-of-war mode, if any.
+ */
+function loadFog() {
+  try {
+    const saved = localStorage.getItem(FOG_KEY);
+    if (saved) game.setFog(saved);
+  } catch (e) {
+    console.error('Failed to load fog mode:', e);
+  }
+  fogSelect.value = game.fog.mode;
+}
+
+/**
+ * Choose, save and apply a fog-of-war mode. The game carries on: fog only
+ * changes what is shown (and what the AI observes).
+ * @param {string} mode - FogMode value
+ */
+function setFog(mode) {
+  game.setFog(mode);
+  localStorage.setItem(FOG_KEY, mode);
+  fogSelect.value = mode;
+}
+
+// ============================================
+// Level Editor
+// ============================================
+
+/**
+ * Enter or leave the level editor.
+ * @param {boolean} value - True to edit
+ */
+function setEditing(value) {
+  editing = value;
+  if (editing && !editorOpened) {
+    editorOpened = true;
+    if (game.levelDef) editor.load(game.levelDef, { resetHistory: true });
+  }
+  editorBar.style.display = editing ? 'flex' : 'none';
+  btnEdit.classList.toggle('active', editing);
+  btnEdit.textContent = editing ? 'Stop editing' : 'Edit';
+  if (editing) {
+    stopReplay();
+    overlay.style.display = 'none';
+    updateEditorBar();
+  }
+  canvas.focus();
+}
+
+/**
+ * Sync the editor toolbar with the editor state.
+ */
+function updateEditorBar() {
+  toolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === editor.tool));
+  btnUndo.disabled = !editor.canUndo;
+  btnRedo.disabled = !editor.canRedo;
+  edName.value = editor.level.name;
+  edSpeed.value = editor.level.speedFactor;
+  edCrumbSpeed.value = editor.level.crumbSpeedFactor;
+  edBarrier.checked = editor.level.barrier !== 'none';
+  edCoordination.checked = editor.level.coordination === true;
+  edPerception.checked = editor.level.perception === true;
+}
+
+/**
+ * Map a pointer event to a grid cell in the editor.
+ * @param {PointerEvent} e - Pointer event on the canvas
+ * @returns {{c: number, r: number}|null} Cell under the pointer
+ */
+function editorCellFromEvent(e) {
+  const rect = canvas.getBoundingClientRect();
+  const dpr = game.renderer.dpr;
+  const px = ((e.clientX - rect.left) * (canvas.width / rect.width)) / dpr;
+  const py = ((e.clientY - rect.top) * (canvas.height / rect.height)) / dpr;
+  return editor.cellFromPoint(px, py);
+}
+
+/**
+ * Play the edited level in human mode.
+ */
+function testPlay() {
+  let def;
+  try {
+    def = editor.getLevel();
+  } catch (e) {
+    showError(e);
+    return;
+  }
+
+  if (trainer.mode !== TrainingMode.HUMAN) {
+    trainer.setMode(TrainingMode.HUMAN);
+    setActiveMode(TrainingMode.HUMAN);
+  }
+  endless.stop();
+  daily.stop();
+  updateDifficultyBar();
+  game.setLevelSource(() => def);
+  levelSelect.value = 'editor';
+  setEditing(false);
+  startLevel(true);
+}
 
 // ============================================
 // Level Start
 // ============================================
 
 /**
- * Start or restart the game.
+ * Start or restart the game. In endless mode, restarting from level 1 begins a new run;
+ * in daily mode, every restart is a new attempt at the day's challenge.
  * @param {boolean} resetLevel - If true, resets to level 1
  */
 function startLevel(resetLevel = false) {
-  game.reset(resetLevel ? 1 : undefined);
-  overlay.style.display = 'none';
-  const { level, catCount } = game.getStats();
-  showToast(`Level ${level} — Cats: ${catCount}`);
-  setTimeout(() => canvas.focus(), 0);
+  stopReplay();
+  if (daily.active) {
+    daily.start();
+  } else if (endless.active && resetLevel) {
+    endless.start();
+  } else {
+    game.reset(resetLevel ? 1 : undefined);
+  }
+  updateRecording();
 }
 
 // ============================================
@@ -156,8 +557,8 @@ function startLevel(resetLevel = false) {
  * @param {string} key - Key name (e.g., 'ArrowLeft', 'a')
  */
 function setDirectionFromKey(key) {
-  // Only handle input in human mode
-  if (trainer.mode !== TrainingMode.HUMAN) return;
+  // Only handle input in human mode, and not while a replay is driving the game
+  if (trainer.mode !== TrainingMode.HUMAN || replayPlayer) return;
 
   if (key === 'ArrowLeft' || key === 'a' || key === 'A') {
     game.setPlayerWish(-1, 0);
@@ -170,7 +571,22 @@ function setDirectionFromKey(key) {
   }
 }
 
+/**
+ * Whether a key event is typing into a text or number field. Range sliders
+ * and checkboxes keep focus after a click, so they must not swallow game keys.
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean}
+ */
+function isTyping(e) {
+  return e.target instanceof Element && e.target.matches('input[type=text], input[type=number]');
+}
+
 window.addEventListener('keydown', (e) => {
+  if (editing) {
+    handleEditorKey(e);
+    return;
+  }
+  if (isTyping(e)) return; // Typing in a custom difficulty field
   if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'Spacebar'].includes(e.key)) {
     e.preventDefault();
   }
@@ -181,22 +597,67 @@ window.addEventListener('keydown', (e) => {
     return;
   }
   if (e.key === ' ' || e.key === 'Spacebar') {
-    if (trainer.mode === TrainingMode.HUMAN) {
+    if (trainer.mode === TrainingMode.HUMAN && !replayPlayer) {
       game.stopPlayer();
     }
     return;
   }
+  if (e.key === 'p' || e.key === 'P') {
+    setPaused(!paused);
+    return;
+  }
+  if (e.key === '.') {
+    stepOneTick();
+    return;
+  }
+  if (e.key === 'v' || e.key === 'V') {
+    showVision = !showVision;
+    return;
+  }
   setDirectionFromKey(e.key);
   keys[e.key] = true;
 });
 
+/**
+ * Editor keyboard shortcuts: 1-6 pick a tool, Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+ * undo and redo, Escape leaves the editor.
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleEditorKey(e) {
+  if (isTyping(e)) return; // Typing in a toolbar field
+
+  const ctrl = e.ctrlKey || e.metaKey;
+  if (ctrl && (e.key === 'z' || e.key === 'Z')) {
+    e.preventDefault();
+    if (e.shiftKey) editor.redo(); else editor.undo();
+  } else if (ctrl && (e.key === 'y' || e.key === 'Y')) {
+    e.preventDefault();
+    editor.redo();
+  } else if (e.key >= '1' && e.key <= String(toolButtons.length)) {
+    editor.tool = toolButtons[Number(e.key) - 1].dataset.tool;
+  } else if (e.key === 'Escape') {
+    setEditing(false);
+    return;
+  }
+  updateEditorBar();
+}
+
 window.addEventListener('keyup', (e) => {
   keys[e.key] = false;
 });
 
 canvas.addEventListener('pointerdown', (e) => {
+  if (editing) {
+    const cell = editorCellFromEvent(e);
+    if (cell) {
+      canvas.setPointerCapture(e.pointerId);
+      editor.pointerDown(cell.c, cell.r);
+    }
+    return;
+  }
+
   // Only handle clicks in human mode
-  if (trainer.mode !== TrainingMode.HUMAN) return;
+  if (trainer.mode !== TrainingMode.HUMAN || replayPlayer) return;
 
   canvas.focus();
   const rect = canvas.getBoundingClientRect();
@@ -213,6 +674,24 @@ canvas.addEventListener('pointerdown', (e) => {
   }
 });
 
+canvas.addEventListener('pointermove', (e) => {
+  if (!editing) return;
+  const cell = editorCellFromEvent(e);
+  if (cell) editor.pointerMove(cell.c, cell.r);
+});
+
+canvas.addEventListener('pointerup', () => {
+  if (!editing) return;
+  editor.pointerUp();
+  updateEditorBar();
+});
+
+canvas.addEventListener('pointerleave', () => {
+  if (!editing) return;
+  editor.pointerLeave();
+  updateEditorBar();
+});
+
 resetBtn.addEventListener('click', () => {
   if (trainer.mode === TrainingMode.HUMAN) {
     startLevel(true);
@@ -222,11 +701,53 @@ resetBtn.addEventListener('click', () => {
 });
 playAgain.addEventListener('click', () => startLevel(true));
 
+hsInitials.addEventListener('input', () => {
+  const entry = scores.lastRun?.entry;
+  if (!entry) return;
+  scores.rename(entry, hsInitials.value);
+  const current = hsList.querySelector('li.current');
+  if (current) current.textContent = `${entry.initials}  ${entry.score}  (level ${entry.level})`;
+});
+
+hsInitials.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') hsInitials.blur();
+});
+
+btnContinue.addEventListener('click', () => {
+  const level = Number(continueLevel.value);
+  if (!progress.isUnlocked(level)) return;
+  stopReplay();
+  game.reset(level);
+  updateRecording();
+});
+
+btnShare.addEventListener('click', async () => {
+  const text = daily.shareText();
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast('Result copied');
+  } catch (e) {
+    // No clipboard access (e.g. insecure context): show the text instead
+    showToast(text, 4000);
+  }
+});
+
+btnPause.addEventListener('click', () => {
+  setPaused(!paused);
+  canvas.focus();
+});
+
+timeScaleInput.addEventListener('input', () => {
+  timeScale = parseFloat(timeScaleInput.value);
+  timeScaleLabel.textContent = `${timeScale.toFixed(1)}×`;
+});
+
 // ============================================
 // ML Control Handlers
 // ============================================
 
 btnHuman.addEventListener('click', () => {
+  stopReplay();
   trainer.setMode(TrainingMode.HUMAN);
   setActiveMode(TrainingMode.HUMAN);
   overlay.style.display = 'none';
@@ -234,6 +755,7 @@ btnHuman.addEventListener('click', () => {
 });
 
 btnAI.addEventListener('click', () => {
+  stopReplay();
   trainer.setMode(TrainingMode.AI_PLAY);
   setActiveMode(TrainingMode.AI_PLAY);
   overlay.style.display = 'none';
@@ -242,6 +764,7 @@ btnAI.addEventListener('click', () => {
 });
 
 btnTrain.addEventListener('click', () => {
+  stopReplay();
   trainer.setMode(TrainingMode.TRAIN);
   setActiveMode(TrainingMode.TRAIN);
   overlay.style.display = 'none';
@@ -282,37 +805,311 @@ btnResetAI.addEventListener('click', () => {
   }
 });
 
+// ============================================
+// Difficulty Handlers
+// ============================================
+
+difficultySelect.addEventListener('change', () => {
+  const preset = difficultySelect.value;
+  if (preset === Config.Difficulty.CUSTOM) {
+    // Custom starts from the current multipliers
+    setDifficulty({ ...Config.resolveDifficulty(game.difficulty), preset });
+  } else {
+    setDifficulty(preset);
+  }
+  showToast(`Difficulty: ${difficultySelect.selectedOptions[0].textContent}`);
+});
+
+difficultyInputs.forEach(input => {
+  input.addEventListener('change', () => {
+    const setting = { preset: Config.Difficulty.CUSTOM };
+    difficultyInputs.forEach(i => { setting[i.dataset.difficulty] = parseFloat(i.value); });
+    setDifficulty(setting);
+  });
+});
+
+// ============================================
+// Fog Handlers
+// ============================================
+
+fogSelect.addEventListener('change', () => {
+  setFog(fogSelect.value);
+  showToast(fogSelect.selectedOptions[0].textContent);
+});
+
+// ============================================
+// Level Selection
+// ============================================
+
+levelSelect.addEventListener('change', async () => {
+  const url = levelSelect.value;
+  endless.stop();
+  daily.stop();
+  updateDifficultyBar();
+  if (url === 'endless') {
+    stopReplay();
+    endless.start();
+    updateRecording();
+    showToast('Endless mode');
+    return;
+  }
+  if (url === 'daily') {
+    stopReplay();
+    daily.start();
+    updateRecording();
+    updateDifficultyBar();
+    showToast(`Daily challenge ${daily.date}`);
+    return;
+  }
+  if (!url) {
+    game.setLevelSource(null);
+    startLevel(true);
+    return;
+  }
+
+  let def;
+  try {
+    def = await loadLevelFile(url, game);
+  } catch (e) {
+    showError(e);
+    levelSelect.value = '';
+    game.setLevelSource(null);
+    return;
+  }
+
+  // A single map: every level number plays it again
+  game.setLevelSource(() => def);
+  startLevel(true);
+  showToast(def.name);
+});
+
+// ============================================
+// Level Editor Handlers
+// ============================================
+
+btnEdit.addEventListener('click', () => setEditing(!editing));
+
+toolButtons.forEach(btn => {
+  btn.addEventListener('click', () => {
+    editor.tool = btn.dataset.tool;
+    updateEditorBar();
+  });
+});
+
+btnUndo.addEventListener('click', () => {
+  editor.undo();
+  updateEditorBar();
+});
+
+btnRedo.addEventListener('click', () => {
+  editor.redo();
+  updateEditorBar();
+});
+
+edName.addEventListener('change', () => {
+  editor.setProperty('name', edName.value.trim() || 'Untitled');
+  updateEditorBar();
+});
+
+edSpeed.addEventListener('change', () => {
+  editor.setProperty('speedFactor', parseFloat(edSpeed.value));
+  updateEditorBar();
+});
+
+edCrumbSpeed.addEventListener('change', () => {
+  editor.setProperty('crumbSpeedFactor', parseFloat(edCrumbSpeed.value));
+  updateEditorBar();
+});
+
+edBarrier.addEventListener('change', () => {
+  editor.setProperty('barrier', edBarrier.checked ? 'ring' : 'none');
+  updateEditorBar();
+});
+
+edCoordination.addEventListener('change', () => {
+  editor.setProperty('coordination', edCoordination.checked);
+  updateEditorBar();
+});
+
+edPerception.addEventListener('change', () => {
+  editor.setProperty('perception', edPerception.checked);
+  updateEditorBar();
+});
+
+btnEdClear.addEventListener('click', () => {
+  editor.clearLevel();
+  updateEditorBar();
+});
+
+btnEdExport.addEventListener('click', () => {
+  let json;
+  try {
+    json = editor.toJSON();
+  } catch (e) {
+    showError(e);
+    return;
+  }
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${editor.level.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'level'}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showToast('Level exported');
+});
+
+btnEdImport.addEventListener('click', () => levelFile.click());
+
+levelFile.addEventListener('change', async () => {
+  const file = levelFile.files[0];
+  levelFile.value = '';
+  if (!file) return;
+
+  try {
+    editor.load(parseLevel(await file.text(), game));
+  } catch (e) {
+    showError(e);
+    return;
+  }
+  updateEditorBar();
+  showToast(`Imported ${editor.level.name}`);
+});
+
+btnTestPlay.addEventListener('click', testPlay);
+
+// ============================================
+// Replay Handlers
+// ============================================
+
+/**
+ * End replay playback (if any) and give the game back its own level source.
+ */
+function stopReplay() {
+  if (!replayPlayer) return;
+  replayPlayer.stop();
+  replayPlayer = null;
+}
+
+btnSaveReplay.addEventListener('click', () => {
+  const replay = game.getReplay();
+  const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `crumb-chase-replay-${replay.seed}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+  showToast(`Replay saved (${replay.ticks} ticks)`);
+});
+
+btnLoadReplay.addEventListener('click', () => replayFile.click());
+
+replayFile.addEventListener('change', async () => {
+  const file = replayFile.files[0];
+  replayFile.value = '';
+  if (!file) return;
+
+  let replay;
+  try {
+    replay = parseReplay(await file.text());
+  } catch (e) {
+    showToast(e.message, 2500);
+    return;
+  }
+
+  // Replays always play back in human mode
+  if (trainer.mode !== TrainingMode.HUMAN) {
+    trainer.setMode(TrainingMode.HUMAN);
+    setActiveMode(TrainingMode.HUMAN);
+  }
+  overlay.style.display = 'none';
+  accumulator = 0;
+  stopReplay();
+  replayPlayer = new ReplayPlayer(game, replay);
+  updateRecording();
+  try {
+    replayPlayer.start();
+  } catch (e) {
+    // A recorded level failed validation: go back to the game that was being played
+    showError(e);
+    startLevel(true);
+    return;
+  }
+  showToast(`Playing replay (${replay.ticks} ticks)`);
+});
+
 // ============================================
 // Game Loop
 // ============================================
 
 let lastTime = performance.now();
 
+/** Unsimulated frame time carried over to the next frame (human mode) */
+let accumulator = 0;
+
 /**
  * Main game loop - called every frame via requestAnimationFrame.
+ * The simulation always advances in fixed Config.SIM_DT steps; rendering
+ * interpolates between the last two steps so motion stays smooth at any refresh rate.
  * @param {number} ts - Timestamp in milliseconds
  */
 function loop(ts) {
-  const dt = Math.min(0.05, (ts - lastTime) / 1000);
+  const frameDt = Math.min(Config.MAX_FRAME_DT, (ts - lastTime) / 1000);
   lastTime = ts;
+  const simDt = paused ? 0 : frameDt * timeScale;
+  let alpha = 1;
+
+  // Editor: the simulation is suspended and the editor draws the map
+  if (editing) {
+    editor.draw();
+    requestAnimationFrame(loop);
+    return;
+  }
 
   if (trainer.mode === TrainingMode.HUMAN) {
-    // Human mode: normal game update
+    // Human mode: fixed-step game update
     if (game.running) {
-      game.update(dt);
+      accumulator += simDt;
+      if (replayPlayer) {
+        // Replay: the recording's own step drives the game
+        const step = replayPlayer.replay.dt;
+        while (accumulator >= step && !replayPlayer.done) {
+          accumulator -= step;
+          replayPlayer.step();
+        }
+        alpha = Math.min(1, accumulator / step);
+        if (replayPlayer.done) {
+          stopReplay();
+          showToast('Replay finished');
+        }
+      } else {
+        while (accumulator >= Config.SIM_DT && game.running) {
+          accumulator -= Config.SIM_DT;
+          game.update(Config.SIM_DT);
+        }
+        alpha = accumulator / Config.SIM_DT;
+      }
+      if (!game.running) {
+        accumulator = 0;
+      }
+      if (!game.running || paused) {
+        alpha = 1;
+      }
       if (((game.timeAlive * 10) | 0) % 2 === 0) {
         updateHUD();
       }
     }
   } else {
     // AI mode: training manager handles updates
-    trainer.update(dt);
+    trainer.update(simDt);
+    alpha = paused ? 1 : trainer.getAlpha();
     if (((game.timeAlive * 10) | 0) % 2 === 0) {
       updateHUD();
     }
   }
 
-  game.draw(keys['Shift']);
+  game.draw(keys['Shift'], alpha, showVision);
   requestAnimationFrame(loop);
 }
 
@@ -320,5 +1117,8 @@ function loop(ts) {
 // Start Game
 // ============================================
 setActiveMode(TrainingMode.HUMAN);
+loadDifficulty();
+updateDifficultyBar();
+loadFog();
 startLevel(true);
 requestAnimationFrame(loop);
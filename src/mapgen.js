@@ -0,0 +1,348 @@
+/**
+ * Crumb Chase - Map Generator Module
+ *
+ * Builds random wall layouts from a seed and checks them with core.aStar:
+ * the player spawn must reach a hole and every cat spawn must reach the
+ * player. Generated maps are ordinary level definitions (see level.js),
+ * so they plug into Game as a level source.
+ *
+ * @module mapgen
+ */
+
+import * as Config from './config.js';
+import { aStar, createPathScratch, createRng, randInt } from './core.js';
+import { LEVEL_FORMAT_VERSION, BarrierLayout, defaultCatSpawns, validateLevel } from './level.js';
+
+/**
+ * Generator algorithms.
+ */
+export const MapAlgorithm = {
+  MAZE: 'maze',       // Recursive backtracker maze with some loops knocked through
+  ROOMS: 'rooms',     // Walled rooms with doors, scattered over an open floor
+  PILLARS: 'pillars', // Small wall blocks scattered over an open floor
+  MIXED: 'mixed',     // One of the above, picked from the seed
+};
+
+const ALGORITHMS = [MapAlgorithm.MAZE, MapAlgorithm.ROOMS, MapAlgorithm.PILLARS];
+
+// ============================================
+// Generator Tuning
+// ============================================
+const MAPGEN_CONFIG = {
+  mazeLoopChance: 0.12,    // Fraction of remaining maze walls knocked out to create loops
+  roomCount: [5, 9],       // Rooms per map (inclusive range)
+  roomSize: [5, 10],       // Room width/height in cells (inclusive range)
+  roomDoors: [1, 3],       // Doors per room (inclusive range)
+  pillarDensity: 0.1,      // Fraction of cells covered by pillars
+  pillarSize: [1, 2],      // Pillar width/height in cells (inclusive range)
+  clearRadius: 1,          // Cells kept open around each spawn
+  minCatDistance: 12,      // Random cat spawns: minimum Manhattan distance from the player
+  maxAttempts: 50,         // Layouts tried before giving up
+};
+
+/**
+ * Mix a level number into a seed so each level of a run gets its own map.
+ * @param {number} seed - Base seed
+ * @param {number} n - Level number or counter
+ * @returns {number} Derived 32-bit seed
+ */
+export function deriveSeed(seed, n) {
+  let h = Math.imul((seed >>> 0) ^ Math.imul(n, 0x9e3779b1), 0x85ebca6b);
+  h ^= h >>> 13;
+  return Math.imul(h, 0xc2b2ae35) >>> 0;
+}
+
+/**
+ * Generate a solvable level.
+ * @param {Object} options - Generator options
+ * @param {number} options.seed - Seed (same seed and options give the same map)
+ * @param {string} options.algorithm - MapAlgorithm value (default MIXED)
+ * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+ * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+ * @param {number} options.level - Campaign level for cat count and speeds (default 1)
+ * @param {Object} options.params - {cats, speedFactor, crumbSpeedFactor} to use instead of the campaign level's
+ * @param {boolean} options.randomSpawns - If true, cats spawn on random cells instead of CAT_SPAWN_GRID
+ * @returns {Object} Validated level definition
+ * @throws {Error} If no solvable layout was found within MAPGEN_CONFIG.maxAttempts
+ */
+export function generateLevel({
+  seed,
+  algorithm = MapAlgorithm.MIXED,
+  cols = Config.COLS,
+  rows = Config.ROWS,
+  level = 1,
+  params = Config.getLevelConfig(level),
+  randomSpawns = false,
+} = {}) {
+  if (algorithm !== MapAlgorithm.MIXED && !ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown map algorithm "${algorithm}" (expected one of ${[...ALGORITHMS, MapAlgorithm.MIXED].join(', ')})`);
+  }
+
+  const random = createRng(seed);
+  const algo = algorithm === MapAlgorithm.MIXED
+    ? ALGORITHMS[randInt(0, ALGORITHMS.length - 1, random)]
+    : algorithm;
+
+  const { cats: catCount, speedFactor, crumbSpeedFactor } = params;
+  const hole = { c: Config.HOLE_COLUMN, r: Config.getHoleRow(rows), halfSize: Config.HOLE_HALF_HEIGHT };
+  const player = {
+    c: Math.floor(Config.getPlayerSpawnX(cols, 1)),
+    r: Math.floor(Config.getPlayerSpawnY(rows, 1)),
+  };
+  const fixedCats = randomSpawns ? null : defaultCatSpawns(catCount, cols, rows);
+
+  const scratch = createPathScratch(cols * rows);
+  for (let attempt = 0; attempt < MAPGEN_CONFIG.maxAttempts; attempt++) {
+    const cats = fixedCats ?? randomCatSpawns(catCount, cols, rows, player, random);
+    const walls = new Uint8Array(cols * rows);
+    if (algo === MapAlgorithm.MAZE) buildMaze(walls, cols, rows, random);
+    else if (algo === MapAlgorithm.ROOMS) buildRooms(walls, cols, rows, random);
+    else buildPillars(walls, cols, rows, random);
+
+    keepClear(walls, cols, rows, hole, player, cats);
+
+    if (isSolvable(walls, cols, rows, hole, player, cats, scratch)) {
+      const wallCells = [];
+      for (let i = 0; i < walls.length; i++) {
+        if (walls[i]) wallCells.push([i % cols, (i / cols) | 0]);
+      }
+      return validateLevel({
+        version: LEVEL_FORMAT_VERSION,
+        name: `${algo[0].toUpperCase()}${algo.slice(1)} #${seed >>> 0}`,
+        cols,
+        rows,
+        speedFactor,
+        crumbSpeedFactor,
+        walls: wallCells,
+        holes: [hole],
+        player,
+        cats,
+        crumbs: [],
+        barrier: BarrierLayout.RING,
+      }, { cols, rows });
+    }
+  }
+
+  throw new Error(`No solvable ${algo} map found for seed ${seed} after ${MAPGEN_CONFIG.maxAttempts} attempts`);
+}
+
+/**
+ * Create a level source that plays generated maps.
+ * By default each level number of a run gets its own map, and the same
+ * seed always gives the same maps. With fresh set, every start (including
+ * restarts and training episodes) gets a new map.
+ * @param {Object} options - Source options
+ * @param {number} options.seed - Base seed
+ * @param {string} options.algorithm - MapAlgorithm value (default MIXED)
+ * @param {boolean} options.fresh - If true, generate a new map on every call
+ * @returns {Function} (level, game) => level definition
+ */
+export function createMapgenSource({ seed, algorithm = MapAlgorithm.MIXED, fresh = false }) {
+  let calls = 0;
+  return (level, game) => generateLevel({
+    seed: deriveSeed(seed, fresh ? calls++ : level),
+    algorithm,
+    cols: game.cols,
+    rows: game.rows,
+    level,
+  });
+}
+
+// ============================================
+// Algorithms
+// ============================================
+
+/**
+ * Recursive backtracker maze: passages on odd cells, walls in between,
+ * then a share of the remaining inner walls knocked out so the maze has loops.
+ * @param {Uint8Array} walls - Wall layer to fill (1 = wall)
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Function} random - Random source
+ */
+function buildMaze(walls, cols, rows, random) {
+  walls.fill(1);
+  const open = (c, r) => { walls[r * cols + c] = 0; };
+  const isCell = (c, r) => c >= 1 && r >= 1 && c <= cols - 2 && r <= rows - 2;
+
+  const stack = [[1, 1]];
+  open(1, 1);
+  const dirs = [[2, 0], [-2, 0], [0, 2], [0, -2]];
+
+  while (stack.length) {
+    const [c, r] = stack[stack.length - 1];
+    const options = dirs.filter(([dc, dr]) => isCell(c + dc, r + dr) && walls[(r + dr) * cols + c + dc]);
+    if (!options.length) {
+      stack.pop();
+      continue;
+    }
+    const [dc, dr] = options[randInt(0, options.length - 1, random)];
+    open(c + dc / 2, r + dr / 2);
+    open(c + dc, r + dr);
+    stack.push([c + dc, r + dr]);
+  }
+
+  // Knock out walls between two passages to create loops
+  for (let r = 1; r <= rows - 2; r++) {
+    for (let c = 1; c <= cols - 2; c++) {
+      const i = r * cols + c;
+      if (!walls[i]) continue;
+      const horizontal = !walls[i - 1] && !walls[i + 1];
+      const vertical = !walls[i - cols] && !walls[i + cols];
+      if ((horizontal || vertical) && random() < MAPGEN_CONFIG.mazeLoopChance) {
+        walls[i] = 0;
+      }
+    }
+  }
+}
+
+/**
+ * Walled rooms with doors scattered over an open floor. Rooms keep a
+ * one-cell corridor between each other and the map edge.
+ * @param {Uint8Array} walls - Wall layer to fill (1 = wall)
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Function} random - Random source
+ */
+function buildRooms(walls, cols, rows, random) {
+  walls.fill(0);
+  const [minSize, maxSize] = MAPGEN_CONFIG.roomSize;
+  const target = randInt(MAPGEN_CONFIG.roomCount[0], MAPGEN_CONFIG.roomCount[1], random);
+  const rooms = [];
+
+  for (let tries = 0; rooms.length < target && tries < target * 20; tries++) {
+    const w = randInt(minSize, maxSize, random);
+    const h = randInt(minSize, maxSize, random);
+    if (w > cols - 4 || h > rows - 4) continue;
+    const c0 = randInt(2, cols - w - 2, random);
+    const r0 = randInt(2, rows - h - 2, random);
+    const overlaps = rooms.some(room =>
+      c0 <= room.c0 + room.w + 1 && room.c0 <= c0 + w + 1 &&
+      r0 <= room.r0 + room.h + 1 && room.r0 <= r0 + h + 1);
+    if (overlaps) continue;
+    rooms.push({ c0, r0, w, h });
+  }
+
+  for (const { c0, r0, w, h } of rooms) {
+    // Outline
+    const outline = [];
+    for (let c = c0; c < c0 + w; c++) {
+      outline.push([c, r0], [c, r0 + h - 1]);
+    }
+    for (let r = r0 + 1; r < r0 + h - 1; r++) {
+      outline.push([c0, r], [c0 + w - 1, r]);
+    }
+    for (const [c, r] of outline) walls[r * cols + c] = 1;
+
+    // Doors: skip corners so every door opens straight into the room
+    const doorCells = outline.filter(([c, r]) =>
+      !((c === c0 || c === c0 + w - 1) && (r === r0 || r === r0 + h - 1)));
+    const doors = randInt(MAPGEN_CONFIG.roomDoors[0], MAPGEN_CONFIG.roomDoors[1], random);
+    for (let d = 0; d < doors; d++) {
+      const [c, r] = doorCells[randInt(0, doorCells.length - 1, random)];
+      walls[r * cols + c] = 0;
+    }
+  }
+}
+
+/**
+ * Small wall blocks scattered over an open floor.
+ * @param {Uint8Array} walls - Wall layer to fill (1 = wall)
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Function} random - Random source
+ */
+function buildPillars(walls, cols, rows, random) {
+  walls.fill(0);
+  const [minSize, maxSize] = MAPGEN_CONFIG.pillarSize;
+  const avgArea = ((minSize + maxSize) / 2) ** 2;
+  const count = Math.round((cols * rows * MAPGEN_CONFIG.pillarDensity) / avgArea);
+
+  for (let i = 0; i < count; i++) {
+    const w = randInt(minSize, maxSize, random);
+    const h = randInt(minSize, maxSize, random);
+    const c0 = randInt(1, cols - w - 1, random);
+    const r0 = randInt(1, rows - h - 1, random);
+    for (let r = r0; r < r0 + h; r++) {
+      for (let c = c0; c < c0 + w; c++) {
+        walls[r * cols + c] = 1;
+      }
+    }
+  }
+}
+
+// ============================================
+// Spawns and Solvability
+// ============================================
+
+/**
+ * Pick distinct cat spawn cells away from the player and the left (hole) edge.
+ * @param {number} count - Number of cats
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {{c: number, r: number}} player - Player spawn
+ * @param {Function} random - Random source
+ * @returns {Array<{c: number, r: number}>} Spawn cells
+ */
+function randomCatSpawns(count, cols, rows, player, random) {
+  const spawns = [];
+  for (let tries = 0; spawns.length < count && tries < count * 100; tries++) {
+    const c = randInt(Math.floor(cols / 4), Math.max(0, cols - 2), random);
+    const r = randInt(Math.min(1, rows - 1), Math.max(0, rows - 2), random);
+    const farEnough = Math.abs(c - player.c) + Math.abs(r - player.r) >= MAPGEN_CONFIG.minCatDistance;
+    if (farEnough && !spawns.some(s => s.c === c && s.r === r)) {
+      spawns.push({ c, r });
+    }
+  }
+  // Tiny grids: fall back to the fixed spawn points for the rest
+  return spawns.concat(defaultCatSpawns(count, cols, rows).slice(spawns.length));
+}
+
+/**
+ * Clear walls from the hole and its barrier area and around every spawn.
+ * @param {Uint8Array} walls - Wall layer (1 = wall)
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Object} hole - Left-edge hole {c, r, halfSize}
+ * @param {{c: number, r: number}} player - Player spawn
+ * @param {Array<{c: number, r: number}>} cats - Cat spawns
+ */
+function keepClear(walls, cols, rows, hole, player, cats) {
+  const clearRect = (cmin, rmin, cmax, rmax) => {
+    for (let r = Math.max(0, rmin); r <= Math.min(rows - 1, rmax); r++) {
+      for (let c = Math.max(0, cmin); c <= Math.min(cols - 1, cmax); c++) {
+        walls[r * cols + c] = 0;
+      }
+    }
+  };
+
+  // Hole, its barrier (3 deep plus caps) and a corridor behind it
+  const reach = hole.halfSize + 2;
+  clearRect(hole.c, hole.r - reach, hole.c + 3, hole.r + reach);
+
+  const k = MAPGEN_CONFIG.clearRadius;
+  for (const spawn of [player, ...cats]) {
+    clearRect(spawn.c - k, spawn.r - k, spawn.c + k, spawn.r + k);
+  }
+}
+
+/**
+ * Check with A* that the player can reach the hole and every cat can reach the player.
+ * @param {Uint8Array} walls - Wall layer (1 = wall)
+ * @param {number} cols - Grid width
+ * @param {number} rows - Grid height
+ * @param {Object} hole - Hole {c, r}
+ * @param {{c: number, r: number}} player - Player spawn
+ * @param {Array<{c: number, r: number}>} cats - Cat spawns
+ * @param {Object} scratch - A* scratch buffers
+ * @returns {boolean} True if the layout is solvable
+ */
+function isSolvable(walls, cols, rows, hole, player, cats, scratch) {
+  const cost = (c, r) => (walls[r * cols + c] ? Infinity : 1);
+  const reaches = (from, to) =>
+    (from.c === to.c && from.r === to.r) ||
+    aStar(from.c, from.r, to.c, to.r, cols, rows, cost, scratch).length > 0;
+
+  if (!reaches(player, hole)) return false;
+  return cats.every(cat => reaches(cat, player));
+}
@@ -7,6 +7,8 @@
  * @module ml/qlearning
  */
 
+import { createRng, randomSeed } from '../core.js';
+
 /**
  * Q-Learning Agent for the Crumb Chase game.
  *
@@ -23,6 +25,7 @@ export class QLearningAgent {
    * @param {number} options.epsilonDecay - Epsilon decay per episode (default 0.995)
    * @param {number} options.epsilonMin - Minimum epsilon (default 0.01)
    * @param {number} options.bins - Number of bins for discretization (default 10)
+   * @param {number} options.seed - Seed for exploration and Q-value initialization (default random)
    */
   constructor(options = {}) {
     /** Learning rate (alpha) - higher for faster learning */
@@ -43,6 +46,12 @@ export class QLearningAgent {
     /** Number of bins for discretization (not used in simplified state) */
     this.bins = options.bins ?? 10;
 
+    /** Seed for the agent's random source */
+    this.seed = options.seed ?? randomSeed();
+
+    /** Seeded random source for exploration and tie-breaking */
+    this.random = createRng(this.seed);
+
     /** Number of actions (left, right, up, down, stop) */
     this.numActions = 5;
 
@@ -175,10 +184,10 @@ export class QLearningAgent {
     // 5. Is cat blocking path to hole? (2 values)
     const blocking = this.isCatBlocking(state);
 
-    // 6. Adjacent crumbs encoded as 4-bit number (0-15)
+    // 6. Adjacent obstacles (crumbs or walls - both block the mouse) as 4-bit number (0-15)
     //    CRITICAL: On level 1, crumbs are WALLS for cats!
-    const crumbMask = (state.crumbUp << 3) | (state.crumbDown << 2) |
-                      (state.crumbLeft << 1) | state.crumbRight;
+    const crumbMask = ((state.crumbUp | state.wallUp) << 3) | ((state.crumbDown | state.wallDown) << 2) |
+                      ((state.crumbLeft | state.wallLeft) << 1) | (state.crumbRight | state.wallRight);
 
     // Total: 8 × 3 × 3 × 4 × 2 × 16 = 9,216 possible states
     return `${holeDir},${holeDist},${catDanger},${catDir},${blocking},${crumbMask}`;
@@ -194,7 +203,7 @@ export class QLearningAgent {
       // Initialize with small random values to break ties
       const q = new Float32Array(this.numActions);
       for (let i = 0; i < this.numActions; i++) {
-        q[i] = Math.random() * 0.01;
+        q[i] = this.random() * 0.01;
       }
       this.qTable.set(key, q);
     }
@@ -208,8 +217,8 @@ export class QLearningAgent {
    */
   getAction(state) {
     // Exploration: random action
-    if (Math.random() < this.epsilon) {
-      return Math.floor(Math.random() * this.numActions);
+    if (this.random() < this.epsilon) {
+      return Math.floor(this.random() * this.numActions);
     }
 
     // Exploitation: best action
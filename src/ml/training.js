@@ -7,6 +7,7 @@
  * @module ml/training
  */
 
+import * as Config from '../config.js';
 import { QLearningAgent } from './qlearning.js';
 
 /**
@@ -43,8 +44,8 @@ export class TrainingManager {
     /** Whether training is paused */
     this.paused = false;
 
-    /** Steps per frame when training fast */
-    this.stepsPerFrame = 1;
+    /** Unsimulated time carried over between frames (seconds, already speed-scaled) */
+    this.accumulator = 0;
 
     /** Current episode state */
     this.episodeState = null;
@@ -60,8 +61,8 @@ export class TrainingManager {
     /** Callback when stats update */
     this.onStatsUpdate = options.onStatsUpdate ?? null;
 
-    /** Time step for ML updates */
-    this.dt = 1 / 60;
+    /** Time step for ML updates - same fixed step as the browser loop */
+    this.dt = Config.SIM_DT;
   }
 
   /**
@@ -70,6 +71,7 @@ export class TrainingManager {
    */
   setMode(mode) {
     this.mode = mode;
+    this.accumulator = 0;
 
     if (mode === TrainingMode.HUMAN) {
       // Reset to human control
@@ -86,7 +88,6 @@ export class TrainingManager {
    */
   setSpeed(speed) {
     this.speed = speed;
-    this.stepsPerFrame = speed;
   }
 
   /**
@@ -164,16 +165,22 @@ export class TrainingManager {
 
   /**
    * Update training - called each frame.
-   * @param {number} dt - Delta time (not used, we use fixed dt)
+   * Frame time (scaled by speed) is accumulated and consumed in fixed steps of this.dt,
+   * so agents see the same timing regardless of display refresh rate. At most
+   * Config.MAX_TRAINING_STEPS run per frame; time beyond that (a frame hitch
+   * at high speed) is dropped, as the browser loop drops frame time over MAX_FRAME_DT.
+   * @param {number} dt - Frame delta time in seconds
    */
   update(dt) {
     if (this.mode === TrainingMode.HUMAN || this.paused) {
       return;
     }
 
-    // Run multiple steps per frame for speed-up
-    for (let i = 0; i < this.stepsPerFrame; i++) {
-      const result = this.step();
+    this.accumulator = Math.min(this.accumulator + dt * this.speed, Config.MAX_TRAINING_STEPS * this.dt);
+
+    while (this.accumulator >= this.dt) {
+      this.accumulator -= this.dt;
+      this.step();
 
       // Notify stats update periodically
       if (this.onStatsUpdate && this.episodeSteps % 60 === 0) {
@@ -182,6 +189,14 @@ export class TrainingManager {
     }
   }
 
+  /**
+   * Get the fraction of a step left in the accumulator, for render interpolation.
+   * @returns {number} Interpolation factor (0-1)
+   */
+  getAlpha() {
+    return this.accumulator / this.dt;
+  }
+
   /**
    * Get current agent statistics.
    * @returns {Object} Agent stats
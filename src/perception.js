@@ -0,0 +1,179 @@
+/**
+ * Crumb Chase - Cat Perception Module
+ *
+ * On levels with `perception` on, cats no longer know where the mouse is.
+ * Each cat sees within its strategy's vision range and view cone, centred on
+ * the way it is facing; walls (and crumbs, see CAT_PERCEPTION) block its
+ * line of sight. It also hears the mouse drop crumbs within its hearing
+ * range, through walls. A mouse right next to a cat is always noticed.
+ *
+ * Each cat runs a small state machine (Cat.awareness):
+ *
+ *   patrol  Hasn't noticed the mouse; follows its strategy's patrol
+ *   chase   Sees the mouse; runs its strategy as usual
+ *   search  Lost sight of the mouse, or heard it: searches around the last
+ *           known cell for CAT_PERCEPTION.searchSecs, then goes back to patrol
+ *
+ * Perception only reads the simulation state and draws no random numbers;
+ * the goals it leads to are picked in cat-strategies.js.
+ *
+ * @module perception
+ */
+
+import * as Config from './config.js';
+import { fieldOfView, inViewCone, wrapDelta } from './core.js';
+import { getCatStrategy } from './cat-strategies.js';
+
+/** Cat awareness states */
+export const CatAwareness = {
+  PATROL: 'patrol',
+  CHASE: 'chase',
+  SEARCH: 'search',
+};
+
+// ============================================
+// Senses
+// ============================================
+
+/**
+ * How a cat perceives, from its strategy.
+ * @param {Cat} cat - Cat
+ * @returns {{range: number, cone: number, hearing: number}} Sight range (cells), view cone
+ *   (degrees) and hearing range (cells)
+ */
+export function catVision(cat) {
+  return getCatStrategy(cat.strategy).vision;
+}
+
+/**
+ * Shortest offset in cells from a cat to a cell, across wrapping edges.
+ * @private
+ */
+function offsetTo(cat, grid, c, r) {
+  const from = cat.getCell();
+  return {
+    dc: wrapDelta(c - from.c, grid.cols, grid.wrapX),
+    dr: wrapDelta(r - from.r, grid.rows, grid.wrapY),
+  };
+}
+
+/**
+ * Line-of-sight blocker for cats: walls, and crumbs if they block sight.
+ * @private
+ */
+function sightBlocker(grid) {
+  const crumbs = Config.CAT_PERCEPTION.crumbsBlockSight;
+  return (c, r) => grid.isWall(c, r) || (crumbs && grid.getCrumbStrength(c, r) > 0);
+}
+
+/**
+ * Cells a cat can see: within its range and view cone, in line of sight.
+ * @param {Cat} cat - Cat
+ * @param {Grid} grid - Game grid
+ * @param {Uint8Array} out - Buffer to reuse, cols * rows long (optional)
+ * @returns {Uint8Array} 1 for each visible cell index, 0 otherwise
+ */
+export function visionField(cat, grid, out = null) {
+  const { range, cone } = catVision(cat);
+  const { c, r } = cat.getCell();
+  const visible = fieldOfView(c, r, range, grid.cols, grid.rows, sightBlocker(grid), grid.topology, out);
+  for (let i = 0; i < visible.length; i++) {
+    if (!visible[i]) continue;
+    const { dc, dr } = offsetTo(cat, grid, i % grid.cols, (i / grid.cols) | 0);
+    if (!inViewCone(cat.facingX, cat.facingY, dc, dr, cone)) visible[i] = 0;
+  }
+  return visible;
+}
+
+/**
+ * Whether a cat can see the mouse.
+ * @param {Cat} cat - Cat
+ * @param {Grid} grid - Game grid
+ * @param {Player} player - The mouse
+ * @param {Uint8Array} out - Line-of-sight buffer to reuse, cols * rows long (optional)
+ * @returns {boolean}
+ */
+export function canSeeMouse(cat, grid, player, out = null) {
+  const { range, cone } = catVision(cat);
+  const { c, r } = player.getCell();
+  const { dc, dr } = offsetTo(cat, grid, c, r);
+  const dist = Math.hypot(dc, dr);
+  if (dist <= Config.CAT_PERCEPTION.touchCells) return true;
+  if (dist > range + 0.5 || !inViewCone(cat.facingX, cat.facingY, dc, dr, cone)) return false;
+
+  const from = cat.getCell();
+  const visible = fieldOfView(from.c, from.r, Math.ceil(dist), grid.cols, grid.rows, sightBlocker(grid), grid.topology, out);
+  return grid.inBounds(c, r) && visible[grid.idx(c, r)] === 1;
+}
+
+/**
+ * Whether a cat hears a crumb dropped on a cell.
+ * @param {Cat} cat - Cat
+ * @param {Grid} grid - Game grid
+ * @param {{c: number, r: number}} noise - Cell the crumb was dropped on
+ * @returns {boolean}
+ */
+export function hearsNoise(cat, grid, noise) {
+  const { dc, dr } = offsetTo(cat, grid, noise.c, noise.r);
+  return Math.hypot(dc, dr) <= catVision(cat).hearing;
+}
+
+// ============================================
+// State Machine
+// ============================================
+
+/**
+ * Start (or restart) a search around a cell.
+ * @private
+ */
+function startSearch(cat, cell) {
+  cat.awareness = CatAwareness.SEARCH;
+  cat.lastKnown = { c: cell.c, r: cell.r };
+  cat.searchCell = null;
+  cat.searchTime = Config.CAT_PERCEPTION.searchSecs;
+}
+
+/**
+ * Advance a cat's awareness by one tick.
+ * @param {Cat} cat - Cat
+ * @param {Object} env - What the cat perceives
+ * @param {Grid} env.grid - Game grid
+ * @param {Player} env.player - The mouse
+ * @param {{c: number, r: number}|null} env.noise - Cell the mouse dropped a crumb on this tick, if any
+ * @param {Uint8Array} env.sight - Line-of-sight buffer to reuse, cols * rows long (optional)
+ * @param {number} dt - Seconds since the last tick
+ * @returns {boolean} Whether the cat's goal changed and it should replan now
+ */
+export function updateAwareness(cat, { grid, player, noise, sight = null }, dt) {
+  const before = cat.awareness;
+
+  if (canSeeMouse(cat, grid, player, sight)) {
+    cat.awareness = CatAwareness.CHASE;
+    cat.lastKnown = player.getCell();
+    cat.searchCell = null;
+    cat.searchTime = 0;
+    return before !== CatAwareness.CHASE;
+  }
+
+  if (noise && hearsNoise(cat, grid, noise)) {
+    startSearch(cat, noise);
+    return true;
+  }
+
+  if (cat.awareness === CatAwareness.CHASE) {
+    startSearch(cat, cat.lastKnown ?? player.getCell());
+    return true;
+  }
+
+  if (cat.awareness === CatAwareness.SEARCH) {
+    cat.searchTime -= dt;
+    if (cat.searchTime <= 0) {
+      cat.awareness = CatAwareness.PATROL;
+      cat.lastKnown = null;
+      cat.searchCell = null;
+      cat.searchTime = 0;
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,248 @@
+/**
+ * Crumb Chase - Pickups Module
+ *
+ * Collectible power-ups that appear on open cells during a level:
+ *
+ * - cheese   Points (see PICKUP_CONFIG.cheesePoints)
+ * - speed    The mouse runs faster for a while
+ * - noTrail  The mouse leaves no crumbs for a while
+ * - catnip   A decoy on the pickup's cell pulls the cats toward it
+ * - freeze   Cats stand still for a while (they still catch a mouse that runs into them)
+ *
+ * PickupSystem decides where and when pickups spawn and notices when the
+ * mouse collects one; Game applies the effect. Spawning draws from its own
+ * random source so the grid's and the cats' random draws stay the same
+ * whether or not pickups are on.
+ *
+ * @module pickups
+ */
+
+import * as Config from './config.js';
+import { createRng } from './core.js';
+
+/** Pickup types (also the keys of a spawn rule's weights) */
+export const PickupType = {
+  CHEESE: 'cheese',
+  SPEED: 'speed',
+  NO_TRAIL: 'noTrail',
+  CATNIP: 'catnip',
+  FREEZE: 'freeze',
+};
+
+const PICKUP_TYPES = new Set(Object.values(PickupType));
+
+/**
+ * Check pickup spawn rules (a level's `pickups` override or an entry of PICKUP_RULES).
+ * @param {*} rules - Rules to check
+ * @returns {string[]} Problems found (empty if valid)
+ */
+export function pickupRulesErrors(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['pickups must be an object { interval, max, weights }'];
+  }
+  const errors = [];
+  if (typeof rules.interval !== 'number' || !(rules.interval > 0) || !Number.isFinite(rules.interval)) {
+    errors.push('pickups.interval must be a positive number');
+  }
+  if (!Number.isInteger(rules.max) || rules.max < 0) {
+    errors.push('pickups.max must be a non-negative integer');
+  }
+  if (!rules.weights || typeof rules.weights !== 'object' || Array.isArray(rules.weights)) {
+    errors.push('pickups.weights must be an object of type: weight');
+  } else {
+    for (const [type, weight] of Object.entries(rules.weights)) {
+      if (!PICKUP_TYPES.has(type)) {
+        errors.push(`pickups.weights has unknown type "${type}"`);
+      } else if (typeof weight !== 'number' || !(weight >= 0) || !Number.isFinite(weight)) {
+        errors.push(`pickups.weights.${type} must be a non-negative number`);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Spawns, expires and collects the pickups of the level being played.
+ */
+export class PickupSystem {
+  /**
+   * Create a pickup system.
+   * @param {Object} options - System options
+   * @param {number} options.seed - Seed for spawn randomness (default 0)
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   */
+  constructor(options = {}) {
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+
+    /** Random source for spawn cells and types (separate from the game's) */
+    this.random = createRng(options.seed ?? 0);
+
+    /** Spawn rules for the current level: {interval, max, weights} */
+    this.rules = { interval: 1, max: 0, weights: {} };
+
+    /** Pickups on the grid: [{type, c, r, time}] where time is seconds left */
+    this.items = [];
+
+    /** Countdown to the next spawn (seconds) */
+    this.spawnTimer = 0;
+
+    /** Active catnip decoy: {c, r, time} or null */
+    this.decoy = null;
+  }
+
+  /**
+   * Reseed the spawn random source and clear everything.
+   * @param {number} seed - 32-bit integer seed
+   */
+  reset(seed) {
+    this.random.seed = seed >>> 0;
+    this.random.state = seed | 0;
+    this.items = [];
+    this.decoy = null;
+  }
+
+  /**
+   * Clear the grid for a new level. The random source carries on.
+   * @param {{interval: number, max: number, weights: Object<string, number>}} rules - Spawn rules
+   */
+  startLevel(rules) {
+    this.rules = { ...rules, weights: { ...rules.weights } };
+    this.items = [];
+    this.spawnTimer = rules.interval;
+    this.decoy = null;
+  }
+
+  /**
+   * Advance timers, spawn a pickup if one is due and collect what the player stands on.
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} env - What spawning needs to know
+   * @param {Grid} env.grid - Game grid
+   * @param {{c: number, r: number}} env.playerCell - Cell the mouse is in
+   * @param {{dist: Int32Array}|null} env.holeField - Walking distance to the holes (cells it can't reach are -1)
+   * @returns {{type: string, c: number, r: number}|null} Pickup collected this tick
+   */
+  update(dt, { grid, playerCell, holeField }) {
+    if (this.decoy) {
+      this.decoy.time -= dt;
+      if (this.decoy.time <= 0) this.decoy = null;
+    }
+
+    // Expire
+    for (const item of this.items) item.time -= dt;
+    this.items = this.items.filter(item => item.time > 0);
+
+    // Collect
+    let collected = null;
+    const i = this.items.findIndex(item => item.c === playerCell.c && item.r === playerCell.r);
+    if (i !== -1) {
+      const [item] = this.items.splice(i, 1);
+      collected = { type: item.type, c: item.c, r: item.r };
+    }
+
+    // Spawn
+    this.spawnTimer -= dt;
+    if (this.spawnTimer <= 0) {
+      this.spawnTimer += this.rules.interval;
+      if (this.items.length < this.rules.max) {
+        this._spawn(grid, playerCell, holeField);
+      }
+    }
+
+    return collected;
+  }
+
+  /**
+   * Place a catnip decoy.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   */
+  placeDecoy(c, r) {
+    this.decoy = { c, r, time: Config.PICKUP_CONFIG.catnipDuration };
+  }
+
+  /**
+   * Pickup at a cell, if any.
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @returns {{type: string, c: number, r: number, time: number}|null} Pickup
+   */
+  at(c, r) {
+    return this.items.find(item => item.c === c && item.r === r) ?? null;
+  }
+
+  /**
+   * Capture pickups, timers and the random source as a plain object.
+   * @returns {Object} Pickup snapshot
+   */
+  snapshot() {
+    return {
+      rules: { ...this.rules, weights: { ...this.rules.weights } },
+      items: this.items.map(item => ({ ...item })),
+      spawnTimer: this.spawnTimer,
+      decoy: this.decoy ? { ...this.decoy } : null,
+      seed: this.random.seed,
+      rngState: this.random.state,
+    };
+  }
+
+  /**
+   * Restore state captured by snapshot().
+   * @param {Object} snap - Pickup snapshot
+   */
+  restore(snap) {
+    this.rules = { ...snap.rules, weights: { ...snap.rules.weights } };
+    this.items = snap.items.map(item => ({ ...item }));
+    this.spawnTimer = snap.spawnTimer;
+    this.decoy = snap.decoy ? { ...snap.decoy } : null;
+    this.random.seed = snap.seed;
+    this.random.state = snap.rngState;
+  }
+
+  /**
+   * Spawn one pickup on a random open cell: not a wall, crumb, hole, portal or
+   * another pickup, reachable from a hole, and not right next to the mouse.
+   * @param {Grid} grid - Game grid
+   * @param {{c: number, r: number}} playerCell - Cell the mouse is in
+   * @param {{dist: Int32Array}|null} holeField - Walking distance to the holes
+   * @private
+   */
+  _spawn(grid, playerCell, holeField) {
+    const type = this._pickType();
+    if (!type) return;
+
+    const minDist = Config.PICKUP_CONFIG.minPlayerDistance;
+    const cells = [];
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (grid.isWall(c, r) || grid.isCrumb(c, r) || grid.isHoleCell(c, r) || grid.isPortal(c, r)) continue;
+        if (holeField && holeField.dist[r * this.cols + c] === -1) continue;
+        if (Math.abs(c - playerCell.c) + Math.abs(r - playerCell.r) < minDist) continue;
+        if (this.at(c, r)) continue;
+        cells.push({ c, r });
+      }
+    }
+    if (!cells.length) return;
+
+    const { c, r } = cells[Math.floor(this.random() * cells.length)];
+    this.items.push({ type, c, r, time: Config.PICKUP_CONFIG.lifetime });
+  }
+
+  /**
+   * Draw a pickup type by weight.
+   * @returns {string|null} Pickup type, or null if every weight is zero
+   * @private
+   */
+  _pickType() {
+    const entries = Object.entries(this.rules.weights).filter(([, w]) => w > 0);
+    const total = entries.reduce((sum, [, w]) => sum + w, 0);
+    if (total <= 0) return null;
+    let roll = this.random() * total;
+    for (const [type, w] of entries) {
+      roll -= w;
+      if (roll < 0) return type;
+    }
+    return entries[entries.length - 1][0];
+  }
+}
@@ -24,19 +24,31 @@ export class Player {
    * @param {number} options.x - Starting X position (defaults to spawn position)
    * @param {number} options.y - Starting Y position (defaults to spawn position)
    * @param {string} options.color - Fill color (defaults to CSS --mouse variable)
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   * @param {number} options.tile - Pixels per grid cell (defaults to Config.TILE)
    */
   constructor(options = {}) {
+    /** Grid dimensions the player lives in */
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+    this.tile = options.tile ?? Config.TILE;
+
     /** X position (center of entity) in pixels */
-    this.x = options.x ?? Config.getPlayerSpawnX();
+    this.x = options.x ?? Config.getPlayerSpawnX(this.cols, this.tile);
 
     /** Y position (center of entity) in pixels */
-    this.y = options.y ?? Config.getPlayerSpawnY();
+    this.y = options.y ?? Config.getPlayerSpawnY(this.rows, this.tile);
+
+    /** Position at the start of the last simulation tick (for render interpolation) */
+    this.prevX = this.x;
+    this.prevY = this.y;
 
     /** Collision radius in pixels */
-    this.r = Config.TILE * Config.PLAYER_RADIUS_FACTOR;
+    this.r = this.tile * Config.PLAYER_RADIUS_FACTOR;
 
     /** Movement speed in pixels per second */
-    this.speed = Config.PLAYER_SPEED_CELLS * Config.TILE;
+    this.speed = Config.PLAYER_SPEED_CELLS * this.tile;
 
     /** Fill color for rendering */
     this.color = options.color ?? null; // Set lazily from CSS
@@ -60,21 +72,97 @@ export class Player {
     this.wishTimer = 0;
 
     /** Tolerance for committing turns at cell centers */
-    this.turnEps = Config.getTurnEps();
+    this.turnEps = Config.getTurnEps(this.tile);
+
+    /** Seconds of speed boost left (pickup) */
+    this.speedBoostTime = 0;
+
+    /** Seconds left without a crumb trail (pickup) */
+    this.noTrailTime = 0;
+
+    /** Seconds left during which cats can't catch the player (after a respawn) */
+    this.invulnerableTime = 0;
   }
 
   /**
    * Reset player to starting position and clear movement.
+   * @param {number} x - Spawn X in pixels (defaults to the configured spawn)
+   * @param {number} y - Spawn Y in pixels (defaults to the configured spawn)
    */
-  reset() {
-    this.x = Config.getPlayerSpawnX();
-    this.y = Config.getPlayerSpawnY();
+  reset(x = Config.getPlayerSpawnX(this.cols, this.tile), y = Config.getPlayerSpawnY(this.rows, this.tile)) {
+    this.x = x;
+    this.y = y;
+    this.prevX = this.x;
+    this.prevY = this.y;
     this.lastCell = { c: -1, r: -1 };
     this.dirX = 0;
     this.dirY = 0;
     this.wishX = 0;
     this.wishY = 0;
     this.wishTimer = 0;
+    this.speedBoostTime = 0;
+    this.noTrailTime = 0;
+    this.invulnerableTime = 0;
+  }
+
+  /**
+   * Capture position and movement state as a plain object.
+   * @returns {Object} Player snapshot
+   */
+  snapshot() {
+    return {
+      x: this.x,
+      y: this.y,
+      prevX: this.prevX,
+      prevY: this.prevY,
+      lastCell: { ...this.lastCell },
+      dirX: this.dirX,
+      dirY: this.dirY,
+      wishX: this.wishX,
+      wishY: this.wishY,
+      wishTimer: this.wishTimer,
+      speedBoostTime: this.speedBoostTime,
+      noTrailTime: this.noTrailTime,
+      invulnerableTime: this.invulnerableTime,
+    };
+  }
+
+  /**
+   * Restore state captured by snapshot().
+   * @param {Object} snap - Player snapshot
+   */
+  restore(snap) {
+    this.x = snap.x;
+    this.y = snap.y;
+    this.prevX = snap.prevX;
+    this.prevY = snap.prevY;
+    this.lastCell = { ...snap.lastCell };
+    this.dirX = snap.dirX;
+    this.dirY = snap.dirY;
+    this.wishX = snap.wishX;
+    this.wishY = snap.wishY;
+    this.wishTimer = snap.wishTimer;
+    this.speedBoostTime = snap.speedBoostTime ?? 0;
+    this.noTrailTime = snap.noTrailTime ?? 0;
+    this.invulnerableTime = snap.invulnerableTime ?? 0;
+  }
+
+  /**
+   * Whether the player drops crumbs when leaving a cell.
+   * @returns {boolean} False while a no-trail pickup is active
+   */
+  get leavesTrail() {
+    return this.noTrailTime <= 0;
+  }
+
+  /**
+   * Count down pickup effect and invulnerability timers.
+   * @param {number} dt - Delta time in seconds
+   */
+  updateEffects(dt) {
+    this.speedBoostTime = Math.max(0, this.speedBoostTime - dt);
+    this.noTrailTime = Math.max(0, this.noTrailTime - dt);
+    this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
   }
 
   /**
@@ -103,10 +191,10 @@ export class Player {
    * @returns {number} X coordinate of nearest column center
    */
   nearestColumnCenter(movingDirX) {
-    const c = Math.floor(this.x / Config.TILE);
-    const cx0 = (c + 0.5) * Config.TILE;
+    const c = Math.floor(this.x / this.tile);
+    const cx0 = (c + 0.5) * this.tile;
     if (movingDirX !== 0) {
-      const cx1 = (c + 0.5 + Math.sign(movingDirX)) * Config.TILE;
+      const cx1 = (c + 0.5 + Math.sign(movingDirX)) * this.tile;
       return Math.abs(this.x - cx0) < Math.abs(this.x - cx1) ? cx0 : cx1;
     }
     return cx0;
@@ -118,10 +206,10 @@ export class Player {
    * @returns {number} Y coordinate of nearest row center
    */
   nearestRowCenter(movingDirY) {
-    const r = Math.floor(this.y / Config.TILE);
-    const cy0 = (r + 0.5) * Config.TILE;
+    const r = Math.floor(this.y / this.tile);
+    const cy0 = (r + 0.5) * this.tile;
     if (movingDirY !== 0) {
-      const cy1 = (r + 0.5 + Math.sign(movingDirY)) * Config.TILE;
+      const cy1 = (r + 0.5 + Math.sign(movingDirY)) * this.tile;
       return Math.abs(this.y - cy0) < Math.abs(this.y - cy1) ? cy0 : cy1;
     }
     return cy0;
@@ -132,11 +220,11 @@ export class Player {
    * @returns {boolean} True if turn is allowed
    */
   canTurnVertical() {
-    const c = Math.floor(this.x / Config.TILE);
-    const cx0 = (c + 0.5) * Config.TILE;
+    const c = Math.floor(this.x / this.tile);
+    const cx0 = (c + 0.5) * this.tile;
     if (Math.abs(this.x - cx0) <= this.turnEps) return true;
     if (this.dirX !== 0) {
-      const cx1 = (c + 0.5 + Math.sign(this.dirX)) * Config.TILE;
+      const cx1 = (c + 0.5 + Math.sign(this.dirX)) * this.tile;
       if (Math.abs(this.x - cx1) <= this.turnEps) return true;
     }
     return false;
@@ -147,11 +235,11 @@ export class Player {
    * @returns {boolean} True if turn is allowed
    */
   canTurnHorizontal() {
-    const r = Math.floor(this.y / Config.TILE);
-    const cy0 = (r + 0.5) * Config.TILE;
+    const r = Math.floor(this.y / this.tile);
+    const cy0 = (r + 0.5) * this.tile;
     if (Math.abs(this.y - cy0) <= this.turnEps) return true;
     if (this.dirY !== 0) {
-      const cy1 = (r + 0.5 + Math.sign(this.dirY)) * Config.TILE;
+      const cy1 = (r + 0.5 + Math.sign(this.dirY)) * this.tile;
       if (Math.abs(this.y - cy1) <= this.turnEps) return true;
     }
     return false;
@@ -227,18 +315,18 @@ export class Player {
   snapToGrid() {
     if (this.dirX === 0 && this.dirY === 0) {
       // Stationary - snap both axes
-      const c = Math.floor(this.x / Config.TILE);
-      const r = Math.floor(this.y / Config.TILE);
-      this.x = (c + 0.5) * Config.TILE;
-      this.y = (r + 0.5) * Config.TILE;
+      const c = Math.floor(this.x / this.tile);
+      const r = Math.floor(this.y / this.tile);
+      this.x = (c + 0.5) * this.tile;
+      this.y = (r + 0.5) * this.tile;
     } else if (this.dirX === 0 && this.dirY !== 0) {
       // Moving vertically - snap X
-      const c = Math.floor(this.x / Config.TILE);
-      this.x = (c + 0.5) * Config.TILE;
+      const c = Math.floor(this.x / this.tile);
+      this.x = (c + 0.5) * this.tile;
     } else if (this.dirY === 0 && this.dirX !== 0) {
       // Moving horizontally - snap Y
-      const r = Math.floor(this.y / Config.TILE);
-      this.y = (r + 0.5) * Config.TILE;
+      const r = Math.floor(this.y / this.tile);
+      this.y = (r + 0.5) * this.tile;
     }
   }
 
@@ -248,8 +336,8 @@ export class Player {
    */
   getCell() {
     return {
-      c: Math.floor(this.x / Config.TILE),
-      r: Math.floor(this.y / Config.TILE),
+      c: Math.floor(this.x / this.tile),
+      r: Math.floor(this.y / this.tile),
     };
   }
 
@@ -259,9 +347,10 @@ export class Player {
    * @returns {{dx: number, dy: number}} Movement delta in pixels
    */
   getMovementDelta(dt) {
+    const speed = this.speedBoostTime > 0 ? this.speed * Config.PICKUP_CONFIG.speedFactor : this.speed;
     return {
-      dx: this.dirX * this.speed * dt,
-      dy: this.dirY * this.speed * dt,
+      dx: this.dirX * speed * dt,
+      dy: this.dirY * speed * dt,
     };
   }
 }
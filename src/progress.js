@@ -0,0 +1,106 @@
+/**
+ * Crumb Chase - Campaign Progress Module
+ *
+ * Remembers the furthest campaign level reached so a run can continue
+ * from any unlocked level instead of starting over at level 1.
+ *
+ * @module progress
+ */
+
+import * as Config from './config.js';
+import { GameEvent } from './events.js';
+import { campaignLevelSource } from './level.js';
+
+/** Storage key for campaign progress */
+export const PROGRESS_STORAGE_KEY = 'crumbChaseProgress';
+
+/**
+ * Campaign progress tracker.
+ * Unlocks every campaign level the game starts (up to MAX_LEVEL, after which
+ * the campaign stops getting harder) and keeps the result in storage
+ * (localStorage in the browser; nothing is saved when no storage is available).
+ * Levels from other sources (endless, daily, level files) are not tracked.
+ */
+export class CampaignProgress {
+  /**
+   * Create a progress tracker.
+   * @param {Game} game - Game to watch
+   * @param {Object} options - Tracker options
+   * @param {Storage|null} options.storage - Where progress is kept (defaults to localStorage if present)
+   * @param {string} options.storageKey - Storage key (default PROGRESS_STORAGE_KEY)
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? PROGRESS_STORAGE_KEY;
+
+    /** Whether levels started now count as unlocked (e.g. off while an AI plays) */
+    this.enabled = true;
+
+    /** Highest unlocked campaign level */
+    this.highest = this._load();
+
+    game.on(GameEvent.LEVEL_STARTED, ({ level }) => this._onLevelStarted(level));
+  }
+
+  /**
+   * Check whether a campaign level can be continued from.
+   * @param {number} level - Level number
+   * @returns {boolean} True if unlocked
+   */
+  isUnlocked(level) {
+    return Number.isInteger(level) && level >= 1 && level <= this.highest;
+  }
+
+  /**
+   * Forget all progress: only level 1 stays unlocked.
+   */
+  clear() {
+    this.highest = 1;
+    this._save();
+  }
+
+  /**
+   * Unlock a campaign level when the game starts it.
+   * @param {number} level - Level that started
+   * @private
+   */
+  _onLevelStarted(level) {
+    if (!this.enabled || this.game.levelSource !== campaignLevelSource) return;
+    const unlocked = Math.min(level, Config.MAX_LEVEL);
+    if (unlocked > this.highest) {
+      this.highest = unlocked;
+      this._save();
+    }
+  }
+
+  /**
+   * Read progress from storage.
+   * @returns {number} Highest unlocked level (1 if none saved)
+   * @private
+   */
+  _load() {
+    if (!this.storage) return 1;
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.storageKey));
+      const highest = saved && saved.highest;
+      return Number.isInteger(highest) ? Math.max(1, Math.min(Config.MAX_LEVEL, highest)) : 1;
+    } catch (e) {
+      console.error('Failed to load campaign progress:', e);
+      return 1;
+    }
+  }
+
+  /**
+   * Write progress to storage.
+   * @private
+   */
+  _save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({ highest: this.highest }));
+    } catch (e) {
+      console.error('Failed to save campaign progress:', e);
+    }
+  }
+}
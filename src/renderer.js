@@ -8,6 +8,20 @@
  */
 
 import * as Config from './config.js';
+import { PickupType } from './pickups.js';
+import { getCatStrategy } from './cat-strategies.js';
+import { CatAwareness, catVision, visionField } from './perception.js';
+
+/**
+ * Linear interpolation between a and b.
+ * @param {number} a - Start value
+ * @param {number} b - End value
+ * @param {number} t - Blend factor (0-1)
+ * @returns {number} Interpolated value
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
 
 /**
  * Renderer class - handles all game drawing operations.
@@ -19,9 +33,19 @@ export class Renderer {
   /**
    * Create a new renderer.
    * @param {HTMLCanvasElement} canvas - Canvas element to draw on
+   * @param {Object} options - World dimensions
+   * @param {number} options.cols - Grid width in cells (defaults to Config.COLS)
+   * @param {number} options.rows - Grid height in cells (defaults to Config.ROWS)
+   * @param {number} options.tile - Pixels per grid cell (defaults to Config.TILE)
    */
-  constructor(canvas) {
+  constructor(canvas, options = {}) {
     this.canvas = canvas;
+
+    /** Grid dimensions being drawn */
+    this.cols = options.cols ?? Config.COLS;
+    this.rows = options.rows ?? Config.ROWS;
+    this.tile = options.tile ?? Config.TILE;
+
     this.ctx = canvas.getContext('2d');
 
     /** Device pixel ratio for crisp rendering on HiDPI displays */
@@ -39,10 +63,10 @@ export class Renderer {
    * @private
    */
   _setupCanvas() {
-    this.canvas.width = Config.COLS * Config.TILE * this.dpr;
-    this.canvas.height = Config.ROWS * Config.TILE * this.dpr;
-    this.canvas.style.width = Config.COLS * Config.TILE + 'px';
-    this.canvas.style.height = Config.ROWS * Config.TILE + 'px';
+    this.canvas.width = this.cols * this.tile * this.dpr;
+    this.canvas.height = this.rows * this.tile * this.dpr;
+    this.canvas.style.width = this.cols * this.tile + 'px';
+    this.canvas.style.height = this.rows * this.tile + 'px';
     this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
   }
 
@@ -97,8 +121,8 @@ export class Renderer {
    */
   drawBackgroundGrid() {
     const ctx = this.ctx;
-    const w = Config.COLS * Config.TILE;
-    const h = Config.ROWS * Config.TILE;
+    const w = this.cols * this.tile;
+    const h = this.rows * this.tile;
     ctx.save();
 
     // Vignette effect
@@ -116,13 +140,13 @@ export class Renderer {
     ctx.strokeStyle = '#ffffff';
     ctx.lineWidth = 1;
     ctx.beginPath();
-    for (let c = 0; c <= Config.COLS; c++) {
-      ctx.moveTo(c * Config.TILE, 0);
-      ctx.lineTo(c * Config.TILE, h);
+    for (let c = 0; c <= this.cols; c++) {
+      ctx.moveTo(c * this.tile, 0);
+      ctx.lineTo(c * this.tile, h);
     }
-    for (let r = 0; r <= Config.ROWS; r++) {
-      ctx.moveTo(0, r * Config.TILE);
-      ctx.lineTo(w, r * Config.TILE);
+    for (let r = 0; r <= this.rows; r++) {
+      ctx.moveTo(0, r * this.tile);
+      ctx.lineTo(w, r * this.tile);
     }
     ctx.stroke();
     ctx.globalAlpha = 1;
@@ -130,24 +154,58 @@ export class Renderer {
   }
 
   /**
-   * Draw all crumbs on the grid as small colored squares.
+   * Draw permanent walls as solid blocks with a lighter top edge.
+   * @param {Object} grid - Grid instance with walls array
+   */
+  drawWalls(grid) {
+    const ctx = this.ctx;
+    const tile = this.tile;
+    ctx.save();
+    const wallColor = this.getCSS('--wall');
+    const edgeColor = this.getCSS('--wall2');
+
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (grid.walls[grid.idx(c, r)]) {
+          const x = c * tile;
+          const y = r * tile;
+          ctx.fillStyle = wallColor;
+          ctx.fillRect(x, y, tile, tile);
+          // Highlight edges that face open cells
+          ctx.fillStyle = edgeColor;
+          if (!grid.isWall(c, r - 1)) ctx.fillRect(x, y, tile, 2);
+          if (!grid.isWall(c - 1, r)) ctx.fillRect(x, y, 1, tile);
+        }
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw all crumbs on the grid as nested colored squares.
+   * A strength-1 crumb is two squares; each extra unit (up to CRUMB_MAX_STRENGTH)
+   * grows the crumb by a pixel per side and adds another ring.
    * @param {Object} grid - Grid instance with crumbs array
    */
   drawCrumbs(grid) {
     const ctx = this.ctx;
     ctx.save();
-    const crumbColor = this.getCSS('--crumb');
-    const crumb2Color = this.getCSS('--crumb2');
-
-    for (let r = 0; r < Config.ROWS; r++) {
-      for (let c = 0; c < Config.COLS; c++) {
-        if (grid.crumbs[grid.idx(c, r)] > 0) {
-          const x = c * Config.TILE;
-          const y = r * Config.TILE;
-          ctx.fillStyle = crumbColor;
-          ctx.fillRect(x + 3, y + 3, Config.TILE - 6, Config.TILE - 6);
-          ctx.fillStyle = crumb2Color;
-          ctx.fillRect(x + 5, y + 5, Config.TILE - 10, Config.TILE - 10);
+    const colors = [this.getCSS('--crumb'), this.getCSS('--crumb2')];
+
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        const strength = grid.crumbs[grid.idx(c, r)];
+        if (strength > 0) {
+          const units = Math.ceil(Math.min(strength, Config.CRUMB_MAX_STRENGTH));
+          const x = c * this.tile;
+          const y = r * this.tile;
+          for (let i = 0; i <= units; i++) {
+            const inset = Math.max(1, 4 - units) + 2 * i;
+            const size = this.tile - 2 * inset;
+            if (size <= 0) break;
+            ctx.fillStyle = colors[i % 2];
+            ctx.fillRect(x + inset, y + inset, size, size);
+          }
         }
       }
     }
@@ -155,26 +213,295 @@ export class Renderer {
   }
 
   /**
-   * Draw the escape hole on the left edge of the grid.
+   * Draw the escape holes. Edge holes are drawn as openings in the edge,
+   * holes inside the map as dark pits.
    * @param {Object} grid - Grid instance with hole configuration
    */
-  drawHole(grid) {
+  drawHoles(grid) {
     const ctx = this.ctx;
-    const rmin = Math.max(0, grid.hole.r - grid.hole.halfHeight);
-    const rmax = Math.min(Config.ROWS - 1, grid.hole.r + grid.hole.halfHeight);
-    const y = rmin * Config.TILE;
-    const h = (rmax - rmin + 1) * Config.TILE;
-    const w = Math.floor(Config.TILE * 1.1);
+    const tile = this.tile;
+    const depth = Math.floor(tile * 1.1);
+    const W = this.cols * tile;
+    const H = this.rows * tile;
 
     ctx.save();
-    const g = ctx.createLinearGradient(0, y, w, y);
-    g.addColorStop(0, '#000');
-    g.addColorStop(1, '#050505');
-    ctx.fillStyle = g;
-    ctx.fillRect(0, y, w, h);
-    ctx.fillStyle = 'rgba(255,255,255,0.85)';
     ctx.font = '600 12px system-ui, sans-serif';
-    ctx.fillText('Hole', 6, y - 6 < 12 ? 12 : y - 6);
+    for (const hole of grid.holes) {
+      const cells = grid.getHoleCells(hole);
+      if (!cells.length) continue;
+      const cmin = Math.min(...cells.map(cell => cell.c));
+      const cmax = Math.max(...cells.map(cell => cell.c));
+      const rmin = Math.min(...cells.map(cell => cell.r));
+      const rmax = Math.max(...cells.map(cell => cell.r));
+
+      // Rectangle and gradient direction (from the open edge inward)
+      let x = cmin * tile, y = rmin * tile;
+      let w = (cmax - cmin + 1) * tile, h = (rmax - rmin + 1) * tile;
+      let g;
+      switch (grid.holeSide(hole)) {
+        case 'left':
+          w = depth;
+          g = ctx.createLinearGradient(0, y, w, y);
+          break;
+        case 'right':
+          x = W - depth;
+          w = depth;
+          g = ctx.createLinearGradient(W, y, x, y);
+          break;
+        case 'top':
+          h = depth;
+          g = ctx.createLinearGradient(x, 0, x, h);
+          break;
+        case 'bottom':
+          y = H - depth;
+          h = depth;
+          g = ctx.createLinearGradient(x, H, x, y);
+          break;
+        default:
+          g = ctx.createRadialGradient(x + w / 2, y + h / 2, 0, x + w / 2, y + h / 2, Math.max(w, h) * 0.7);
+      }
+      g.addColorStop(0, '#000');
+      g.addColorStop(1, '#050505');
+      ctx.fillStyle = g;
+      ctx.fillRect(x, y, w, h);
+
+      // Label above the hole, or below it when there is no room
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      const labelX = Math.min(Math.max(x + 6, 6), W - 36);
+      const labelY = y - 6 < 12 ? Math.min(y + h + 14, H - 4) : y - 6;
+      ctx.fillText('Hole', labelX, labelY);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw the portals as rings, each pair in its own color and numbered, and
+   * mark wrapping edges with dashed lines.
+   * @param {Object} grid - Grid instance with portals and wrap flags
+   */
+  drawPortals(grid) {
+    const ctx = this.ctx;
+    const tile = this.tile;
+    const W = this.cols * tile;
+    const H = this.rows * tile;
+    const colors = [this.getCSS('--portal'), this.getCSS('--portal2'), this.getCSS('--portal3')];
+    ctx.save();
+
+    if (grid.wrapX || grid.wrapY) {
+      ctx.strokeStyle = colors[0];
+      ctx.globalAlpha = 0.5;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 6]);
+      ctx.beginPath();
+      if (grid.wrapX) {
+        ctx.moveTo(1, 0);
+        ctx.lineTo(1, H);
+        ctx.moveTo(W - 1, 0);
+        ctx.lineTo(W - 1, H);
+      }
+      if (grid.wrapY) {
+        ctx.moveTo(0, 1);
+        ctx.lineTo(W, 1);
+        ctx.moveTo(0, H - 1);
+        ctx.lineTo(W, H - 1);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+    }
+
+    ctx.font = '700 9px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    grid.portals.forEach((pair, i) => {
+      const color = colors[i % colors.length];
+      for (const [c, r] of pair) {
+        const cx = (c + 0.5) * tile;
+        const cy = (r + 0.5) * tile;
+        ctx.fillStyle = '#000';
+        ctx.beginPath();
+        ctx.arc(cx, cy, tile * 0.42, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.fillStyle = color;
+        ctx.fillText(String(i + 1), cx, cy + 0.5);
+      }
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Cover the cells the mouse can't see (fog of war).
+   * @param {FogOfWar} fog - Fog with the visible cells
+   */
+  drawFog(fog) {
+    const ctx = this.ctx;
+    const tile = this.tile;
+    ctx.save();
+    ctx.fillStyle = this.getCSS('--fog');
+    ctx.globalAlpha = 0.92;
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (!fog.isVisible(c, r)) ctx.fillRect(c * tile, r * tile, tile, tile);
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw a "last seen" marker where a cat was before it slipped out of view:
+   * a dashed outline with a question mark, fading as the memory gets older.
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   * @param {number} r - Cat radius
+   * @param {string} color - Cat color
+   * @param {number} fade - 0 (just seen) to 1 (about to be forgotten)
+   */
+  drawLastSeen(x, y, r, color, fade) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.8 * (1 - fade) + 0.15;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillStyle = color;
+    ctx.font = `700 ${Math.round(r * 1.3)}px system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('?', x, y + 1);
+    ctx.restore();
+  }
+
+  /**
+   * Draw the pickups on the grid and the catnip decoy, if any.
+   * Pickups blink during their last two seconds.
+   * @param {PickupSystem} pickups - Pickup system with items and decoy
+   */
+  drawPickups(pickups) {
+    const ctx = this.ctx;
+    const tile = this.tile;
+    ctx.save();
+
+    if (pickups.decoy) {
+      // Pulsing ring of catnip scent around the decoy cell
+      const { c, r, time } = pickups.decoy;
+      const cx = (c + 0.5) * tile;
+      const cy = (r + 0.5) * tile;
+      ctx.strokeStyle = this.getCSS('--catnip');
+      ctx.lineWidth = 2;
+      ctx.globalAlpha = 0.35 + 0.25 * Math.sin(time * 8);
+      ctx.beginPath();
+      ctx.arc(cx, cy, tile * (1 + 0.25 * Math.sin(time * 4)), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+      this._drawPickupSprite(PickupType.CATNIP, cx, cy, tile * 0.4);
+    }
+
+    for (const item of pickups.items) {
+      if (item.time < 2 && Math.floor(item.time * 5) % 2 === 0) continue;
+      this._drawPickupSprite(item.type, (item.c + 0.5) * tile, (item.r + 0.5) * tile, tile * 0.4);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw one pickup sprite.
+   * @param {string} type - PickupType value
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   * @param {number} s - Half size
+   * @private
+   */
+  _drawPickupSprite(type, x, y, s) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.lineWidth = Math.max(1.5, s * 0.25);
+    ctx.lineCap = 'round';
+    switch (type) {
+      case PickupType.CHEESE:
+        // Wedge with holes
+        ctx.fillStyle = this.getCSS('--cheese');
+        ctx.beginPath();
+        ctx.moveTo(x - s, y + s * 0.7);
+        ctx.lineTo(x + s, y + s * 0.7);
+        ctx.lineTo(x + s, y - s * 0.7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = 'rgba(0,0,0,0.3)';
+        ctx.beginPath();
+        ctx.arc(x + s * 0.45, y + s * 0.25, s * 0.18, 0, Math.PI * 2);
+        ctx.arc(x - s * 0.05, y + s * 0.45, s * 0.12, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      case PickupType.SPEED:
+        // Lightning bolt
+        ctx.fillStyle = this.getCSS('--speed');
+        ctx.beginPath();
+        ctx.moveTo(x + s * 0.2, y - s);
+        ctx.lineTo(x - s * 0.6, y + s * 0.15);
+        ctx.lineTo(x - s * 0.05, y + s * 0.15);
+        ctx.lineTo(x - s * 0.25, y + s);
+        ctx.lineTo(x + s * 0.6, y - s * 0.2);
+        ctx.lineTo(x + s * 0.05, y - s * 0.2);
+        ctx.closePath();
+        ctx.fill();
+        break;
+      case PickupType.NO_TRAIL:
+        // Crossed-out crumb
+        ctx.fillStyle = this.getCSS('--crumb');
+        ctx.fillRect(x - s * 0.45, y - s * 0.45, s * 0.9, s * 0.9);
+        ctx.strokeStyle = this.getCSS('--notrail');
+        ctx.beginPath();
+        ctx.arc(x, y, s, 0, Math.PI * 2);
+        ctx.moveTo(x - s * 0.7, y + s * 0.7);
+        ctx.lineTo(x + s * 0.7, y - s * 0.7);
+        ctx.stroke();
+        break;
+      case PickupType.CATNIP:
+        // Leaf
+        ctx.fillStyle = this.getCSS('--catnip');
+        ctx.beginPath();
+        ctx.ellipse(x, y, s * 0.5, s, Math.PI / 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x - s * 0.6, y + s * 0.6);
+        ctx.lineTo(x + s * 0.5, y - s * 0.5);
+        ctx.stroke();
+        break;
+      case PickupType.FREEZE:
+        // Snowflake
+        ctx.strokeStyle = this.getCSS('--freeze');
+        ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+          const a = (i * Math.PI) / 3;
+          ctx.moveTo(x - Math.cos(a) * s, y - Math.sin(a) * s);
+          ctx.lineTo(x + Math.cos(a) * s, y + Math.sin(a) * s);
+        }
+        ctx.stroke();
+        break;
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Outline a single cell (editor cursor).
+   * @param {number} c - Column
+   * @param {number} r - Row
+   * @param {string} color - Stroke color (defaults to the accent color)
+   */
+  drawCellHighlight(c, r, color = this.getCSS('--accent')) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(c * this.tile + 1, r * this.tile + 1, this.tile - 2, this.tile - 2);
     ctx.restore();
   }
 
@@ -306,6 +633,77 @@ export class Renderer {
     ctx.restore();
   }
 
+  /**
+   * Color for a cat: tinted by its strategy (see cat-strategies.js), falling
+   * back to the cat's own color for strategies without a CSS color.
+   * @param {{strategy?: string, color: string}} cat - Cat to color
+   * @returns {string} Fill color
+   */
+  catColor(cat) {
+    if (!cat.strategy) return cat.color;
+    return this.getCSS(getCatStrategy(cat.strategy).color) || cat.color;
+  }
+
+  /**
+   * Draw a debug overlay of what each cat perceives: the cells it can see,
+   * its hearing range (dashed circle), the cell it is searching around (a
+   * cross) and its state above it ('!' chasing, '?' searching).
+   * @param {Grid} grid - Game grid
+   * @param {Cat[]} cats - Cats on the level
+   */
+  drawCatVision(grid, cats) {
+    const ctx = this.ctx;
+    const tile = this.tile;
+    if (!this._visionBuffer || this._visionBuffer.length !== grid.cols * grid.rows) {
+      this._visionBuffer = new Uint8Array(grid.cols * grid.rows);
+    }
+
+    ctx.save();
+    for (const cat of cats) {
+      const color = this.catColor(cat);
+      const visible = visionField(cat, grid, this._visionBuffer);
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.14;
+      for (let i = 0; i < visible.length; i++) {
+        if (visible[i]) ctx.fillRect((i % grid.cols) * tile, ((i / grid.cols) | 0) * tile, tile, tile);
+      }
+
+      ctx.globalAlpha = 0.5;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 5]);
+      ctx.beginPath();
+      ctx.arc(cat.x, cat.y, catVision(cat).hearing * tile, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      if (cat.awareness === CatAwareness.SEARCH && cat.lastKnown) {
+        const x = (cat.lastKnown.c + 0.5) * tile;
+        const y = (cat.lastKnown.r + 0.5) * tile;
+        const d = tile * 0.35;
+        ctx.globalAlpha = 0.9;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - d, y - d);
+        ctx.lineTo(x + d, y + d);
+        ctx.moveTo(x + d, y - d);
+        ctx.lineTo(x - d, y + d);
+        ctx.stroke();
+      }
+
+      const label = { [CatAwareness.CHASE]: '!', [CatAwareness.SEARCH]: '?' }[cat.awareness];
+      if (label) {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = color;
+        ctx.font = `700 ${Math.round(tile * 0.9)}px system-ui, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, cat.x, cat.y - cat.r - 2);
+      }
+    }
+    ctx.restore();
+  }
+
   /**
    * Draw a debug path visualization (dashed line through cells).
    * @param {Array<{c: number, r: number}>} cells - Path waypoints
@@ -318,16 +716,17 @@ export class Renderer {
     ctx.lineWidth = 2;
     ctx.setLineDash([4, 4]);
     ctx.beginPath();
-    let first = true;
+    let prev = null;
     for (const cell of cells) {
-      const px = (cell.c + 0.5) * Config.TILE;
-      const py = (cell.r + 0.5) * Config.TILE;
-      if (first) {
-        ctx.moveTo(px, py);
-        first = false;
-      } else {
+      const px = (cell.c + 0.5) * this.tile;
+      const py = (cell.r + 0.5) * this.tile;
+      // Portal and wrap-around steps jump across the board: start a new segment there
+      if (prev && Math.abs(cell.c - prev.c) + Math.abs(cell.r - prev.r) === 1) {
         ctx.lineTo(px, py);
+      } else {
+        ctx.moveTo(px, py);
       }
+      prev = cell;
     }
     ctx.stroke();
     ctx.setLineDash([]);
@@ -340,25 +739,53 @@ export class Renderer {
    * @param {Object} options.grid - Grid instance
    * @param {Object} options.player - Player instance
    * @param {Array} options.cats - Array of cat instances
+   * @param {PickupSystem|null} options.pickups - Pickups and catnip decoy to draw
+   * @param {FogOfWar|null} options.fog - Fog of war limiting what is shown (null or off shows everything)
    * @param {boolean} options.showPath - Whether to show debug path
+   * @param {boolean} options.showVision - Whether to show the cat vision debug overlay
+   * @param {number} options.alpha - Blend between previous and current tick positions (0-1)
    */
-  draw({ grid, player, cats, showPath = false }) {
+  draw({ grid, player, cats, pickups = null, fog = null, showPath = false, showVision = false, alpha = 1 }) {
     this.clear();
     this.drawBackgroundGrid();
+    this.drawWalls(grid);
     this.drawCrumbs(grid);
-    this.drawHole(grid);
-
-    // Draw player with slight vertical offset for visual appeal
-    this.drawMouse(player.x, player.y + player.r * 0.05, player.r, player.color);
-
-    // Draw all cats
+    if (pickups) this.drawPickups(pickups);
+
+    // Fog hides the map but not the holes and portals: the mouse knows its way out
+    const fogged = fog && fog.active;
+    if (fogged) this.drawFog(fog);
+    this.drawHoles(grid);
+    this.drawPortals(grid);
+
+    // Draw player with slight vertical offset for visual appeal (flickering while invulnerable)
+    const px = lerp(player.prevX, player.x, alpha);
+    const py = lerp(player.prevY, player.y, alpha);
+    const flicker = player.invulnerableTime > 0 && Math.floor(player.invulnerableTime * 10) % 2 === 0;
+    this.ctx.globalAlpha = flicker ? 0.35 : 1;
+    this.drawMouse(px, py + player.r * 0.05, player.r, player.color);
+    this.ctx.globalAlpha = 1;
+
+    // Draw all cats tinted by strategy (frozen ones icy); under fog, only those in view
+    const frozenColor = this.getCSS('--freeze');
+    if (fogged) {
+      for (const marker of fog.markers(cats)) {
+        const cat = cats[marker.id];
+        this.drawLastSeen(marker.x, marker.y, cat.r, this.catColor(cat), marker.age / fog.memory);
+      }
+    }
     for (const cat of cats) {
-      this.drawCat(cat.x, cat.y, cat.r, cat.color);
+      if (fogged && !fog.canSee(cat.x, cat.y)) continue;
+      const color = cat.frozen ? frozenColor : this.catColor(cat);
+      this.drawCat(lerp(cat.prevX, cat.x, alpha), lerp(cat.prevY, cat.y, alpha), cat.r, color);
     }
 
     // Debug: show first cat's path
     if (showPath && cats.length && cats[0].path) {
       this.drawPath(cats[0].path);
     }
+
+    // Debug: what the cats see and hear
+    if (showVision) this.drawCatVision(grid, cats);
   }
 }
@@ -0,0 +1,302 @@
+/**
+ * Crumb Chase - Replay Module
+ *
+ * Replay file format and playback. A replay holds the random seed, the
+ * starting level, the definition of every level played and every player
+ * input keyed by simulation tick, which is enough to re-run a game
+ * bit-for-bit in the browser or in Node, whatever level source it used
+ * (campaign, level file, editor, generated map, endless or daily).
+ *
+ * Format (version 2):
+ *   {
+ *     version: 2,
+ *     seed: 123456,        // Random source state at reset
+ *     level: 1,            // Level the recording started on
+ *     levels: { 1: {...}, 2: {...} },  // Validated definition of each level played, by level number
+ *     dt: 0.0166...,       // Fixed step every tick was simulated with
+ *     ticks: 840,          // Number of simulated ticks
+ *     difficulty: { preset: 'easy', speed: 0.8, ... },  // Multipliers the run used (see Config.resolveDifficulty)
+ *     pickups: true,       // Whether pickups spawned
+ *     lives: 3,            // Lives the run started with
+ *     singleLevel: false,  // Whether reaching the hole ended the run (e.g. the daily challenge)
+ *     inputs: [            // Sorted by tick
+ *       [0, 'w', -1, 0],   // setPlayerWish(-1, 0) before tick 0
+ *       [95, 's'],         // stopPlayer() before tick 95
+ *     ],
+ *     result: { level, running, timeAlive, x, y }  // Optional, for verification
+ *   }
+ *
+ * Version 1 replays were always recorded on the campaign and still play
+ * back; they have no `levels` or `singleLevel`, and a missing difficulty,
+ * pickups or lives means Normal, no pickups and one life.
+ *
+ * @module replay
+ */
+
+import { Difficulty, resolveDifficulty } from './config.js';
+
+/** Current replay file format version */
+export const REPLAY_VERSION = 2;
+
+/** Oldest replay format version that still plays back */
+const MIN_REPLAY_VERSION = 1;
+
+/** Input op codes */
+export const ReplayOp = {
+  WISH: 'w', // [tick, 'w', dx, dy]
+  STOP: 's', // [tick, 's']
+};
+
+/**
+ * Create an empty replay recording.
+ * @param {Object} options - Recording header
+ * @param {number} options.seed - Random source state the recording starts from
+ * @param {number} options.level - Starting level
+ * @param {number|null} options.dt - Fixed step (null until the first tick)
+ * @param {Object} options.difficulty - Resolved difficulty multipliers the run uses
+ * @param {boolean} options.pickups - Whether pickups spawn in the run
+ * @param {number} options.lives - Lives the run starts with
+ * @param {boolean} options.singleLevel - Whether reaching the hole ends the run
+ * @returns {Object} Replay object
+ */
+export function createReplay({
+  seed,
+  level,
+  dt = null,
+  difficulty = resolveDifficulty(Difficulty.NORMAL),
+  pickups = false,
+  lives = 1,
+  singleLevel = false,
+}) {
+  return {
+    version: REPLAY_VERSION,
+    seed,
+    level,
+    levels: {},
+    dt,
+    ticks: 0,
+    difficulty: { ...difficulty },
+    pickups,
+    lives,
+    singleLevel,
+    inputs: [],
+  };
+}
+
+/**
+ * Serialize a replay to a JSON string.
+ * @param {Object} replay - Replay object
+ * @returns {string} JSON text
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate a replay from JSON text.
+ * @param {string} json - JSON text
+ * @returns {Object} Replay object
+ * @throws {Error} If the text is not a valid replay
+ */
+export function parseReplay(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Replay is not valid JSON: ${e.message}`);
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error('Replay must be a JSON object');
+  }
+  if (!Number.isInteger(data.version) || data.version < MIN_REPLAY_VERSION || data.version > REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version} (expected ${MIN_REPLAY_VERSION} to ${REPLAY_VERSION})`);
+  }
+  if (!Number.isInteger(data.seed)) {
+    throw new Error('Replay seed must be an integer');
+  }
+  if (!Number.isInteger(data.level) || data.level < 1) {
+    throw new Error('Replay level must be a positive integer');
+  }
+  if (typeof data.dt !== 'number' || !(data.dt > 0)) {
+    throw new Error('Replay dt must be a positive number');
+  }
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+    throw new Error('Replay ticks must be a non-negative integer');
+  }
+  if (!Array.isArray(data.inputs)) {
+    throw new Error('Replay inputs must be an array');
+  }
+  if (data.version >= 2) {
+    const levels = data.levels;
+    if (!levels || typeof levels !== 'object' || Array.isArray(levels) || !(data.level in levels)) {
+      throw new Error('Replay levels must hold the definition of every level played');
+    }
+    for (const [n, def] of Object.entries(levels)) {
+      if (!/^[1-9]\d*$/.test(n) || !def || typeof def !== 'object') {
+        throw new Error(`Replay level ${n} is malformed`);
+      }
+    }
+  }
+  if (data.version === 1) {
+    // Fill in what version 1 left out, as it was played back then
+    data = {
+      difficulty: resolveDifficulty(Difficulty.NORMAL),
+      pickups: false,
+      lives: 1,
+      ...data,
+      singleLevel: false,
+    };
+  }
+  try {
+    resolveDifficulty(data.difficulty);
+  } catch (e) {
+    throw new Error(`Replay difficulty is invalid: ${e.message}`);
+  }
+  if (typeof data.difficulty === 'object' && data.difficulty.crumbSpeed === undefined) {
+    // Recorded before difficulty scaled cat speed in crumbs
+    data.difficulty = { ...data.difficulty, crumbSpeed: 1 };
+  }
+  if (typeof data.pickups !== 'boolean') {
+    throw new Error('Replay pickups must be true or false');
+  }
+  if (!Number.isInteger(data.lives) || data.lives < 1) {
+    throw new Error('Replay lives must be a positive integer');
+  }
+  if (typeof data.singleLevel !== 'boolean') {
+    throw new Error('Replay singleLevel must be true or false');
+  }
+
+  let lastTick = 0;
+  data.inputs.forEach((entry, i) => {
+    const ok = Array.isArray(entry) && Number.isInteger(entry[0]) && entry[0] >= lastTick &&
+      ((entry[1] === ReplayOp.WISH && entry.length === 4) ||
+       (entry[1] === ReplayOp.STOP && entry.length === 2));
+    if (!ok) {
+      throw new Error(`Replay input ${i} is malformed: ${JSON.stringify(entry)}`);
+    }
+    lastTick = entry[0];
+  });
+
+  return data;
+}
+
+/**
+ * Level source that plays the levels recorded in a replay.
+ * @param {Object} levels - Level definitions by level number (see the format above)
+ * @returns {Function} (level, game) => level definition
+ */
+export function replayLevelSource(levels) {
+  return (level) => {
+    const def = levels[level];
+    if (!def) {
+      throw new Error(`Replay has no definition for level ${level}`);
+    }
+    return def;
+  };
+}
+
+/**
+ * Plays a replay back through a Game instance, one tick at a time.
+ */
+export class ReplayPlayer {
+  /**
+   * Create a replay player.
+   * @param {Game} game - Game to drive
+   * @param {Object} replay - Parsed replay
+   */
+  constructor(game, replay) {
+    /** Game instance being driven */
+    this.game = game;
+
+    /** Replay being played */
+    this.replay = replay;
+
+    /** Index of the next input to apply */
+    this.cursor = 0;
+
+    /** Level source and single-level mode the game had before playback, put back by stop() */
+    this._saved = null;
+  }
+
+  /**
+   * Reset the game to the replay's starting state: its levels, single-level
+   * mode, difficulty, pickups and lives.
+   * @throws {Error} If a recorded level definition is invalid
+   */
+  start() {
+    this.cursor = 0;
+    const game = this.game;
+    if (!this._saved) this._saved = { levelSource: game.levelSource, singleLevel: game.singleLevel };
+    const { level, seed, levels, difficulty, pickups, lives, singleLevel } = this.replay;
+    game.setLevelSource(levels ? replayLevelSource(levels) : null);
+    game.singleLevel = singleLevel;
+    game.reset(level, seed, difficulty, pickups, lives);
+  }
+
+  /**
+   * Give the game back its own level source and single-level mode. The game
+   * keeps the state playback left it in until it is next reset.
+   */
+  stop() {
+    if (!this._saved) return;
+    this.game.setLevelSource(this._saved.levelSource);
+    this.game.singleLevel = this._saved.singleLevel;
+    this._saved = null;
+  }
+
+  /**
+   * Whether playback has reached the end of the recording.
+   * @returns {boolean} True when no ticks remain or the game has stopped
+   */
+  get done() {
+    return this.game.tick >= this.replay.ticks || !this.game.running;
+  }
+
+  /**
+   * Apply inputs due at the current tick and advance the game by one tick.
+   * @returns {{caught: boolean, levelComplete: boolean}} Update result
+   */
+  step() {
+    const inputs = this.replay.inputs;
+    while (this.cursor < inputs.length && inputs[this.cursor][0] <= this.game.tick) {
+      const [, op, dx, dy] = inputs[this.cursor++];
+      if (op === ReplayOp.WISH) {
+        this.game.setPlayerWish(dx, dy);
+      } else {
+        this.game.stopPlayer();
+      }
+    }
+    return this.game.update(this.replay.dt);
+  }
+}
+
+/**
+ * Run a replay to completion and summarize the outcome.
+ * @param {Game} game - Game instance (usually headless)
+ * @param {Object} replay - Parsed replay
+ * @returns {{ticks: number, level: number, levelsCompleted: number, caught: boolean, timeAlive: number, x: number, y: number}}
+ */
+export function runReplay(game, replay) {
+  const player = new ReplayPlayer(game, replay);
+  player.start();
+
+  let levelsCompleted = 0;
+  let caught = false;
+  while (!player.done) {
+    const result = player.step();
+    if (result.levelComplete) levelsCompleted++;
+    if (result.caught) caught = true;
+  }
+  player.stop();
+
+  return {
+    ticks: game.tick,
+    level: game.level,
+    levelsCompleted,
+    caught,
+    timeAlive: game.timeAlive,
+    x: game.player.x,
+    y: game.player.y,
+  };
+}
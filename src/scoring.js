@@ -0,0 +1,278 @@
+/**
+ * Crumb Chase - Scoring Module
+ *
+ * Scores a run from Game events alone, so a browser player, a replay and a
+ * headless bot are all ranked the same way:
+ *
+ *   level cleared   level × pointsPerLevel
+ *   fast escape     pointsPerSecond for every second under parTime
+ *   few crumbs      pointsPerCrumbSaved for every crumb under crumbPar
+ *   near miss       nearMissPoints each
+ *   cheese          the pickup's points
+ *
+ * (see SCORE_CONFIG). ScoreKeeper also keeps high-score tables in storage:
+ * the best runs with initials and the best score on each level, per board
+ * (campaign, daily, a level file...).
+ *
+ * @module scoring
+ */
+
+import * as Config from './config.js';
+import { GameEvent } from './events.js';
+
+/** Storage key for high scores */
+export const HIGH_SCORES_KEY = 'crumbChaseHighScores';
+
+/** Initials used until a player enters their own */
+export const DEFAULT_INITIALS = '???';
+
+/**
+ * Points for clearing a level, by part.
+ * @param {{level: number, timeAlive: number, crumbsDropped: number}} result - Level cleared, seconds taken, crumbs dropped
+ * @returns {{clear: number, time: number, crumbs: number, total: number}} Points
+ */
+export function levelScore({ level, timeAlive, crumbsDropped }) {
+  const { pointsPerLevel, parTime, pointsPerSecond, crumbPar, pointsPerCrumbSaved } = Config.SCORE_CONFIG;
+  const clear = level * pointsPerLevel;
+  const time = Math.max(0, Math.round((parTime - timeAlive) * pointsPerSecond));
+  const crumbs = Math.max(0, Math.round((crumbPar - crumbsDropped) * pointsPerCrumbSaved));
+  return { clear, time, crumbs, total: clear + time + crumbs };
+}
+
+/**
+ * Clean up initials: up to three letters or digits, upper case.
+ * @param {string} initials - Raw input
+ * @returns {string} Initials, or DEFAULT_INITIALS if nothing usable was given
+ */
+export function normalizeInitials(initials) {
+  const clean = String(initials ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+  return clean || DEFAULT_INITIALS;
+}
+
+/**
+ * Insert a run into a high-score table, highest score first. Ties keep the older run first.
+ * The table is modified in place and trimmed to max entries.
+ * @param {Array<{score: number}>} table - High-score table
+ * @param {{score: number}} entry - Run to insert
+ * @param {number} max - Entries to keep (default HIGH_SCORE_COUNT)
+ * @returns {number} Index the run landed at, or -1 if it didn't make the table
+ */
+export function insertHighScore(table, entry, max = Config.HIGH_SCORE_COUNT) {
+  let i = table.findIndex(e => entry.score > e.score);
+  if (i === -1) i = table.length;
+  if (i >= max) return -1;
+  table.splice(i, 0, entry);
+  table.length = Math.min(table.length, max);
+  return i;
+}
+
+/**
+ * Run scorer and high-score keeper.
+ * Listens to a game's events and keeps the score of the current run. A run
+ * starts with every Game.reset and ends when the mouse is caught on its last
+ * life (or escapes in single-level mode); finished runs go into the current
+ * board's table, and every cleared level is checked against that level's best.
+ * Pass storage: null to score without saving anything (bots, tests).
+ */
+export class ScoreKeeper {
+  /**
+   * Create a score keeper.
+   * @param {Game} game - Game to score
+   * @param {Object} options - Keeper options
+   * @param {Storage|null} options.storage - Where high scores are kept (defaults to localStorage if present)
+   * @param {string} options.storageKey - Storage key (default HIGH_SCORES_KEY)
+   * @param {string} options.board - High-score board runs are recorded on (default 'campaign')
+   */
+  constructor(game, options = {}) {
+    this.game = game;
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? HIGH_SCORES_KEY;
+
+    /** Board finished runs are recorded on */
+    this.board = options.board ?? 'campaign';
+
+    /** Whether finished runs and level bests are saved (scores are computed either way) */
+    this.enabled = true;
+
+    /** Saved data: {initials, boards: {[board]: {runs: [...], levels: {[level]: score}}}} */
+    this.data = this._load();
+
+    /** Score of the current run */
+    this.score = 0;
+
+    /** Levels cleared in the current run */
+    this.levelsCleared = 0;
+
+    /** Points earned on the level being played (near misses and cheese so far) */
+    this.levelPoints = 0;
+
+    /** Crumbs dropped on the level being played */
+    this.crumbsDropped = 0;
+
+    /** Near misses in the current run */
+    this.nearMisses = 0;
+
+    /** Last cleared level: {level, clear, time, crumbs, bonus, total, best, newBest} or null */
+    this.lastLevel = null;
+
+    /** The finished run: {score, level, levelsCleared, rank, entry} or null while a run is going */
+    this.lastRun = null;
+
+    game.on(GameEvent.LEVEL_STARTED, () => this._onLevelStarted());
+    game.on(GameEvent.CRUMB_DROPPED, () => { this.crumbsDropped += 1; });
+    game.on(GameEvent.NEAR_MISS, () => this._addPoints(Config.SCORE_CONFIG.nearMissPoints, true));
+    game.on(GameEvent.PICKUP_COLLECTED, ({ points }) => this._addPoints(points, false));
+    game.on(GameEvent.LEVEL_COMPLETE, e => this._onLevelComplete(e));
+    game.on(GameEvent.CAUGHT, ({ level }) => this._endRun(level));
+  }
+
+  /**
+   * Initials new runs are recorded under (the last ones entered).
+   * @returns {string} Initials
+   */
+  get initials() {
+    return this.data.initials;
+  }
+
+  /**
+   * Best runs on a board.
+   * @param {string} board - Board name (default the current board)
+   * @returns {Array<{initials: string, score: number, level: number, levelsCleared: number, date: string}>} Runs, best first
+   */
+  getHighScores(board = this.board) {
+    return this.data.boards[board]?.runs ?? [];
+  }
+
+  /**
+   * Best score on a level of a board.
+   * @param {number} level - Level number
+   * @param {string} board - Board name (default the current board)
+   * @returns {number|null} Best score, or null if the level was never cleared
+   */
+  getLevelBest(level, board = this.board) {
+    return this.data.boards[board]?.levels[level] ?? null;
+  }
+
+  /**
+   * Put initials on a recorded run and remember them for later runs.
+   * @param {Object} entry - Entry from getHighScores() (e.g. lastRun.entry)
+   * @param {string} initials - Initials to record
+   */
+  rename(entry, initials) {
+    entry.initials = normalizeInitials(initials);
+    this.data.initials = entry.initials;
+    this._save();
+  }
+
+  /**
+   * Reset the level counters, and the run when the game was just reset.
+   * @private
+   */
+  _onLevelStarted() {
+    if (this.game.tick === 0) {
+      this.score = 0;
+      this.levelsCleared = 0;
+      this.nearMisses = 0;
+      this.lastLevel = null;
+      this.lastRun = null;
+    }
+    this.levelPoints = 0;
+    this.crumbsDropped = 0;
+  }
+
+  /**
+   * Add points earned during a level.
+   * @param {number} points - Points
+   * @param {boolean} nearMiss - Whether they are for a near miss
+   * @private
+   */
+  _addPoints(points, nearMiss) {
+    if (this.lastRun) return;
+    if (nearMiss) this.nearMisses += 1;
+    this.score += points;
+    this.levelPoints += points;
+  }
+
+  /**
+   * Score a cleared level and check it against the level's best.
+   * @param {{level: number, timeAlive: number}} e - levelComplete payload
+   * @private
+   */
+  _onLevelComplete({ level, timeAlive }) {
+    if (this.lastRun) return;
+    const parts = levelScore({ level, timeAlive, crumbsDropped: this.crumbsDropped });
+    const total = parts.total + this.levelPoints;
+    this.score += parts.total;
+    this.levelsCleared += 1;
+
+    const levels = this._boardData().levels;
+    const best = levels[level] ?? null;
+    const newBest = this.enabled && (best === null || total > best);
+    if (newBest) {
+      levels[level] = total;
+      this._save();
+    }
+    this.lastLevel = { level, ...parts, bonus: this.levelPoints, total, best, newBest };
+
+    if (this.game.singleLevel) this._endRun(level);
+  }
+
+  /**
+   * Record the finished run on the current board.
+   * @param {number} level - Level the run ended on
+   * @private
+   */
+  _endRun(level) {
+    if (this.lastRun) return;
+    const entry = {
+      initials: this.data.initials,
+      score: this.score,
+      level,
+      levelsCleared: this.levelsCleared,
+      date: new Date().toISOString().slice(0, 10),
+    };
+    const rank = this.enabled ? insertHighScore(this._boardData().runs, entry) : -1;
+    if (rank !== -1) this._save();
+    this.lastRun = { score: this.score, level, levelsCleared: this.levelsCleared, rank, entry: rank !== -1 ? entry : null };
+  }
+
+  /**
+   * Saved tables of the current board, created on first use.
+   * @returns {{runs: Array, levels: Object}} Board data
+   * @private
+   */
+  _boardData() {
+    return this.data.boards[this.board] ?? (this.data.boards[this.board] = { runs: [], levels: {} });
+  }
+
+  /**
+   * Read high scores from storage.
+   * @returns {Object} Saved data
+   * @private
+   */
+  _load() {
+    const empty = { initials: DEFAULT_INITIALS, boards: {} };
+    if (!this.storage) return empty;
+    try {
+      const data = JSON.parse(this.storage.getItem(this.storageKey));
+      if (!data || typeof data !== 'object' || !data.boards || typeof data.boards !== 'object') return empty;
+      return { initials: normalizeInitials(data.initials), boards: data.boards };
+    } catch (e) {
+      console.error('Failed to load high scores:', e);
+      return empty;
+    }
+  }
+
+  /**
+   * Write high scores to storage.
+   * @private
+   */
+  _save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (e) {
+      console.error('Failed to save high scores:', e);
+    }
+  }
+}
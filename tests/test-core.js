@@ -3,7 +3,23 @@
  * Run with: node tests/test-core.js
  */
 
-const core = require('../src/core.js');
+import * as core from '../src/core.js';
+import * as Config from '../src/config.js';
+import { Game } from '../src/game.js';
+import { ReplayPlayer, parseReplay, serializeReplay, runReplay, REPLAY_VERSION } from '../src/replay.js';
+import { parseLevel, validateLevel, defaultLevel } from '../src/level.js';
+import { MapAlgorithm, generateLevel } from '../src/mapgen.js';
+import { EndlessRun, endlessLevel, endlessLevelScore } from '../src/endless.js';
+import { DailyChallenge, encodeShareCode, decodeShareCode } from '../src/daily.js';
+import { ScoreKeeper, insertHighScore, levelScore, normalizeInitials } from '../src/scoring.js';
+import { EventEmitter, GameEvent } from '../src/events.js';
+import { CatStrategy, getCatStrategy } from '../src/cat-strategies.js';
+import { CatRole } from '../src/coordinator.js';
+import { CatAwareness, canSeeMouse, updateAwareness } from '../src/perception.js';
+import { TrainingManager, TrainingMode } from '../src/ml/training.js';
+import { CampaignProgress } from '../src/progress.js';
+import { PickupSystem, PickupType, pickupRulesErrors } from '../src/pickups.js';
+import { readFileSync } from 'fs';
 
 // Simple test framework
 let passed = 0;
@@ -41,6 +57,15 @@ function assertClose(actual, expected, epsilon = 0.001, message) {
   }
 }
 
+function throws(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return true;
+  }
+  return false;
+}
+
 function assertDeepEqual(actual, expected, message) {
   const actualStr = JSON.stringify(actual);
   const expectedStr = JSON.stringify(expected);
@@ -162,6 +187,49 @@ test('canTurnHorizontal: at center can turn', () => {
 
 console.log('\n--- Random Utilities ---');
 
+test('createRng: same seed produces the same sequence', () => {
+  const a = core.createRng(42);
+  const b = core.createRng(42);
+  for (let i = 0; i < 50; i++) {
+    assertEqual(a(), b());
+  }
+});
+
+test('createRng: different seeds produce different sequences', () => {
+  const a = core.createRng(1);
+  const b = core.createRng(2);
+  let same = 0;
+  for (let i = 0; i < 20; i++) {
+    if (a() === b()) same++;
+  }
+  assert(same < 20, 'Sequences should differ');
+});
+
+test('createRng: values are in [0, 1)', () => {
+  const rng = core.createRng(7);
+  for (let i = 0; i < 1000; i++) {
+    const v = rng();
+    assert(v >= 0 && v < 1, `rng returned ${v}`);
+  }
+});
+
+test('createRng: restoring state resumes the sequence', () => {
+  const rng = core.createRng(123);
+  rng(); rng();
+  const saved = rng.state;
+  const expected = [rng(), rng(), rng()];
+  rng.state = saved;
+  assertDeepEqual([rng(), rng(), rng()], expected);
+});
+
+test('randInt: seeded source is reproducible', () => {
+  const a = core.createRng(9);
+  const b = core.createRng(9);
+  for (let i = 0; i < 20; i++) {
+    assertEqual(core.randInt(-3, 3, a), core.randInt(-3, 3, b));
+  }
+});
+
 test('randInt: returns value in range', () => {
   for (let i = 0; i < 100; i++) {
     const val = core.randInt(5, 10);
@@ -176,6 +244,14 @@ test('randRange: returns value in range', () => {
   }
 });
 
+test('hashString: stable 32-bit hash that tells close strings apart', () => {
+  assertEqual(core.hashString(''), 0x811c9dc5);
+  assertEqual(core.hashString('2026-10-19'), core.hashString('2026-10-19'));
+  assert(core.hashString('2026-10-19') !== core.hashString('2026-10-20'), 'adjacent dates hash the same');
+  const h = core.hashString('crumb');
+  assert(Number.isInteger(h) && h >= 0 && h <= 0xffffffff, `hash ${h} is not a uint32`);
+});
+
 test('randomFromSet: returns null for empty set', () => {
   assertEqual(core.randomFromSet(new Set()), null);
 });
@@ -265,6 +341,164 @@ test('aStar: prefers lower cost paths', () => {
   assert(usesRow1, 'Should prefer cheaper path through row 1');
 });
 
+test('aStar: reused scratch buffers give the same results', () => {
+  const getCost = (c, r) => ((c * 7 + r * 3) % 5 === 0 ? 14 : 1);
+  const scratch = core.createPathScratch(100);
+  const first = core.aStar(0, 0, 9, 9, 10, 10, getCost, scratch);
+  core.aStar(9, 0, 0, 9, 10, 10, getCost, scratch);
+  const again = core.aStar(0, 0, 9, 9, 10, 10, getCost, scratch);
+  assertDeepEqual(again, first);
+});
+
+test('aStar: unreachable goal after a successful search returns empty path', () => {
+  const scratch = core.createPathScratch(25);
+  core.aStar(0, 0, 4, 4, 5, 5, () => 1, scratch);
+  const walled = (c, r) => (c === 2 ? Infinity : 1);
+  assertDeepEqual(core.aStar(0, 0, 4, 4, 5, 5, walled, scratch), []);
+});
+
+test('aStar: handles grids of different sizes in sequence', () => {
+  const small = core.aStar(0, 0, 2, 0, 3, 3, () => 1);
+  const large = core.aStar(0, 0, 49, 49, 50, 50, () => 1);
+  assertEqual(small.length, 2);
+  assertEqual(large.length, 98);
+});
+
+test('distanceField: distances and nearest source from two sources', () => {
+  const sources = [{ c: 0, r: 0, source: 0 }, { c: 4, r: 0, source: 1 }];
+  const { dist, nearest } = core.distanceField(sources, 5, 1, () => true);
+  assertDeepEqual(Array.from(dist), [0, 1, 2, 1, 0]);
+  assertEqual(nearest[1], 0);
+  assertEqual(nearest[3], 1);
+});
+
+test('distanceField: routes around walls and marks unreachable cells', () => {
+  // Column 1 is a wall except at row 2; cell (3, 0) is sealed off
+  const passable = (c, r) => !(c === 1 && r < 2) && !(c === 3 && r === 1) && !(c === 2 && r === 0);
+  const { dist, nearest } = core.distanceField([{ c: 0, r: 0, source: 0 }], 4, 3, passable);
+  assertEqual(dist[0 * 4 + 0], 0);
+  assertEqual(dist[2 * 4 + 2], 4);
+  assertEqual(dist[1 * 4 + 2], 5);
+  assertEqual(dist[0 * 4 + 3], -1);
+  assertEqual(nearest[0 * 4 + 3], -1);
+});
+
+// ============================================
+// Wrap-Around and Portal Tests
+// ============================================
+
+console.log('\n--- Wrap-Around and Portals ---');
+
+test('wrapCoord: wraps only on a wrapping axis', () => {
+  assertEqual(core.wrapCoord(-1, 10, true), 9);
+  assertEqual(core.wrapCoord(10, 10, true), 0);
+  assertEqual(core.wrapCoord(-1, 10, false), -1);
+});
+
+test('wrapDelta: takes the short way across a wrapping edge', () => {
+  assertEqual(core.wrapDelta(9, 10, true), -1);
+  assertEqual(core.wrapDelta(-8, 10, true), 2);
+  assertEqual(core.wrapDelta(9, 10, false), 9);
+});
+
+test('stepIndex: wraps across edges and lands on the portal partner', () => {
+  const topo = core.createTopology(5, 4, { wrapX: true, portals: [[[2, 0], [4, 3]]] });
+  assertEqual(core.stepIndex(0, 1, -1, 0, 5, 4, topo), 1 * 5 + 4);
+  assertEqual(core.stepIndex(0, 0, 0, -1, 5, 4, topo), -1); // Rows don't wrap
+  assertEqual(core.stepIndex(1, 0, 1, 0, 5, 4, topo), 3 * 5 + 4);
+  assertEqual(core.neighborIndex(1, 0, 1, 0, 5, 4, topo), 2);
+  assertEqual(core.stepIndex(0, 1, -1, 0, 5, 4, null), -1);
+});
+
+test('heuristic: measures across wrapping edges and through portals', () => {
+  const wrap = core.createTopology(10, 10, { wrapX: true, wrapY: true });
+  assertEqual(core.heuristic(0, 0, 9, 9, wrap), 2);
+  const portal = core.createTopology(20, 1, { portals: [[[1, 0], [18, 0]]] });
+  assertEqual(core.heuristic(0, 0, 19, 0, portal), 2);
+  assertEqual(core.heuristic(0, 0, 19, 0), 19);
+});
+
+test('aStar: crosses a wrapping edge when that is shorter', () => {
+  const topo = core.createTopology(10, 3, { wrapX: true });
+  const path = core.aStar(1, 1, 8, 1, 10, 3, () => 1, null, topo);
+  assertDeepEqual(path, [{ c: 0, r: 1 }, { c: 9, r: 1 }, { c: 8, r: 1 }]);
+});
+
+test('aStar: goes through a portal, listing the portal cell before its partner', () => {
+  // A wall down column 5 splits the map; the portal links the two sides
+  const topo = core.createTopology(10, 5, { portals: [[[2, 2], [7, 2]]] });
+  const cost = (c) => (c === 5 ? Infinity : 1);
+  const path = core.aStar(1, 2, 8, 2, 10, 5, cost, null, topo);
+  assertDeepEqual(path, [{ c: 2, r: 2 }, { c: 7, r: 2 }, { c: 8, r: 2 }]);
+  assertDeepEqual(core.aStar(1, 2, 8, 2, 10, 5, cost), []);
+});
+
+test('distanceField: walks through portals toward the source', () => {
+  // Row 1 is blocked; stepping onto (0, 2) lands on (3, 0), three steps from the source
+  const topo = core.createTopology(4, 3, { portals: [[[3, 0], [0, 2]]] });
+  const passable = (c, r) => r !== 1;
+  const source = [{ c: 0, r: 0, source: 0 }];
+  const { dist } = core.distanceField(source, 4, 3, passable, topo);
+  assertEqual(dist[0 * 4 + 3], 3);
+  assertEqual(dist[2 * 4 + 1], 4);
+  assertEqual(dist[2 * 4 + 0], 5);
+  assertEqual(core.distanceField(source, 4, 3, passable).dist[2 * 4 + 1], -1);
+});
+
+// ============================================
+// Field of View Tests
+// ============================================
+
+console.log('\n--- Field of View ---');
+
+test('fieldOfView: sees everything within the radius on an open grid', () => {
+  const v = core.fieldOfView(5, 5, 3, 11, 11, null);
+  assertEqual(v[5 * 11 + 5], 1, 'viewer cell');
+  assertEqual(v[5 * 11 + 8], 1, 'three cells right');
+  assertEqual(v[5 * 11 + 9], 0, 'four cells right');
+  assertEqual(v[3 * 11 + 7], 1, 'diagonal inside the radius');
+  assertEqual(v[2 * 11 + 8], 0, 'corner outside the radius');
+});
+
+test('fieldOfView: a blocking cell is seen but hides what is behind it', () => {
+  const blocks = (c, r) => c === 4 && r === 2;
+  const v = core.fieldOfView(1, 2, 6, 9, 5, blocks);
+  assertEqual(v[2 * 9 + 3], 1);
+  assertEqual(v[2 * 9 + 4], 1, 'the wall itself');
+  assertEqual(v[2 * 9 + 5], 0, 'right behind the wall');
+  assertEqual(v[2 * 9 + 7], 0);
+  assertEqual(v[0 * 9 + 5], 1, 'beside the shadow');
+});
+
+test('fieldOfView: sees across a wrapping edge only when the axis wraps', () => {
+  const topo = core.createTopology(10, 3, { wrapX: true });
+  assertEqual(core.fieldOfView(0, 1, 2, 10, 3, null, topo)[1 * 10 + 9], 1);
+  assertEqual(core.fieldOfView(0, 1, 2, 10, 3, null)[1 * 10 + 9], 0);
+});
+
+test('fieldOfView: reuses the output buffer', () => {
+  const out = new Uint8Array(25).fill(1);
+  const v = core.fieldOfView(0, 0, 1, 5, 5, null, null, out);
+  assert(v === out, 'same buffer');
+  assertEqual(v[4 * 5 + 4], 0, 'cleared before use');
+});
+
+test('inViewCone: sees ahead and up to half the cone to either side', () => {
+  assert(core.inViewCone(1, 0, 5, 0, 90), 'straight ahead');
+  assert(core.inViewCone(1, 0, 3, 3, 90), 'on the edge of the cone');
+  assert(core.inViewCone(1, 0, 3, -3, 90), 'other edge');
+  assert(!core.inViewCone(1, 0, 2, 3, 90), 'just outside');
+  assert(!core.inViewCone(1, 0, -4, 0, 90), 'behind');
+});
+
+test('inViewCone: wide cones see behind, zero vectors see everything', () => {
+  assert(core.inViewCone(1, 0, -4, 1, 360));
+  assert(core.inViewCone(0, 1, 0, -4, 270) === false, 'directly behind a 270 degree cone');
+  assert(core.inViewCone(0, 1, -4, -1, 270), 'behind and to the side');
+  assert(core.inViewCone(0, 0, -4, 0, 30), 'no facing');
+  assert(core.inViewCone(1, 0, 0, 0, 30), 'same cell');
+});
+
 // ============================================
 // Crumb Grid Tests
 // ============================================
@@ -436,6 +670,1490 @@ test('moveWithCollision: blocked by crumb', () => {
   assertEqual(result.x, 110);
 });
 
+test('moveWithCollision: wraps across the right edge when the row wraps', () => {
+  const topo = core.createTopology(40, 25, { wrapX: true });
+  const result = core.moveWithCollision(790, 100, 20, 0, 20, 40, 25, null, topo);
+  assertClose(result.x, 10);
+  assertClose(result.y, 100);
+});
+
+test('moveWithCollision: stepping onto a portal comes out of its partner', () => {
+  const topo = core.createTopology(40, 25, { portals: [[[6, 5], [20, 10]]] });
+  // From the center of (5,5), move 12px right into the portal at (6,5)
+  const result = core.moveWithCollision(110, 110, 12, 0, 20, 40, 25, null, topo);
+  assertClose(result.x, 402);
+  assertClose(result.y, 210);
+});
+
+// ============================================
+// Difficulty
+// ============================================
+
+console.log('\n--- Difficulty ---');
+
+test('resolveDifficulty: presets resolve to their multipliers', () => {
+  for (const preset of [Config.Difficulty.EASY, Config.Difficulty.NORMAL, Config.Difficulty.HARD]) {
+    assertDeepEqual(Config.resolveDifficulty(preset), { preset, ...Config.DIFFICULTY_PRESETS[preset] });
+  }
+  assertEqual(Config.resolveDifficulty().preset, Config.Difficulty.NORMAL);
+  assertDeepEqual(Config.resolveDifficulty(Config.Difficulty.CUSTOM),
+    { preset: Config.Difficulty.CUSTOM, ...Config.DIFFICULTY_PRESETS[Config.Difficulty.NORMAL] });
+});
+
+test('resolveDifficulty: Custom values override Normal, presets fill in what is missing', () => {
+  const custom = Config.resolveDifficulty({ speed: 1.5, crumbSpeed: 2, jitter: 0 });
+  assertEqual(custom.preset, Config.Difficulty.CUSTOM);
+  assertEqual(custom.speed, 1.5);
+  assertEqual(custom.crumbSpeed, 2);
+  assertEqual(custom.jitter, 0);
+  assertEqual(custom.decay, Config.DIFFICULTY_PRESETS[Config.Difficulty.NORMAL].decay);
+  const hard = Config.resolveDifficulty({ preset: Config.Difficulty.HARD, speed: 1 });
+  assertEqual(hard.speed, 1);
+  assertEqual(hard.crumbSpeed, Config.DIFFICULTY_PRESETS[Config.Difficulty.HARD].crumbSpeed);
+});
+
+test('resolveDifficulty: rejects unknown presets and out-of-range multipliers', () => {
+  assert(throws(() => Config.resolveDifficulty('nightmare')), 'unknown preset name');
+  assert(throws(() => Config.resolveDifficulty({ preset: 'nightmare' })), 'unknown preset in object');
+  assert(throws(() => Config.resolveDifficulty({ speed: 0 })), 'zero speed');
+  assert(throws(() => Config.resolveDifficulty({ crumbSpeed: -1 })), 'negative crumb speed');
+  assert(throws(() => Config.resolveDifficulty({ jitter: -1 })), 'negative jitter');
+  assert(throws(() => Config.resolveDifficulty({ decay: 'fast' })), 'non-number');
+  assert(throws(() => Config.resolveDifficulty(null)), 'null');
+  assert(!throws(() => Config.resolveDifficulty({ jitter: 0 })), 'jitter may be 0');
+});
+
+test('scaleCrumbSpeed: scales, caps at 1 and keeps crumbs that are walls as walls', () => {
+  const hard = Config.resolveDifficulty(Config.Difficulty.HARD);
+  const easy = Config.resolveDifficulty(Config.Difficulty.EASY);
+  assertClose(Config.scaleCrumbSpeed(0.2, hard), 0.2 * hard.crumbSpeed);
+  assertClose(Config.scaleCrumbSpeed(0.2, easy), 0.2 * easy.crumbSpeed);
+  assertEqual(Config.scaleCrumbSpeed(0, hard), 0);
+  assertEqual(Config.scaleCrumbSpeed(0.9, Config.resolveDifficulty({ crumbSpeed: 5 })), 1);
+});
+
+test('difficulty: cats move through crumbs at the scaled speed, level 1 crumbs stay walls', () => {
+  const factors = (difficulty, level) => {
+    const game = new Game(null, { headless: true, difficulty });
+    game.reset(level, 1);
+    return game.cats.map(cat => cat.crumbSpeedFactor);
+  };
+  const base = Config.getLevelConfig(4).crumbSpeedFactor;
+  assertClose(factors('easy', 4)[0], base * Config.DIFFICULTY_PRESETS.easy.crumbSpeed);
+  assertClose(factors('hard', 4)[0], base * Config.DIFFICULTY_PRESETS.hard.crumbSpeed);
+  assertDeepEqual(factors('hard', 1), [0]);
+});
+
+// ============================================
+// Scoring
+// ============================================
+
+console.log('\n--- Scoring ---');
+
+// In-memory stand-in for localStorage
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => { items.set(key, String(value)); },
+  };
+}
+
+// Storage whose writes always fail, like a full quota or storage turned off
+function failingStorage() {
+  return {
+    getItem: () => null,
+    setItem: () => { throw new Error('QuotaExceededError'); },
+  };
+}
+
+// Run fn with console.error silenced, returning what it logged
+function captureErrors(fn) {
+  const logged = [];
+  const original = console.error;
+  console.error = (...args) => logged.push(args.join(' '));
+  try {
+    fn();
+  } finally {
+    console.error = original;
+  }
+  return logged;
+}
+
+test('levelScore: level, time and crumb points, never negative', () => {
+  const { pointsPerLevel, parTime, pointsPerSecond, crumbPar, pointsPerCrumbSaved } = Config.SCORE_CONFIG;
+  const parts = levelScore({ level: 3, timeAlive: parTime - 10, crumbsDropped: crumbPar - 5 });
+  assertEqual(parts.clear, 3 * pointsPerLevel);
+  assertEqual(parts.time, 10 * pointsPerSecond);
+  assertEqual(parts.crumbs, 5 * pointsPerCrumbSaved);
+  assertEqual(parts.total, parts.clear + parts.time + parts.crumbs);
+  const slow = levelScore({ level: 1, timeAlive: parTime + 30, crumbsDropped: crumbPar + 40 });
+  assertDeepEqual(slow, { clear: pointsPerLevel, time: 0, crumbs: 0, total: pointsPerLevel });
+});
+
+test('insertHighScore: highest first, ties keep the older run first', () => {
+  const table = [];
+  assertEqual(insertHighScore(table, { score: 100, id: 'a' }), 0);
+  assertEqual(insertHighScore(table, { score: 300, id: 'b' }), 0);
+  assertEqual(insertHighScore(table, { score: 100, id: 'c' }), 2);
+  assertEqual(insertHighScore(table, { score: 300, id: 'd' }), 1);
+  assertDeepEqual(table.map(e => e.id), ['b', 'd', 'a', 'c']);
+});
+
+test('insertHighScore: trims to max and reports runs that miss the table', () => {
+  const table = [];
+  for (const score of [50, 40, 30]) insertHighScore(table, { score }, 3);
+  assertEqual(insertHighScore(table, { score: 30 }, 3), -1, 'a tie with the last entry does not make it');
+  assertEqual(insertHighScore(table, { score: 10 }, 3), -1);
+  assertEqual(insertHighScore(table, { score: 45 }, 3), 1);
+  assertDeepEqual(table.map(e => e.score), [50, 45, 40]);
+});
+
+test('normalizeInitials: up to three letters or digits, upper case', () => {
+  assertEqual(normalizeInitials('ab-c9'), 'ABC');
+  assertEqual(normalizeInitials(' z1 '), 'Z1');
+  assertEqual(normalizeInitials('!!'), '???');
+  assertEqual(normalizeInitials(undefined), '???');
+});
+
+test('ScoreKeeper: scores level, time, crumb, near-miss and cheese points from events', () => {
+  const game = new Game(null, { headless: true });
+  const scores = new ScoreKeeper(game, { storage: null });
+  game.reset(2, 1);
+  for (let i = 0; i < 10; i++) game.events.emit(GameEvent.CRUMB_DROPPED, { c: 0, r: 0, strength: 1 });
+  game.events.emit(GameEvent.NEAR_MISS, { catId: 0, distance: 1 });
+  game.events.emit(GameEvent.NEAR_MISS, { catId: 1, distance: 1.5 });
+  game.events.emit(GameEvent.PICKUP_COLLECTED, { type: 'cheese', c: 1, r: 1, points: 40 });
+  game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 2, timeAlive: 20 });
+
+  const parts = levelScore({ level: 2, timeAlive: 20, crumbsDropped: 10 });
+  const bonus = 2 * Config.SCORE_CONFIG.nearMissPoints + 40;
+  assertEqual(scores.score, parts.total + bonus);
+  assertEqual(scores.nearMisses, 2);
+  assertEqual(scores.levelsCleared, 1);
+  assertEqual(scores.lastLevel.total, parts.total + bonus);
+  assertEqual(scores.lastLevel.bonus, bonus);
+
+  game.events.emit(GameEvent.CAUGHT, { catId: 0, level: 3, timeAlive: 5 });
+  assertEqual(scores.lastRun.score, parts.total + bonus);
+  assertEqual(scores.lastRun.level, 3);
+  assertEqual(scores.lastRun.rank, 0);
+  assertEqual(scores.getHighScores()[0].score, parts.total + bonus);
+  game.events.emit(GameEvent.NEAR_MISS, { catId: 0, distance: 1 });
+  assertEqual(scores.score, parts.total + bonus, 'no points after the run ended');
+});
+
+test('ScoreKeeper: a reset starts a new run', () => {
+  const game = new Game(null, { headless: true });
+  const scores = new ScoreKeeper(game, { storage: null });
+  game.reset(1, 1);
+  game.events.emit(GameEvent.NEAR_MISS, { catId: 0, distance: 1 });
+  game.events.emit(GameEvent.CAUGHT, { catId: 0, level: 1, timeAlive: 3 });
+  assert(scores.lastRun !== null);
+  game.reset(1, 2);
+  assertEqual(scores.score, 0);
+  assertEqual(scores.nearMisses, 0);
+  assertEqual(scores.lastRun, null);
+  assertEqual(scores.lastLevel, null);
+});
+
+test('ScoreKeeper: a headless escape is scored like levelScore and saved to the tables', () => {
+  const game = new Game(null, {
+    headless: true,
+    singleLevel: true,
+    pickups: false,
+    levelSource: () => ({ version: 1, player: { c: 4, r: 12 }, cats: [{ c: 36, r: 2 }], barrier: 'none' }),
+  });
+  const storage = memoryStorage();
+  const scores = new ScoreKeeper(game, { storage, board: 'test' });
+  let escape = null;
+  game.on(GameEvent.LEVEL_COMPLETE, e => { escape = e; });
+  let crumbs = 0;
+  game.on(GameEvent.CRUMB_DROPPED, () => { crumbs += 1; });
+
+  game.reset(1, 1);
+  game.setPlayerWish(-1, 0);
+  for (let t = 0; t < 300 && game.running; t++) game.update(Config.SIM_DT);
+  assert(escape, 'the mouse should reach the hole');
+  assert(crumbs > 0, 'the mouse should drop crumbs on the way');
+
+  const expected = levelScore({ level: 1, timeAlive: escape.timeAlive, crumbsDropped: crumbs }).total;
+  assertEqual(scores.score, expected);
+  assertEqual(scores.lastRun.rank, 0, 'single-level escapes end the run');
+  assertEqual(scores.getLevelBest(1), expected);
+
+  const reloaded = new ScoreKeeper(new Game(null, { headless: true }), { storage, board: 'test' });
+  assertEqual(reloaded.getHighScores()[0].score, expected);
+  assertEqual(reloaded.getLevelBest(1), expected);
+});
+
+test('ScoreKeeper: a failing storage write is logged, not thrown', () => {
+  const game = new Game(null, { headless: true });
+  const scores = new ScoreKeeper(game, { storage: failingStorage() });
+  game.reset(1, 1);
+  const logged = captureErrors(() => {
+    game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 1, timeAlive: 10 });
+    game.events.emit(GameEvent.CAUGHT, { catId: 0, level: 2, timeAlive: 12 });
+  });
+  assertEqual(logged.length, 2);
+  assertEqual(scores.lastRun.rank, 0);
+});
+
+// ============================================
+// Replays
+// ============================================
+
+console.log('\n--- Replays ---');
+
+// Drive a game that is already reset from a [tick, dx, dy] input script (0, 0 stops) and return its recording
+function playScript(game, script, ticks) {
+  let k = 0;
+  for (let t = 0; t < ticks && game.running; t++) {
+    while (k < script.length && script[k][0] === t) {
+      const [, dx, dy] = script[k++];
+      if (dx || dy) game.setPlayerWish(dx, dy);
+      else game.stopPlayer();
+    }
+    game.update(Config.SIM_DT);
+  }
+  return game.getReplay();
+}
+
+// Play a new headless game from an input script and return its recording
+function recordGame(options, script, ticks) {
+  const game = new Game(null, { headless: true, ...options });
+  game.reset(1, 1234);
+  return playScript(game, script, ticks);
+}
+
+// Play a replay back on a fresh default game and check it ends where the recording did
+function assertPlaysBack(replay) {
+  const outcome = runReplay(new Game(null, { headless: true }), parseReplay(serializeReplay(replay)));
+  assertEqual(outcome.ticks, replay.ticks);
+  assertEqual(outcome.level, replay.result.level);
+  assertEqual(outcome.x, replay.result.x);
+  assertEqual(outcome.y, replay.result.y);
+  assertEqual(!outcome.caught, replay.result.running);
+}
+
+const REPLAY_SCRIPT = [[0, -1, 0], [40, 0, -1], [80, -1, 0], [150, 0, 0], [170, 0, 1], [200, -1, 0]];
+
+test('parseReplay: rejects bad JSON, versions and malformed inputs', () => {
+  const good = serializeReplay(recordGame({}, REPLAY_SCRIPT, 60));
+  const bad = (patch) => JSON.stringify({ ...JSON.parse(good), ...patch });
+  const throwsOn = (text) => throws(() => parseReplay(text));
+  assert(!throwsOn(good), 'recorded replay should parse');
+  assert(throwsOn('{not json'), 'bad JSON');
+  assert(throwsOn(bad({ version: REPLAY_VERSION + 1 })), 'future version');
+  assert(throwsOn(bad({ seed: 1.5 })), 'non-integer seed');
+  assert(throwsOn(bad({ dt: 0 })), 'zero dt');
+  assert(throwsOn(bad({ inputs: [[5, 'w', 1, 0], [2, 's']] })), 'inputs out of order');
+  assert(throwsOn(bad({ inputs: [[0, 'x']] })), 'unknown op');
+  assert(throwsOn(bad({ levels: {} })), 'missing level definitions');
+  assert(throwsOn(bad({ singleLevel: undefined })), 'missing single-level mode');
+  assert(throwsOn(bad({ lives: 0 })), 'no lives');
+});
+
+test('replay: serialize, parse and play back reproduces the recorded game', () => {
+  const replay = recordGame({}, REPLAY_SCRIPT, 400);
+  assert(replay.inputs.length > 0, 'inputs should be recorded');
+  assertPlaysBack(replay);
+});
+
+test('replay: a game on a level file plays back on that level, not the campaign', () => {
+  const def = parseLevel(readFileSync(new URL('../levels/two-exits.json', import.meta.url), 'utf8'));
+  const replay = recordGame({ levelSource: () => def }, REPLAY_SCRIPT, 400);
+  assertEqual(replay.levels[1].name, def.name);
+  assertPlaysBack(replay);
+});
+
+test('replay: version 1 replays (no level definitions) play back on the campaign', () => {
+  const replay = recordGame({}, REPLAY_SCRIPT, 200);
+  delete replay.levels;
+  delete replay.singleLevel;
+  replay.version = 1;
+  assertPlaysBack(replay);
+});
+
+test('replay: endless runs play back on their generated maps', () => {
+  const game = new Game(null, { headless: true });
+  const run = new EndlessRun(game, { storage: null });
+  run.start(99);
+  game.reset(Config.ENDLESS_CONFIG.mapsFrom);  // Straight to a generated map
+  const replay = playScript(game, REPLAY_SCRIPT, 400);
+  assert(replay.levels[replay.level].walls.length > 0, 'level should be a generated map');
+  assertPlaysBack(replay);
+});
+
+test('replay: daily challenges play back in single-level mode with their options', () => {
+  const game = new Game(null, { headless: true, difficulty: 'hard', lives: 3, pickups: true });
+  const daily = new DailyChallenge(game, { storage: null });
+  daily.start(new Date(2026, 0, 5));
+  const replay = playScript(game, REPLAY_SCRIPT, 400);
+  assertEqual(replay.singleLevel, true);
+  assertEqual(replay.lives, 3);
+  assertEqual(replay.pickups, true);
+  assertEqual(replay.difficulty.preset, 'normal', 'the daily is always played on Normal');
+  assertPlaysBack(replay);
+});
+
+test('replay: playback uses the recorded options, then gives the game its own back', () => {
+  const replay = recordGame({ difficulty: 'easy', lives: 2, pickups: false, singleLevel: true }, REPLAY_SCRIPT, 300);
+  const game = new Game(null, { headless: true, difficulty: 'hard', lives: 1 });
+  const player = new ReplayPlayer(game, parseReplay(serializeReplay(replay)));
+  player.start();
+  assertEqual(game.tuning.preset, 'easy');
+  assertEqual(game.lives, 2);
+  assertEqual(game.singleLevel, true);
+  player.stop();
+  assertEqual(game.singleLevel, false);
+  assertEqual(game.levelSource(1, game).name, 'Level 1');
+});
+
+test('replay: repeated wishes and stops while still are not recorded', () => {
+  const replay = recordGame({}, [[0, 0, 0], [1, -1, 0], [2, -1, 0], [3, 0, 0], [4, 0, 0]], 10);
+  assertDeepEqual(replay.inputs.map(([tick, op]) => [tick, op]), [[1, 'w'], [3, 's']]);
+});
+
+// ============================================
+// Snapshots
+// ============================================
+
+console.log('\n--- Snapshots ---');
+
+// Everything that must match for two games to be in the same state
+function gameState(game) {
+  return {
+    tick: game.tick,
+    level: game.level,
+    running: game.running,
+    timeAlive: game.timeAlive,
+    rng: game.random.state,
+    player: [game.player.x, game.player.y, game.player.dirX, game.player.dirY],
+    cats: game.cats.map(cat => [cat.x, cat.y, cat.path.length]),
+    crumbs: game.grid.countCrumbs(),
+  };
+}
+
+test('snapshot/restore: a restored game continues exactly like the original', () => {
+  const game = new Game(null, { headless: true });
+  game.reset(3, 77);
+  game.setPlayerWish(-1, 0);
+  for (let t = 0; t < 90; t++) game.update(Config.SIM_DT);
+  const snap = structuredClone(game.snapshot());
+
+  const copy = new Game(null, { headless: true, seed: 1 });
+  copy.restore(snap);
+  assertDeepEqual(gameState(copy), gameState(game));
+
+  for (const g of [game, copy]) {
+    g.setPlayerWish(0, -1);
+    for (let t = 0; t < 120; t++) g.update(Config.SIM_DT);
+  }
+  assertDeepEqual(gameState(copy), gameState(game));
+});
+
+test('snapshot/restore: restoring twice from one snapshot gives the same result', () => {
+  const game = new Game(null, { headless: true });
+  game.reset(2, 5);
+  game.setPlayerWish(0, 1);
+  for (let t = 0; t < 60; t++) game.update(Config.SIM_DT);
+  const snap = game.snapshot();
+
+  const runFrom = () => {
+    game.restore(snap);
+    for (let t = 0; t < 60; t++) game.update(Config.SIM_DT);
+    return gameState(game);
+  };
+  assertDeepEqual(runFrom(), runFrom());
+  assertEqual(snap.tick, 60, 'restore must not modify the snapshot');
+});
+
+// ============================================
+// Level Validation
+// ============================================
+
+console.log('\n--- Level Validation ---');
+
+// Error message from validating a level, or null if it is valid
+function levelErrors(def) {
+  try {
+    validateLevel(def);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+test('validateLevel: campaign levels are valid and get defaults filled in', () => {
+  const def = validateLevel({ version: 1, cats: [{ c: 20, r: 5 }] });
+  assertEqual(def.name, 'Untitled');
+  assertEqual(def.speedFactor, 1);
+  assertEqual(def.holes.length, 1);
+  assertEqual(def.barrier, 'ring');
+  for (let level = 1; level <= Config.MAX_LEVEL; level++) {
+    assertEqual(levelErrors(defaultLevel(level)), null, `level ${level}`);
+  }
+});
+
+test('validateLevel: reports every problem at once', () => {
+  const message = levelErrors({
+    version: 2,
+    name: 'Broken',
+    speedFactor: -1,
+    walls: [[100, 0]],
+    cats: [{ c: 3, r: 3, strategy: 'sleeper' }],
+    wrap: 'sideways',
+  });
+  assert(message.startsWith('Invalid level "Broken":'), message);
+  for (const part of ['version must be 1', 'speedFactor', 'walls[0]', 'cats[0].strategy', 'wrap must be']) {
+    assert(message.includes(part), `missing "${part}" in: ${message}`);
+  }
+});
+
+test('validateLevel: rejects spawns inside walls', () => {
+  const message = levelErrors({ version: 1, walls: [[10, 10]], player: { c: 10, r: 10 }, cats: [{ c: 10, r: 10 }] });
+  assert(message.includes('player (10, 10) is inside a wall'), message);
+  assert(message.includes('cats[0] (10, 10) is inside a wall'), message);
+});
+
+test('validateLevel: rejects spawns on a hole cell', () => {
+  const holes = [{ c: 0, r: 12, halfSize: 2 }, { c: 20, r: 12, halfSize: 1 }];
+  const message = levelErrors({ version: 1, holes, player: { c: 0, r: 14 }, cats: [{ c: 21, r: 13 }, { c: 5, r: 5 }] });
+  assert(message.includes('player (0, 14) is on a hole'), message);
+  assert(message.includes('cats[0] (21, 13) is on a hole'), message);
+  assert(!message.includes('cats[1]'), message);
+  // Edge holes only span along their edge
+  assertEqual(levelErrors({ version: 1, holes, player: { c: 1, r: 14 }, cats: [] }), null);
+});
+
+test('validateLevel: checks the default player spawn when player is left out', () => {
+  const c = Config.COLS - 5;
+  const r = Math.floor(Config.ROWS / 2 + 0.5);
+  const message = levelErrors({ version: 1, walls: [[c, r]], cats: [] });
+  assert(message.includes(`default player spawn (${c}, ${r}) is inside a wall`), message);
+  assert(levelErrors({ version: 1, portals: [[[c, r], [5, 5]]], cats: [] }).includes('default player spawn'));
+  assertEqual(levelErrors({ version: 1, walls: [[c, r]], player: { c: 30, r: 3 }, cats: [] }), null);
+  assertEqual(validateLevel({ version: 1, cats: [] }).player, null);
+});
+
+test('validateLevel: rejects spawns on a portal', () => {
+  const portals = [[[8, 18], [31, 6]]];
+  const message = levelErrors({ version: 1, portals, player: { c: 31, r: 6 }, cats: [{ c: 8, r: 18 }] });
+  assert(message.includes('player (31, 6) is on a portal'), message);
+  assert(message.includes('cats[0] (8, 18) is on a portal'), message);
+});
+
+// ============================================
+// Map Generator
+// ============================================
+
+console.log('\n--- Map Generator ---');
+
+// Whether a generated level is solvable: the player reaches a hole and every cat reaches the player
+function generatedSolvable(def) {
+  const cols = Config.COLS;
+  const rows = Config.ROWS;
+  const walls = new Set(def.walls.map(([c, r]) => r * cols + c));
+  const cost = (c, r) => walls.has(r * cols + c) ? Infinity : 1;
+  const { c: hc, r: hr } = def.holes[0];
+  const reaches = (from, to) => from.c === to.c && from.r === to.r ||
+    core.aStar(from.c, from.r, to.c, to.r, cols, rows, cost).length > 0;
+  return reaches(def.player, { c: hc, r: hr }) && def.cats.every(cat => reaches(cat, def.player));
+}
+
+test('generateLevel: every algorithm gives valid, solvable maps across seeds', () => {
+  for (const algorithm of Object.values(MapAlgorithm)) {
+    for (let seed = 1; seed <= 6; seed++) {
+      const def = generateLevel({ seed, algorithm, level: 5 });
+      validateLevel(def);
+      assertEqual(def.cats.length, Config.getLevelConfig(5).cats, `${algorithm} #${seed} cats`);
+      assert(def.walls.length > 0, `${algorithm} #${seed} should have walls`);
+      assert(generatedSolvable(def), `${algorithm} #${seed} should be solvable`);
+    }
+  }
+});
+
+test('generateLevel: random spawns are solvable and keep away from the player', () => {
+  for (let seed = 1; seed <= 10; seed++) {
+    const def = generateLevel({ seed, randomSpawns: true, params: { cats: 3, speedFactor: 0.8, crumbSpeedFactor: 0 } });
+    assert(generatedSolvable(def), `#${seed} should be solvable`);
+    for (const cat of def.cats) {
+      assert(Math.abs(cat.c - def.player.c) + Math.abs(cat.r - def.player.r) >= 12, `#${seed} cat too close`);
+    }
+  }
+});
+
+test('generateLevel: same seed gives the same map, different seeds differ', () => {
+  const a = generateLevel({ seed: 42, algorithm: MapAlgorithm.ROOMS });
+  const b = generateLevel({ seed: 42, algorithm: MapAlgorithm.ROOMS });
+  const c = generateLevel({ seed: 43, algorithm: MapAlgorithm.ROOMS });
+  assertDeepEqual(a, b);
+  assert(JSON.stringify(a.walls) !== JSON.stringify(c.walls));
+});
+
+test('generateLevel: unknown algorithm throws', () => {
+  let threw = false;
+  try {
+    generateLevel({ seed: 1, algorithm: 'caves' });
+  } catch (e) {
+    threw = e.message.includes('Unknown map algorithm');
+  }
+  assert(threw);
+});
+
+// ============================================
+// Daily Share Codes
+// ============================================
+
+console.log('\n--- Daily Share Codes ---');
+
+test('share codes: decode gives back what was encoded', () => {
+  for (const result of [
+    { date: '2025-01-01', escaped: true, time: 0 },
+    { date: '2026-10-19', escaped: false, time: 37.4 },
+    { date: '2031-06-30', escaped: true, time: 12.9 },
+  ]) {
+    const code = encodeShareCode(result);
+    assert(/^CC-[0-9A-Z]+-[0-9A-Z]$/.test(code), code);
+    assertDeepEqual(decodeShareCode(code), result);
+  }
+});
+
+test('share codes: times are rounded to tenths and lowercase codes are accepted', () => {
+  const code = encodeShareCode({ date: '2026-03-02', escaped: true, time: 8.26 });
+  assertDeepEqual(decodeShareCode(` ${code.toLowerCase()} `), { date: '2026-03-02', escaped: true, time: 8.3 });
+});
+
+test('share codes: a wrong check digit or a forged payload is rejected', () => {
+  const rejects = (code) => throws(() => decodeShareCode(code));
+  const code = encodeShareCode({ date: '2026-10-19', escaped: false, time: 20 });
+  const [, payload, check] = code.split('-');
+  for (const digit of '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+    if (digit !== check) assert(rejects(`CC-${payload}-${digit}`), `check digit ${digit} should be rejected`);
+  }
+  // Claiming an escape with the caught result's check digit
+  const forged = encodeShareCode({ date: '2026-10-19', escaped: true, time: 20 }).split('-')[1];
+  assert(rejects(`CC-${forged}-${check}`), 'forged payload should be rejected');
+  for (const bad of [`XX-${payload}-${check}`, 'CC--0', `CC-${payload}`, '']) {
+    assert(rejects(bad), `"${bad}" should be rejected`);
+  }
+});
+
+test('share codes: dates before the epoch cannot be encoded', () => {
+  assert(throws(() => encodeShareCode({ date: '2024-12-31', escaped: true, time: 1 })));
+});
+
+test('DailyChallenge: attempts are kept, and a failing storage write is logged, not thrown', () => {
+  const storage = memoryStorage();
+  const game = new Game(null, { headless: true });
+  const daily = new DailyChallenge(game, { storage });
+  daily.start(new Date(2026, 9, 19));
+  game.events.emit(GameEvent.CAUGHT, { catId: 0, level: 1, timeAlive: 12.34 });
+  assertDeepEqual(new DailyChallenge(new Game(null, { headless: true }), { storage }).getAttempts('2026-10-19'),
+    [{ escaped: false, time: 12.3 }]);
+
+  const failing = new Game(null, { headless: true });
+  const unsaved = new DailyChallenge(failing, { storage: failingStorage() });
+  unsaved.start(new Date(2026, 9, 19));
+  const logged = captureErrors(() => failing.events.emit(GameEvent.LEVEL_COMPLETE, { level: 1, timeAlive: 9 }));
+  assertEqual(logged.length, 1);
+  assertDeepEqual(unsaved.getAttempts(), [{ escaped: true, time: 9 }]);
+});
+
+// ============================================
+// Cat Strategies
+// ============================================
+
+console.log('\n--- Cat Strategies ---');
+
+// Headless game on an open level with these cats (Hard, so goals aren't jittered)
+function catGame(cats, options = {}) {
+  const def = { version: 1, player: { c: 20, r: 12 }, cats, barrier: 'none', ...options };
+  const game = new Game(null, { headless: true, difficulty: 'hard', pickups: false, levelSource: () => def });
+  game.reset(1, 42);
+  return game;
+}
+
+// Put the mouse or a cat in the middle of a cell
+function placeAt(game, entity, c, r) {
+  entity.x = (c + 0.5) * game.tile;
+  entity.y = (r + 0.5) * game.tile;
+}
+
+test('strategies: a chaser aims at the mouse, or at its coordinator target', () => {
+  const game = catGame([{ c: 5, r: 5 }]);
+  const [cat] = game.cats;
+  const env = game._strategyEnv();
+  assertDeepEqual(getCatStrategy(CatStrategy.CHASER).goal(cat, env), { c: 20, r: 12 });
+  const targets = new Map([[cat.id, { c: 22, r: 9 }]]);
+  assertDeepEqual(getCatStrategy(CatStrategy.CHASER).goal(cat, { ...env, targets }), { c: 22, r: 9 });
+});
+
+test('strategies: an ambusher aims AMBUSH_CELLS_AHEAD cells ahead of the mouse', () => {
+  const game = catGame([{ c: 5, r: 5, strategy: CatStrategy.AMBUSHER }]);
+  const [cat] = game.cats;
+  const n = Config.AMBUSH_CELLS_AHEAD;
+  for (const [dx, dy] of [[-1, 0], [1, 0], [0, 1], [0, -1]]) {
+    game.player.dirX = dx;
+    game.player.dirY = dy;
+    assertDeepEqual(getCatStrategy(CatStrategy.AMBUSHER).goal(cat, game._strategyEnv()),
+      { c: 20 + dx * n, r: 12 + dy * n }, `heading ${dx},${dy}`);
+  }
+});
+
+test('strategies: an ambusher aiming into a wall aims just short of it', () => {
+  const n = Config.AMBUSH_CELLS_AHEAD;
+  const game = catGame([{ c: 5, r: 5, strategy: CatStrategy.AMBUSHER }], { walls: [[20 - n, 12]] });
+  game.player.dirX = -1;
+  assertDeepEqual(getCatStrategy(CatStrategy.AMBUSHER).goal(game.cats[0], game._strategyEnv()), { c: 21 - n, r: 12 });
+});
+
+test('strategies: a flanker aims at the mirror point of its partner through the mouse', () => {
+  const game = catGame([{ c: 14, r: 9 }, { c: 5, r: 5, strategy: CatStrategy.FLANKER }]);
+  const [, flanker] = game.cats;
+  assertDeepEqual(getCatStrategy(CatStrategy.FLANKER).goal(flanker, game._strategyEnv()), { c: 26, r: 15 });
+});
+
+test('strategies: a flanker on its own aims at the mouse', () => {
+  const game = catGame([{ c: 5, r: 5, strategy: CatStrategy.FLANKER }]);
+  assertDeepEqual(getCatStrategy(CatStrategy.FLANKER).goal(game.cats[0], game._strategyEnv()), { c: 20, r: 12 });
+});
+
+test('strategies: a guard patrols its hole until the mouse comes close to it', () => {
+  const game = catGame([{ c: 5, r: 5, strategy: CatStrategy.GUARD }]);
+  const [cat] = game.cats;
+  const env = game._strategyEnv();
+  const patrol = getCatStrategy(CatStrategy.GUARD).goal(cat, env);
+  assertEqual(patrol.chase, false);
+  assert(Math.abs(patrol.c - env.hole.c) <= env.hole.halfSize + 2 &&
+    Math.abs(patrol.r - env.hole.r) <= env.hole.halfSize + 2, `patrol cell ${patrol.c},${patrol.r} near the hole`);
+
+  placeAt(game, game.player, env.hole.c + 2, env.hole.r);
+  assertDeepEqual(getCatStrategy(CatStrategy.GUARD).goal(cat, game._strategyEnv()),
+    { c: env.hole.c + 2, r: env.hole.r });
+});
+
+test('strategies: a wanderer roams to open cells and keeps its goal until it gets there', () => {
+  const game = catGame([{ c: 5, r: 5, strategy: CatStrategy.WANDERER }]);
+  const [cat] = game.cats;
+  const goal = getCatStrategy(CatStrategy.WANDERER).goal(cat, game._strategyEnv());
+  assertEqual(goal.chase, false);
+  assert(!game.grid.isBlocked(goal.c, goal.r), 'goal is open');
+  cat.path = [{ c: 6, r: 5 }];
+  assertDeepEqual(getCatStrategy(CatStrategy.WANDERER).goal(cat, game._strategyEnv()), goal);
+});
+
+// ============================================
+// Cat Coordinator
+// ============================================
+
+console.log('\n--- Cat Coordinator ---');
+
+// Targets handed out to a team of chasers spread around the map, as a list of "c,r" strings
+function coordinatorTargets(game, holeField) {
+  const targets = game.coordinator.assign(game.grid, game.player, game.cats, holeField);
+  return [...targets.values()].map(({ c, r }) => `${c},${r}`);
+}
+
+const TEAM = [{ c: 36, r: 2 }, { c: 36, r: 22 }, { c: 30, r: 12 }];
+
+test('coordinator: each chaser gets a different target, one of them cutting off the route', () => {
+  const game = catGame(TEAM, { coordination: true });
+  const targets = coordinatorTargets(game, game._holeField);
+  assertEqual(targets.length, TEAM.length);
+  assertEqual(new Set(targets).size, TEAM.length, `targets ${targets.join(' ')}`);
+  const roles = [...game.coordinator.roles.values()];
+  assert(roles.includes(CatRole.INTERCEPT) && roles.includes(CatRole.CHASE), `roles ${roles.join(' ')}`);
+});
+
+test('coordinator: with no open route nobody intercepts and targets stay distinct', () => {
+  const game = catGame(TEAM, { coordination: true });
+  const targets = coordinatorTargets(game, null);
+  assertEqual(new Set(targets).size, TEAM.length, `targets ${targets.join(' ')}`);
+  const roles = [...game.coordinator.roles.values()];
+  assert(!roles.includes(CatRole.INTERCEPT), `roles ${roles.join(' ')}`);
+  assertEqual(roles.filter(role => role === CatRole.CHASE).length, 1);
+});
+
+test('coordinator: cats close to the mouse all chase it', () => {
+  const game = catGame([{ c: 21, r: 12 }, { c: 20, r: 14 }, { c: 36, r: 2 }], { coordination: true });
+  const targets = game.coordinator.assign(game.grid, game.player, game.cats, game._holeField);
+  const [near1, near2] = game.cats;
+  assertDeepEqual(targets.get(near1.id), { c: 20, r: 12 });
+  assertDeepEqual(targets.get(near2.id), { c: 20, r: 12 });
+  assert(game.coordinator.roles.get(game.cats[2].id) !== CatRole.CHASE, 'the far cat takes another role');
+});
+
+test('coordinator: a lone chaser or a frozen team is left alone', () => {
+  const game = catGame([TEAM[0], { ...TEAM[1], strategy: CatStrategy.AMBUSHER }], { coordination: true });
+  assertEqual(game.coordinator.assign(game.grid, game.player, game.cats, game._holeField), null);
+  const team = catGame(TEAM.slice(0, 2), { coordination: true });
+  team.cats[0].frozenTime = 1;
+  assertEqual(team.coordinator.assign(team.grid, team.player, team.cats, team._holeField), null);
+});
+
+// ============================================
+// Cat Perception
+// ============================================
+
+console.log('\n--- Cat Perception ---');
+
+// A chaser at (10, 12) facing right, on a level with perception on, and the mouse out of sight
+function perceptionGame() {
+  const game = catGame([{ c: 10, r: 12 }], { perception: true });
+  const [cat] = game.cats;
+  cat.facingX = 1;
+  cat.facingY = 0;
+  placeAt(game, game.player, 35, 20);
+  return { game, cat, env: { grid: game.grid, player: game.player, noise: null } };
+}
+
+test('perception: cats start out patrolling and stay that way while they see nothing', () => {
+  const { cat, env } = perceptionGame();
+  assertEqual(cat.awareness, CatAwareness.PATROL);
+  assertEqual(updateAwareness(cat, env, Config.SIM_DT), false);
+  assertEqual(cat.awareness, CatAwareness.PATROL);
+});
+
+test('perception: patrol -> chase -> search -> patrol', () => {
+  const { game, cat, env } = perceptionGame();
+  placeAt(game, game.player, 15, 12);
+  assertEqual(updateAwareness(cat, env, Config.SIM_DT), true, 'spotting the mouse replans');
+  assertEqual(cat.awareness, CatAwareness.CHASE);
+  assertEqual(updateAwareness(cat, env, Config.SIM_DT), false, 'still in sight');
+
+  placeAt(game, game.player, 35, 20);
+  assertEqual(updateAwareness(cat, env, Config.SIM_DT), true, 'losing sight replans');
+  assertEqual(cat.awareness, CatAwareness.SEARCH);
+  assertDeepEqual(cat.lastKnown, { c: 15, r: 12 });
+
+  const { searchSecs } = Config.CAT_PERCEPTION;
+  assertEqual(updateAwareness(cat, env, searchSecs - 1), false);
+  assertEqual(cat.awareness, CatAwareness.SEARCH);
+  assertEqual(updateAwareness(cat, env, 1), true, 'giving up the search replans');
+  assertEqual(cat.awareness, CatAwareness.PATROL);
+  assertEqual(cat.lastKnown, null);
+});
+
+test('perception: a cat does not see the mouse behind it or behind a wall', () => {
+  const { game, cat, env } = perceptionGame();
+  placeAt(game, game.player, 5, 12);
+  assertEqual(updateAwareness(cat, env, Config.SIM_DT), false, 'behind the cat');
+  game.grid.setWall(12, 12, true);
+  placeAt(game, game.player, 15, 12);
+  assertEqual(updateAwareness(cat, env, Config.SIM_DT), false, 'behind a wall');
+  assertEqual(cat.awareness, CatAwareness.PATROL);
+});
+
+test('perception: canSeeMouse gives the same answers with a reused buffer', () => {
+  const { game, cat } = perceptionGame();
+  game.grid.setWall(13, 11, true);
+  const sight = new Uint8Array(game.cols * game.rows);
+  for (const [c, r] of [[15, 12], [14, 10], [17, 10], [5, 12], [18, 16], [30, 12]]) {
+    placeAt(game, game.player, c, r);
+    assertEqual(canSeeMouse(cat, game.grid, game.player, sight), canSeeMouse(cat, game.grid, game.player),
+      `mouse at ${c},${r}`);
+  }
+  assertEqual(sight[game.grid.idx(10, 12)], 1, 'the buffer was filled in');
+});
+
+test('perception: hearing a crumb drop starts a search there', () => {
+  const { cat, env } = perceptionGame();
+  const hearing = getCatStrategy(CatStrategy.CHASER).vision.hearing;
+  assertEqual(updateAwareness(cat, { ...env, noise: { c: 10 - hearing - 1, r: 12 } }, Config.SIM_DT), false,
+    'out of earshot');
+  assertEqual(updateAwareness(cat, { ...env, noise: { c: 10 - hearing, r: 12 } }, Config.SIM_DT), true);
+  assertEqual(cat.awareness, CatAwareness.SEARCH);
+  assertDeepEqual(cat.lastKnown, { c: 10 - hearing, r: 12 });
+  assertEqual(cat.searchTime, Config.CAT_PERCEPTION.searchSecs);
+});
+
+// ============================================
+// Events
+// ============================================
+
+console.log('\n--- Events ---');
+
+// Every event a game emits from now on, as [type, payload]
+function recordEvents(game) {
+  const events = [];
+  for (const type of Object.values(GameEvent)) {
+    game.on(type, payload => events.push([type, payload]));
+  }
+  return events;
+}
+
+const eventsOf = (events, type) => events.filter(([t]) => t === type).map(([, payload]) => payload);
+
+test('events: on subscribes, off and the returned function unsubscribe', () => {
+  const emitter = new EventEmitter();
+  const seen = [];
+  const a = payload => seen.push(['a', payload.n]);
+  const b = payload => seen.push(['b', payload.n]);
+  emitter.on(GameEvent.CAUGHT, a);
+  const unsubscribeB = emitter.on(GameEvent.CAUGHT, b);
+  emitter.emit(GameEvent.CAUGHT, { n: 1 });
+  emitter.off(GameEvent.CAUGHT, a);
+  emitter.emit(GameEvent.CAUGHT, { n: 2 });
+  unsubscribeB();
+  emitter.emit(GameEvent.CAUGHT, { n: 3 });
+  emitter.emit(GameEvent.NEAR_MISS, { n: 4 });
+  assertDeepEqual(seen, [['a', 1], ['b', 1], ['b', 2]]);
+});
+
+test('events: a listener removing itself does not skip the next one', () => {
+  const emitter = new EventEmitter();
+  const seen = [];
+  const once = () => { seen.push('once'); emitter.off(GameEvent.CAUGHT, once); };
+  emitter.on(GameEvent.CAUGHT, once);
+  emitter.on(GameEvent.CAUGHT, () => seen.push('always'));
+  emitter.emit(GameEvent.CAUGHT, {});
+  emitter.emit(GameEvent.CAUGHT, {});
+  assertDeepEqual(seen, ['once', 'always', 'always']);
+});
+
+test('events: subscribing to an unknown event throws', () => {
+  assert(throws(() => new EventEmitter().on('caugth', () => {})));
+});
+
+test('events: levelStarted, playerTurned, crumbDropped and pathRecalculated', () => {
+  const game = catGame([{ c: 36, r: 2 }]);
+  const events = recordEvents(game);
+  game.reset(1, 42);
+  assertDeepEqual(eventsOf(events, GameEvent.LEVEL_STARTED), [{ level: 1, catCount: 1 }]);
+
+  game.setPlayerWish(0, -1);
+  for (let t = 0; t < 20; t++) game.update(Config.SIM_DT);
+  assertDeepEqual(eventsOf(events, GameEvent.PLAYER_TURNED)[0], { dirX: 0, dirY: -1, prevDirX: 0, prevDirY: 0 });
+  assertDeepEqual(eventsOf(events, GameEvent.CRUMB_DROPPED)[0], { c: 20, r: 12, strength: Config.CRUMB_STRENGTH });
+
+  const [path] = eventsOf(events, GameEvent.PATH_RECALCULATED);
+  const [cat] = game.cats;
+  assertEqual(path.catId, cat.id);
+  assert(Number.isInteger(path.goal.c) && Number.isInteger(path.goal.r), 'goal is a cell');
+  assert(path.length > 0, 'the cat found a path');
+});
+
+test('events: crumbEaten and crumbDecayed report the strength left', () => {
+  const game = catGame([{ c: 36, r: 2 }]);
+  const events = recordEvents(game);
+  const [cat] = game.cats;
+  game.grid.addCrumb(36, 2, 2);
+  game.update(Config.CRUMB_CHEW_INTERVAL);
+  assertDeepEqual(eventsOf(events, GameEvent.CRUMB_EATEN), [{ catId: cat.id, c: 36, r: 2, strength: 1 }]);
+
+  for (let r = 0; r < game.rows; r++) {
+    for (let c = 0; c < game.cols; c++) game.grid.addCrumb(c, r, 2);
+  }
+  game.decayPerSec = 3 / Config.SIM_DT;
+  game.update(Config.SIM_DT);
+  const decayed = eventsOf(events, GameEvent.CRUMB_DECAYED);
+  assert(decayed.length >= 2, `${decayed.length} decay events`);
+  for (const { c, r, strength } of decayed) {
+    assertEqual(strength, game.grid.getCrumbStrength(c, r), `strength at ${c},${r}`);
+  }
+});
+
+test('events: nearMiss fires once the close cat has moved away', () => {
+  const game = catGame([{ c: 36, r: 2 }]);
+  const events = recordEvents(game);
+  const [cat] = game.cats;
+  cat.frozenTime = 10;
+  placeAt(game, cat, 21, 13);
+  game.update(Config.SIM_DT);
+  assertEqual(eventsOf(events, GameEvent.NEAR_MISS).length, 0, 'not while the cat is close');
+  placeAt(game, cat, 30, 13);
+  game.update(Config.SIM_DT);
+  const [miss] = eventsOf(events, GameEvent.NEAR_MISS);
+  assertEqual(miss.catId, cat.id);
+  assertClose(miss.distance, Math.SQRT2, 0.01);
+});
+
+test('events: caught ends the game with the catching cat, level and time', () => {
+  const game = catGame([{ c: 21, r: 12 }]);
+  const events = recordEvents(game);
+  const [cat] = game.cats;
+  placeAt(game, cat, 20, 12);
+  const result = game.update(Config.SIM_DT);
+  assertEqual(result.caught, true);
+  assertEqual(game.running, false);
+  assertDeepEqual(eventsOf(events, GameEvent.CAUGHT), [{ catId: cat.id, level: 1, timeAlive: game.timeAlive }]);
+});
+
+test('events: levelComplete is followed by levelStarted for the next level', () => {
+  const game = catGame([{ c: 36, r: 2 }], { player: { c: 1, r: Config.getHoleRow(Config.ROWS) } });
+  const events = recordEvents(game);
+  game.setPlayerWish(-1, 0);
+  for (let t = 0; t < 30 && game.level === 1; t++) game.update(Config.SIM_DT);
+  const [complete] = eventsOf(events, GameEvent.LEVEL_COMPLETE);
+  assertEqual(complete.level, 1);
+  assert(complete.timeAlive > 0, 'time alive is reported');
+  assertDeepEqual(events.map(([type]) => type).slice(-2), [GameEvent.LEVEL_COMPLETE, GameEvent.LEVEL_STARTED]);
+  assertEqual(eventsOf(events, GameEvent.LEVEL_STARTED)[0].level, 2);
+});
+
+// ============================================
+// Walls
+// ============================================
+
+console.log('\n--- Walls ---');
+
+test('walls: the mouse stops in the middle of the cell before a wall', () => {
+  const game = catGame([{ c: 36, r: 2 }], { walls: [[17, 12]] });
+  game.setPlayerWish(-1, 0);
+  for (let t = 0; t < 60; t++) game.update(Config.SIM_DT);
+  assertDeepEqual(game.player.getCell(), { c: 18, r: 12 });
+  assertClose(game.player.x, 18.5 * game.tile);
+});
+
+test('walls: cats path around walls and never enter one', () => {
+  // A wall column between the cat and the mouse, open only at the bottom
+  const walls = [];
+  for (let r = 0; r < Config.ROWS - 2; r++) walls.push([25, r]);
+  const game = catGame([{ c: 32, r: 3 }], { walls });
+  const [cat] = game.cats;
+  for (let t = 0; t < 600 && game.running; t++) {
+    game.update(Config.SIM_DT);
+    const { c, r } = cat.getCell();
+    assert(!game.grid.isWall(c, r), `cat inside the wall at ${c},${r} on tick ${t}`);
+  }
+  assert(!game.running, 'the cat got round the wall and caught the mouse');
+});
+
+test('walls: moveAgent does not let a cat through a wall', () => {
+  const game = catGame([{ c: 30, r: 12 }], { walls: [[29, 12]] });
+  const [cat] = game.cats;
+  game.moveAgent(cat, -game.tile, 0, false);
+  assertEqual(cat.getCell().c, 30);
+});
+
+test('walls: never decay or take crumbs', () => {
+  const walls = [[5, 5], [6, 5], [7, 5]];
+  const game = catGame([{ c: 36, r: 2 }], { walls });
+  for (const [c, r] of walls) {
+    game.grid.addCrumb(c, r, 2);
+    assertEqual(game.grid.dropCrumb(c, r), 0);
+  }
+  game.grid.addCrumb(10, 10, 2);
+  for (let i = 0; i < 5000; i++) game.grid.decayOneCrumb();
+  for (const [c, r] of walls) {
+    assert(game.grid.isWall(c, r), `wall at ${c},${r} is gone`);
+    assertEqual(game.grid.getCrumbStrength(c, r), 0);
+  }
+  assertEqual(game.grid.getCrumbStrength(10, 10), 0, 'the crumb decayed');
+});
+
+test('walls: getState reports walls and crumbs as separate features', () => {
+  const game = catGame([{ c: 36, r: 2 }], { walls: [[19, 12]], crumbs: [[21, 12], [20, 11, 2]] });
+  const state = game.getState();
+  assertEqual(state.wallLeft, 1);
+  assertEqual(state.crumbLeft, 0);
+  assertEqual(state.wallRight, 0);
+  assertEqual(state.crumbRight, 1);
+  assertEqual(state.crumbUp, 1);
+  assertEqual(state.wallUp, 0);
+  assertEqual(state.wallDown + state.crumbDown, 0);
+
+  // The grid edge counts as a wall unless the map wraps
+  placeAt(game, game.player, game.cols - 1, 5);
+  assertEqual(game.getState().wallRight, 1);
+  const wrapped = catGame([{ c: 36, r: 2 }], { wrap: 'horizontal', player: { c: Config.COLS - 1, r: 5 } });
+  assertEqual(wrapped.getState().wallRight, 0);
+});
+
+// ============================================
+// Rewards
+// ============================================
+
+console.log('\n--- Rewards ---');
+
+test('step: progress is measured to the same hole when the nearest hole changes', () => {
+  // Walking distance makes the target switch from the inner hole to the edge hole
+  // around column 20, where their straight-line distances differ by several cells
+  const holes = [{ c: 0, r: 12, halfSize: 0, barrier: 'none' }, { c: 30, r: 2, halfSize: 0, barrier: 'none' }];
+  const game = catGame([{ c: 36, r: 22 }], { holes, player: { c: 23, r: 12 } });
+  const targets = new Set();
+  for (let t = 0; t < 40; t++) {
+    targets.add(game._targetHole());
+    const { reward } = game.step(0);
+    assert(Math.abs(reward) <= 55, `reward ${reward} at column ${game.player.getCell().c}`);
+  }
+  assertEqual(targets.size, 2, 'the target hole changed');
+});
+
+// ============================================
+// Endless Mode
+// ============================================
+
+console.log('\n--- Endless Mode ---');
+
+test('getEndlessLevelConfig: level 1 is an open map with one slow cat', () => {
+  const e = Config.ENDLESS_CONFIG;
+  assertDeepEqual(Config.getEndlessLevelConfig(1), {
+    cats: 1,
+    speedFactor: e.baseSpeed,
+    crumbSpeedFactor: 0,
+    decayPerSec: Config.CRUMB_DECAY_PER_SEC,
+    generatedMap: false,
+  });
+  assertDeepEqual(Config.getEndlessLevelConfig(0), Config.getEndlessLevelConfig(1));
+  assertEqual(Config.getEndlessLevelConfig(1 + e.catsEvery).cats, 2);
+  assertEqual(Config.getEndlessLevelConfig(e.mapsFrom - 1).generatedMap, false);
+  assertEqual(Config.getEndlessLevelConfig(e.mapsFrom).generatedMap, true);
+});
+
+test('getEndlessLevelConfig: never gets easier and stops at the caps', () => {
+  const e = Config.ENDLESS_CONFIG;
+  let prev = Config.getEndlessLevelConfig(1);
+  for (let level = 2; level <= 300; level++) {
+    const next = Config.getEndlessLevelConfig(level);
+    for (const key of ['cats', 'speedFactor', 'crumbSpeedFactor', 'decayPerSec']) {
+      assert(next[key] >= prev[key], `${key} dropped on level ${level}`);
+    }
+    prev = next;
+  }
+  assertEqual(prev.cats, e.maxCats);
+  assertEqual(prev.speedFactor, e.maxSpeed);
+  assertEqual(prev.crumbSpeedFactor, e.maxCrumbSpeed);
+  assertClose(prev.decayPerSec, Config.CRUMB_DECAY_PER_SEC * e.maxDecayFactor);
+});
+
+test('endlessLevel: early levels are open, later ones generated from the run seed', () => {
+  const open = validateLevel(endlessLevel(1, 7));
+  assertEqual(open.name, 'Endless 1');
+  assertEqual(open.walls.length, 0);
+  assertEqual(open.cats.length, 1);
+
+  const level = Config.ENDLESS_CONFIG.mapsFrom + 4;
+  const params = Config.getEndlessLevelConfig(level);
+  const def = validateLevel(endlessLevel(level, 7));
+  assert(def.walls.length > 0, 'generated map has walls');
+  assertEqual(def.cats.length, params.cats);
+  assertEqual(def.speedFactor, params.speedFactor);
+  assertEqual(def.crumbSpeedFactor, params.crumbSpeedFactor);
+  assertEqual(def.decayPerSec, params.decayPerSec);
+  assertDeepEqual(endlessLevel(level, 7), endlessLevel(level, 7));
+  assert(JSON.stringify(endlessLevel(level, 8).walls) !== JSON.stringify(def.walls), 'another seed, another map');
+  assert(JSON.stringify(endlessLevel(level + 1, 7).walls) !== JSON.stringify(def.walls), 'another level, another map');
+});
+
+test('endlessLevelScore: level points plus time under par', () => {
+  const { pointsPerLevel, parTime, pointsPerSecond } = Config.ENDLESS_CONFIG;
+  assertEqual(endlessLevelScore(3, parTime - 4), 3 * pointsPerLevel + 4 * pointsPerSecond);
+  assertEqual(endlessLevelScore(3, parTime + 30), 3 * pointsPerLevel);
+});
+
+test('EndlessRun: scores cleared levels and pickups, and keeps the best run', () => {
+  const storage = memoryStorage();
+  const game = new Game(null, { headless: true });
+  const run = new EndlessRun(game, { storage });
+  assertEqual(run.best, null);
+  run.start(5);
+  assertEqual(game.level, 1);
+  assertEqual(game.levelDef.name, 'Endless 1');
+
+  game.events.emit(GameEvent.PICKUP_COLLECTED, { type: 'cheese', c: 1, r: 1, points: 50 });
+  game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 1, timeAlive: 100 });
+  game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 2, timeAlive: 100 });
+  const score = 50 + endlessLevelScore(1, 100) + endlessLevelScore(2, 100);
+  assertEqual(run.score, score);
+  assertEqual(run.levelsCleared, 2);
+  assert(run.newBest, 'first run is a new best');
+  assertDeepEqual(new EndlessRun(game, { storage }).best, { score, levelsCleared: 2 });
+
+  // A worse run leaves the best alone
+  run.start(6);
+  game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 1, timeAlive: 100 });
+  assertEqual(run.newBest, false);
+  assertDeepEqual(new EndlessRun(game, { storage }).best, { score, levelsCleared: 2 });
+
+  run.stop();
+  game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 2, timeAlive: 100 });
+  assertEqual(run.levelsCleared, 1, 'a stopped run no longer scores');
+});
+
+test('EndlessRun: a failing storage write is logged, not thrown', () => {
+  const game = new Game(null, { headless: true });
+  const run = new EndlessRun(game, { storage: failingStorage() });
+  run.start(5);
+  const logged = captureErrors(() => game.events.emit(GameEvent.LEVEL_COMPLETE, { level: 1, timeAlive: 10 }));
+  assertEqual(logged.length, 1);
+  assertEqual(run.best.levelsCleared, 1);
+});
+
+// ============================================
+// Lives and Progress
+// ============================================
+
+console.log('\n--- Lives and Progress ---');
+
+// catGame with three lives
+function livesGame(cats, options = {}) {
+  const def = { version: 1, player: { c: 20, r: 12 }, cats, barrier: 'none', ...options };
+  const game = new Game(null, { headless: true, difficulty: 'hard', pickups: false, lives: 3, levelSource: () => def });
+  game.reset(1, 42);
+  return game;
+}
+
+test('lives: a catch costs a life and respawns the mouse, invulnerable for a while', () => {
+  const game = livesGame([{ c: 36, r: 2 }]);
+  const events = recordEvents(game);
+  const [cat] = game.cats;
+  game.setPlayerWish(0, -1);
+  for (let t = 0; t < 30; t++) game.update(Config.SIM_DT);
+  placeAt(game, cat, game.player.getCell().c, game.player.getCell().r);
+
+  const result = game.update(Config.SIM_DT);
+  assertDeepEqual(result, { caught: false, levelComplete: false, lifeLost: true });
+  assertEqual(game.lives, 2);
+  assert(game.running, 'the game goes on');
+  assertDeepEqual(game.player.getCell(), { c: 20, r: 12 });
+  assertDeepEqual(eventsOf(events, GameEvent.LIFE_LOST), [{ catId: cat.id, level: 1, livesLeft: 2 }]);
+  assertEqual(eventsOf(events, GameEvent.NEAR_MISS).length, 0, 'a catch is not a near miss');
+
+  // Invulnerable: a cat on the mouse doesn't catch it until the time runs out
+  cat.frozenTime = 10;
+  placeAt(game, cat, 20, 12);
+  const ticks = Math.round(Config.RESPAWN_INVULNERABLE_SECS / Config.SIM_DT);
+  for (let t = 0; t < ticks - 2; t++) {
+    assertEqual(game.update(Config.SIM_DT).lifeLost, false, `caught while invulnerable on tick ${t}`);
+  }
+  let lost = false;
+  for (let t = 0; t < 4 && !lost; t++) lost = game.update(Config.SIM_DT).lifeLost;
+  assert(lost, 'caught once invulnerability wore off');
+  assertEqual(game.lives, 1);
+});
+
+test('lives: the tick a life is lost still moves the other cats and decays crumbs', () => {
+  const game = livesGame([{ c: 21, r: 12 }, { c: 36, r: 2 }]);
+  const events = recordEvents(game);
+  const [catcher, other] = game.cats;
+  placeAt(game, catcher, 20, 12);
+  for (let r = 0; r < game.rows; r++) {
+    for (let c = 0; c < 10; c++) game.grid.addCrumb(c, r, 2);
+  }
+  game.decayPerSec = 1.5 / Config.SIM_DT;
+  const before = { x: other.x, y: other.y };
+
+  assertEqual(game.update(Config.SIM_DT).lifeLost, true);
+  assert(other.x !== before.x || other.y !== before.y, 'the other cat moved');
+  assert(eventsOf(events, GameEvent.PATH_RECALCULATED).some(({ catId }) => catId === other.id), 'the other cat planned');
+  assert(eventsOf(events, GameEvent.CRUMB_DECAYED).length > 0, 'crumb decay ran');
+});
+
+test('lives: losing the last life ends the game', () => {
+  const game = livesGame([{ c: 21, r: 12 }]);
+  const [cat] = game.cats;
+  game.lives = 1;
+  placeAt(game, cat, 20, 12);
+  assertDeepEqual(game.update(Config.SIM_DT), { caught: true, levelComplete: false, lifeLost: false });
+  assertEqual(game.running, false);
+});
+
+test('CampaignProgress: unlocks campaign levels as they start and remembers them', () => {
+  const storage = memoryStorage();
+  const game = new Game(null, { headless: true });
+  const progress = new CampaignProgress(game, { storage });
+  assertEqual(progress.highest, 1);
+  game.reset(3);
+  assertEqual(progress.highest, 3);
+  game.reset(2);
+  assertEqual(progress.highest, 3, 'never goes down');
+  assert(progress.isUnlocked(3) && !progress.isUnlocked(4) && !progress.isUnlocked(0));
+  assertEqual(new CampaignProgress(new Game(null, { headless: true }), { storage }).highest, 3);
+
+  game.reset(Config.MAX_LEVEL + 5);
+  assertEqual(progress.highest, Config.MAX_LEVEL);
+  progress.clear();
+  assertEqual(new CampaignProgress(new Game(null, { headless: true }), { storage }).highest, 1);
+});
+
+test('CampaignProgress: ignores other level sources and games it is disabled for', () => {
+  const game = new Game(null, { headless: true });
+  const progress = new CampaignProgress(game, { storage: memoryStorage() });
+  progress.enabled = false;
+  game.reset(4);
+  assertEqual(progress.highest, 1);
+  progress.enabled = true;
+  game.setLevelSource(() => ({ version: 1, cats: [{ c: 30, r: 3 }] }));
+  game.reset(5);
+  assertEqual(progress.highest, 1);
+});
+
+test('CampaignProgress: a failing storage write is logged, not thrown', () => {
+  const game = new Game(null, { headless: true });
+  const progress = new CampaignProgress(game, { storage: failingStorage() });
+  const logged = captureErrors(() => game.reset(2));
+  assertEqual(logged.length, 1);
+  assertEqual(progress.highest, 2);
+});
+
+// ============================================
+// Crumb Strength
+// ============================================
+
+console.log('\n--- Crumb Strength ---');
+
+test('dropCrumb: each visit thickens the crumb, up to CRUMB_MAX_STRENGTH', () => {
+  const { grid } = catGame([{ c: 36, r: 2 }]);
+  const drops = [];
+  for (let i = 0; i < Config.CRUMB_MAX_STRENGTH + 2; i++) drops.push(grid.dropCrumb(10, 10));
+  const expected = drops.map((_, i) => Math.min(Config.CRUMB_MAX_STRENGTH, (i + 1) * Config.CRUMB_STRENGTH));
+  assertDeepEqual(drops, expected);
+  assertEqual(grid.getCrumbStrength(10, 10), Config.CRUMB_MAX_STRENGTH);
+});
+
+test('dropCrumb: a cell visited before thickens even after its crumb decayed', () => {
+  const { grid } = catGame([{ c: 36, r: 2 }]);
+  grid.dropCrumb(10, 10);
+  grid.weakenCrumb(10, 10, Config.CRUMB_STRENGTH);
+  assertEqual(grid.getCrumbStrength(10, 10), 0);
+  assertEqual(grid.dropCrumb(10, 10), 2 * Config.CRUMB_STRENGTH);
+});
+
+test('chew: a cat on a crumb stands still and bites off one unit per CRUMB_CHEW_INTERVAL', () => {
+  const game = catGame([{ c: 30, r: 12 }]);
+  const [cat] = game.cats;
+  game.grid.addCrumb(30, 12, 2);
+  const start = { x: cat.x, y: cat.y };
+  const half = Config.CRUMB_CHEW_INTERVAL / 2;
+  game.update(half);
+  assertEqual(game.grid.getCrumbStrength(30, 12), 2, 'no bite before the interval');
+  game.update(half);
+  assertEqual(game.grid.getCrumbStrength(30, 12), 1);
+  game.update(half);
+  game.update(half);
+  assertEqual(game.grid.getCrumbStrength(30, 12), 0);
+  assertDeepEqual({ x: cat.x, y: cat.y }, start, 'the cat stood still while chewing');
+  game.update(Config.SIM_DT);
+  assert(cat.x !== start.x || cat.y !== start.y, 'the cat moves on once the crumb is gone');
+});
+
+test('pathfinding: crumb cost scales with strength', () => {
+  const game = catGame([{ c: 36, r: 2 }]);
+  game.grid.addCrumb(10, 10, 1);
+  game.grid.addCrumb(11, 10, 3);
+  assertEqual(game._pathCost(9, 10), 1);
+  assertEqual(game._pathCost(10, 10), Config.CRUMB_COST_FOR_CAT);
+  assertEqual(game._pathCost(11, 10), 3 * Config.CRUMB_COST_FOR_CAT);
+});
+
+test('pathfinding: cats take the gap with the thinner crumb', () => {
+  // A wall column with two gaps the same distance away, each plugged with a crumb
+  const walls = [];
+  for (let r = 0; r < Config.ROWS; r++) {
+    if (r !== 10 && r !== 14) walls.push([20, r]);
+  }
+  const gapRow = (upper, lower) => {
+    const game = catGame([{ c: 36, r: 2 }], { walls, player: { c: 30, r: 20 } });
+    game.grid.addCrumb(20, 10, upper);
+    game.grid.addCrumb(20, 14, lower);
+    const path = game.aStar(15, 12, 25, 12);
+    return path.find(({ c }) => c === 20).r;
+  };
+  assertEqual(gapRow(1, 3), 10);
+  assertEqual(gapRow(3, 1), 14);
+  assertEqual(gapRow(2, 3), 10);
+});
+
+// ============================================
+// Pickups
+// ============================================
+
+console.log('\n--- Pickups ---');
+
+// Put a pickup on the mouse's cell and run one tick to collect it
+function collect(game, type) {
+  const { c, r } = game.player.getCell();
+  game.pickups.items.push({ type, c, r, time: Config.PICKUP_CONFIG.lifetime });
+  game.update(Config.SIM_DT);
+}
+
+test('pickupRulesErrors: accepts valid rules and rejects bad ones', () => {
+  assertDeepEqual(pickupRulesErrors({ interval: 4, max: 2, weights: { cheese: 1, freeze: 0 } }), []);
+  for (const rules of Config.PICKUP_RULES) assertDeepEqual(pickupRulesErrors(rules), []);
+  for (const bad of [null, [], 'cheese']) {
+    assertEqual(pickupRulesErrors(bad).length, 1, JSON.stringify(bad));
+  }
+  const errors = pickupRulesErrors({ interval: 0, max: 1.5, weights: { cheese: -1, gold: 2, speed: Infinity } });
+  assertDeepEqual(errors, [
+    'pickups.interval must be a positive number',
+    'pickups.max must be a non-negative integer',
+    'pickups.weights.cheese must be a non-negative number',
+    'pickups.weights has unknown type "gold"',
+    'pickups.weights.speed must be a non-negative number',
+  ]);
+  assert(pickupRulesErrors({ interval: 1, max: 1, weights: [] })[0].includes('weights'));
+  assert(levelErrors({ version: 1, cats: [], pickups: { interval: -1, max: 1, weights: {} } }).includes('pickups.interval'));
+});
+
+test('pickups: spawn only on open cells, away from the mouse', () => {
+  const game = catGame([{ c: 36, r: 2 }], {
+    walls: [[10, 5], [11, 5], [12, 5]],
+    crumbs: [[15, 15], [16, 15, 2]],
+    holes: [{ c: 0, r: 12, halfSize: 2 }, { c: 30, r: 20, halfSize: 1 }],
+    portals: [[[5, 20], [34, 8]]],
+  });
+  const pickups = new PickupSystem({ seed: 3 });
+  pickups.startLevel({ interval: 0.01, max: 10000, weights: { cheese: 1 } });
+  const playerCell = game.player.getCell();
+  const env = { grid: game.grid, playerCell, holeField: game._holeField };
+  for (let i = 0; i < 2000; i++) pickups.update(0.01, env);
+  assert(pickups.items.length > 500, `${pickups.items.length} pickups spawned`);
+
+  const cells = new Set();
+  const grid = game.grid;
+  for (const { c, r } of pickups.items) {
+    assert(!grid.isWall(c, r) && !grid.isCrumb(c, r) && !grid.isHoleCell(c, r) && !grid.isPortal(c, r),
+      `pickup on a blocked cell ${c},${r}`);
+    const d = Math.abs(c - playerCell.c) + Math.abs(r - playerCell.r);
+    assert(d >= Config.PICKUP_CONFIG.minPlayerDistance, `pickup ${d} cells from the mouse`);
+    assert(!cells.has(`${c},${r}`), `two pickups on ${c},${r}`);
+    cells.add(`${c},${r}`);
+  }
+});
+
+test('pickups: spawn every interval up to max and expire after their lifetime', () => {
+  const game = catGame([{ c: 36, r: 2 }]);
+  const env = { grid: game.grid, playerCell: game.player.getCell(), holeField: game._holeField };
+  const pickups = new PickupSystem({ seed: 1 });
+  pickups.startLevel({ interval: 2, max: 1, weights: { speed: 1 } });
+  pickups.update(1.5, env);
+  assertEqual(pickups.items.length, 0, 'nothing before the interval');
+  pickups.update(0.5, env);
+  assertEqual(pickups.items.length, 1);
+  assertEqual(pickups.items[0].type, PickupType.SPEED);
+  pickups.update(2, env);
+  assertEqual(pickups.items.length, 1, 'max reached');
+
+  pickups.rules.max = 0;
+  const [item] = pickups.items;
+  pickups.update(Config.PICKUP_CONFIG.lifetime - 2.5, env);
+  assertEqual(pickups.at(item.c, item.r), item);
+  pickups.update(0.5, env);
+  assertEqual(pickups.items.length, 0, 'expired');
+});
+
+test('pickups: games with pickups off never spawn any', () => {
+  const game = catGame([{ c: 36, r: 2 }]);
+  for (let t = 0; t < 600; t++) game.update(Config.SIM_DT);
+  assertEqual(game.pickups.items.length, 0);
+});
+
+test('pickups: collecting applies the effect and reports it', () => {
+  const cfg = Config.PICKUP_CONFIG;
+  const game = catGame([{ c: 36, r: 2 }, { c: 36, r: 22 }]);
+  const events = recordEvents(game);
+
+  collect(game, PickupType.CHEESE);
+  assertEqual(game.cheese, 1);
+  assertEqual(game.pickups.items.length, 0, 'collected pickups are gone');
+  collect(game, PickupType.SPEED);
+  assertEqual(game.player.speedBoostTime, cfg.speedDuration);
+  collect(game, PickupType.NO_TRAIL);
+  assertEqual(game.player.noTrailTime, cfg.noTrailDuration);
+  collect(game, PickupType.FREEZE);
+  // Cats thaw from the tick the freeze was collected on
+  for (const cat of game.cats) assertClose(cat.frozenTime, cfg.freezeDuration - Config.SIM_DT);
+  collect(game, PickupType.CATNIP);
+  assertDeepEqual(game.pickups.decoy, { c: 20, r: 12, time: cfg.catnipDuration });
+
+  assertDeepEqual(eventsOf(events, GameEvent.PICKUP_COLLECTED).map(({ type, points }) => [type, points]), [
+    [PickupType.CHEESE, cfg.cheesePoints],
+    [PickupType.SPEED, 0],
+    [PickupType.NO_TRAIL, 0],
+    [PickupType.FREEZE, 0],
+    [PickupType.CATNIP, 0],
+  ]);
+});
+
+test('pickups: speed makes the mouse faster and no-trail leaves no crumbs', () => {
+  const run = (type) => {
+    const game = catGame([{ c: 36, r: 2 }]);
+    if (type) collect(game, type);
+    const x = game.player.x;
+    game.setPlayerWish(-1, 0);
+    for (let t = 0; t < 60; t++) game.update(Config.SIM_DT);
+    return { moved: x - game.player.x, crumbs: game.grid.crumbs.filter(strength => strength > 0).length };
+  };
+  const plain = run(null);
+  assert(plain.crumbs > 0, 'a plain run leaves crumbs');
+  assertClose(run(PickupType.SPEED).moved, plain.moved * Config.PICKUP_CONFIG.speedFactor, Config.TILE / 2);
+  assertEqual(run(PickupType.NO_TRAIL).crumbs, 0);
+});
+
+test('pickups: frozen cats stand still until the freeze wears off', () => {
+  const game = catGame([{ c: 30, r: 12 }]);
+  const [cat] = game.cats;
+  collect(game, PickupType.FREEZE);
+  const frozenAt = { x: cat.x, y: cat.y };
+  const ticks = Math.round(Config.PICKUP_CONFIG.freezeDuration / Config.SIM_DT);
+  for (let t = 0; t < ticks - 2; t++) game.update(Config.SIM_DT);
+  assertDeepEqual({ x: cat.x, y: cat.y }, frozenAt);
+  for (let t = 0; t < 10; t++) game.update(Config.SIM_DT);
+  assert(cat.x !== frozenAt.x || cat.y !== frozenAt.y, 'the cat moves again');
+});
+
+test('pickups: a catnip decoy draws the cats while it lasts', () => {
+  const game = catGame([{ c: 36, r: 2 }, { c: 36, r: 22, strategy: CatStrategy.AMBUSHER }]);
+  placeAt(game, game.player, 10, 20);
+  game.pickups.placeDecoy(25, 5);
+  for (const cat of game.cats) cat.pathTimer = 0;
+  game.update(Config.SIM_DT);
+  for (const cat of game.cats) assertDeepEqual(cat.goal, { c: 25, r: 5 });
+
+  game.pickups.decoy.time = Config.SIM_DT / 2;
+  game.update(Config.SIM_DT);
+  assertEqual(game.pickups.decoy, null);
+  for (const cat of game.cats) cat.pathTimer = 0;
+  game.update(Config.SIM_DT);
+  assertDeepEqual(game.cats[0].goal, game.player.getCell(), 'the chaser is back on the mouse');
+});
+
+test('pickups: getState reports the nearest pickup and the effect timers', () => {
+  const def = { version: 1, player: { c: 20, r: 12 }, cats: [{ c: 36, r: 2 }], barrier: 'none' };
+  const game = new Game(null, { headless: true, pickups: false, observePickups: true, levelSource: () => def });
+  game.reset(1, 1);
+  assertEqual(game.getState().distToPickup, 1, 'no pickup');
+  game.pickups.items.push({ type: PickupType.CHEESE, c: 20, r: 6, time: 5 });
+  game.pickups.items.push({ type: PickupType.CHEESE, c: 35, r: 12, time: 5 });
+  const state = game.getState();
+  assertEqual(state.dirToPickupX, 0);
+  assertEqual(state.dirToPickupY, -1);
+  assertClose(state.distToPickup, 6 / Math.hypot(game.cols, game.rows));
+  assertEqual(state.speedBoost, 0);
+
+  collect(game, PickupType.SPEED);
+  collect(game, PickupType.FREEZE);
+  const boosted = game.getState();
+  assert(boosted.speedBoost > 0.9 && boosted.speedBoost <= 1, `speedBoost ${boosted.speedBoost}`);
+  assertClose(boosted.catsFrozen, 1, 0.01);
+  assertEqual(boosted.noTrail, 0);
+  assertEqual('distToPickup' in new Game(null, { headless: true }).getState(), false);
+});
+
+// ============================================
+// Training
+// ============================================
+
+console.log('\n--- Training ---');
+
+test('training: a frame hitch at high speed runs at most MAX_TRAINING_STEPS steps', () => {
+  const trainer = new TrainingManager(new Game(null, { headless: true }));
+  trainer.setMode(TrainingMode.TRAIN);
+  trainer.setSpeed(10);
+  let steps = 0;
+  trainer.step = () => { steps++; };
+  trainer.update(Config.MAX_FRAME_DT * 2);
+  assert(steps <= Config.MAX_TRAINING_STEPS && steps >= Config.MAX_TRAINING_STEPS - 1, `ran ${steps} steps`);
+  assert(trainer.getAlpha() < 1, 'the dropped time is not carried over');
+
+  steps = 0;
+  trainer.update(Config.SIM_DT);
+  assertEqual(steps, 10, 'a normal frame runs speed steps');
+});
+
 // ============================================
 // Summary
 // ============================================